@@ -6,10 +6,12 @@ import { SUPABASE_PRODUCTS_TABLE } from "../../../../../server/config/env.js";
 import { assertSupabaseConfig, supabase } from "../../../../../server/lib/supabase.js";
 import { normalizeBrandName, refreshBrandRulesCache } from "../../../../../server/utils/brand-rules.js";
 import { removeOldProductImageIfUnused, toProductWriteErrorResponse } from "../../../../../server/utils/product.js";
-import { persistExternalProductImage, removeStoredProductImage } from "../../../../../server/services/product-image-storage.js";
+import { persistExternalProductImage, removeStoredProductImage, removeStoredProductImages } from "../../../../../server/services/product-image-storage.js";
 import { DIG_MATCH_PRODUCTS_CACHE_TAG } from "../../../../../server/services/dig-match-products.js";
-import { isBottomCategory, normalizeSizeTableForCategory, parseSizeTable } from "../../../../../server/utils/size-table.js";
+import { hasNormalizedSizeTableLayout, normalizeSizeTableForCategory, parseSizeTable } from "../../../../../server/utils/size-table.js";
 import { invalidatePublicProductCaches } from "../../../../../server/services/catalog-cache";
+import { buildSizeTableValidationReport, getReportOptionSizeLabels } from "../../../../../server/services/size-table/report.js";
+import { normalizeSizeTableProvenance } from "../../../../../server/services/size-table/provenance.js";
 import { isProductCategory, isValidSubcategory } from "@/constants";
 
 export async function PATCH(
@@ -63,10 +65,11 @@ export async function PATCH(
       const sizeTable = parseSizeTable(body?.sizeTable ?? null);
       payload.size_table = sizeTable;
       const categoryForNormalization = nextCategory || String(body?.currentCategory || "").trim();
-      payload.normalized_size_table = isBottomCategory(categoryForNormalization)
+      payload.normalized_size_table = hasNormalizedSizeTableLayout(categoryForNormalization)
         ? normalizeSizeTableForCategory(categoryForNormalization, sizeTable)
         : null;
     }
+    if ("sizeTableProvenance" in body) payload.size_table_provenance = normalizeSizeTableProvenance(body?.sizeTableProvenance);
     if ("isInstagram" in body) {
       payload.is_instagram = Boolean(body.isInstagram);
       if (!payload.is_instagram) payload.instagram_order = null;
@@ -94,13 +97,16 @@ export async function PATCH(
     const db = supabase!;
     const hasImagePathInPayload = Object.prototype.hasOwnProperty.call(payload, "image_path");
     let previousImagePath: string | null = null;
-    const requiresExistingProduct = hasImagePathInPayload || Object.prototype.hasOwnProperty.call(payload, "sub_category") || Object.prototype.hasOwnProperty.call(payload, "category");
+    const hasSizeTableInPayload = Object.prototype.hasOwnProperty.call(payload, "size_table");
+    const requiresExistingProduct = hasImagePathInPayload || hasSizeTableInPayload || Object.prototype.hasOwnProperty.call(payload, "sub_category") || Object.prototype.hasOwnProperty.call(payload, "category");
     let existingCategory = "";
     let existingSubCategory: string | null = null;
+    let existingOptionSizeLabels: string[] = [];
+    let existingSizeTable: ReturnType<typeof parseSizeTable> = null;
     if (requiresExistingProduct) {
       const { data: existingProduct, error: existingProductError } = await db
         .from(SUPABASE_PRODUCTS_TABLE)
-        .select("id,image_path,category,sub_category")
+        .select("id,image_path,category,sub_category,size_table,size_table_validation")
         .eq("id", productId)
         .maybeSingle();
       if (existingProductError) throw existingProductError;
@@ -111,8 +117,19 @@ export async function PATCH(
       existingCategory = String(existingProduct.category || "").trim();
       existingSubCategory = String(existingProduct.sub_category || "").trim() || null;
       previousImagePath = String(existingProduct.image_path || "").trim() || null;
+      existingOptionSizeLabels = getReportOptionSizeLabels(existingProduct.size_table_validation);
+      existingSizeTable = parseSizeTable(existingProduct.size_table ?? null);
     }
     const effectiveCategory = String(payload.category || existingCategory).trim();
+    // Plausible ranges depend on the category, so a category change alone
+    // also rebuilds the report from the stored table.
+    const hasCategoryChange = Object.prototype.hasOwnProperty.call(payload, "category") && effectiveCategory !== existingCategory;
+    if (hasSizeTableInPayload || hasCategoryChange) {
+      const sizeTableForReport = hasSizeTableInPayload ? payload.size_table : existingSizeTable;
+      payload.size_table_validation = sizeTableForReport
+        ? buildSizeTableValidationReport(sizeTableForReport, { category: effectiveCategory, optionSizeLabels: existingOptionSizeLabels })
+        : null;
+    }
     if (Object.prototype.hasOwnProperty.call(payload, "sub_category") && payload.sub_category !== null && !isValidSubcategory(effectiveCategory, payload.sub_category)) {
       if (uploadedImagePath) await removeStoredProductImage(uploadedImagePath).catch(() => undefined);
       return NextResponse.json({ ok: false, error: "invalid sub_category for category" }, { status: 400 });
@@ -145,7 +162,7 @@ export async function PATCH(
       .from(SUPABASE_PRODUCTS_TABLE)
       .update(payload)
       .eq("id", productId)
-      .select("id,brand,name,category,sub_category,category_reviewed,category_analysis_status,url,size_table,normalized_size_table,created_at,image_path,is_instagram,instagram_order")
+      .select("id,brand,name,category,sub_category,category_reviewed,category_analysis_status,url,size_table,normalized_size_table,size_table_validation,size_table_provenance,list_price,sale_price,price_currency,availability,size_availability,color_variants,created_at,image_path,image_gallery,is_instagram,instagram_order")
       .maybeSingle();
 
     if (error) throw error;
@@ -201,7 +218,7 @@ export async function DELETE(
       .from(SUPABASE_PRODUCTS_TABLE)
       .delete()
       .eq("id", productId)
-      .select("id,image_path");
+      .select("id,image_path,image_gallery");
 
     if (error) throw error;
     if (!Array.isArray(data) || data.length === 0) {
@@ -213,6 +230,12 @@ export async function DELETE(
       oldPath: deletedProduct?.image_path,
       updatedProductId: productId,
     });
+    await removeStoredProductImages(deletedProduct?.image_gallery ?? []).catch((galleryError: unknown) => {
+      console.error("[admin] failed to remove gallery images from storage", {
+        productId,
+        error: getErrorMessage(galleryError, "gallery image remove error"),
+      });
+    });
 
     revalidateTag(DIG_MATCH_PRODUCTS_CACHE_TAG, "max");
     invalidatePublicProductCaches(productId);
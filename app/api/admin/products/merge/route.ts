@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
+import { verifyAdminRequest } from "../../../../../server/utils/admin-request.js";
+import { DIG_MATCH_PRODUCTS_CACHE_TAG } from "../../../../../server/services/dig-match-products.js";
+import { invalidatePublicProductCaches } from "../../../../../server/services/catalog-cache";
+import { mergeProducts, parseProductMergeInput } from "../../../../../server/services/product-merge";
+
+export async function POST(request: Request) {
+  const adminError = verifyAdminRequest(request);
+  if (adminError) return adminError;
+
+  try {
+    const input = parseProductMergeInput(await request.json().catch(() => null));
+    const result = await mergeProducts(input);
+
+    revalidateTag(DIG_MATCH_PRODUCTS_CACHE_TAG, "max");
+    revalidateTag("public-digbox", "max");
+    invalidatePublicProductCaches(result.canonicalId);
+    for (const mergedId of result.mergedIds) invalidatePublicProductCaches(mergedId);
+    return NextResponse.json({ ok: true, data: result });
+  } catch (error: unknown) {
+    return NextResponse.json(
+      { ok: false, error: getErrorMessage(error, "product merge error") },
+      { status: getErrorStatusCode(error) }
+    );
+  }
+}
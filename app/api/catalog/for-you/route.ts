@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from "next/server";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
+import { getRegisteredRequestUser } from "../../../../server/auth/request-user";
+import { requestLog } from "../../../../server/services/catalog";
+import { getPersonalizedFeedPage } from "../../../../server/services/personalized-feed";
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 48;
+export async function GET(request: NextRequest) {
+  const startedAt = Date.now();
+  const rawOffset = Number(request.nextUrl.searchParams.get("offset") ?? "0");
+  const rawLimit = Number(request.nextUrl.searchParams.get("limit") ?? DEFAULT_LIMIT);
+  if (!Number.isInteger(rawOffset) || rawOffset < 0 || !Number.isInteger(rawLimit) || rawLimit < 1 || rawLimit > MAX_LIMIT) {
+    requestLog("/api/catalog/for-you", request, startedAt, 400);
+    return NextResponse.json({ ok: false, error: "invalid offset or limit" }, { status: 400 });
+  }
+
+  try {
+    const user = await getRegisteredRequestUser(request);
+    if (!user) {
+      requestLog("/api/catalog/for-you", request, startedAt, 401);
+      return NextResponse.json({ ok: false, error: "registered account required" }, { status: 401 });
+    }
+    const page = await getPersonalizedFeedPage(user.id, rawOffset, rawLimit);
+    requestLog("/api/catalog/for-you", request, startedAt, 200);
+    return NextResponse.json({ ok: true, data: page }, { headers: { "Cache-Control": "private, no-store" } });
+  } catch (error: unknown) {
+    requestLog("/api/catalog/for-you", request, startedAt, getErrorStatusCode(error));
+    return NextResponse.json(
+      { ok: false, error: getErrorMessage(error, "personalized feed fetch error") },
+      { status: getErrorStatusCode(error) }
+    );
+  }
+}
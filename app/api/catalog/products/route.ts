@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from "next/server";
 import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
+import { isPriceFilterValue } from "@/utils/productPrice";
 import { getCatalogPage, requestLog } from "../../../../server/services/catalog";
 
 const DEFAULT_LIMIT = 24;
@@ -14,9 +15,15 @@ export async function GET(request: NextRequest) {
   }
   const offset = rawOffset;
   const limit = rawLimit;
+  const rawPriceFilter = request.nextUrl.searchParams.get("price") ?? "";
+  const priceFilter = isPriceFilterValue(rawPriceFilter) ? rawPriceFilter : "";
+  if (rawPriceFilter && !priceFilter) {
+    requestLog("/api/catalog/products", request, startedAt, 400);
+    return NextResponse.json({ ok: false, error: "invalid price filter" }, { status: 400 });
+  }
 
   try {
-    const page = await getCatalogPage(offset, limit);
+    const page = await getCatalogPage(offset, limit, priceFilter);
     requestLog("/api/catalog/products", request, startedAt, 200, request.headers.get("x-vercel-cache") || undefined);
     const duration = Date.now() - startedAt;
     return NextResponse.json(
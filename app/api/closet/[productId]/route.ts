@@ -1,10 +1,55 @@
 import { NextResponse } from "next/server";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
 import { assertSupabaseConfig, supabase } from "../../../../server/lib/supabase.js";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../../server/auth/request-user";
+import { resolveSelectedProductColor } from "../../../../server/services/user-collections";
 
 const unauthorized = (msg = "authorization token is required") =>
   NextResponse.json({ ok: false, error: msg }, { status: 401 });
 
+export async function PATCH(
+  request: Request,
+  context: { params: Promise<{ productId: string }> }
+) {
+  if (!hasValidMutationOrigin(request)) {
+    return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
+  }
+
+  let body: { selectedColor?: unknown } | null;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: "invalid request body" }, { status: 400 });
+  }
+
+  try {
+    assertSupabaseConfig();
+    const db = supabase!;
+    const user = await getRegisteredRequestUser(request);
+    if (!user) return unauthorized("registered account required");
+
+    const { productId } = await context.params;
+    const pid = String(productId || "").trim();
+    if (!pid) return NextResponse.json({ ok: false, error: "productId is required" }, { status: 400 });
+    if (!/^\d+$/.test(pid)) return NextResponse.json({ ok: false, error: "invalid product id" }, { status: 400 });
+
+    const selectedColor = await resolveSelectedProductColor(pid, body?.selectedColor);
+    const { data, error } = await db
+      .from("user_closet_items")
+      .update({ selected_color: selectedColor })
+      .eq("user_id", user.id)
+      .eq("product_id", pid)
+      .select("product_id");
+
+    if (error) throw error;
+    if (!data?.length) return NextResponse.json({ ok: false, error: "closet item not found" }, { status: 404 });
+
+    return NextResponse.json({ ok: true, data: { updated: true } });
+  } catch (error: unknown) {
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "closet color update error") }, { status: getErrorStatusCode(error) });
+  }
+}
+
 export async function DELETE(
   request: Request,
   context: { params: Promise<{ productId: string }> }
@@ -22,6 +67,7 @@ export async function DELETE(
     const { productId } = await context.params;
     const pid = String(productId || "").trim();
     if (!pid) return NextResponse.json({ ok: false, error: "productId is required" }, { status: 400 });
+    if (!/^\d+$/.test(pid)) return NextResponse.json({ ok: false, error: "invalid product id" }, { status: 400 });
 
     const { error } = await db
       .from("user_closet_items")
@@ -1,8 +1,12 @@
 import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
 import { assertSupabaseConfig, supabase } from "../../../server/lib/supabase.js";
 import { ANALYSIS_COLUMNS, PRODUCT_CARD_COLUMNS, normalizeAnalysisProduct, normalizeProductCard, requestLog } from "../../../server/services/catalog";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../server/auth/request-user";
-import { getClosetProducts } from "../../../server/services/user-collections";
+import { getClosetProducts, resolveSelectedProductColor } from "../../../server/services/user-collections";
+import { getPersonalizedFeedCacheTag } from "../../../server/services/personalized-feed";
+import { normalizeSizeSnapshot } from "../../../server/utils/size-table.js";
 
 const unauthorized = (msg = "authorization token is required") =>
   NextResponse.json({ ok: false, error: msg }, { status: 401 });
@@ -13,17 +17,9 @@ type ClosetRow = {
   selected_size_label?: string | null;
   selected_size_row_index?: number | null;
   selected_size_snapshot?: unknown;
+  selected_color?: string | null;
 };
 
-function normalizeSizeSnapshot(value: unknown) {
-  if (!value || typeof value !== "object") return null;
-  const record = value as Record<string, unknown>;
-  const headers = Array.isArray(record.headers) ? record.headers.map((v) => String(v ?? "").trim()) : [];
-  const row = Array.isArray(record.row) ? record.row.map((v) => String(v ?? "").trim()) : [];
-  if (!headers.length || !row.length) return null;
-  return { headers, row };
-}
-
 export async function GET(request: Request) {
   const startedAt = Date.now();
   const includeAnalysis = new URL(request.url).searchParams.get("analysis") === "1";
@@ -45,7 +41,7 @@ export async function GET(request: Request) {
 
     const closetResult = await db
       .from("user_closet_items")
-      .select("product_id, added_at, selected_size_label, selected_size_row_index, selected_size_snapshot")
+      .select("product_id, added_at, selected_size_label, selected_size_row_index, selected_size_snapshot, selected_color")
       .eq("user_id", user.id)
       .order("added_at", { ascending: false });
     let closetData = closetResult.data as ClosetRow[] | null;
@@ -97,6 +93,7 @@ export async function GET(request: Request) {
               ? closetRow.selected_size_row_index
               : null,
           closetSelectedSizeSnapshot: normalizeSizeSnapshot(closetRow?.selected_size_snapshot),
+          closetSelectedColor: String(closetRow?.selected_color || "").trim() || null,
         };
       })
       .filter(Boolean);
@@ -115,21 +112,29 @@ export async function POST(request: Request) {
     return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
   }
 
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: "invalid request body" }, { status: 400 });
+  }
+
   try {
     assertSupabaseConfig();
     const db = supabase!;
     const user = await getRegisteredRequestUser(request);
     if (!user) return unauthorized("registered account required");
 
-    const body = await request.json();
     const productId = String(body?.productId || "").trim();
     if (!productId) return NextResponse.json({ ok: false, error: "productId is required" }, { status: 400 });
+    if (!/^\d+$/.test(productId)) return NextResponse.json({ ok: false, error: "invalid product id" }, { status: 400 });
     const selectedSizeLabel = String(body?.selectedSizeLabel || "").trim() || null;
     const selectedSizeRowIndex =
       Number.isInteger(body?.selectedSizeRowIndex) && body.selectedSizeRowIndex >= 0
         ? body.selectedSizeRowIndex
         : null;
     const selectedSizeSnapshot = normalizeSizeSnapshot(body?.selectedSizeSnapshot);
+    const selectedColor = await resolveSelectedProductColor(productId, body?.selectedColor);
 
     const { error } = await db
       .from("user_closet_items")
@@ -139,13 +144,14 @@ export async function POST(request: Request) {
         selected_size_label: selectedSizeLabel,
         selected_size_row_index: selectedSizeRowIndex,
         selected_size_snapshot: selectedSizeSnapshot,
+        selected_color: selectedColor,
       });
 
     if (error) {
       if (error.code === "23505") {
         return NextResponse.json({ ok: true, data: { alreadyAdded: true } });
       }
-      if (String(error.message || "").includes("selected_size_")) {
+      if (/selected_(?:size_|color)/.test(String(error.message || ""))) {
         const fallback = await db
           .from("user_closet_items")
           .insert({ user_id: user.id, product_id: productId });
@@ -159,9 +165,9 @@ export async function POST(request: Request) {
       throw error;
     }
 
+    revalidateTag(getPersonalizedFeedCacheTag(user.id), "max");
     return NextResponse.json({ ok: true, data: { added: true } }, { status: 201 });
   } catch (error: unknown) {
-    const message = error instanceof Error ? error.message : "closet add error";
-    return NextResponse.json({ ok: false, error: message }, { status: 500 });
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "closet add error") }, { status: getErrorStatusCode(error) });
   }
 }
@@ -0,0 +1,16 @@
+import { NextResponse } from "next/server";
+import { recomputeBrandSizeFitStats } from "../../../../server/services/brand-size-fit";
+
+export async function GET(request: Request) {
+  const cronSecret = String(process.env.CRON_SECRET || "").trim();
+  if (!cronSecret || request.headers.get("authorization") !== `Bearer ${cronSecret}`) {
+    return NextResponse.json({ ok: false, error: "unauthorized" }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json({ ok: true, data: await recomputeBrandSizeFitStats() });
+  } catch (error) {
+    console.error("[brand-size-fit] recompute failed", error);
+    return NextResponse.json({ ok: false, error: "brand size fit recompute failed" }, { status: 500 });
+  }
+}
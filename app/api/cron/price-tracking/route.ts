@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import { trackDigboxPrices } from "../../../../server/services/price-tracking";
+
+export const maxDuration = 300;
+
+export async function GET(request: Request) {
+  const cronSecret = String(process.env.CRON_SECRET || "").trim();
+  if (!cronSecret || request.headers.get("authorization") !== `Bearer ${cronSecret}`) {
+    return NextResponse.json({ ok: false, error: "unauthorized" }, { status: 401 });
+  }
+
+  try {
+    return NextResponse.json({ ok: true, data: await trackDigboxPrices() });
+  } catch (error) {
+    console.error("[price-tracking] run failed", error);
+    return NextResponse.json({ ok: false, error: "price tracking failed" }, { status: 500 });
+  }
+}
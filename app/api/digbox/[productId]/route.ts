@@ -1,19 +1,14 @@
 import { NextResponse } from "next/server";
 import { revalidateTag } from "next/cache";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
 import { assertSupabaseConfig, supabase } from "../../../../server/lib/supabase.js";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../../server/auth/request-user";
+import { resolveSelectedProductColor } from "../../../../server/services/user-collections";
+import { normalizeSizeSnapshot } from "../../../../server/utils/size-table.js";
 
 const unauthorized = (msg = "authorization token is required") =>
   NextResponse.json({ ok: false, error: msg }, { status: 401 });
 
-function normalizeSnapshot(value: unknown) {
-  if (!value || typeof value !== "object") return null;
-  const record = value as Record<string, unknown>;
-  const headers = Array.isArray(record.headers) ? record.headers.map((item) => String(item ?? "").trim()) : [];
-  const row = Array.isArray(record.row) ? record.row.map((item) => String(item ?? "").trim()) : [];
-  return headers.length && row.length ? { headers, row } : null;
-}
-
 const validSources = new Set(["comparison", "try_on", "worn"]);
 const validFits = new Set(["tight", "true_to_size", "roomy"]);
 
@@ -25,6 +20,13 @@ export async function PATCH(
     return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
   }
 
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: "invalid request body" }, { status: 400 });
+  }
+
   try {
     assertSupabaseConfig();
     const db = supabase!;
@@ -33,14 +35,37 @@ export async function PATCH(
     const { productId } = await context.params;
     const pid = String(productId || "").trim();
     if (!pid) return NextResponse.json({ ok: false, error: "productId is required" }, { status: 400 });
+    if (!/^\d+$/.test(pid)) return NextResponse.json({ ok: false, error: "invalid product id" }, { status: 400 });
+
+    if (body?.dismissPriceAlert === true) {
+      const { error } = await db
+        .from("user_digbox_items")
+        .update({ price_alert: null, price_alert_previous_price: null, price_alert_at: null })
+        .eq("user_id", user.id)
+        .eq("product_id", pid);
+      if (error) throw error;
+      return NextResponse.json({ ok: true, data: { updated: true } });
+    }
+
+    if (body && typeof body === "object" && "selectedColor" in body) {
+      const selectedColor = await resolveSelectedProductColor(pid, body.selectedColor);
+      const { data, error } = await db
+        .from("user_digbox_items")
+        .update({ selected_color: selectedColor })
+        .eq("user_id", user.id)
+        .eq("product_id", pid)
+        .select("product_id");
+      if (error) throw error;
+      if (!data?.length) return NextResponse.json({ ok: false, error: "digbox item not found" }, { status: 404 });
+      return NextResponse.json({ ok: true, data: { updated: true } });
+    }
 
-    const body = await request.json();
     const decision = body?.decision;
     const updates = decision && typeof decision === "object"
       ? {
           size_decision_label: String(decision.label || "").trim() || null,
           size_decision_row_index: Number.isInteger(decision.rowIndex) && decision.rowIndex >= 0 ? decision.rowIndex : null,
-          size_decision_snapshot: normalizeSnapshot(decision.snapshot),
+          size_decision_snapshot: normalizeSizeSnapshot(decision.snapshot),
           size_decision_sources: Array.from(new Set(
             (Array.isArray(decision.sources) ? decision.sources : [])
               .map((source: unknown) => String(source))
@@ -64,8 +89,7 @@ export async function PATCH(
     if (error) throw error;
     return NextResponse.json({ ok: true, data: { updated: true } });
   } catch (error: unknown) {
-    const message = error instanceof Error ? error.message : "digbox size decision update error";
-    return NextResponse.json({ ok: false, error: message }, { status: 500 });
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "digbox size decision update error") }, { status: getErrorStatusCode(error) });
   }
 }
 
@@ -86,6 +110,7 @@ export async function DELETE(
     const { productId } = await context.params;
     const pid = String(productId || "").trim();
     if (!pid) return NextResponse.json({ ok: false, error: "productId is required" }, { status: 400 });
+    if (!/^\d+$/.test(pid)) return NextResponse.json({ ok: false, error: "invalid product id" }, { status: 400 });
 
     const { error } = await db
       .from("user_digbox_items")
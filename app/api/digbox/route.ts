@@ -1,21 +1,16 @@
 import { NextResponse } from "next/server";
 import { revalidateTag } from "next/cache";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
 import { assertSupabaseConfig, supabase } from "../../../server/lib/supabase.js";
 import { ANALYSIS_COLUMNS, PRODUCT_CARD_COLUMNS, normalizeAnalysisProduct, normalizeProductCard, requestLog } from "../../../server/services/catalog";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../server/auth/request-user";
-import { getDigboxProducts } from "../../../server/services/user-collections";
+import { getDigboxProducts, resolveSelectedProductColor } from "../../../server/services/user-collections";
+import { getPersonalizedFeedCacheTag } from "../../../server/services/personalized-feed";
+import { normalizeSizeSnapshot } from "../../../server/utils/size-table.js";
 
 const unauthorized = (msg = "authorization token is required") =>
   NextResponse.json({ ok: false, error: msg }, { status: 401 });
 
-function normalizeSizeSnapshot(value: unknown) {
-  if (!value || typeof value !== "object") return null;
-  const record = value as Record<string, unknown>;
-  const headers = Array.isArray(record.headers) ? record.headers.map((item) => String(item ?? "").trim()) : [];
-  const row = Array.isArray(record.row) ? record.row.map((item) => String(item ?? "").trim()) : [];
-  return headers.length && row.length ? { headers, row } : null;
-}
-
 function normalizeSizeDecision(row: Record<string, unknown>) {
   const label = String(row.size_decision_label ?? "").trim() || null;
   if (!label) return null;
@@ -55,7 +50,7 @@ export async function GET(request: Request) {
 
     const { data: digboxData, error: digboxError } = await db
       .from("user_digbox_items")
-      .select("product_id, added_at, size_decision_label, size_decision_row_index, size_decision_snapshot, size_decision_sources, size_decision_fit, size_decision_note, size_decision_updated_at")
+      .select("product_id, added_at, size_decision_label, size_decision_row_index, size_decision_snapshot, size_decision_sources, size_decision_fit, size_decision_note, size_decision_updated_at, selected_color")
       .eq("user_id", user.id)
       .order("added_at", { ascending: false });
 
@@ -118,7 +113,12 @@ export async function GET(request: Request) {
           : normalizeProductCard(productMap.get(id));
         const digboxRow = digboxByProductId.get(String(id));
         return product && includeAnalysis
-          ? { ...product, collectionAddedAt: digboxRow?.added_at ? String(digboxRow.added_at) : null, digboxSizeDecision: digboxRow ? normalizeSizeDecision(digboxRow) : null }
+          ? {
+              ...product,
+              collectionAddedAt: digboxRow?.added_at ? String(digboxRow.added_at) : null,
+              digboxSizeDecision: digboxRow ? normalizeSizeDecision(digboxRow) : null,
+              digboxSelectedColor: String(digboxRow?.selected_color ?? "").trim() || null,
+            }
           : product;
       })
       .filter(Boolean);
@@ -137,19 +137,27 @@ export async function POST(request: Request) {
     return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
   }
 
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: "invalid request body" }, { status: 400 });
+  }
+
   try {
     assertSupabaseConfig();
     const db = supabase!;
     const user = await getRegisteredRequestUser(request);
     if (!user) return unauthorized("registered account required");
 
-    const body = await request.json();
     const productId = String(body?.productId || "").trim();
     if (!productId) return NextResponse.json({ ok: false, error: "productId is required" }, { status: 400 });
+    if (!/^\d+$/.test(productId)) return NextResponse.json({ ok: false, error: "invalid product id" }, { status: 400 });
+    const selectedColor = await resolveSelectedProductColor(productId, body?.selectedColor);
 
     const { error } = await db
       .from("user_digbox_items")
-      .insert({ user_id: user.id, product_id: productId });
+      .insert({ user_id: user.id, product_id: productId, ...(selectedColor ? { selected_color: selectedColor } : {}) });
 
     if (error) {
       if (error.code === "23505") {
@@ -159,10 +167,10 @@ export async function POST(request: Request) {
     }
 
     revalidateTag("public-digbox", "max");
+    revalidateTag(getPersonalizedFeedCacheTag(user.id), "max");
 
     return NextResponse.json({ ok: true, data: { added: true } }, { status: 201 });
   } catch (error: unknown) {
-    const message = error instanceof Error ? error.message : "digbox add error";
-    return NextResponse.json({ ok: false, error: message }, { status: 500 });
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "digbox add error") }, { status: getErrorStatusCode(error) });
   }
 }
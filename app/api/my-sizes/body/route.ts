@@ -0,0 +1,124 @@
+import { NextResponse } from "next/server";
+import { assertSupabaseConfig, supabase } from "../../../../server/lib/supabase.js";
+import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../../server/auth/request-user";
+import { BODY_MEASUREMENT_KEYS, BODY_MEASUREMENT_RANGES } from "../../../../src/constants";
+import type { BodyMeasurementKey, BodyMeasurements } from "../../../../src/types";
+
+const unauthorized = (msg = "authorization token is required") =>
+  NextResponse.json({ ok: false, error: msg }, { status: 401 });
+
+const COLUMN_BY_KEY: Record<BodyMeasurementKey, string> = {
+  heightCm: "height_cm",
+  weightKg: "weight_kg",
+  chestCm: "chest_cm",
+  waistCm: "waist_cm",
+  hipCm: "hip_cm",
+  inseamCm: "inseam_cm",
+};
+
+const SELECT_COLUMNS = "height_cm,weight_kg,chest_cm,waist_cm,hip_cm,inseam_cm,updated_at";
+
+type BodyMeasurementRow = Record<string, unknown>;
+
+function normalizeBodyMeasurements(row: BodyMeasurementRow | null): BodyMeasurements | null {
+  if (!row) return null;
+  const measurements = { updatedAt: row.updated_at ? String(row.updated_at) : null } as BodyMeasurements;
+  for (const key of BODY_MEASUREMENT_KEYS) {
+    const value = Number(row[COLUMN_BY_KEY[key]]);
+    measurements[key] = row[COLUMN_BY_KEY[key]] === null || !Number.isFinite(value) ? null : value;
+  }
+  return measurements;
+}
+
+/** Returns the columns to upsert, or an error naming the first out-of-range field. */
+function parseBodyMeasurementsInput(body: unknown): { values: Record<string, number | null> } | { error: string } {
+  if (!body || typeof body !== "object") return { error: "body measurements are required" };
+  const record = body as Record<string, unknown>;
+  const values: Record<string, number | null> = {};
+  for (const key of BODY_MEASUREMENT_KEYS) {
+    const raw = record[key];
+    if (raw === null || raw === undefined || raw === "") {
+      values[COLUMN_BY_KEY[key]] = null;
+      continue;
+    }
+    const value = Number(raw);
+    const [min, max] = BODY_MEASUREMENT_RANGES[key];
+    if (!Number.isFinite(value) || value < min || value > max) return { error: `${key} must be between ${min} and ${max}` };
+    values[COLUMN_BY_KEY[key]] = Math.round(value * 10) / 10;
+  }
+  if (Object.values(values).every((value) => value === null)) return { error: "at least one measurement is required" };
+  return { values };
+}
+
+export async function GET(request: Request) {
+  try {
+    assertSupabaseConfig();
+    const db = supabase!;
+    const user = await getRegisteredRequestUser(request);
+    if (!user) return unauthorized("registered account required");
+
+    const { data, error } = await db
+      .from("user_body_measurements")
+      .select(SELECT_COLUMNS)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (error) throw error;
+
+    return NextResponse.json({ ok: true, data: { measurements: normalizeBodyMeasurements(data as BodyMeasurementRow | null) } });
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : "body measurements fetch error";
+    return NextResponse.json({ ok: false, error: message }, { status: 500 });
+  }
+}
+
+export async function PUT(request: Request) {
+  if (!hasValidMutationOrigin(request)) return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
+
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: "invalid request body" }, { status: 400 });
+  }
+
+  try {
+    assertSupabaseConfig();
+    const db = supabase!;
+    const user = await getRegisteredRequestUser(request);
+    if (!user) return unauthorized("registered account required");
+
+    const parsed = parseBodyMeasurementsInput(body);
+    if ("error" in parsed) return NextResponse.json({ ok: false, error: parsed.error }, { status: 400 });
+
+    const { data, error } = await db
+      .from("user_body_measurements")
+      .upsert({ user_id: user.id, ...parsed.values, updated_at: new Date().toISOString() })
+      .select(SELECT_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    return NextResponse.json({ ok: true, data: { measurements: normalizeBodyMeasurements(data as BodyMeasurementRow) } });
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : "body measurements save error";
+    return NextResponse.json({ ok: false, error: message }, { status: 500 });
+  }
+}
+
+export async function DELETE(request: Request) {
+  if (!hasValidMutationOrigin(request)) return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
+
+  try {
+    assertSupabaseConfig();
+    const db = supabase!;
+    const user = await getRegisteredRequestUser(request);
+    if (!user) return unauthorized("registered account required");
+
+    const { error } = await db.from("user_body_measurements").delete().eq("user_id", user.id);
+    if (error) throw error;
+
+    return NextResponse.json({ ok: true });
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : "body measurements delete error";
+    return NextResponse.json({ ok: false, error: message }, { status: 500 });
+  }
+}
@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 import { assertSupabaseConfig, supabase } from "../../../server/lib/supabase.js";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../server/auth/request-user";
+import { normalizeSizeSnapshot } from "../../../server/utils/size-table.js";
 
 const unauthorized = (msg = "authorization token is required") =>
   NextResponse.json({ ok: false, error: msg }, { status: 401 });
@@ -18,15 +19,6 @@ type MySizeRow = {
   created_at?: string | null;
 };
 
-function normalizeSizeSnapshot(value: unknown) {
-  if (!value || typeof value !== "object") return null;
-  const record = value as Record<string, unknown>;
-  const headers = Array.isArray(record.headers) ? record.headers.map((v) => String(v ?? "").trim()) : [];
-  const row = Array.isArray(record.row) ? record.row.map((v) => String(v ?? "").trim()) : [];
-  if (!headers.length || !row.length) return null;
-  return { headers, row };
-}
-
 function normalizeProfile(row: MySizeRow) {
   const snapshot = normalizeSizeSnapshot(row.measurement_snapshot);
   if (!snapshot) return null;
@@ -36,6 +36,11 @@ export async function POST(request: Request) {
           metadata.productMetadata && typeof metadata.productMetadata === "object" && !Array.isArray(metadata.productMetadata)
             ? metadata.productMetadata
             : null,
+        sizeOptionLabels: Array.isArray(metadata.sizeOptionLabels) ? metadata.sizeOptionLabels : [],
+        sizeTableCandidates: Array.isArray(metadata.sizeTableCandidates) ? metadata.sizeTableCandidates : [],
+        price: metadata.price ?? null,
+        sizeAvailability: metadata.sizeAvailability ?? null,
+        colorVariants: metadata.colorVariants ?? null,
       },
     });
   } catch (error: unknown) {
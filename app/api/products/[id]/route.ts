@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
 import { getProductDetail, getProductDetailFresh, requestLog } from "../../../../server/services/catalog";
+import { getProductRedirectTarget } from "../../../../server/services/product-merge";
 
 export async function GET(
   request: Request,
@@ -15,7 +16,13 @@ export async function GET(
 
   try {
     const isFreshRequest = new URL(request.url).searchParams.get("fresh") === "1";
-    const product = await (isFreshRequest ? getProductDetailFresh(productId) : getProductDetail(productId));
+    const loadProduct = (targetId: string) => isFreshRequest ? getProductDetailFresh(targetId) : getProductDetail(targetId);
+    let product = await loadProduct(productId);
+    if (!product) {
+      // Merged products answer with the canonical product they were folded into.
+      const canonicalId = await getProductRedirectTarget(productId);
+      if (canonicalId) product = await loadProduct(canonicalId);
+    }
     if (!product) {
       return NextResponse.json({ ok: false, error: "product not found" }, { status: 404 });
     }
@@ -0,0 +1,27 @@
+import { NextResponse } from "next/server";
+import { assertSupabaseConfig, supabase } from "../../../../../server/lib/supabase.js";
+import { getBrandSizeFit } from "../../../../../server/services/brand-size-fit";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(_: Request, { params }: { params: Promise<{ id: string }> }) {
+  const { id: productId } = await params;
+  if (!/^\d+$/.test(productId)) return NextResponse.json({ ok: false, error: "invalid product id" }, { status: 400 });
+
+  try {
+    assertSupabaseConfig();
+    const { data: product, error } = await supabase!
+      .from("products")
+      .select("brand,sub_category")
+      .eq("id", productId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!product) return NextResponse.json({ ok: false, error: "product not found" }, { status: 404 });
+
+    const sizeFit = await getBrandSizeFit(String(product.brand ?? ""), product.sub_category);
+    return NextResponse.json({ ok: true, data: { sizeFit } }, { headers: { "Cache-Control": "no-store" } });
+  } catch (error) {
+    console.error("brand size fit fetch error", error);
+    return NextResponse.json({ ok: false, error: "brand size fit fetch error" }, { status: 500 });
+  }
+}
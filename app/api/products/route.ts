@@ -2,6 +2,7 @@ import { NextResponse } from "next/server";
 import { revalidateTag } from "next/cache";
 import { after } from "next/server";
 import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
+import { MAX_PRODUCT_IMAGE_CANDIDATES } from "@/constants";
 import { normalizeBrandName, refreshBrandRulesCache } from "../../../server/utils/brand-rules.js";
 import {
   fetchProductsRows,
@@ -13,7 +14,10 @@ import {
 import { parseSizeTable } from "../../../server/utils/size-table.js";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../server/auth/request-user";
 import { assertSupabaseConfig } from "../../../server/lib/supabase.js";
+import { removeProductImageBackgroundById } from "../../../server/services/background-removal.js";
 import { embedProductImageById } from "../../../server/services/image-embedding.js";
+import { checkNewProductDuplicates } from "../../../server/services/product-duplicates";
+import { persistExternalProductImage, removeStoredProductImage } from "../../../server/services/product-image-storage.js";
 import { tagProductStyleById } from "../../../server/services/style-tagging.js";
 import { DIG_MATCH_PRODUCTS_CACHE_TAG } from "../../../server/services/dig-match-products.js";
 import { invalidatePublicProductCaches } from "../../../server/services/catalog-cache";
@@ -117,9 +121,18 @@ export async function POST(request: Request) {
     const name = String(body?.name || "").trim();
     const imagePath = String(body?.image_path ?? body?.imagePath ?? "").trim();
     const image = String(body?.image || "").trim();
+    const imageCandidates = Array.isArray(body?.productImageCandidates)
+      ? body.productImageCandidates.map(String).slice(0, MAX_PRODUCT_IMAGE_CANDIDATES)
+      : [];
     const sizeTable = parseSizeTable(body?.sizeTable ?? null);
     const normalizedSizeTable = null;
     const productMetadata = normalizeProductMetadata(body?.productMetadata);
+    const sizeOptionLabels = Array.isArray(body?.sizeOptionLabels) ? body.sizeOptionLabels.map(String) : [];
+    const sizeTableProvenance = body?.sizeTableProvenance ?? null;
+    const price = body?.price ?? null;
+    const sizeAvailability = body?.sizeAvailability ?? null;
+    const colorVariants = body?.colorVariants ?? null;
+    const confirmNewProduct = body?.confirmNewProduct === true;
     const isInstagram = false;
     const createdAt = new Date().toISOString();
 
@@ -134,6 +147,28 @@ export async function POST(request: Request) {
     }
 
     const slug = await generateProductSlug(brand, name);
+
+    // Same item from another shop: a different URL, so the unique key does not
+    // catch it. The image is stored first and only the stored copy is
+    // fingerprinted; the user picks an existing product or confirms a new one.
+    const sourceImagePath = imagePath || image;
+    const storedImagePath = await persistExternalProductImage(sourceImagePath);
+    const discardStoredImage = async () => {
+      if (storedImagePath !== sourceImagePath) await removeStoredProductImage(storedImagePath).catch(() => undefined);
+    };
+    const duplicateCheck = await checkNewProductDuplicates({ imagePath: storedImagePath, confirmNewProduct });
+    if (duplicateCheck.candidates.length) {
+      await discardStoredImage();
+      return NextResponse.json(
+        {
+          ok: false,
+          error: "possible duplicate product",
+          data: { duplicateCandidates: duplicateCheck.candidates },
+        },
+        { status: 409 }
+      );
+    }
+
     const insertedRow = await insertProductRow({
       brand,
       name,
@@ -141,7 +176,9 @@ export async function POST(request: Request) {
       subCategory: null,
       url,
       image,
-      imagePath,
+      imagePath: storedImagePath,
+      imageCandidates: imageCandidates.filter((candidate: string) => candidate !== sourceImagePath),
+      imagePhash: duplicateCheck.imagePhash,
       sizeTable,
       normalizedSizeTable,
       isInstagram,
@@ -149,6 +186,14 @@ export async function POST(request: Request) {
       slug,
       registeredBy,
       productMetadata,
+      sizeOptionLabels,
+      sizeTableProvenance,
+      price,
+      sizeAvailability,
+      colorVariants,
+    }).catch(async (error: unknown) => {
+      await discardStoredImage();
+      throw error;
     });
     const product = normalizeProductRow(insertedRow);
 
@@ -180,6 +225,14 @@ export async function POST(request: Request) {
           invalidatePublicProductCaches(productId);
         })(),
         (async () => {
+          // The cutout replaces image_path, so it runs before the embedding is computed.
+          const backgroundResult = await removeProductImageBackgroundById(productId);
+          if (backgroundResult.ok && backgroundResult.data?.status === "removed") {
+            invalidatePublicProductCaches(productId);
+          } else if (!backgroundResult.ok && !backgroundResult.skipped) {
+            console.error("[background-removal] async product cutout did not complete", { productId, result: backgroundResult });
+          }
+
           const result = await embedProductImageById(productId);
           if (!result.ok && !result.skipped) {
             console.error("[image-embedding] async product embedding did not complete", { productId, result });
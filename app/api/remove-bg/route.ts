@@ -1,6 +1,6 @@
 import { NextResponse } from "next/server";
 import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
-import { assertGeminiKey, callGemini } from "../../../server/bootstrap/gemini.js";
+import { removeImageBackground } from "../../../server/services/background-removal.js";
 import { validateInlineImageInput } from "../../../server/utils/request-validation.js";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../server/auth/request-user";
 
@@ -16,48 +16,12 @@ export async function POST(request: Request) {
   const body = await request.json();
 
   try {
-    const { imageBase64, mimeType } = validateInlineImageInput(body);
-    assertGeminiKey();
-
-    const response = await callGemini("gemini-2.5-flash-image-preview", {
-      contents: [
-        {
-          parts: [
-            {
-              text:
-                "Remove background from this product image. Keep only the product and produce clean output.",
-            },
-            { inlineData: { mimeType, data: imageBase64 } },
-          ],
-        },
-      ],
-      generationConfig: {
-        responseModalities: ["IMAGE"],
-      },
-    });
-
-    if (!response.ok) {
-      return NextResponse.json(
-        { ok: false, error: "Gemini remove-bg request failed" },
-        { status: 502 }
-      );
-    }
-
-    const payload = await response.json();
-    const outputBase64 =
-      payload?.candidates?.[0]?.content?.parts?.find((part: any) => part?.inlineData?.data)
-        ?.inlineData?.data || "";
-
-    if (!outputBase64) {
-      return NextResponse.json(
-        { ok: false, error: "Gemini remove-bg returned empty image" },
-        { status: 502 }
-      );
-    }
+    const { imageBase64 } = validateInlineImageInput(body);
+    const cutout = await removeImageBackground(imageBase64);
 
     return NextResponse.json({
       ok: true,
-      data: { imageBase64: outputBase64 },
+      data: cutout,
     });
   } catch (error: unknown) {
     return NextResponse.json(
@@ -1,29 +1,19 @@
 import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
 import { assertSupabaseConfig, supabase } from "../../../../server/lib/supabase.js";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../../server/auth/request-user";
+import { getPersonalizedFeedCacheTag } from "../../../../server/services/personalized-feed";
+import { getTasteProfile, parseDigMatchAnswers, recordDigMatchSession, resetTasteProfile } from "../../../../server/services/taste-profile";
 
 const unauthorized = () => NextResponse.json({ ok: false, error: "registered account required" }, { status: 401 });
 
-function parseProfile(value: unknown) {
-  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
-  const raw = value as { version?: unknown; completedSessions?: unknown; signals?: unknown; updatedAt?: unknown };
-  if (!raw.signals || typeof raw.signals !== "object" || Array.isArray(raw.signals)) return null;
-  const completedSessions = Number(raw.completedSessions);
-  if (!Number.isInteger(completedSessions) || completedSessions < 1 || completedSessions > 10000) return null;
-  return { version: 1, completedSessions, signals: raw.signals, updatedAt: String(raw.updatedAt || new Date().toISOString()) };
-}
-
 export async function GET(request: Request) {
   try {
     assertSupabaseConfig();
     const user = await getRegisteredRequestUser(request);
     if (!user) return unauthorized();
-    const { data, error } = await supabase!
-      .from("user_taste_profiles")
-      .select("profile")
-      .eq("user_id", user.id)
-      .maybeSingle();
-    if (error) throw error;
+    const profile = await getTasteProfile(user.id);
     const { data: sessions, error: sessionsError } = await supabase!
       .from("user_taste_match_sessions")
       .select("completed_at,profile_snapshot")
@@ -34,37 +24,46 @@ export async function GET(request: Request) {
     return NextResponse.json({
       ok: true,
       data: {
-        profile: data?.profile || null,
+        profile,
         history: (sessions || []).map((session) => ({ completedAt: session.completed_at, profile: session.profile_snapshot })),
       },
     });
   } catch (error: unknown) {
-    return NextResponse.json({ ok: false, error: error instanceof Error ? error.message : "taste profile fetch error" }, { status: 500 });
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "taste profile fetch error") }, { status: getErrorStatusCode(error) });
   }
 }
 
+/** Scores a finished Dig Match on the server; a client-computed profile is rejected. */
 export async function POST(request: Request) {
   if (!hasValidMutationOrigin(request)) return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
+  let body: { profile?: unknown; answers?: unknown } | null;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: "invalid request body" }, { status: 400 });
+  }
   try {
-    assertSupabaseConfig();
     const user = await getRegisteredRequestUser(request);
     if (!user) return unauthorized();
-    const body = await request.json();
-    const profile = parseProfile(body?.profile);
-    const answers = Array.isArray(body?.answers) ? body.answers.slice(0, 16) : [];
-    if (!profile) return NextResponse.json({ ok: false, error: "invalid taste profile" }, { status: 400 });
-
-    const { error: profileError } = await supabase!
-      .from("user_taste_profiles")
-      .upsert({ user_id: user.id, profile, completed_sessions: profile.completedSessions, updated_at: new Date().toISOString() });
-    if (profileError) throw profileError;
-
-    const { error: sessionError } = await supabase!
-      .from("user_taste_match_sessions")
-      .insert({ user_id: user.id, answers, profile_snapshot: profile });
-    if (sessionError) throw sessionError;
+    if (body?.profile !== undefined) return NextResponse.json({ ok: false, error: "taste profile is computed on the server" }, { status: 400 });
+    const profile = await recordDigMatchSession(user.id, parseDigMatchAnswers(body?.answers));
+    revalidateTag(getPersonalizedFeedCacheTag(user.id), "max");
     return NextResponse.json({ ok: true, data: { profile } });
   } catch (error: unknown) {
-    return NextResponse.json({ ok: false, error: error instanceof Error ? error.message : "taste profile save error" }, { status: 500 });
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "taste profile save error") }, { status: getErrorStatusCode(error) });
+  }
+}
+
+/** Resets the user's taste: every Dig Match result, swipe and the stored profile. */
+export async function DELETE(request: Request) {
+  if (!hasValidMutationOrigin(request)) return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
+  try {
+    const user = await getRegisteredRequestUser(request);
+    if (!user) return unauthorized();
+    await resetTasteProfile(user.id);
+    revalidateTag(getPersonalizedFeedCacheTag(user.id), "max");
+    return NextResponse.json({ ok: true, data: { profile: null } });
+  } catch (error: unknown) {
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "taste profile reset error") }, { status: getErrorStatusCode(error) });
   }
 }
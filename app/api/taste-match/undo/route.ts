@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
+import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../../server/auth/request-user";
+import { getPersonalizedFeedCacheTag } from "../../../../server/services/personalized-feed";
+import { undoLastTasteSession } from "../../../../server/services/taste-profile";
+
+/** Drops the latest Dig Match or swipe session and answers with the recomputed profile. */
+export async function POST(request: Request) {
+  if (!hasValidMutationOrigin(request)) return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
+  try {
+    const user = await getRegisteredRequestUser(request);
+    if (!user) return NextResponse.json({ ok: false, error: "registered account required" }, { status: 401 });
+    const result = await undoLastTasteSession(user.id);
+    if (result.undone) revalidateTag(getPersonalizedFeedCacheTag(user.id), "max");
+    return NextResponse.json({ ok: true, data: result });
+  } catch (error: unknown) {
+    return NextResponse.json({ ok: false, error: getErrorMessage(error, "taste undo error") }, { status: getErrorStatusCode(error) });
+  }
+}
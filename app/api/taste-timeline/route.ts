@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { getErrorMessage, getErrorStatusCode } from "@/lib/api-error";
+import { getRegisteredRequestUser } from "../../../server/auth/request-user";
+import { requestLog } from "../../../server/services/catalog";
+import { getTasteTimeline } from "../../../server/services/taste-timeline";
+
+export async function GET(request: Request) {
+  const startedAt = Date.now();
+  try {
+    const user = await getRegisteredRequestUser(request);
+    if (!user) {
+      requestLog("/api/taste-timeline", request, startedAt, 401);
+      return NextResponse.json({ ok: false, error: "registered account required" }, { status: 401, headers: { "Cache-Control": "private, no-store" } });
+    }
+    const data = await getTasteTimeline(user.id);
+    requestLog("/api/taste-timeline", request, startedAt, 200);
+    return NextResponse.json({ ok: true, data }, { headers: { "Cache-Control": "private, no-store" } });
+  } catch (error: unknown) {
+    requestLog("/api/taste-timeline", request, startedAt, getErrorStatusCode(error));
+    return NextResponse.json(
+      { ok: false, error: getErrorMessage(error, "taste timeline fetch error") },
+      { status: getErrorStatusCode(error), headers: { "Cache-Control": "private, no-store" } }
+    );
+  }
+}
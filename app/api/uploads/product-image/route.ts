@@ -1,9 +1,11 @@
 import { NextResponse } from "next/server";
 import { getRegisteredRequestUser, hasValidMutationOrigin } from "../../../../server/auth/request-user";
 import { assertSupabaseConfig, supabase } from "../../../../server/lib/supabase.js";
-import { SUPABASE_STORAGE_BUCKET } from "../../../../server/config/env.js";
+import { SUPABASE_PRODUCTS_TABLE, SUPABASE_STORAGE_BUCKET } from "../../../../server/config/env.js";
+import { removeStoredProductImage } from "../../../../server/services/product-image-storage.js";
 
 const ALLOWED_TYPES = new Set(["image/jpeg", "image/png", "image/webp"]);
+const UPLOADED_PATH_PATTERN = /^submissions\/[0-9a-f-]{36}\.(?:jpg|png|webp)$/;
 
 export async function POST(request: Request) {
   if (!hasValidMutationOrigin(request)) return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
@@ -27,3 +29,30 @@ export async function POST(request: Request) {
     return NextResponse.json({ ok: false, error: error instanceof Error ? error.message : "upload failed" }, { status: 500 });
   }
 }
+
+/** Deletes an upload the user abandoned, e.g. by picking an existing product over a duplicate. An image a product uses is kept. */
+export async function DELETE(request: Request) {
+  if (!hasValidMutationOrigin(request)) return NextResponse.json({ ok: false, error: "invalid origin" }, { status: 403 });
+  const user = await getRegisteredRequestUser(request);
+  if (!user) return NextResponse.json({ ok: false, error: "registered account required" }, { status: 401 });
+  let body: { path?: unknown } | null;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ ok: false, error: "invalid request body" }, { status: 400 });
+  }
+  const path = String(body?.path || "").trim();
+  if (!UPLOADED_PATH_PATTERN.test(path)) return NextResponse.json({ ok: false, error: "invalid image path" }, { status: 400 });
+  try {
+    assertSupabaseConfig();
+    const { count, error } = await supabase!
+      .from(SUPABASE_PRODUCTS_TABLE)
+      .select("id", { count: "exact", head: true })
+      .eq("image_path", path);
+    if (error) throw error;
+    if (!count) await removeStoredProductImage(path);
+    return NextResponse.json({ ok: true, data: { removed: !count } });
+  } catch (error) {
+    return NextResponse.json({ ok: false, error: error instanceof Error ? error.message : "upload delete failed" }, { status: 500 });
+  }
+}
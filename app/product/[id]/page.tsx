@@ -1,9 +1,11 @@
-import { notFound } from "next/navigation";
+import { notFound, permanentRedirect } from "next/navigation";
 import type { Metadata } from "next";
 import { CatalogPageContent } from "../../../src/components/pages/CatalogPageContent";
 import { ProductModalClient } from "../../../src/components/ProductModalClient";
+import { getProductPageUrl } from "../../../src/utils/product";
 import {
   buildProductMetadata,
+  fetchMergedProductTarget,
   fetchProduct,
   resolveImageUrl,
 } from "../../../server/utils/product-detail";
@@ -23,7 +25,11 @@ export async function generateMetadata({ params }: Props): Promise<Metadata> {
 export default async function ProductPage({ params }: Props) {
   const { id } = await params;
   const product = await fetchProduct(id);
-  if (!product) notFound();
+  if (!product) {
+    const canonicalProduct = await fetchMergedProductTarget(id);
+    if (canonicalProduct) permanentRedirect(getProductPageUrl(canonicalProduct));
+    notFound();
+  }
 
   const imageUrl = resolveImageUrl(product.imagePath || product.image || "");
   const jsonLd = {
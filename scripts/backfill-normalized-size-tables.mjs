@@ -0,0 +1,72 @@
+/**
+ * Recomputes products.normalized_size_table from size_table so stored charts
+ * follow the current standard layouts (Top/Outer, DressSkirt, Bottom, Shoes).
+ * Categories without a layout get null, matching what new saves store.
+ *
+ * Usage:
+ *   node --env-file=.env scripts/backfill-normalized-size-tables.mjs --dry-run
+ *   node --env-file=.env scripts/backfill-normalized-size-tables.mjs
+ */
+
+import { SUPABASE_PRODUCTS_TABLE } from "../server/config/env.js";
+import { supabase } from "../server/lib/supabase.js";
+import {
+  hasNormalizedSizeTableLayout,
+  isBottomCategory,
+  isBottomDisplaySizeTable,
+  normalizeSizeTableForCategory,
+  parseSizeTable,
+} from "../server/utils/size-table.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+if (!supabase) {
+  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY in .env");
+  process.exit(1);
+}
+
+const PAGE_SIZE = 500;
+const rows = [];
+for (let offset = 0; ; offset += PAGE_SIZE) {
+  const { data: page, error: readError } = await supabase
+    .from(SUPABASE_PRODUCTS_TABLE)
+    .select("id,name,category,size_table,normalized_size_table")
+    .order("id", { ascending: true })
+    .range(offset, offset + PAGE_SIZE - 1);
+  if (readError) throw readError;
+  rows.push(...(page || []));
+  if (!page || page.length < PAGE_SIZE) break;
+}
+console.log(`Fetched ${rows.length} products from ${SUPABASE_PRODUCTS_TABLE}.`);
+
+let changedCount = 0;
+let failedCount = 0;
+for (const row of rows) {
+  const category = String(row.category || "").trim();
+  // Bottom charts already store their layout, and admins may have edited them by hand.
+  if (isBottomCategory(category) && isBottomDisplaySizeTable(row.normalized_size_table)) continue;
+  const nextTable = hasNormalizedSizeTableLayout(category)
+    ? normalizeSizeTableForCategory(category, parseSizeTable(row.size_table))
+    : null;
+  if (JSON.stringify(nextTable ?? null) === JSON.stringify(row.normalized_size_table ?? null)) continue;
+
+  changedCount += 1;
+  console.log(`[${row.id}] ${row.name || "(no name)"} (${category || "Uncategorized"})`);
+  console.log(`  ${(nextTable?.headers ?? []).join(", ") || "null"}`);
+  if (dryRun) continue;
+
+  const { error: updateError } = await supabase
+    .from(SUPABASE_PRODUCTS_TABLE)
+    .update({ normalized_size_table: nextTable })
+    .eq("id", row.id);
+  if (updateError) {
+    failedCount += 1;
+    console.error(`  update failed: ${updateError.message}`);
+  }
+}
+
+if (dryRun) {
+  console.log(`\nDry run complete. Would update: ${changedCount}, unchanged: ${rows.length - changedCount}`);
+} else {
+  console.log(`\nBackfill complete. Updated: ${changedCount - failedCount}, failed: ${failedCount}, unchanged: ${rows.length - changedCount}`);
+}
@@ -0,0 +1,127 @@
+"""
+Backfill products.image_phash and products.image_gallery_phashes, the perceptual
+hashes used for duplicate detection.
+
+Usage:
+  python scripts/backfill_image_phash.py
+  python scripts/backfill_image_phash.py --limit 50
+  python scripts/backfill_image_phash.py --force
+  python scripts/backfill_image_phash.py --dry-run --limit 3
+"""
+
+from __future__ import annotations
+
+import argparse
+import sys
+from typing import Any
+
+import imagehash
+from PIL import Image
+from supabase import create_client
+from tqdm import tqdm
+
+from scripts.batch_embed_pants import download_product_image, load_env
+
+
+PAGE_SIZE = 500
+
+
+def compute_phash(image: Image.Image) -> str:
+    """64-bit DCT hash as 16 lowercase hex characters (products.image_phash format)."""
+    # Flatten transparency onto white so cutouts and their source photos hash alike.
+    if image.mode in ("RGBA", "LA") or (image.mode == "P" and "transparency" in image.info):
+        background = Image.new("RGB", image.size, (255, 255, 255))
+        background.paste(image.convert("RGBA"), mask=image.convert("RGBA").getchannel("A"))
+        image = background
+    return str(imagehash.phash(image.convert("RGB"), hash_size=8)).lower()
+
+
+def compute_gallery_phashes(client: Any, supabase_url: str, bucket: str, gallery_paths: list[str], ttl: int) -> list[str]:
+    """Hashes each products.image_gallery image; images that fail to download are left out."""
+    phashes: list[str] = []
+    for path in gallery_paths:
+        try:
+            phashes.append(compute_phash(download_product_image(client, supabase_url, bucket, str(path), ttl)))
+        except Exception as exc:
+            print(f"gallery image skipped path={path} reason={exc}")
+    return phashes
+
+
+def parse_args() -> argparse.Namespace:
+    parser = argparse.ArgumentParser(description="Compute products.image_phash and image_gallery_phashes for stored product images.")
+    parser.add_argument("--limit", type=int, default=0)
+    parser.add_argument("--force", action="store_true")
+    parser.add_argument("--dry-run", action="store_true")
+    parser.add_argument("--bucket", default="")
+    parser.add_argument("--signed-url-ttl", type=int, default=3600)
+    return parser.parse_args()
+
+
+def fetch_products(client: Any, table: str, force: bool, limit: int) -> list[dict[str, Any]]:
+    products: list[dict[str, Any]] = []
+    offset = 0
+    while True:
+        query = client.table(table).select("id,image_path,image_phash,image_gallery,image_gallery_phashes").order("id", desc=False)
+        if not force:
+            query = query.or_("image_phash.is.null,image_gallery_phashes.is.null")
+        response = query.range(offset, offset + PAGE_SIZE - 1).execute()
+        rows = list(response.data or [])
+        products.extend(rows)
+        if len(rows) < PAGE_SIZE or (limit > 0 and len(products) >= limit):
+            break
+        offset += PAGE_SIZE
+    return products[:limit] if limit > 0 else products
+
+
+def main() -> int:
+    args = parse_args()
+    env = load_env()
+    bucket = args.bucket.strip() or env["storage_bucket"]
+    client = create_client(env["supabase_url"], env["service_role_key"])
+
+    products = fetch_products(client, env["products_table"], args.force, args.limit)
+    total = len(products)
+    if total == 0:
+        print("No products need an image hash.")
+        return 0
+
+    print(f"Found {total} products, bucket={bucket!r}, dry_run={args.dry_run}, force={args.force}.")
+    hashed_count = 0
+    failed_count = 0
+
+    for index, product in enumerate(tqdm(products, total=total), start=1):
+        product_id = product.get("id")
+        image_path = str(product.get("image_path") or "").strip()
+        needs_phash = args.force or not product.get("image_phash")
+        if needs_phash and not image_path:
+            failed_count += 1
+            print(f"{index}/{total} processed product_id={product_id} status=failed reason=missing image_path")
+            continue
+
+        try:
+            update: dict[str, Any] = {}
+            if needs_phash:
+                image = download_product_image(client, env["supabase_url"], bucket, image_path, args.signed_url_ttl)
+                update["image_phash"] = compute_phash(image)
+            if args.force or product.get("image_gallery_phashes") is None:
+                update["image_gallery_phashes"] = compute_gallery_phashes(
+                    client, env["supabase_url"], bucket, list(product.get("image_gallery") or []), args.signed_url_ttl
+                )
+            if not args.dry_run:
+                client.table(env["products_table"]).update(update).eq("id", product_id).execute()
+            hashed_count += 1
+            status = "hashed_dry_run" if args.dry_run else "hashed"
+            print(
+                f"{index}/{total} processed product_id={product_id} status={status} "
+                f"phash={update.get('image_phash', product.get('image_phash'))} gallery={len(update.get('image_gallery_phashes', []))}"
+            )
+        except Exception as exc:
+            failed_count += 1
+            print(f"{index}/{total} processed product_id={product_id} status=failed reason={exc}")
+
+    print(f"Complete. hashed={hashed_count}, failed={failed_count}, total={total}")
+    return 1 if failed_count else 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
@@ -0,0 +1,84 @@
+"""Local product-image background removal for the image worker.
+
+Uses a rembg ONNX segmentation session (ISNet by default) so every cutout
+comes from the same model instead of a free-text prompt to a hosted model.
+The result is an RGBA PNG cropped tightly around the product.
+"""
+
+from __future__ import annotations
+
+import os
+from io import BytesIO
+from typing import Any
+
+from PIL import Image, UnidentifiedImageError
+
+
+DEFAULT_MODEL_NAME = "isnet-general-use"
+MODEL_NAME = os.getenv("BACKGROUND_REMOVAL_MODEL", DEFAULT_MODEL_NAME).strip() or DEFAULT_MODEL_NAME
+# Alpha at or below this value counts as background when computing the crop box,
+# so faint matting halos do not widen it.
+CROP_ALPHA_THRESHOLD = 16
+CROP_PADDING_RATIO = 0.04
+MAX_INPUT_SIDE = 2048
+
+
+def load_background_session() -> Any:
+    from rembg import new_session
+
+    return new_session(MODEL_NAME)
+
+
+def limit_input_size(image: Image.Image) -> Image.Image:
+    """Downscales in place so the longest side fits the segmentation input limit."""
+    if max(image.size) > MAX_INPUT_SIDE:
+        image.thumbnail((MAX_INPUT_SIDE, MAX_INPUT_SIDE), Image.Resampling.LANCZOS)
+    return image
+
+
+def open_image(data: bytes) -> Image.Image:
+    try:
+        image = Image.open(BytesIO(data))
+        image.load()
+    except UnidentifiedImageError as exc:
+        raise ValueError("image data is not a valid image") from exc
+    return limit_input_size(image.convert("RGB"))
+
+
+def tight_crop_box(cutout: Image.Image) -> tuple[int, int, int, int] | None:
+    alpha = cutout.getchannel("A").point(lambda value: 255 if value > CROP_ALPHA_THRESHOLD else 0)
+    box = alpha.getbbox()
+    if not box:
+        return None
+    left, top, right, bottom = box
+    padding = round(max(right - left, bottom - top) * CROP_PADDING_RATIO)
+    width, height = cutout.size
+    return (
+        max(0, left - padding),
+        max(0, top - padding),
+        min(width, right + padding),
+        min(height, bottom + padding),
+    )
+
+
+def remove_background(session: Any, image: Image.Image) -> tuple[Image.Image, dict[str, int]]:
+    """Returns the cropped RGBA cutout and its crop box in source-image pixels."""
+    from rembg import remove
+
+    cutout = remove(image, session=session, post_process_mask=True)
+    if not isinstance(cutout, Image.Image):
+        cutout = Image.open(BytesIO(cutout))
+    cutout = cutout.convert("RGBA")
+
+    box = tight_crop_box(cutout)
+    if box is None:
+        raise ValueError("no foreground found in image")
+    left, top, right, bottom = box
+    crop = {"left": left, "top": top, "width": right - left, "height": bottom - top}
+    return cutout.crop(box), crop
+
+
+def encode_png(image: Image.Image) -> bytes:
+    buffer = BytesIO()
+    image.save(buffer, format="PNG", optimize=True)
+    return buffer.getvalue()
@@ -1,17 +1,21 @@
-"""Private HTTP worker for product image embeddings.
+"""Private HTTP worker for product image embeddings, hashes and background removal.
 
 Run locally with:
   uvicorn scripts.image_embedding_worker:app --host 127.0.0.1 --port 8001
 
 The worker keeps the FashionSigLIP model warm and writes the same 768-dimension
-pgvector value used by the existing batch embedding script.
+pgvector value used by the existing batch embedding script. It also keeps a local
+segmentation session warm for product-image background removal.
 """
 
 from __future__ import annotations
 
+import base64
+import binascii
 import hmac
 import os
 import threading
+import uuid
 from contextlib import asynccontextmanager
 from typing import Any
 
@@ -20,6 +24,14 @@ from fastapi import FastAPI, Header, HTTPException
 from pydantic import BaseModel, Field
 from supabase import create_client
 
+from scripts.background_removal import (
+    encode_png,
+    limit_input_size,
+    load_background_session,
+    open_image,
+    remove_background,
+)
+from scripts.backfill_image_phash import compute_gallery_phashes, compute_phash
 from scripts.batch_embed_pants import (
     DEFAULT_BUCKET,
     DEFAULT_TABLE,
@@ -36,9 +48,14 @@ SUPABASE_URL = os.getenv("SUPABASE_URL", "").strip().rstrip("/")
 SUPABASE_SERVICE_ROLE_KEY = os.getenv("SUPABASE_SERVICE_ROLE_KEY", "").strip()
 PRODUCTS_TABLE = os.getenv("SUPABASE_PRODUCTS_TABLE", DEFAULT_TABLE).strip() or DEFAULT_TABLE
 STORAGE_BUCKET = os.getenv("SUPABASE_STORAGE_BUCKET", DEFAULT_BUCKET).strip() or DEFAULT_BUCKET
+SUBMISSIONS_STORAGE_PREFIX = "submissions/"
+CUTOUT_STORAGE_PREFIX = "submissions/cutouts/"
+# Base64 of the app's 8 MiB image limit, with headroom.
+MAX_IMAGE_BASE64_LENGTH = 12 * 1024 * 1024
 
 model_state: dict[str, Any] = {}
 embedding_lock = threading.Lock()
+background_lock = threading.Lock()
 
 
 def assert_configuration() -> None:
@@ -52,7 +69,14 @@ def assert_configuration() -> None:
 async def lifespan(_: FastAPI):
     assert_configuration()
     processor, model, device = load_model()
-    model_state.update({"processor": processor, "model": model, "device": device})
+    model_state.update(
+        {
+            "processor": processor,
+            "model": model,
+            "device": device,
+            "background_session": load_background_session(),
+        }
+    )
     yield
     model_state.clear()
 
@@ -64,6 +88,19 @@ class EmbedProductRequest(BaseModel):
     product_id: str = Field(alias="productId", min_length=1, max_length=128)
 
 
+class RemoveBackgroundRequest(BaseModel):
+    image_base64: str = Field(alias="imageBase64", min_length=1, max_length=MAX_IMAGE_BASE64_LENGTH)
+
+
+class ProductBackgroundRequest(BaseModel):
+    product_id: str = Field(alias="productId", min_length=1, max_length=128)
+
+
+class ImageFingerprintRequest(BaseModel):
+    image_path: str = Field(alias="imagePath", min_length=1, max_length=2048)
+    include_embedding: bool = Field(default=False, alias="includeEmbedding")
+
+
 def authorize(value: str | None) -> None:
     if not value or not hmac.compare_digest(value, WORKER_SECRET):
         raise HTTPException(status_code=401, detail="unauthorized")
@@ -72,7 +109,7 @@ def authorize(value: str | None) -> None:
 def fetch_product(client: Any, product_id: str) -> dict[str, Any] | None:
     response = (
         client.table(PRODUCTS_TABLE)
-        .select("id,image_path,image_embedding")
+        .select("id,image_path,image_embedding,image_phash,image_gallery,image_gallery_phashes")
         .eq("id", product_id)
         .limit(1)
         .execute()
@@ -86,18 +123,103 @@ def embed_product(product_id: str) -> dict[str, Any]:
     product = fetch_product(client, product_id)
     if not product:
         raise HTTPException(status_code=404, detail="product_not_found")
-    if product.get("image_embedding"):
+    needs_embedding = not product.get("image_embedding")
+    needs_phash = not product.get("image_phash")
+    # Gallery shots are hashed too, so a new listing whose hero image is another
+    # shop's second photo of the same item is still caught.
+    needs_gallery_phashes = product.get("image_gallery_phashes") is None
+    if not needs_embedding and not needs_phash and not needs_gallery_phashes:
         return {"ok": True, "status": "skipped", "productId": product_id}
 
-    image_path = str(product.get("image_path") or "").strip()
+    update: dict[str, Any] = {}
+    if needs_embedding or needs_phash:
+        image_path = str(product.get("image_path") or "").strip()
+        if not image_path:
+            raise HTTPException(status_code=422, detail="missing_image_path")
+        image = download_product_image(client, SUPABASE_URL, STORAGE_BUCKET, image_path, 3600)
+        if needs_phash:
+            update["image_phash"] = compute_phash(image)
+        if needs_embedding:
+            with embedding_lock:
+                embedding = embed_image(model_state["processor"], model_state["model"], model_state["device"], image)
+            update["image_embedding"] = vector_literal(embedding)
+    if needs_gallery_phashes:
+        update["image_gallery_phashes"] = compute_gallery_phashes(
+            client, SUPABASE_URL, STORAGE_BUCKET, list(product.get("image_gallery") or []), 3600
+        )
+    client.table(PRODUCTS_TABLE).update(update).eq("id", product_id).execute()
+    return {"ok": True, "status": "embedded" if needs_embedding else "hashed", "productId": product_id}
+
+
+def is_stored_image_path(image_path: str) -> bool:
+    # Fingerprints are requested for images a user just submitted, so only
+    # paths inside our own bucket are accepted; the worker never fetches an
+    # arbitrary URL on a client's behalf.
+    return image_path.startswith(SUBMISSIONS_STORAGE_PREFIX) and ".." not in image_path
+
+
+def fingerprint_image(image_path: str, include_embedding: bool) -> dict[str, Any]:
+    if not is_stored_image_path(image_path):
+        raise HTTPException(status_code=422, detail="image_path_not_stored")
+    client = create_client(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
+    try:
+        image = download_product_image(client, SUPABASE_URL, STORAGE_BUCKET, image_path, 3600)
+    except Exception as exc:
+        raise HTTPException(status_code=422, detail="image_download_failed") from exc
+
+    result: dict[str, Any] = {"ok": True, "phash": compute_phash(image), "embedding": None}
+    if include_embedding:
+        with embedding_lock:
+            embedding = embed_image(model_state["processor"], model_state["model"], model_state["device"], image)
+        result["embedding"] = vector_literal(embedding)
+    return result
+
+
+def cut_out(image_data: bytes) -> tuple[bytes, dict[str, int]]:
+    try:
+        image = open_image(image_data)
+        with background_lock:
+            cutout, crop = remove_background(model_state["background_session"], image)
+    except ValueError as exc:
+        raise HTTPException(status_code=422, detail=str(exc)) from exc
+    return encode_png(cutout), crop
+
+
+def remove_product_background(product_id: str) -> dict[str, Any]:
+    client = create_client(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
+    response = (
+        client.table(PRODUCTS_TABLE).select("id,image_path").eq("id", product_id).limit(1).execute()
+    )
+    rows = list(response.data or [])
+    if not rows:
+        raise HTTPException(status_code=404, detail="product_not_found")
+
+    image_path = str(rows[0].get("image_path") or "").strip()
     if not image_path:
         raise HTTPException(status_code=422, detail="missing_image_path")
+    if image_path.startswith(CUTOUT_STORAGE_PREFIX):
+        return {"ok": True, "status": "skipped", "productId": product_id, "imagePath": image_path}
 
-    image = download_product_image(client, SUPABASE_URL, STORAGE_BUCKET, image_path, 3600)
-    with embedding_lock:
-        embedding = embed_image(model_state["processor"], model_state["model"], model_state["device"], image)
-    client.table(PRODUCTS_TABLE).update({"image_embedding": vector_literal(embedding)}).eq("id", product_id).execute()
-    return {"ok": True, "status": "embedded", "productId": product_id}
+    image = limit_input_size(download_product_image(client, SUPABASE_URL, STORAGE_BUCKET, image_path, 3600))
+    with background_lock:
+        cutout, crop = remove_background(model_state["background_session"], image)
+    cutout_path = f"{CUTOUT_STORAGE_PREFIX}{uuid.uuid4()}.png"
+    client.storage.from_(STORAGE_BUCKET).upload(
+        cutout_path, encode_png(cutout), {"content-type": "image/png", "upsert": "false"}
+    )
+    # The stored embedding and hash describe the old image; clear them so the
+    # next embed request recomputes both from the cutout.
+    client.table(PRODUCTS_TABLE).update(
+        {"image_path": cutout_path, "image_embedding": None, "image_phash": None}
+    ).eq("id", product_id).execute()
+    return {
+        "ok": True,
+        "status": "removed",
+        "productId": product_id,
+        "imagePath": cutout_path,
+        "previousImagePath": image_path,
+        "crop": crop,
+    }
 
 
 @app.get("/health")
@@ -112,3 +234,44 @@ def create_product_image_embedding(
 ) -> dict[str, Any]:
     authorize(x_embedding_worker_secret)
     return embed_product(payload.product_id.strip())
+
+
+@app.post("/v1/background-removals")
+def create_background_removal(
+    payload: RemoveBackgroundRequest,
+    x_embedding_worker_secret: str | None = Header(default=None),
+) -> dict[str, Any]:
+    authorize(x_embedding_worker_secret)
+    try:
+        image_data = base64.b64decode(payload.image_base64, validate=True)
+    except (binascii.Error, ValueError) as exc:
+        raise HTTPException(status_code=422, detail="invalid_image_base64") from exc
+
+    png, crop = cut_out(image_data)
+    return {
+        "ok": True,
+        "imageBase64": base64.b64encode(png).decode("ascii"),
+        "mimeType": "image/png",
+        "crop": crop,
+    }
+
+
+@app.post("/v1/product-image-background-removals")
+def create_product_image_background_removal(
+    payload: ProductBackgroundRequest,
+    x_embedding_worker_secret: str | None = Header(default=None),
+) -> dict[str, Any]:
+    authorize(x_embedding_worker_secret)
+    try:
+        return remove_product_background(payload.product_id.strip())
+    except ValueError as exc:
+        raise HTTPException(status_code=422, detail=str(exc)) from exc
+
+
+@app.post("/v1/image-fingerprints")
+def create_image_fingerprint(
+    payload: ImageFingerprintRequest,
+    x_embedding_worker_secret: str | None = Header(default=None),
+) -> dict[str, Any]:
+    authorize(x_embedding_worker_secret)
+    return fingerprint_image(payload.image_path.strip(), payload.include_embedding)
@@ -5,12 +5,13 @@ import { launchMetadataBrowser } from "../services/product-metadata/browser.js";
 import {
   extractBrandFromDescription,
   buildStructuredProductMetadata,
+  extractColorVariantsFromHtml,
   extractHtmlTitle,
   extractJsonObjectsFromApplicationScripts,
   extractMetaContent,
-  extractMusinsaPageData,
   extractNextDataPayload,
   extractProductJsonLd,
+  extractProductPriceFromMetaTags,
   extractStyleFactTextFromHtml,
 } from "../services/product-metadata/html.js";
 import {
@@ -31,8 +32,16 @@ import { createImageDownloadService } from "../services/product-metadata/image-d
 import { createProductImageRankingService } from "../services/product-metadata/image-ranking.js";
 import { buildProductSearchQueries, extractSearchResultUrls, scoreProductPageSearchCandidate } from "../services/product-metadata/search.js";
 import { inferProductCategory, normalizeProductCategory, pickFirstNonEmpty, uniqValues } from "../services/product-metadata/shared.js";
-import { extractZaraMetadataFromInditexApi, isKreamProductUrl, isZaraProductUrl } from "../services/product-metadata/stores.js";
-import { alignAndValidateSizeTableByOptionLabels, collectTextBlocksFromJsonData, extractSizeTableFromPage } from "../services/size-table/extraction.js";
+import { findStoreAdapter, normalizePreferredStoreUrl } from "../services/product-metadata/stores/index.js";
+import { normalizeProductColorVariants } from "../services/product-metadata/variants.js";
+import {
+  alignAndValidateSizeTableByOptionLabels,
+  collectTextBlocksFromJsonData,
+  extractOptionSizeLabelsFromHtml,
+  extractSizeAvailabilityFromPage,
+  extractSizeTableCandidatesFromPage,
+  extractSizeTableFromPage,
+} from "../services/size-table/extraction.js";
 import {
   normalizeProductImageGeminiAssessment,
   PRODUCT_IMAGE_GEMINI_MODEL_CANDIDATES,
@@ -45,7 +54,7 @@ import {
 } from "../services/gemini-config.js";
 import { normalizeBrandName, refreshBrandRulesCache } from "../utils/brand-rules.js";
 import { normalizeCellText } from "../utils/size-table.js";
-import { assertPublicHttpUrl, fetchWithTimeout, normalizePreferredStoreUrl, normalizeUrlCandidate, toWwwHostUrl } from "../services/product-metadata/url.js";
+import { assertPublicHttpUrl, fetchWithTimeout, normalizeUrlCandidate, toWwwHostUrl } from "../services/product-metadata/url.js";
 import { extractSizeTableFromImageCandidates, extractSizeTableWithGemini } from "./gemini.js";
 
 const geminiService = createGeminiService({
@@ -76,7 +85,8 @@ const imageRanking = createProductImageRankingService({
     selectTopUsableImageUrls: imageDownload.selectTopUsableImageUrls,
   });
 
-const service = createProductMetadataService({
+// Exported so the fixture harness can run the real pipeline with network deps swapped out.
+export const productMetadataDeps = {
     addImageResolutionVariants,
     alignAndValidateSizeTableByOptionLabels,
     assertPublicHttpUrl,
@@ -85,36 +95,39 @@ const service = createProductMetadataService({
     downloadImageAsBase64Payload: imageDownload.downloadImageAsBase64Payload,
     extractBrandFromDescription,
     buildStructuredProductMetadata,
+    extractColorVariantsFromHtml,
     extractHtmlTitle,
     extractImageCandidatesFromHtml,
     extractImageCandidatesFromJsonData,
     extractJsonObjectsFromApplicationScripts,
     extractMetaContent,
-    extractMusinsaPageData,
     extractNextDataPayload,
+    extractOptionSizeLabelsFromHtml,
+    extractSizeAvailabilityFromPage,
     extractProductImageCandidatesFromHtml,
     extractProductJsonLd,
     extractStyleFactTextFromHtml,
     extractProductNameFromTitle,
+    extractProductPriceFromMetaTags,
     extractSearchResultUrls,
     extractSizeChartPageCandidatesFromHtml,
     extractSizeChartPageCandidatesFromJsonData,
+    extractSizeTableCandidatesFromPage,
     extractSizeTableFromImageCandidates,
     extractSizeTableFromPage,
     extractSizeTableWithGemini,
-    extractZaraMetadataFromInditexApi,
     fetchWithTimeout,
+    findStoreAdapter,
     inferProductCategory,
     IS_VERCEL,
-    isKreamProductUrl,
     isLikelyProductImageUrl,
     isLikelySizeChartImageUrl,
-    isZaraProductUrl,
     launchMetadataBrowser,
     normalizeBrandName,
     normalizeCellText,
     normalizePreferredStoreUrl,
     normalizeProductCategory,
+    normalizeProductColorVariants,
     normalizeUrlCandidate,
     pickFirstNonEmpty,
     prioritizeProductImageCandidates: imageRanking.prioritizeProductImageCandidates,
@@ -134,12 +147,14 @@ const service = createProductMetadataService({
     sortSizeChartImageCandidates,
     toWwwHostUrl,
     uniqValues,
-  });
+  };
+const service = createProductMetadataService(productMetadataDeps);
 
 export { normalizeProductCategory, normalizeBrandName, refreshBrandRulesCache };
 export const prioritizeProductImageCandidates = imageRanking.prioritizeProductImageCandidates;
 export const extractProductMetadataFromUrl = service.extractProductMetadataFromUrl;
 export const extractStructuredProductMetadataFromUrl = service.extractStructuredProductMetadataFromUrl;
+export const extractProductPriceAndStockFromUrl = service.extractProductPriceAndStockFromUrl;
 export const extractProductMetadataFromUrlWithBrowser = service.extractProductMetadataFromUrlWithBrowser;
 export const fetchLinkedSizeMetadataDeep = service.fetchLinkedSizeMetadataDeep;
 export const resolveProductMetadataFromHints = service.resolveProductMetadataFromHints;
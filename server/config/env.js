@@ -8,6 +8,8 @@ export const SUPABASE_STORAGE_BUCKET = String(process.env.SUPABASE_STORAGE_BUCKE
 export const IMAGE_EMBEDDING_WORKER_URL = String(process.env.IMAGE_EMBEDDING_WORKER_URL || "").trim().replace(/\/$/, "");
 export const IMAGE_EMBEDDING_WORKER_SECRET = String(process.env.IMAGE_EMBEDDING_WORKER_SECRET || "").trim();
 export const IMAGE_EMBEDDING_WORKER_TIMEOUT_MS = Number(process.env.IMAGE_EMBEDDING_WORKER_TIMEOUT_MS || 60000);
+export const PRODUCT_IMAGE_AUTO_REMOVE_BACKGROUND =
+  String(process.env.PRODUCT_IMAGE_AUTO_REMOVE_BACKGROUND || "false").toLowerCase() === "true";
 export const SUBMISSIONS_STORAGE_PREFIX = "submissions/";
 export const ADMIN_PASSWORD = String(process.env.ADMIN_PASSWORD || "").trim();
 export const ADMIN_SESSION_SECRET = String(process.env.ADMIN_SESSION_SECRET || "").trim();
@@ -17,6 +19,7 @@ export const IS_PRODUCTION = process.env.NODE_ENV === "production";
 export const IS_VERCEL = Boolean(process.env.VERCEL);
 export const PRODUCT_METADATA_FETCH_TIMEOUT_MS = Number(process.env.PRODUCT_METADATA_FETCH_TIMEOUT_MS || 12000);
 export const PRODUCT_METADATA_MAX_IMAGE_BYTES = Number(process.env.PRODUCT_METADATA_MAX_IMAGE_BYTES || 8 * 1024 * 1024);
+export const PRODUCT_IMAGE_GALLERY_LIMIT = Number(process.env.PRODUCT_IMAGE_GALLERY_LIMIT || 6);
 export const PRODUCT_METADATA_MAX_SIZE_CHART_PAGES = Number(process.env.PRODUCT_METADATA_MAX_SIZE_CHART_PAGES || 3);
 export const PRODUCT_METADATA_MIN_SIZE_CHART_IMAGE_BYTES = Number(process.env.PRODUCT_METADATA_MIN_SIZE_CHART_IMAGE_BYTES || 12 * 1024);
 export const PRODUCT_METADATA_MIN_SIZE_CHART_IMAGE_WIDTH = Number(process.env.PRODUCT_METADATA_MIN_SIZE_CHART_IMAGE_WIDTH || 320);
@@ -0,0 +1,56 @@
+import { PRODUCT_IMAGE_AUTO_REMOVE_BACKGROUND } from "../config/env.js";
+import { removeOldProductImageIfUnused } from "../utils/product.js";
+import { makeHttpError } from "../utils/request-validation.js";
+import { callImageWorker } from "./image-worker.js";
+
+const BACKGROUND_REMOVAL_PATH = "/v1/background-removals";
+const PRODUCT_BACKGROUND_REMOVAL_PATH = "/v1/product-image-background-removals";
+
+/**
+ * Cuts the product out of an inline image on the image worker. Resolves to a
+ * PNG with alpha, cropped tightly around the product, plus the crop box in
+ * source pixels.
+ */
+export async function removeImageBackground(imageBase64) {
+  const result = await callImageWorker(BACKGROUND_REMOVAL_PATH, {
+    imageBase64: String(imageBase64 || "").replace(/\s/g, ""),
+  });
+  if (result.skipped) throw makeHttpError("background removal worker is not configured", 503);
+  if (!result.ok) {
+    console.error("[background-removal] worker request failed", { status: result.status, reason: result.reason });
+    throw makeHttpError("background removal failed", result.status === 422 ? 422 : 502);
+  }
+
+  const outputBase64 = String(result.data?.imageBase64 || "");
+  if (!outputBase64) throw makeHttpError("background removal returned an empty image", 502);
+
+  return {
+    imageBase64: outputBase64,
+    mimeType: "image/png",
+    crop: result.data?.crop ?? null,
+  };
+}
+
+/**
+ * Replaces a stored product's image with its cutout when auto-apply is on.
+ * The worker writes the new image_path; the replaced upload is removed here
+ * once no other product points at it.
+ */
+export async function removeProductImageBackgroundById(productId) {
+  const normalizedProductId = String(productId || "").trim();
+  if (!normalizedProductId) {
+    return { ok: false, skipped: true, reason: "missing_product_id" };
+  }
+  if (!PRODUCT_IMAGE_AUTO_REMOVE_BACKGROUND) {
+    return { ok: false, skipped: true, reason: "auto_remove_background_disabled" };
+  }
+
+  const result = await callImageWorker(PRODUCT_BACKGROUND_REMOVAL_PATH, { productId: normalizedProductId });
+  if (result.ok && result.data?.status === "removed") {
+    await removeOldProductImageIfUnused({
+      oldPath: result.data.previousImagePath,
+      updatedProductId: normalizedProductId,
+    });
+  }
+  return result;
+}
@@ -0,0 +1,118 @@
+import type { BrandSizeFit, BrandSizeFitBias } from "../../src/types";
+import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
+import { refreshBrandRulesCache } from "../utils/brand-rules.js";
+import { aggregateBrandSizeFit, toBrandSizeFitKey } from "../utils/brand-size-fit.js";
+
+const PAGE_SIZE = 1000;
+const PRODUCT_CHUNK_SIZE = 500;
+
+type DecisionRow = { user_id: string; product_id: string; size_decision_fit: string };
+type ProductBrandRow = { id: string | number; brand: string | null; sub_category: string | null };
+type BrandSizeFitRow = Record<string, unknown>;
+
+const BIASES: BrandSizeFitBias[] = ["runs_small", "true_to_size", "runs_large"];
+
+function normalizeBrandSizeFitRow(row: BrandSizeFitRow): BrandSizeFit {
+  const bias = String(row.fit_bias ?? "") as BrandSizeFitBias;
+  return {
+    brand: String(row.brand ?? ""),
+    subCategory: String(row.sub_category ?? "").trim() || null,
+    tightCount: Number(row.tight_count) || 0,
+    trueToSizeCount: Number(row.true_to_size_count) || 0,
+    roomyCount: Number(row.roomy_count) || 0,
+    userCount: Number(row.user_count) || 0,
+    score: Number(row.fit_score) || 0,
+    bias: BIASES.includes(bias) ? bias : "true_to_size",
+    sizeShift: Number(row.size_shift) || 0,
+  };
+}
+
+/** Most specific stats for a product's brand: brand + sub category first, then brand-wide. */
+export async function getBrandSizeFit(brand: string, subCategory?: string | null): Promise<BrandSizeFit | null> {
+  assertSupabaseConfig();
+  await refreshBrandRulesCache();
+  const brandKey = toBrandSizeFitKey(brand);
+  if (!brandKey) return null;
+  const { data, error } = await supabase!.rpc("get_brand_size_fit", {
+    target_brand_key: brandKey,
+    target_sub_category: subCategory || null,
+  });
+  if (error) throw error;
+  const [row] = (data ?? []) as BrandSizeFitRow[];
+  return row ? normalizeBrandSizeFitRow(row) : null;
+}
+
+/**
+ * Rebuilds brand_size_fit_stats from every Digbox size decision with a fit
+ * verdict. Rows not refreshed by this run (brands that fell below the user
+ * threshold or were merged by a brand rule) are removed.
+ */
+export async function recomputeBrandSizeFitStats(): Promise<{ decisions: number; stats: number; removed: number }> {
+  assertSupabaseConfig();
+  const db = supabase!;
+  await refreshBrandRulesCache({ force: true });
+  const startedAt = new Date().toISOString();
+
+  const decisions: DecisionRow[] = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await db
+      .from("user_digbox_items")
+      .select("user_id,product_id,size_decision_fit")
+      .not("size_decision_fit", "is", null)
+      .order("user_id")
+      .order("product_id")
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    const batch = (data ?? []) as DecisionRow[];
+    decisions.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+  }
+
+  const productIds = [...new Set(decisions.map((row) => String(row.product_id)).filter((id) => /^\d+$/.test(id)))];
+  const products = new Map<string, ProductBrandRow>();
+  for (let index = 0; index < productIds.length; index += PRODUCT_CHUNK_SIZE) {
+    const { data, error } = await db
+      .from("products")
+      .select("id,brand,sub_category")
+      .in("id", productIds.slice(index, index + PRODUCT_CHUNK_SIZE));
+    if (error) throw error;
+    ((data ?? []) as ProductBrandRow[]).forEach((product) => products.set(String(product.id), product));
+  }
+
+  const stats = aggregateBrandSizeFit(
+    decisions.flatMap((row) => {
+      const product = products.get(String(row.product_id));
+      return product
+        ? [{ userId: row.user_id, brand: product.brand, subCategory: product.sub_category, fit: row.size_decision_fit }]
+        : [];
+    })
+  );
+
+  for (let index = 0; index < stats.length; index += PAGE_SIZE) {
+    const { error } = await db.from("brand_size_fit_stats").upsert(
+      stats.slice(index, index + PAGE_SIZE).map((stat) => ({
+        brand_key: stat.brandKey,
+        brand: stat.brand,
+        sub_category: stat.subCategory,
+        tight_count: stat.tightCount,
+        true_to_size_count: stat.trueToSizeCount,
+        roomy_count: stat.roomyCount,
+        user_count: stat.userCount,
+        fit_score: stat.score,
+        fit_bias: stat.bias,
+        size_shift: stat.sizeShift,
+        updated_at: new Date().toISOString(),
+      }))
+    );
+    if (error) throw error;
+  }
+
+  const { data: removed, error: removeError } = await db
+    .from("brand_size_fit_stats")
+    .delete()
+    .lt("updated_at", startedAt)
+    .select("brand_key");
+  if (removeError) throw removeError;
+
+  return { decisions: decisions.length, stats: stats.length, removed: (removed ?? []).length };
+}
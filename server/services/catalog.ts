@@ -1,4 +1,5 @@
 import { unstable_cache } from "next/cache";
+import { PRICE_FILTER_CURRENCY, PRICE_FILTER_OPTIONS, type PriceFilterValue } from "../../src/constants";
 import type { CatalogPage, Product, ProductCardData, ProductDetailData } from "../../src/types";
 import { SUPABASE_PRODUCTS_TABLE } from "../config/env.js";
 import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
@@ -6,13 +7,14 @@ import { normalizeProductRow } from "../utils/product.js";
 
 export const PRODUCT_CARD_COLUMNS = [
   "id", "brand", "name", "category", "sub_category", "category_analysis_status", "url", "image_path", "slug", "created_at",
-  "is_instagram", "instagram_order", "target_gender",
+  "is_instagram", "instagram_order", "target_gender", "list_price", "sale_price", "price_currency", "availability",
 ].join(",");
 
 export const PRODUCT_DETAIL_COLUMNS = [
   PRODUCT_CARD_COLUMNS,
-  "size_table", "normalized_size_table", "registered_by",
+  "image_gallery", "size_table", "normalized_size_table", "size_availability", "color_variants", "registered_by",
   "style_tags", "style_attributes", "human_style_tags", "human_style_attributes", "tag_review_status", "tagging_status",
+  "listings:product_listings(url,list_price,sale_price,price_currency,availability,is_size_table_source,created_at)",
 ].join(",");
 
 export const RECOMMENDATION_COLUMNS = [
@@ -40,6 +42,7 @@ const toCard = (product: Product): ProductCardData => ({
   isInstagram: product.isInstagram,
   instagramOrder: product.instagramOrder,
   targetGender: product.targetGender,
+  price: product.price,
 });
 
 export const normalizeProductCard = (row: unknown): ProductCardData | null => {
@@ -53,8 +56,12 @@ export const normalizeProductDetail = (row: unknown): ProductDetailData | null =
   return {
     ...toCard(product),
     imagePath: product.imagePath,
+    imageGallery: product.imageGallery,
     sizeTable: product.sizeTable,
     normalizedSizeTable: product.normalizedSizeTable,
+    sizeAvailability: product.sizeAvailability,
+    colorVariants: product.colorVariants,
+    listings: product.listings,
     registeredBy: product.registeredBy,
     styleTags: product.styleTags,
     styleAttributes: product.styleAttributes,
@@ -76,11 +83,18 @@ export const normalizeClientProduct = (row: unknown): Product | null => {
 export const normalizeAnalysisProduct = (row: unknown): Product | null =>
   normalizeProductRow(row) as Product | null;
 
-const queryCatalogPage = async (offset: number, limit: number): Promise<CatalogPage> => {
+const queryCatalogPage = async (offset: number, limit: number, priceFilter: PriceFilterValue | ""): Promise<CatalogPage> => {
   assertSupabaseConfig();
-  const { data, error } = await supabase!
-    .from(SUPABASE_PRODUCTS_TABLE)
-    .select(PRODUCT_CARD_COLUMNS)
+  let query = supabase!.from(SUPABASE_PRODUCTS_TABLE).select(PRODUCT_CARD_COLUMNS);
+  const priceOption = PRICE_FILTER_OPTIONS.find((option) => option.value === priceFilter);
+  if (priceOption?.value === "sale") {
+    query = query.eq("is_on_sale", true);
+  } else if (priceOption) {
+    query = query.eq("price_currency", PRICE_FILTER_CURRENCY);
+    if ("min" in priceOption) query = query.gte("effective_price", priceOption.min);
+    if ("max" in priceOption) query = query.lt("effective_price", priceOption.max);
+  }
+  const { data, error } = await query
     .order("created_at", { ascending: false })
     .range(offset, offset + limit);
   if (error) throw error;
@@ -95,7 +109,8 @@ const getCachedCatalogPage = unstable_cache(queryCatalogPage, ["catalog-page-v2"
   tags: ["catalog"],
 });
 
-export const getCatalogPage = (offset = 0, limit = 24) => getCachedCatalogPage(offset, limit);
+export const getCatalogPage = (offset = 0, limit = 24, priceFilter: PriceFilterValue | "" = "") =>
+  getCachedCatalogPage(offset, limit, priceFilter);
 
 const queryCatalogSearch = async (query: string, limit: number): Promise<ProductCardData[]> => {
   assertSupabaseConfig();
@@ -0,0 +1,62 @@
+import {
+  IMAGE_EMBEDDING_WORKER_SECRET,
+  IMAGE_EMBEDDING_WORKER_TIMEOUT_MS,
+  IMAGE_EMBEDDING_WORKER_URL,
+} from "../config/env.js";
+
+function getWorkerEndpoint(path) {
+  if (!IMAGE_EMBEDDING_WORKER_URL) return null;
+
+  try {
+    const endpoint = new URL(`${IMAGE_EMBEDDING_WORKER_URL}${path}`);
+    if (endpoint.protocol !== "https:" && endpoint.protocol !== "http:") return null;
+    return endpoint;
+  } catch {
+    return null;
+  }
+}
+
+function getTimeout() {
+  return Math.min(Math.max(IMAGE_EMBEDDING_WORKER_TIMEOUT_MS, 1_000), 120_000);
+}
+
+/**
+ * Posts a job to the private Python image worker. Never throws: failures come
+ * back as `{ ok: false, reason }`, and `skipped: true` when no worker is set up.
+ */
+export async function callImageWorker(path, body) {
+  const endpoint = getWorkerEndpoint(path);
+  if (!endpoint || !IMAGE_EMBEDDING_WORKER_SECRET) {
+    return { ok: false, skipped: true, reason: "worker_not_configured" };
+  }
+
+  const timeout = AbortSignal.timeout(getTimeout());
+  try {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-embedding-worker-secret": IMAGE_EMBEDDING_WORKER_SECRET,
+      },
+      body: JSON.stringify(body),
+      signal: timeout,
+      cache: "no-store",
+    });
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      return {
+        ok: false,
+        status: response.status,
+        reason: String(payload?.error || payload?.detail || `worker_http_${response.status}`),
+      };
+    }
+
+    return { ok: true, data: payload };
+  } catch (error) {
+    return {
+      ok: false,
+      reason: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
@@ -0,0 +1,72 @@
+import { unstable_cache } from "next/cache";
+import type { CatalogPage, Product, ProductCardData } from "../../src/types";
+import { parseDigMatchProfile } from "../../src/utils/digMatch";
+import { rankPersonalizedFeed } from "../../src/utils/personalizedFeed";
+import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
+import { normalizeAnalysisProduct, normalizeProductCard } from "./catalog";
+import { getTasteSummary } from "./taste-analysis";
+
+const RECENT_CANDIDATE_LIMIT = 240;
+const SIMILAR_CANDIDATE_LIMIT = 160;
+
+type CandidateRow = {
+  product?: unknown;
+  visual_similarity?: number | string | null;
+};
+
+export const getPersonalizedFeedCacheTag = (userId: string) => `personalized-feed:${userId}`;
+
+async function queryPersonalizedFeed(userId: string, seed: string): Promise<ProductCardData[]> {
+  assertSupabaseConfig();
+  const [profileResult, candidateResult, closet, digbox] = await Promise.all([
+    supabase!.from("user_taste_profiles").select("profile").eq("user_id", userId).maybeSingle(),
+    supabase!.rpc("get_personalized_feed_candidates", {
+      target_user_id: userId,
+      recent_limit: RECENT_CANDIDATE_LIMIT,
+      similar_limit: SIMILAR_CANDIDATE_LIMIT,
+    }),
+    getTasteSummary(userId, "closet"),
+    getTasteSummary(userId, "digbox"),
+  ]);
+  if (profileResult.error) throw profileResult.error;
+  if (candidateResult.error) throw candidateResult.error;
+
+  const rowsById = new Map<string, unknown>();
+  const candidates: Array<{ product: Product; visualSimilarity: number | null }> = [];
+  for (const row of (candidateResult.data || []) as CandidateRow[]) {
+    const product = normalizeAnalysisProduct(row.product);
+    if (!product) continue;
+    rowsById.set(product.id, row.product);
+    const visualSimilarity = row.visual_similarity === null || row.visual_similarity === undefined ? null : Number(row.visual_similarity);
+    candidates.push({ product, visualSimilarity: Number.isFinite(visualSimilarity) ? visualSimilarity : null });
+  }
+
+  const ranked = rankPersonalizedFeed(
+    candidates,
+    parseDigMatchProfile(profileResult.data?.profile),
+    [...closet.products, ...digbox.products],
+    { seed },
+  );
+  return ranked
+    .map((item) => normalizeProductCard(rowsById.get(item.product.id)))
+    .filter((product): product is ProductCardData => Boolean(product));
+}
+
+// The exploration shuffle is seeded per user and day, so pages fetched from one
+// cached ranking line up and the explored products rotate daily.
+const getPersonalizedFeed = (userId: string) => {
+  const seed = `${userId}:${new Date().toISOString().slice(0, 10)}`;
+  return unstable_cache(
+    () => queryPersonalizedFeed(userId, seed),
+    ["personalized-feed-v1", seed],
+    { revalidate: 300, tags: ["catalog", getPersonalizedFeedCacheTag(userId)] },
+  )();
+};
+
+export async function getPersonalizedFeedPage(userId: string, offset = 0, limit = 24): Promise<CatalogPage> {
+  const products = await getPersonalizedFeed(userId);
+  return {
+    products: products.slice(offset, offset + limit),
+    nextOffset: products.length > offset + limit ? offset + limit : null,
+  };
+}
@@ -0,0 +1,146 @@
+import { extractProductPriceAndStockFromUrl } from "../bootstrap/metadata.js";
+import { SUPABASE_PRODUCTS_TABLE } from "../config/env.js";
+import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
+import {
+  detectPriceAlert,
+  hasProductPriceChanged,
+  normalizeProductPrice,
+  normalizeProductPriceRow,
+  toProductPriceColumns,
+} from "./product-metadata/price.js";
+import { normalizeSizeAvailability } from "./size-table/availability.js";
+import { invalidatePublicProductCaches } from "./catalog-cache";
+
+const PAGE_SIZE = 1000;
+const PRODUCT_CHUNK_SIZE = 500;
+// Each check is a page fetch (plus a catalog API call for some stores), so a
+// run covers the least recently checked products and later runs pick up the rest.
+const MAX_PRODUCTS_PER_RUN = 40;
+
+type TrackedProductRow = {
+  id: string | number;
+  url: string | null;
+  list_price: number | string | null;
+  sale_price: number | string | null;
+  price_currency: string | null;
+  availability: string | null;
+  price_checked_at: string | null;
+};
+
+export type PriceTrackingResult = {
+  checked: number;
+  changed: number;
+  failed: number;
+  priceDrops: number;
+  restocks: number;
+};
+
+async function listSavedProductIds(): Promise<string[]> {
+  const ids = new Set<string>();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase!
+      .from("user_digbox_items")
+      .select("product_id")
+      .order("product_id")
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    const batch = (data ?? []) as Array<{ product_id: string }>;
+    batch.forEach((row) => {
+      const id = String(row.product_id);
+      if (/^\d+$/.test(id)) ids.add(id);
+    });
+    if (batch.length < PAGE_SIZE) break;
+  }
+  return [...ids];
+}
+
+async function listProductsDueForCheck(productIds: string[]): Promise<TrackedProductRow[]> {
+  const products: TrackedProductRow[] = [];
+  for (let index = 0; index < productIds.length; index += PRODUCT_CHUNK_SIZE) {
+    const { data, error } = await supabase!
+      .from(SUPABASE_PRODUCTS_TABLE)
+      .select("id,url,list_price,sale_price,price_currency,availability,price_checked_at")
+      .in("id", productIds.slice(index, index + PRODUCT_CHUNK_SIZE))
+      .not("url", "is", null);
+    if (error) throw error;
+    products.push(...((data ?? []) as TrackedProductRow[]));
+  }
+  return products
+    .sort((a, b) => (Date.parse(a.price_checked_at || "") || 0) - (Date.parse(b.price_checked_at || "") || 0))
+    .slice(0, MAX_PRODUCTS_PER_RUN);
+}
+
+/**
+ * Re-reads the price and per-size stock of products saved to DIGBOX, least
+ * recently checked first. Price changes are written to the product and
+ * appended to product_price_history; drops and restocks are flagged on every
+ * DIGBOX item holding the product. A page that fails to load or shows no price
+ * leaves the stored price alone and is retried after the other products.
+ */
+export async function trackDigboxPrices(): Promise<PriceTrackingResult> {
+  assertSupabaseConfig();
+  const db = supabase!;
+  const result: PriceTrackingResult = { checked: 0, changed: 0, failed: 0, priceDrops: 0, restocks: 0 };
+  const products = await listProductsDueForCheck(await listSavedProductIds());
+
+  for (const product of products) {
+    const productId = String(product.id);
+    const checkedAt = new Date().toISOString();
+    const previous = normalizeProductPriceRow(product);
+    let next = null;
+    let sizeAvailability = null;
+    try {
+      const checked = await extractProductPriceAndStockFromUrl(String(product.url));
+      next = normalizeProductPrice(checked.price);
+      sizeAvailability = normalizeSizeAvailability(checked.sizeAvailability);
+    } catch (error) {
+      console.warn("[price-tracking] price check failed", productId, error instanceof Error ? error.message : error);
+    }
+    result.checked += 1;
+
+    if (!next) {
+      result.failed += 1;
+      const { error } = await db
+        .from(SUPABASE_PRODUCTS_TABLE)
+        .update({ ...(sizeAvailability ? { size_availability: sizeAvailability } : {}), price_checked_at: checkedAt })
+        .eq("id", productId);
+      if (error) throw error;
+      continue;
+    }
+
+    const changed = hasProductPriceChanged(previous, next);
+    const { error: updateError } = await db
+      .from(SUPABASE_PRODUCTS_TABLE)
+      .update({
+        ...(changed ? toProductPriceColumns(next) : {}),
+        ...(sizeAvailability ? { size_availability: sizeAvailability } : {}),
+        price_checked_at: checkedAt,
+      })
+      .eq("id", productId);
+    if (updateError) throw updateError;
+    if (!changed) continue;
+
+    result.changed += 1;
+    const { error: historyError } = await db
+      .from("product_price_history")
+      .insert({ product_id: productId, ...toProductPriceColumns(next), checked_at: checkedAt });
+    if (historyError) throw historyError;
+    invalidatePublicProductCaches(productId);
+
+    const alert = detectPriceAlert(previous, next);
+    if (!alert) continue;
+    if (alert === "price_drop") result.priceDrops += 1;
+    else result.restocks += 1;
+    const { error: alertError } = await db
+      .from("user_digbox_items")
+      .update({
+        price_alert: alert,
+        price_alert_previous_price: previous?.salePrice ?? previous?.listPrice ?? null,
+        price_alert_at: checkedAt,
+      })
+      .eq("product_id", productId);
+    if (alertError) throw alertError;
+  }
+
+  return result;
+}
@@ -0,0 +1,120 @@
+import type { DuplicateProductCandidate, ProductCardData } from "../../src/types";
+import { SUPABASE_PRODUCTS_TABLE } from "../config/env.js";
+import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
+import { PRODUCT_CARD_COLUMNS, normalizeProductCard } from "./catalog";
+import { callImageWorker } from "./image-worker.js";
+import { isStoredProductImagePath } from "./product-image-storage.js";
+
+const FINGERPRINT_PATH = "/v1/image-fingerprints";
+// 10 of 64 bits tolerates re-encoding, resizing and light crops between shops
+// while staying well clear of different items shot on the same backdrop.
+const MAX_PHASH_DISTANCE = 10;
+const MIN_VISUAL_SIMILARITY = 0.94;
+const MAX_CANDIDATES = 4;
+
+type ImageFingerprint = { phash: string | null; embedding: string | null };
+
+type DuplicateMatchRow = {
+  id: string | number;
+  phash_distance: number | null;
+  visual_similarity: number | null;
+};
+
+export type DuplicateProductCheck = {
+  fingerprint: ImageFingerprint | null;
+  candidates: DuplicateProductCandidate[];
+};
+
+export type NewProductDuplicateCheck = {
+  candidates: DuplicateProductCandidate[];
+  imagePhash: string | null;
+};
+
+async function fingerprintImage(imagePath: string): Promise<ImageFingerprint | null> {
+  const result = await callImageWorker(FINGERPRINT_PATH, { imagePath, includeEmbedding: true });
+  if (!result.ok) {
+    if (!result.skipped) console.error("[product-duplicates] image fingerprint failed", { reason: result.reason });
+    return null;
+  }
+  const phash = String(result.data?.phash || "").toLowerCase();
+  const embedding = String(result.data?.embedding || "");
+  return {
+    phash: /^[0-9a-f]{16}$/.test(phash) ? phash : null,
+    embedding: embedding.startsWith("[") ? embedding : null,
+  };
+}
+
+/**
+ * Looks for catalog products showing the same item as `imagePath`, typically
+ * the same piece listed by another shop. Matching is by perceptual hash, backed
+ * by the SigLIP embedding. Only images already in our Storage bucket are
+ * fingerprinted, so the worker never fetches a URL a client supplied.
+ */
+export async function findDuplicateProductCandidates(imagePath: string): Promise<DuplicateProductCheck> {
+  const normalizedImagePath = String(imagePath || "").trim();
+  if (!isStoredProductImagePath(normalizedImagePath) || normalizedImagePath.includes("..")) {
+    return { fingerprint: null, candidates: [] };
+  }
+
+  const fingerprint = await fingerprintImage(normalizedImagePath);
+  if (!fingerprint?.phash && !fingerprint?.embedding) return { fingerprint, candidates: [] };
+
+  assertSupabaseConfig();
+  const { data: matches, error: matchError } = await supabase!.rpc("find_duplicate_product_candidates", {
+    target_phash: fingerprint.phash,
+    target_embedding: fingerprint.embedding,
+    max_phash_distance: MAX_PHASH_DISTANCE,
+    min_visual_similarity: MIN_VISUAL_SIMILARITY,
+    match_count: MAX_CANDIDATES,
+  });
+  if (matchError) throw matchError;
+
+  const matchRows = (Array.isArray(matches) ? matches : []) as DuplicateMatchRow[];
+  if (matchRows.length === 0) return { fingerprint, candidates: [] };
+
+  const { data: rows, error: productError } = await supabase!
+    .from(SUPABASE_PRODUCTS_TABLE)
+    .select(PRODUCT_CARD_COLUMNS)
+    .in("id", matchRows.map((row) => row.id));
+  if (productError) throw productError;
+
+  const productsById = new Map(
+    (Array.isArray(rows) ? rows : [])
+      .map(normalizeProductCard)
+      .filter((product): product is ProductCardData => Boolean(product))
+      .map((product) => [product.id, product])
+  );
+  const candidates = matchRows.flatMap((row) => {
+    const product = productsById.get(String(row.id));
+    if (!product) return [];
+    return [{
+      product,
+      phashDistance: typeof row.phash_distance === "number" ? row.phash_distance : null,
+      visualSimilarity: typeof row.visual_similarity === "number" ? row.visual_similarity : null,
+    }];
+  });
+  return { fingerprint, candidates };
+}
+
+/**
+ * Duplicate gate for product registration. `confirmNewProduct` skips the
+ * lookup, and a failed lookup lets the product through, so registration is
+ * never blocked on the image worker.
+ */
+export async function checkNewProductDuplicates({
+  imagePath,
+  confirmNewProduct,
+}: {
+  imagePath: string;
+  confirmNewProduct: boolean;
+}): Promise<NewProductDuplicateCheck> {
+  if (confirmNewProduct) return { candidates: [], imagePhash: null };
+  const check = await findDuplicateProductCandidates(imagePath).catch((error: unknown) => {
+    console.error("[product-duplicates] duplicate check failed", error instanceof Error ? error.message : String(error));
+    return null;
+  });
+  return {
+    candidates: check?.candidates ?? [],
+    imagePhash: check?.fingerprint?.phash ?? null,
+  };
+}
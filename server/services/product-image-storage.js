@@ -95,9 +95,33 @@ export async function persistExternalProductImage(imagePath) {
   return storagePath;
 }
 
+/**
+ * Persists a product's gallery images. Images that fail to download or are not
+ * a supported format are left out rather than failing the whole gallery.
+ */
+export async function persistExternalProductImages(imageUrls) {
+  const sourceUrls = [...new Set((imageUrls || []).map((value) => String(value || "").trim()))].filter(isExternalImageUrl);
+  const results = await Promise.allSettled(sourceUrls.map((sourceUrl) => persistExternalProductImage(sourceUrl)));
+  return results.flatMap((result, index) => {
+    if (result.status === "fulfilled") return [result.value];
+    console.warn("[product-image-storage] gallery image skipped", {
+      url: sourceUrls[index],
+      error: result.reason?.message || String(result.reason),
+    });
+    return [];
+  });
+}
+
 export async function removeStoredProductImage(path) {
   const storagePath = String(path || "").trim();
   if (!isStoredProductImagePath(storagePath)) return;
   const { error } = await supabase.storage.from(SUPABASE_STORAGE_BUCKET).remove([storagePath]);
   if (error) throw error;
 }
+
+export async function removeStoredProductImages(paths) {
+  const storagePaths = (paths || []).map((path) => String(path || "").trim()).filter(isStoredProductImagePath);
+  if (storagePaths.length === 0) return;
+  const { error } = await supabase.storage.from(SUPABASE_STORAGE_BUCKET).remove(storagePaths);
+  if (error) throw error;
+}
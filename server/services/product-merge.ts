@@ -0,0 +1,96 @@
+import type { ProductMergeInput } from "../../src/types";
+import { getErrorMessage } from "../../src/lib/api-error";
+import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
+import { makeHttpError } from "../utils/request-validation.js";
+import { removeOldProductImageIfUnused } from "../utils/product.js";
+import { removeStoredProductImages } from "./product-image-storage.js";
+
+export type ProductMergeResult = {
+  canonicalId: string;
+  mergedIds: string[];
+};
+
+type MergeProductsRpcResult = {
+  canonicalId?: number | string;
+  mergedIds?: Array<number | string>;
+  imagePaths?: string[];
+  galleryPaths?: string[];
+};
+
+const PRODUCT_ID_PATTERN = /^\d+$/;
+const MAX_MERGE_DUPLICATES = 10;
+
+const toProductIds = (values: unknown): string[] =>
+  [...new Set((Array.isArray(values) ? values : []).map((value) => String(value ?? "").trim()).filter(Boolean))];
+
+/** Validates a merge request body; throws a 400 HttpError on bad input. */
+export function parseProductMergeInput(body: unknown): ProductMergeInput {
+  const input = (body && typeof body === "object" ? body : {}) as Record<string, unknown>;
+  const canonicalId = String(input.canonicalId ?? "").trim();
+  const duplicateIds = toProductIds(input.duplicateIds);
+  const sizeTableProductId = String(input.sizeTableProductId ?? "").trim() || null;
+
+  if (!PRODUCT_ID_PATTERN.test(canonicalId)) throw makeHttpError("canonicalId is required", 400);
+  if (duplicateIds.length === 0) throw makeHttpError("duplicateIds must list at least one product", 400);
+  if (duplicateIds.length > MAX_MERGE_DUPLICATES) {
+    throw makeHttpError(`at most ${MAX_MERGE_DUPLICATES} products can be merged at once`, 400);
+  }
+  if (!duplicateIds.every((id) => PRODUCT_ID_PATTERN.test(id))) throw makeHttpError("invalid product id", 400);
+  if (duplicateIds.includes(canonicalId)) throw makeHttpError("canonical product cannot also be a duplicate", 400);
+  if (sizeTableProductId && sizeTableProductId !== canonicalId && !duplicateIds.includes(sizeTableProductId)) {
+    throw makeHttpError("size table source must be one of the merged products", 400);
+  }
+  return { canonicalId, duplicateIds, sizeTableProductId };
+}
+
+const toMergeError = (error: { code?: string; message?: string }) => {
+  if (error.code === "P0002") return makeHttpError("product not found", 404);
+  if (error.code === "22023") return makeHttpError(error.message || "invalid merge request", 400);
+  return error;
+};
+
+/**
+ * Folds the duplicate products into the canonical one through the
+ * merge_products RPC, which moves listings, DIGBOX/Closet saves and outfit
+ * items and records redirects in a single transaction. Stored images of the
+ * deleted rows are cleaned up afterwards; a cleanup failure does not undo the merge.
+ */
+export async function mergeProducts({ canonicalId, duplicateIds, sizeTableProductId }: ProductMergeInput): Promise<ProductMergeResult> {
+  assertSupabaseConfig();
+  const { data, error } = await supabase!.rpc("merge_products", {
+    canonical_id: Number(canonicalId),
+    duplicate_ids: duplicateIds.map(Number),
+    size_table_product_id: sizeTableProductId ? Number(sizeTableProductId) : null,
+  });
+  if (error) throw toMergeError(error);
+
+  const result = (data && typeof data === "object" ? data : {}) as MergeProductsRpcResult;
+  const mergedIds = toProductIds(result.mergedIds);
+  // The merged rows are gone, so excluding one of them counts every remaining
+  // reference, the canonical product's included.
+  const deletedProductId = mergedIds[0] ?? duplicateIds[0];
+  for (const imagePath of Array.isArray(result.imagePaths) ? result.imagePaths : []) {
+    await removeOldProductImageIfUnused({ oldPath: imagePath, updatedProductId: deletedProductId });
+  }
+  await removeStoredProductImages(Array.isArray(result.galleryPaths) ? result.galleryPaths : []).catch((galleryError: unknown) => {
+    console.error("[product-merge] failed to remove gallery images from storage", {
+      canonicalId,
+      error: getErrorMessage(galleryError, "gallery image remove error"),
+    });
+  });
+
+  return { canonicalId: String(result.canonicalId ?? canonicalId), mergedIds };
+}
+
+/** Canonical product id for a product that was merged away, or null. */
+export async function getProductRedirectTarget(productId: string): Promise<string | null> {
+  if (!PRODUCT_ID_PATTERN.test(productId)) return null;
+  assertSupabaseConfig();
+  const { data, error } = await supabase!
+    .from("product_redirects")
+    .select("canonical_product_id")
+    .eq("product_id", productId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.canonical_product_id ? String(data.canonical_product_id) : null;
+}
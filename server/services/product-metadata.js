@@ -11,36 +11,39 @@ export function createProductMetadataService({
   downloadImageAsBase64Payload,
   extractBrandFromDescription,
   buildStructuredProductMetadata,
+  extractColorVariantsFromHtml,
   extractHtmlTitle,
   extractImageCandidatesFromHtml,
   extractImageCandidatesFromJsonData,
   extractJsonObjectsFromApplicationScripts,
   extractMetaContent,
-  extractMusinsaPageData,
   extractNextDataPayload,
+  extractOptionSizeLabelsFromHtml,
   extractProductImageCandidatesFromHtml,
   extractProductJsonLd,
   extractProductNameFromTitle,
+  extractProductPriceFromMetaTags,
   extractStyleFactTextFromHtml,
   extractSearchResultUrls,
+  extractSizeAvailabilityFromPage,
   extractSizeChartPageCandidatesFromHtml,
   extractSizeChartPageCandidatesFromJsonData,
+  extractSizeTableCandidatesFromPage,
   extractSizeTableFromImageCandidates: extractSizeTableFromImageCandidatesViaDeps,
   extractSizeTableFromPage,
   extractSizeTableWithGemini,
-  extractZaraMetadataFromInditexApi,
   fetchWithTimeout,
+  findStoreAdapter,
   inferProductCategory,
   IS_VERCEL,
-  isKreamProductUrl,
   isLikelyProductImageUrl,
   isLikelySizeChartImageUrl,
-  isZaraProductUrl,
   launchMetadataBrowser,
   normalizeBrandName,
   normalizeCellText,
   normalizePreferredStoreUrl,
   normalizeProductCategory,
+  normalizeProductColorVariants,
   normalizeUrlCandidate,
   pickFirstNonEmpty,
   prioritizeProductImageCandidates,
@@ -114,14 +117,15 @@ export function createProductMetadataService({
     const schemaProduct = extractProductJsonLd(html);
     const nextDataPayload = extractNextDataPayload(html);
     const appJsonObjects = extractJsonObjectsFromApplicationScripts(html);
-    const musinsaData = extractMusinsaPageData(nextDataPayload);
     const combinedJsonData = [nextDataPayload, ...appJsonObjects].filter(Boolean);
+    const storeData =
+      findStoreAdapter(pageUrl)?.extractFromPage?.({ html, pageUrl, nextDataPayload, jsonData: combinedJsonData }) || null;
     const jsonImageData = extractImageCandidatesFromJsonData({ jsonData: combinedJsonData, pageUrl });
     const jsonTextBlocks = collectTextBlocksFromJsonData(combinedJsonData);
 
     const storeBrandFromTitle = normalizeBrandName(String(title || "").split("|").slice(1).join("|"));
     const rawBrand = response.pickFirstNonEmpty([
-      musinsaData?.brand,
+      storeData?.brand,
       schemaProduct?.brand,
       extractBrandFromDescription(description),
       storeBrandFromTitle,
@@ -131,13 +135,13 @@ export function createProductMetadataService({
     const schemaName = normalizeCellText(schemaProduct?.name || "");
     const fallbackTitle = response.pickFirstNonEmpty([ogTitle, title]);
     const name = response.pickFirstNonEmpty([
-      musinsaData?.name,
+      storeData?.name,
       schemaName,
       extractProductNameFromTitle(fallbackTitle, brand),
     ]);
     const category = inferProductCategory(
       schemaProduct?.category,
-      musinsaData?.category,
+      storeData?.category,
       schemaProduct?.type,
       name,
       title,
@@ -150,7 +154,7 @@ export function createProductMetadataService({
         description,
         extractMetaContent(html, "og:description", "property"),
         schemaProduct?.description || "",
-        ...(musinsaData?.textBlocks || []),
+        ...(storeData?.textBlocks || []),
         ...jsonTextBlocks,
       ],
     });
@@ -159,7 +163,7 @@ export function createProductMetadataService({
     const candidateGroups = [
       {
         bonus: 15,
-        candidates: (musinsaData?.imageCandidates || []).map((candidate) =>
+        candidates: (storeData?.imageCandidates || []).map((candidate) =>
           normalizeUrlCandidate(pageUrl, candidate)
         ),
       },
@@ -208,12 +212,27 @@ export function createProductMetadataService({
       sourceBonusByUrl
     );
 
+    const sizeOptionLabels = extractOptionSizeLabelsFromHtml(html);
     return {
       brand,
       name,
       category,
       productImageCandidates,
       productMetadata,
+      sizeOptionLabels,
+      sizeAvailability: extractSizeAvailabilityFromPage({ html, jsonData: combinedJsonData }),
+      sizeTableCandidates: extractSizeTableCandidatesFromPage({
+        html,
+        textBlocks: [...(storeData?.textBlocks || []), ...jsonTextBlocks],
+        jsonData: combinedJsonData,
+        storeTables: storeData?.sizeTables || [],
+        optionSizeLabels: sizeOptionLabels,
+      }),
+      price: storeData?.price || schemaProduct?.price || extractProductPriceFromMetaTags(html),
+      colorVariants:
+        normalizeProductColorVariants(storeData?.colorVariants, pageUrl) ||
+        schemaProduct?.colorVariants ||
+        extractColorVariantsFromHtml(html, pageUrl),
     };
   };
 
@@ -296,7 +315,8 @@ export function createProductMetadataService({
     }
   };
 
-  const extractStructuredProductMetadataFromUrl = async (rawUrl) => {
+  // Plain HTML fetch with no browser fallback, for lookups that only need the page markup.
+  const fetchProductPageHtml = async (rawUrl) => {
     let pageUrl = "";
     try {
       pageUrl = assertPublicHttpUrl(rawUrl);
@@ -354,8 +374,15 @@ export function createProductMetadataService({
       throw fetchError;
     }
 
-    const finalPageUrl = assertPublicHttpUrl(pageResponse.url || effectiveRequestedPageUrl);
-    const extracted = extractProductMetadataFromHtml({ html: await pageResponse.text(), pageUrl: finalPageUrl });
+    return {
+      url: assertPublicHttpUrl(pageResponse.url || effectiveRequestedPageUrl),
+      html: await pageResponse.text(),
+    };
+  };
+
+  const extractStructuredProductMetadataFromUrl = async (rawUrl) => {
+    const { url: finalPageUrl, html } = await fetchProductPageHtml(rawUrl);
+    const extracted = extractProductMetadataFromHtml({ html, pageUrl: finalPageUrl });
     const metadata = extracted.productMetadata;
     const hasFacts =
       Boolean(metadata?.product_summary) ||
@@ -369,6 +396,24 @@ export function createProductMetadataService({
     return { url: finalPageUrl, productMetadata: metadata };
   };
 
+  /**
+   * Re-reads only the price and per-size stock of a saved product page,
+   * skipping image downloads and the browser fallback so scheduled re-checks
+   * stay cheap. Stores whose page carries no price fall back to their
+   * adapter's catalog API.
+   */
+  const extractProductPriceAndStockFromUrl = async (rawUrl) => {
+    const { url: finalPageUrl, html } = await fetchProductPageHtml(rawUrl);
+    const { price, sizeAvailability } = extractProductMetadataFromHtml({ html, pageUrl: finalPageUrl });
+    if (price) return { url: finalPageUrl, price, sizeAvailability };
+    const storeMetadata = await findStoreAdapter(finalPageUrl)?.fetchMetadata?.(finalPageUrl, { fetchWithTimeout });
+    return {
+      url: finalPageUrl,
+      price: storeMetadata?.price ?? null,
+      sizeAvailability: sizeAvailability ?? storeMetadata?.sizeAvailability ?? null,
+    };
+  };
+
   const extractProductMetadataFromUrl = async (rawUrl) => {
     let pageUrl = "";
     try {
@@ -426,7 +471,7 @@ export function createProductMetadataService({
     }
 
     if (!pageResponse) {
-      if (!IS_VERCEL && isKreamProductUrl(pageUrl)) {
+      if (!IS_VERCEL && findStoreAdapter(pageUrl)?.needsBrowser) {
         return await extractProductMetadataFromUrlWithBrowser(pageUrl);
       }
       const fetchError = new Error("failed to fetch product page");
@@ -467,13 +512,12 @@ export function createProductMetadataService({
     });
 
     if (!response.hasAnyResolvedProductMetadata({ extracted, productImage, productImageCandidates })) {
-      if (!IS_VERCEL && isKreamProductUrl(finalPageUrl)) {
+      const storeAdapter = findStoreAdapter(finalPageUrl);
+      if (!IS_VERCEL && storeAdapter?.needsBrowser) {
         return await extractProductMetadataFromUrlWithBrowser(finalPageUrl);
       }
-      if (isZaraProductUrl(finalPageUrl)) {
-        const zaraData = await extractZaraMetadataFromInditexApi(finalPageUrl);
-        if (zaraData) return zaraData;
-      }
+      const storeMetadata = await storeAdapter?.fetchMetadata?.(finalPageUrl, { fetchWithTimeout });
+      if (storeMetadata) return storeMetadata;
       const emptyError = new Error("could not extract product metadata from url");
       emptyError.statusCode = 502;
       throw emptyError;
@@ -524,6 +568,7 @@ export function createProductMetadataService({
   };
 
   return {
+    extractProductPriceAndStockFromUrl,
     extractStructuredProductMetadataFromUrl,
     extractProductMetadataFromUrl,
     extractProductMetadataFromUrlWithBrowser,
@@ -1,5 +1,7 @@
 import { normalizeCellText } from "../../utils/size-table.js";
+import { extractPriceFromOffers, normalizeProductPrice } from "./price.js";
 import { normalizeBrandName, uniqValues } from "./shared.js";
+import { extractColorVariantsFromProductNodes, normalizeProductColorVariants } from "./variants.js";
 
 export const decodeHtmlEntities = (value) =>
   String(value || "")
@@ -111,9 +113,105 @@ export const extractProductJsonLd = (html) => {
     category: normalizeCellText(bestNode?.category || ""),
     type: normalizeCellText(bestNode?.additionalType || bestNode?.["@type"] || ""),
     images: rawImages.map((value) => normalizeCellText(value)).filter(Boolean),
+    price: extractPriceFromOffers(bestNode?.offers),
+    colorVariants: extractColorVariantsFromProductNodes(productNodes),
   };
 };
 
+const COLOR_OPTION_PATTERN = /(?:colou?r|\uC0C9\uC0C1|\uCEEC\uB7EC)/i; // 색상, 컬러
+const COLOR_SWATCH_CLASS_PATTERN = /(?:swatch|colou?r[-_]?(?:chip|option|item|select))/i;
+const COLOR_OPTION_MARK_PATTERN = /\s*[[(](?:\uD488\uC808|sold\s*out|\+?[\d,]+\s*\uC6D0?)[\])]\s*/gi; // 품절, 원
+const SWATCH_ELEMENT_PATTERN = /<(?:a|button|li|label|span|div|input|img)\b[^>]*>/gi;
+
+const readStyleSwatch = (style) => {
+  const text = String(style || "");
+  const image = text.match(/background(?:-image)?\s*:[^;]*url\(\s*["']?([^"')]+)["']?\s*\)/i)?.[1];
+  if (image) return image;
+  return text.match(/background(?:-color)?\s*:\s*(#[0-9a-f]{3,6})\b/i)?.[1] || "";
+};
+
+const readOptionColorName = (value) => normalizeCellText(stripHtml(value).replace(COLOR_OPTION_MARK_PATTERN, " "));
+
+/**
+ * Color variants from option markup: a color `<select>` (Cafe24's
+ * `option_title="색상"`, Shopify's `name="Color"`) or swatch elements carrying
+ * `data-color`-style attributes. Swatch colors come from inline backgrounds,
+ * variant images from `data-image`-style attributes and links from `href`.
+ */
+export const extractColorVariantsFromHtml = (html, pageUrl = "") => {
+  const source = String(html || "");
+  const variants = [];
+
+  const selectPattern = /<select\b([^>]*)>([\s\S]*?)<\/select>/gi;
+  let selectMatch = null;
+  while ((selectMatch = selectPattern.exec(source)) !== null) {
+    const attrs = parseHtmlAttributes(selectMatch[1]);
+    const title = [attrs.name, attrs.id, attrs.option_title, attrs["aria-label"], attrs["data-option-name"], attrs.title].join(" ");
+    if (!COLOR_OPTION_PATTERN.test(title)) continue;
+    const optionPattern = /<option\b([^>]*)>([\s\S]*?)<\/option>/gi;
+    let optionMatch = null;
+    while ((optionMatch = optionPattern.exec(selectMatch[2])) !== null) {
+      const optionAttrs = parseHtmlAttributes(optionMatch[1]);
+      const name = readOptionColorName(optionMatch[2]);
+      if (!name || /^[-*]/.test(name) || /^\**$/.test(optionAttrs.value ?? "x")) continue;
+      variants.push({
+        name,
+        swatch: optionAttrs["data-swatch"] || optionAttrs["data-color-code"] || "",
+        images: [optionAttrs["data-image"], optionAttrs["data-variant-image"]],
+      });
+    }
+  }
+
+  let elementMatch = null;
+  while ((elementMatch = SWATCH_ELEMENT_PATTERN.exec(source)) !== null) {
+    const attrs = parseHtmlAttributes(elementMatch[0]);
+    const isColorInput = /^<input/i.test(elementMatch[0]) && COLOR_OPTION_PATTERN.test(attrs.name || "");
+    const isSwatch =
+      isColorInput ||
+      Boolean(attrs["data-color"] || attrs["data-color-name"] || attrs["data-option-color"]) ||
+      COLOR_SWATCH_CLASS_PATTERN.test(attrs.class || "");
+    if (!isSwatch) continue;
+    // data-color is a name on some shops and a hex code on others.
+    const labels = [attrs["data-color-name"], attrs["data-color"], attrs["data-option-color"], attrs.title, attrs["aria-label"], attrs.alt, attrs.value]
+      .map(readOptionColorName)
+      .filter(Boolean);
+    const name = labels.find((label) => !/^#?[0-9a-f]{6}$|^#[0-9a-f]{3}$/i.test(label));
+    if (!name) continue;
+    const href = /^<a/i.test(elementMatch[0]) && !/^(?:#|javascript:)/i.test(attrs.href || "") ? attrs.href : "";
+    variants.push({
+      name,
+      swatch:
+        attrs["data-swatch"] ||
+        readStyleSwatch(attrs.style) ||
+        (/^<img/i.test(elementMatch[0]) ? attrs.src : "") ||
+        labels.find((label) => label !== name && /^#?[0-9a-f]{6}$|^#[0-9a-f]{3}$/i.test(label)) ||
+        "",
+      images: [attrs["data-image"], attrs["data-variant-image"], attrs["data-zoom-image"]],
+      url: attrs["data-url"] || href || "",
+    });
+  }
+
+  const normalized = normalizeProductColorVariants(variants, pageUrl);
+  return normalized && normalized.length > 1 ? normalized : null;
+};
+
+/** Open Graph / Facebook catalog price tags, which Cafe24 and many shop builders emit. */
+export const extractProductPriceFromMetaTags = (html) => {
+  const readMeta = (...keys) => {
+    for (const key of keys) {
+      const value = extractMetaContent(html, key, "property") || extractMetaContent(html, key, "name");
+      if (value) return value;
+    }
+    return "";
+  };
+  return normalizeProductPrice({
+    listPrice: readMeta("product:price:amount", "og:price:amount"),
+    salePrice: readMeta("product:sale_price:amount"),
+    currency: readMeta("product:price:currency", "og:price:currency", "product:sale_price:currency"),
+    availability: readMeta("product:availability", "og:availability"),
+  });
+};
+
 export const extractNextDataPayload = (html) => {
   const match = String(html || "").match(
     /<script[^>]+id=(?:"|')__NEXT_DATA__(?:"|')[^>]*>([\s\S]*?)<\/script>/i
@@ -126,34 +224,6 @@ export const extractNextDataPayload = (html) => {
   }
 };
 
-export const extractMusinsaPageData = (nextDataPayload) => {
-  const meta = nextDataPayload?.props?.pageProps?.meta?.data;
-  if (!meta || typeof meta !== "object") return null;
-
-  const resolveMusinsaImageUrl = (value) => {
-    const raw = normalizeCellText(value);
-    if (!raw) return "";
-    if (raw.startsWith("/images/")) return `https://image.msscdn.net${raw}`;
-    return raw;
-  };
-
-  const imageCandidates = [];
-  if (meta.thumbnailImageUrl) imageCandidates.push(resolveMusinsaImageUrl(meta.thumbnailImageUrl));
-  if (Array.isArray(meta.goodsImages)) {
-    for (const item of meta.goodsImages) {
-      const candidateUrl = resolveMusinsaImageUrl(item?.imageUrl || item?.url || "");
-      if (candidateUrl) imageCandidates.push(candidateUrl);
-    }
-  }
-
-  return {
-    brand: normalizeBrandName(meta?.brandInfo?.brandName || meta?.brand || ""),
-    name: normalizeCellText(meta?.goodsNm || ""),
-    imageCandidates: uniqValues(imageCandidates),
-    textBlocks: [meta?.goodsContents || "", meta?.specDesc || ""],
-  };
-};
-
 export const extractJsonObjectsFromApplicationScripts = (html) => {
   const objects = [];
   const pattern = /<script[^>]+type=(?:"|')application\/json(?:"|')[^>]*>([\s\S]*?)<\/script>/gi;
@@ -233,6 +233,17 @@ export const isStrongProductOnlyProductImageCandidate = (url, hintText = "") =>
   }
 };
 
+/**
+ * Picks the images kept in a product's gallery from ranked candidates:
+ * product-only shots in their ranked order first, then model shots.
+ */
+export const selectProductGalleryImageCandidates = (candidates, hintText = "", limit = 6) => {
+  const rankedCandidates = uniqValues(candidates).filter((candidate) => /^https?:\/\//i.test(candidate));
+  const modelCandidates = rankedCandidates.filter((candidate) => isModelLikeProductImageCandidate(candidate, hintText));
+  const productOnlyCandidates = rankedCandidates.filter((candidate) => !modelCandidates.includes(candidate));
+  return [...productOnlyCandidates, ...modelCandidates].slice(0, Math.max(0, limit));
+};
+
 const isGalleryExtraProductImageCandidate = (url) => {
   try {
     const pathname = String(new URL(String(url || "")).pathname || "").toLowerCase();
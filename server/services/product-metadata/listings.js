@@ -0,0 +1,34 @@
+import { normalizeProductPriceRow } from "./price.js";
+
+const getStoreName = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./i, "").toLowerCase();
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Normalizes product_listings rows embedded on a canonical product into
+ * `[{ url, storeName, price, isSizeTableSource }]`, oldest first so the
+ * canonical product's own page leads. Returns [] for unmerged products.
+ */
+export const normalizeProductListings = (value) => {
+  const rows = (Array.isArray(value) ? value : [])
+    .filter((row) => row && typeof row === "object" && /^https?:\/\//i.test(String(row.url || "").trim()))
+    .sort((left, right) => String(left.created_at || "").localeCompare(String(right.created_at || "")));
+  const seenUrls = new Set();
+  const listings = [];
+  for (const row of rows) {
+    const url = String(row.url).trim();
+    if (seenUrls.has(url)) continue;
+    seenUrls.add(url);
+    listings.push({
+      url,
+      storeName: getStoreName(url),
+      price: normalizeProductPriceRow(row),
+      isSizeTableSource: row.is_size_table_source === true,
+    });
+  }
+  return listings;
+};
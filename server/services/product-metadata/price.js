@@ -0,0 +1,152 @@
+import { normalizeCellText } from "../../utils/size-table.js";
+
+export const PRODUCT_AVAILABILITIES = ["in_stock", "preorder", "out_of_stock"];
+
+const AVAILABILITY_PATTERNS = [
+  { availability: "out_of_stock", pattern: /(?:out\s*_?of\s*_?stock|sold\s*_?out|discontinued|unavailable|soldout|\uD488\uC808)/i }, // 품절
+  { availability: "preorder", pattern: /(?:pre\s*_?order|presale|backorder|\uC608\uC57D)/i }, // 예약
+  { availability: "in_stock", pattern: /(?:in\s*_?stock|instock|limited\s*_?availability|online\s*_?only|available)/i },
+];
+
+export const normalizeProductAvailability = (value) => {
+  const text = normalizeCellText(value).replace(/^https?:\/\/schema\.org\//i, "");
+  if (!text) return null;
+  return AVAILABILITY_PATTERNS.find(({ pattern }) => pattern.test(text))?.availability ?? null;
+};
+
+const parsePriceAmount = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) && value > 0 ? value : null;
+  const text = normalizeCellText(value).replace(/[^\d.,]/g, "");
+  if (!text) return null;
+  // "39,900" and "1.299,00" both occur; a trailing separator with one or two digits is the decimal point.
+  const decimalMatch = text.match(/[.,](\d{1,2})$/);
+  const integerPart = (decimalMatch ? text.slice(0, -decimalMatch[0].length) : text).replace(/[.,]/g, "");
+  const amount = Number(decimalMatch ? `${integerPart}.${decimalMatch[1]}` : integerPart);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+const normalizeCurrency = (value) => {
+  const text = normalizeCellText(value).toUpperCase();
+  if (/^[A-Z]{3}$/.test(text)) return text;
+  if (text === "\u20A9" || text === "\uC6D0") return "KRW"; // ₩, 원
+  return null;
+};
+
+/**
+ * Normalizes a `{ listPrice, salePrice, currency, availability }` price from
+ * a store adapter, JSON-LD offers or a stored row. A sale price only counts
+ * when it is below the list price; a lone price is the list price.
+ */
+export const normalizeProductPrice = (value) => {
+  if (!value || typeof value !== "object") return null;
+  let listPrice = parsePriceAmount(value.listPrice);
+  let salePrice = parsePriceAmount(value.salePrice);
+  if (listPrice === null && salePrice !== null) {
+    listPrice = salePrice;
+    salePrice = null;
+  }
+  if (salePrice !== null && listPrice !== null && salePrice >= listPrice) salePrice = null;
+  const availability = PRODUCT_AVAILABILITIES.includes(value.availability)
+    ? value.availability
+    : normalizeProductAvailability(value.availability);
+  if (listPrice === null && !availability) return null;
+  return {
+    listPrice,
+    salePrice,
+    currency: listPrice === null ? null : normalizeCurrency(value.currency),
+    availability,
+  };
+};
+
+const isListPriceSpecification = (specification) =>
+  /ListPrice|StrikethroughPrice|MSRP/i.test(normalizeCellText(specification?.priceType));
+
+/** Reads a price from a JSON-LD `offers` value (Offer, AggregateOffer or a list of them). */
+export const extractPriceFromOffers = (offers) => {
+  const offerNodes = (Array.isArray(offers) ? offers : [offers]).flatMap((offer) =>
+    Array.isArray(offer?.offers) ? offer.offers : [offer]
+  );
+  let price = null;
+  let listPrice = null;
+  let currency = "";
+  const availabilities = [];
+  for (const offer of offerNodes) {
+    if (!offer || typeof offer !== "object") continue;
+    const specifications = Array.isArray(offer.priceSpecification) ? offer.priceSpecification : [offer.priceSpecification];
+    const offerPrice = parsePriceAmount(offer.price ?? offer.lowPrice ?? specifications.find((item) => item && !isListPriceSpecification(item))?.price);
+    const offerListPrice = parsePriceAmount(specifications.find(isListPriceSpecification)?.price);
+    if (offerPrice !== null && (price === null || offerPrice < price)) price = offerPrice;
+    if (offerListPrice !== null && (listPrice === null || offerListPrice > listPrice)) listPrice = offerListPrice;
+    currency = currency || normalizeCellText(offer.priceCurrency || specifications.find(Boolean)?.priceCurrency);
+    const availability = normalizeProductAvailability(offer.availability);
+    if (availability) availabilities.push(availability);
+  }
+  return normalizeProductPrice({
+    listPrice: listPrice ?? price,
+    salePrice: listPrice === null ? null : price,
+    currency,
+    // Best first: one purchasable variant is enough for the product to be in stock.
+    availability: PRODUCT_AVAILABILITIES.find((availability) => availabilities.includes(availability)) ?? null,
+  });
+};
+
+/** Maps a normalized price onto the products table's price columns. */
+export const toProductPriceColumns = (value) => {
+  const price = normalizeProductPrice(value);
+  return {
+    list_price: price?.listPrice ?? null,
+    sale_price: price?.salePrice ?? null,
+    price_currency: price?.currency ?? null,
+    availability: price?.availability ?? null,
+  };
+};
+
+export const normalizeProductPriceRow = (row) =>
+  normalizeProductPrice({
+    listPrice: row?.list_price,
+    salePrice: row?.sale_price,
+    currency: row?.price_currency,
+    availability: row?.availability,
+  });
+
+export const PRICE_ALERT_KINDS = ["price_drop", "restock"];
+
+const getEffectiveAmount = (price) => price?.salePrice ?? price?.listPrice ?? null;
+
+const isPurchasable = (availability) => availability === "in_stock" || availability === "preorder";
+
+/** True when a re-check observed a different price or availability than the stored one. */
+export const hasProductPriceChanged = (previous, next) => {
+  const before = normalizeProductPrice(previous);
+  const after = normalizeProductPrice(next);
+  return (
+    before?.listPrice !== after?.listPrice ||
+    before?.salePrice !== after?.salePrice ||
+    before?.currency !== after?.currency ||
+    before?.availability !== after?.availability
+  );
+};
+
+/**
+ * Classifies a re-check as a restock (sold out before, purchasable now) or a
+ * price drop (lower effective price in the same currency while still
+ * purchasable). Anything else, including a first observation, is no alert.
+ */
+export const detectPriceAlert = (previous, next) => {
+  const before = normalizeProductPrice(previous);
+  const after = normalizeProductPrice(next);
+  if (!before || !after) return null;
+  if (before.availability === "out_of_stock" && isPurchasable(after.availability)) return "restock";
+  const beforeAmount = getEffectiveAmount(before);
+  const afterAmount = getEffectiveAmount(after);
+  if (
+    beforeAmount !== null &&
+    afterAmount !== null &&
+    afterAmount < beforeAmount &&
+    before.currency === after.currency &&
+    after.availability !== "out_of_stock"
+  ) {
+    return "price_drop";
+  }
+  return null;
+};
@@ -21,6 +21,11 @@ export function createProductMetadataResponseService({
       extracted.productMetadata && typeof extracted.productMetadata === "object" && !Array.isArray(extracted.productMetadata)
         ? extracted.productMetadata
         : null,
+    sizeOptionLabels: uniqValues(extracted.sizeOptionLabels || []),
+    sizeTableCandidates: Array.isArray(extracted.sizeTableCandidates) ? extracted.sizeTableCandidates : [],
+    price: extracted.price ?? null,
+    sizeAvailability: extracted.sizeAvailability ?? null,
+    colorVariants: extracted.colorVariants ?? null,
   });
 
   const hasAnyResolvedProductMetadata = ({ extracted, productImage, productImageCandidates }) =>
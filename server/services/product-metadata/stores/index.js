@@ -0,0 +1,13 @@
+import { kreamStoreAdapter } from "./kream.js";
+import { musinsaStoreAdapter } from "./musinsa.js";
+import { createStoreAdapterRegistry } from "./registry.js";
+import { zaraStoreAdapter } from "./zara.js";
+
+export { createStoreAdapterRegistry, matchesStoreHost } from "./registry.js";
+
+// New shops go here: one module per store exporting its adapter, plus a saved
+// page under src/utils/__fixtures__/product-pages. Shops without an adapter
+// (29CM, W Concept, SSF, Uniqlo, COS, Arket) use the generic extraction.
+export const STORE_ADAPTERS = [musinsaStoreAdapter, zaraStoreAdapter, kreamStoreAdapter];
+
+export const { findStoreAdapter, normalizePreferredStoreUrl } = createStoreAdapterRegistry(STORE_ADAPTERS);
@@ -0,0 +1,12 @@
+/**
+ * KREAM renders its product data client-side, so the adapter only routes the
+ * page through the headless browser; fields are then read from the rendered
+ * HTML by the generic parsers.
+ *
+ * @type {import("./registry.js").StoreAdapter}
+ */
+export const kreamStoreAdapter = {
+  id: "kream",
+  hosts: ["kream.co.kr"],
+  needsBrowser: true,
+};
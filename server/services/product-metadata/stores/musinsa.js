@@ -0,0 +1,55 @@
+import { normalizeCellText } from "../../../utils/size-table.js";
+import { normalizeProductPrice } from "../price.js";
+import { normalizeBrandName, uniqValues } from "../shared.js";
+
+const MUSINSA_SALE_TYPE_AVAILABILITY = {
+  SALE: "in_stock",
+  SOLDOUT: "out_of_stock",
+  SOLD_OUT: "out_of_stock",
+  STOP_SALE: "out_of_stock",
+};
+
+export const extractMusinsaPageData = (nextDataPayload) => {
+  const meta = nextDataPayload?.props?.pageProps?.meta?.data;
+  if (!meta || typeof meta !== "object") return null;
+
+  const resolveMusinsaImageUrl = (value) => {
+    const raw = normalizeCellText(value);
+    if (!raw) return "";
+    if (raw.startsWith("/images/")) return `https://image.msscdn.net${raw}`;
+    return raw;
+  };
+
+  const imageCandidates = [];
+  if (meta.thumbnailImageUrl) imageCandidates.push(resolveMusinsaImageUrl(meta.thumbnailImageUrl));
+  if (Array.isArray(meta.goodsImages)) {
+    for (const item of meta.goodsImages) {
+      const candidateUrl = resolveMusinsaImageUrl(item?.imageUrl || item?.url || "");
+      if (candidateUrl) imageCandidates.push(candidateUrl);
+    }
+  }
+
+  return {
+    brand: normalizeBrandName(meta?.brandInfo?.brandName || meta?.brand || ""),
+    name: normalizeCellText(meta?.goodsNm || ""),
+    imageCandidates: uniqValues(imageCandidates),
+    textBlocks: [meta?.goodsContents || "", meta?.specDesc || ""],
+    price: normalizeProductPrice({
+      listPrice: meta?.goodsPrice?.normalPrice,
+      salePrice: meta?.goodsPrice?.salePrice,
+      currency: "KRW",
+      availability: MUSINSA_SALE_TYPE_AVAILABILITY[normalizeCellText(meta?.goodsSaleType).toUpperCase()] ?? null,
+    }),
+  };
+};
+
+/** @type {import("./registry.js").StoreAdapter} */
+export const musinsaStoreAdapter = {
+  id: "musinsa",
+  hosts: ["musinsa.com"],
+  normalizeUrl: (url) => {
+    if (url.hostname === "musinsa.com" || url.hostname === "m.musinsa.com") url.hostname = "www.musinsa.com";
+    return url;
+  },
+  extractFromPage: ({ nextDataPayload }) => extractMusinsaPageData(nextDataPayload),
+};
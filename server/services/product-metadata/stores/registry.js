@@ -0,0 +1,59 @@
+/**
+ * A store adapter keeps everything specific to one shop in its own module.
+ * The metadata service looks the adapter up by product URL and falls back to
+ * the generic HTML/JSON-LD extraction for any field it leaves empty.
+ *
+ * @typedef {object} StorePage
+ * @property {string} html
+ * @property {string} pageUrl
+ * @property {unknown} nextDataPayload Parsed `__NEXT_DATA__`, or null.
+ * @property {unknown[]} jsonData `__NEXT_DATA__` plus every application/json script.
+ *
+ * @typedef {object} StorePageData
+ * @property {string} [brand]
+ * @property {string} [name]
+ * @property {string} [category]
+ * @property {string[]} [imageCandidates] Product images, ranked above generic page images.
+ * @property {string[]} [textBlocks] Description/spec texts used for tagging and size-table parsing.
+ * @property {{ table: unknown, snippet?: string }[]} [sizeTables] Charts the store exposes as data.
+ * @property {{ listPrice: number | null, salePrice: number | null, currency: string | null, availability: string | null } | null} [price]
+ *   Normalized with normalizeProductPrice.
+ *
+ * @typedef {object} StoreAdapter
+ * @property {string} id
+ * @property {string[]} hosts Hostnames the store serves; subdomains match too.
+ * @property {(url: URL) => URL} [normalizeUrl] Rewrites a product URL to the host that serves full pages.
+ * @property {(page: StorePage) => StorePageData | null} [extractFromPage]
+ * @property {(pageUrl: string, context: { fetchWithTimeout: Function }) => Promise<object | null>} [fetchMetadata]
+ *   Resolved metadata from a store API, used when the fetched page yields nothing.
+ * @property {boolean} [needsBrowser] The page only renders its product data in a browser.
+ */
+
+const toUrl = (urlValue) => {
+  try {
+    return new URL(String(urlValue || "").trim());
+  } catch {
+    return null;
+  }
+};
+
+export const matchesStoreHost = (adapter, urlValue) => {
+  const hostname = String(toUrl(urlValue)?.hostname || "").toLowerCase();
+  if (!hostname) return false;
+  return adapter.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+};
+
+/** @param {StoreAdapter[]} adapters */
+export const createStoreAdapterRegistry = (adapters) => {
+  /** @returns {StoreAdapter | null} */
+  const findStoreAdapter = (urlValue) => adapters.find((adapter) => matchesStoreHost(adapter, urlValue)) || null;
+
+  const normalizePreferredStoreUrl = (urlValue) => {
+    const parsed = toUrl(urlValue);
+    if (!parsed) return String(urlValue || "");
+    const adapter = findStoreAdapter(parsed.toString());
+    return (adapter?.normalizeUrl ? adapter.normalizeUrl(parsed) : parsed).toString();
+  };
+
+  return { adapters, findStoreAdapter, normalizePreferredStoreUrl };
+};
@@ -1,24 +1,22 @@
-import { fetchWithTimeout } from "./url.js";
-
-export const isZaraProductUrl = (urlValue) => {
-  try {
-    const hostname = new URL(String(urlValue || "")).hostname.replace(/^www\./, "").toLowerCase();
-    return hostname === "zara.com";
-  } catch {
-    return false;
-  }
-};
+import { normalizeProductPrice } from "../price.js";
+import { normalizeProductColorVariants } from "../variants.js";
+import { fetchWithTimeout as defaultFetchWithTimeout } from "../url.js";
 
 const ZARA_STORE_IDS = {
   kr: 25009458, us: 11710, gb: 10701, jp: 12374,
   de: 13046, fr: 13047, es: 10702, it: 10703,
 };
+const ZARA_CURRENCIES = {
+  kr: "KRW", us: "USD", gb: "GBP", jp: "JPY",
+  de: "EUR", fr: "EUR", es: "EUR", it: "EUR",
+};
 
 export const extractZaraMetadataFromInditexApi = async (
   pageUrl,
   {
     normalizeCellText = (value) => String(value || "").trim(),
     normalizeProductCategory = (value) => String(value || "").trim(),
+    fetchWithTimeout = defaultFetchWithTimeout,
   } = {}
 ) => {
   let referenceId = null;
@@ -57,13 +55,28 @@ export const extractZaraMetadataFromInditexApi = async (
     if (!name) return null;
 
     const productImageCandidates = [];
+    const colorVariants = [];
     for (const color of data.colors || []) {
+      const images = [];
       for (const media of color.xmedia || []) {
         const url = media.url || (media.path && media.name ? `https://static.zara.net${media.path}/${media.name}` : "");
-        if (url && /^https?:\/\//.test(url)) productImageCandidates.push(url);
+        if (url && /^https?:\/\//.test(url)) images.push(url);
       }
+      productImageCandidates.push(...images);
+      // Each color is its own catalog product; v1 opens the page on that color.
+      let variantUrl = "";
+      if (color.productId) {
+        const parsed = new URL(String(pageUrl));
+        parsed.searchParams.set("v1", String(color.productId));
+        variantUrl = parsed.toString();
+      }
+      colorVariants.push({ name: color.name, swatch: color.hexCode, images, url: variantUrl });
     }
 
+    // Catalog prices are in hundredths of the currency unit.
+    const [firstColor] = data.colors || [];
+    const toAmount = (value) => (value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value) / 100);
+
     return {
       url: pageUrl,
       brand: "Zara",
@@ -72,17 +85,23 @@ export const extractZaraMetadataFromInditexApi = async (
       image_path: productImageCandidates[0] || "",
       productImage: null,
       productImageCandidates: productImageCandidates.slice(0, 24),
+      colorVariants: normalizeProductColorVariants(colorVariants),
+      price: normalizeProductPrice({
+        listPrice: toAmount(firstColor?.oldPrice ?? firstColor?.price),
+        salePrice: toAmount(firstColor?.oldPrice ? firstColor?.price : null),
+        currency: ZARA_CURRENCIES[countryCode] || ZARA_CURRENCIES.kr,
+        availability: firstColor?.availability,
+      }),
     };
   } catch {
     return null;
   }
 };
 
-export const isKreamProductUrl = (urlValue) => {
-  try {
-    const parsed = new URL(String(urlValue || "").trim());
-    return String(parsed.hostname || "").toLowerCase().includes("kream.co.kr");
-  } catch {
-    return false;
-  }
+/** @type {import("./registry.js").StoreAdapter} */
+export const zaraStoreAdapter = {
+  id: "zara",
+  hosts: ["zara.com"],
+  // Product pages are client-rendered; the Inditex catalog API has the data.
+  fetchMetadata: (pageUrl, { fetchWithTimeout }) => extractZaraMetadataFromInditexApi(pageUrl, { fetchWithTimeout }),
 };
@@ -128,20 +128,3 @@ export const toWwwHostUrl = (urlValue) => {
   parsed.hostname = `www.${hostname}`;
   return parsed.toString();
 };
-
-export const normalizePreferredStoreUrl = (urlValue) => {
-  let parsed = null;
-  try {
-    parsed = new URL(String(urlValue || "").trim());
-  } catch {
-    return String(urlValue || "");
-  }
-
-  const hostname = String(parsed.hostname || "").toLowerCase();
-  if (hostname === "musinsa.com" || hostname === "m.musinsa.com") {
-    parsed.hostname = "www.musinsa.com";
-    return parsed.toString();
-  }
-
-  return parsed.toString();
-};
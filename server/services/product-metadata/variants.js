@@ -0,0 +1,95 @@
+import { normalizeCellText } from "../../utils/size-table.js";
+import { uniqValues } from "./shared.js";
+
+export const MAX_COLOR_VARIANTS = 12;
+export const MAX_COLOR_VARIANT_IMAGES = 8;
+const MAX_COLOR_NAME_LENGTH = 60;
+
+const HEX_SWATCH_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const toAbsoluteHttpUrl = (value, baseUrl = "") => {
+  const text = normalizeCellText(value);
+  if (!text) return null;
+  try {
+    const url = new URL(text.startsWith("//") ? `https:${text}` : text, baseUrl || undefined);
+    return /^https?:$/.test(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+/** A swatch is a hex color or a small swatch image URL. */
+export const normalizeColorSwatch = (value, baseUrl = "") => {
+  const text = normalizeCellText(value);
+  if (!text) return null;
+  if (HEX_SWATCH_PATTERN.test(text)) return text.toLowerCase();
+  if (/^[0-9a-f]{6}$/i.test(text)) return `#${text.toLowerCase()}`;
+  // Anything else must be an image path, not a CSS color keyword.
+  return /^(?:https?:)?\/\/|^\/|\.(?:jpe?g|png|gif|webp|avif|svg)(?:[?#]|$)/i.test(text) ? toAbsoluteHttpUrl(text, baseUrl) : null;
+};
+
+const normalizeColorVariant = (value, baseUrl) => {
+  const name = normalizeCellText(value?.name).slice(0, MAX_COLOR_NAME_LENGTH);
+  if (!name) return null;
+  const rawImages = Array.isArray(value?.images) ? value.images : [value?.images];
+  return {
+    name,
+    swatch: normalizeColorSwatch(value?.swatch, baseUrl),
+    images: uniqValues(rawImages.map((image) => toAbsoluteHttpUrl(image, baseUrl)).filter(Boolean)).slice(
+      0,
+      MAX_COLOR_VARIANT_IMAGES
+    ),
+    url: toAbsoluteHttpUrl(value?.url, baseUrl),
+  };
+};
+
+/**
+ * Sanitizes `[{ name, swatch, images, url }]` color variants from a store
+ * adapter, JSON-LD, option markup or products.color_variants. Variants are
+ * keyed by name, so repeats (one per size in most feeds) merge their images.
+ */
+export const normalizeProductColorVariants = (value, baseUrl = "") => {
+  const variantsByName = new Map();
+  for (const item of Array.isArray(value) ? value : []) {
+    const variant = normalizeColorVariant(item, baseUrl);
+    if (!variant) continue;
+    const key = variant.name.toLowerCase();
+    const existing = variantsByName.get(key);
+    if (!existing) {
+      if (variantsByName.size < MAX_COLOR_VARIANTS) variantsByName.set(key, variant);
+      continue;
+    }
+    existing.swatch = existing.swatch || variant.swatch;
+    existing.url = existing.url || variant.url;
+    existing.images = uniqValues([...existing.images, ...variant.images]).slice(0, MAX_COLOR_VARIANT_IMAGES);
+  }
+  return variantsByName.size > 0 ? [...variantsByName.values()] : null;
+};
+
+const readJsonLdImages = (image) =>
+  (Array.isArray(image) ? image : [image]).map((item) =>
+    item && typeof item === "object" ? item.url || item.contentUrl || "" : item
+  );
+
+const readJsonLdColor = (node) => {
+  const color = node?.color;
+  if (Array.isArray(color)) return normalizeCellText(color[0]);
+  if (color && typeof color === "object") return normalizeCellText(color.name);
+  return normalizeCellText(color);
+};
+
+/**
+ * Color variants from JSON-LD Product nodes, typically the `hasVariant`
+ * entries of a ProductGroup: every node with a `color` contributes its
+ * images and URL to that color. A single color is not a variant choice.
+ */
+export const extractColorVariantsFromProductNodes = (productNodes) => {
+  const variants = normalizeProductColorVariants(
+    (Array.isArray(productNodes) ? productNodes : []).map((node) => ({
+      name: readJsonLdColor(node),
+      images: readJsonLdImages(node?.image),
+      url: node?.url || (Array.isArray(node?.offers) ? node.offers[0]?.url : node?.offers?.url),
+    }))
+  );
+  return variants && variants.length > 1 ? variants : null;
+};
@@ -0,0 +1,50 @@
+import { normalizeCellText } from "../../utils/size-table.js";
+import { extractOptionSizeStatesFromHtml, extractOptionSizeStockFromJsonData } from "./validation.js";
+
+export const SIZE_AVAILABILITIES = ["in_stock", "out_of_stock"];
+const MAX_SIZE_AVAILABILITY_ENTRIES = 40;
+
+/**
+ * Sanitizes the `{ checkedAt, sizes: [{ label, availability }] }` record
+ * stored in products.size_availability. `checkedAt` is when the store page
+ * was read, so the UI can tell how fresh a sold-out flag is.
+ */
+export const normalizeSizeAvailability = (value) => {
+  const seen = new Set();
+  const sizes = (Array.isArray(value?.sizes) ? value.sizes : []).flatMap((size) => {
+    const label = normalizeCellText(size?.label);
+    const availability = normalizeCellText(size?.availability);
+    if (!label || !SIZE_AVAILABILITIES.includes(availability) || seen.has(label)) return [];
+    seen.add(label);
+    return [{ label, availability }];
+  }).slice(0, MAX_SIZE_AVAILABILITY_ENTRIES);
+  if (sizes.length === 0) return null;
+  const checkedAt = Date.parse(normalizeCellText(value?.checkedAt));
+  return {
+    checkedAt: Number.isFinite(checkedAt) ? new Date(checkedAt).toISOString() : null,
+    sizes,
+  };
+};
+
+/**
+ * Per-size stock for a product page. Option markup decides which sizes exist;
+ * embedded JSON inventory, when it covers a size, overrides the markup state
+ * because it is what the store's own option picker renders from. JSON sizes
+ * are only used on their own when the page has no option markup, so sizes of
+ * unrelated products in the same payload are not picked up.
+ *
+ * @param {{ html?: string, jsonData?: unknown[], checkedAt?: string }} input
+ */
+export const extractSizeAvailabilityFromPage = ({ html = "", jsonData = [], checkedAt = new Date().toISOString() }) => {
+  const optionStates = extractOptionSizeStatesFromHtml(html);
+  const stockStates = extractOptionSizeStockFromJsonData(jsonData);
+  const stockByLabel = new Map(stockStates.map(({ label, soldOut }) => [label, soldOut]));
+  const states = optionStates.length > 0 ? optionStates : stockStates;
+  return normalizeSizeAvailability({
+    checkedAt,
+    sizes: states.map(({ label, soldOut }) => ({
+      label,
+      availability: (stockByLabel.get(label) ?? soldOut) ? "out_of_stock" : "in_stock",
+    })),
+  });
+};
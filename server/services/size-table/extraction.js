@@ -1,44 +1,79 @@
 import { stripHtml } from "../product-metadata/html.js";
 import {
+  buildSizeTableTextSnippet,
   collectTextBlocksFromJsonData,
-  extractSizeTableFromHtmlTables,
-  extractSizeTableFromJsonData,
+  extractSizeTableCandidatesFromHtmlTables,
+  extractSizeTableCandidatesFromJsonData,
   extractSizeTableFromPlainText,
 } from "./parsers.js";
+import { MAX_SIZE_TABLE_CANDIDATES, truncateSizeTableSnippet } from "./provenance.js";
+import { standardizeSizeTable } from "../../utils/size-table.js";
 import {
   alignAndValidateSizeTableByOptionLabels,
   extractOptionSizeLabelsFromHtml,
   scoreSizeTableCandidate,
 } from "./validation.js";
+import { extractSizeAvailabilityFromPage } from "./availability.js";
 
 export {
   alignAndValidateSizeTableByOptionLabels,
   collectTextBlocksFromJsonData,
   extractOptionSizeLabelsFromHtml,
+  extractSizeAvailabilityFromPage,
 };
 
-export const extractSizeTableFromPage = ({ html, textBlocks = [], jsonData = null }) => {
-  let bestTable = null;
-  let bestScore = -1;
+/**
+ * Ranks every size table the page yields, best first, keeping where each one
+ * came from (`source`), its page-level score and a raw `snippet` of the source
+ * so a wrong auto-pick can be swapped for another candidate. Identical tables
+ * found in several places keep only their best-scoring entry.
+ *
+ * `storeTables` are charts a store adapter read from the store's own data.
+ * Every candidate is aligned to the page's size options (`optionSizeLabels`)
+ * the same way a single extracted table is; ones that fail are dropped.
+ *
+ * @param {{ html?: string, textBlocks?: string[], jsonData?: unknown, storeTables?: { table: unknown, snippet?: string }[], optionSizeLabels?: string[] }} input
+ */
+export const extractSizeTableCandidatesFromPage = ({
+  html,
+  textBlocks = [],
+  jsonData = null,
+  storeTables = [],
+  optionSizeLabels = [],
+}) => {
+  const candidates = [];
+  const seenTables = new Set();
 
-  const consider = (table, bonus = 0) => {
+  const consider = (source, candidate, bonus = 0) => {
+    if (!candidate?.table) return;
+    const table = alignAndValidateSizeTableByOptionLabels(candidate.table, optionSizeLabels);
     if (!table) return;
     const score = scoreSizeTableCandidate(table);
     if (score < 0) return;
-    const weightedScore = score + bonus;
-    if (weightedScore > bestScore) {
-      bestScore = weightedScore;
-      bestTable = table;
-    }
+    candidates.push({ source, score: score + bonus, snippet: candidate.snippet, table });
+  };
+  const considerText = (source, text) => {
+    const plainText = stripHtml(text);
+    consider(source, { table: extractSizeTableFromPlainText(plainText), snippet: buildSizeTableTextSnippet(plainText) }, 1);
   };
 
-  consider(extractSizeTableFromHtmlTables(html), 2);
-  consider(extractSizeTableFromJsonData(jsonData), 0);
-
-  for (const block of textBlocks) {
-    consider(extractSizeTableFromPlainText(stripHtml(block)), 1);
+  for (const { table, snippet = "" } of storeTables) {
+    consider("store_data", { table: standardizeSizeTable(table), snippet: truncateSizeTableSnippet(snippet) }, 3);
   }
+  for (const candidate of extractSizeTableCandidatesFromHtmlTables(html)) consider("html_table", candidate, 2);
+  for (const candidate of extractSizeTableCandidatesFromJsonData(jsonData)) consider("json_data", candidate, 0);
+  for (const block of textBlocks) considerText("text_block", block);
+  considerText("page_text", html);
 
-  consider(extractSizeTableFromPlainText(stripHtml(html)), 1);
-  return bestTable;
+  return candidates
+    .sort((left, right) => right.score - left.score)
+    .filter(({ table }) => {
+      const key = JSON.stringify(table);
+      if (seenTables.has(key)) return false;
+      seenTables.add(key);
+      return true;
+    })
+    .slice(0, MAX_SIZE_TABLE_CANDIDATES);
 };
+
+export const extractSizeTableFromPage = (input) => extractSizeTableCandidatesFromPage(input)[0]?.table ?? null;
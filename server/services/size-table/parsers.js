@@ -1,4 +1,5 @@
 import {
+  detectSizeTableUnitFromText,
   isLikelyMeasurementLabel,
   isLikelyMeasurementLabelLoose,
   isLikelySizeLabel,
@@ -11,6 +12,7 @@ import {
 } from "../../utils/size-table.js";
 import { stripHtml } from "../product-metadata/html.js";
 import { uniqValues } from "../product-metadata/shared.js";
+import { truncateSizeTableSnippet } from "./provenance.js";
 import {
   isLikelyMeasurementKey,
   isNumericLikeCell,
@@ -127,12 +129,21 @@ const extractSizeTableFromSizeMapObject = (node) => {
   });
 };
 
-export const extractSizeTableFromJsonData = (jsonData) => {
-  if (!jsonData) return null;
+const sortCandidatesByScore = (candidates) => candidates.sort((left, right) => right.score - left.score);
+
+/** Size-hint-led excerpt of a source text, kept as a candidate's raw snippet. */
+export const buildSizeTableTextSnippet = (value) => {
+  const text = normalizeCellText(value);
+  const hintIndex = text.search(SIZE_HINT_PATTERN);
+  return truncateSizeTableSnippet(hintIndex > 0 ? text.slice(hintIndex) : text);
+};
+
+/** Every table found in the JSON payloads scoring 4 or more, best first, with the JSON node it came from. */
+export const extractSizeTableCandidatesFromJsonData = (jsonData) => {
+  if (!jsonData) return [];
   const stack = [jsonData];
   let visited = 0;
-  let bestTable = null;
-  let bestScore = -1;
+  const candidates = [];
 
   while (stack.length > 0 && visited < 3000) {
     const node = stack.pop();
@@ -140,10 +151,8 @@ export const extractSizeTableFromJsonData = (jsonData) => {
 
     const consider = (table) => {
       const score = scoreSizeTableCandidate(table);
-      if (score > bestScore) {
-        bestScore = score;
-        bestTable = table;
-      }
+      if (score < 4) return;
+      candidates.push({ table, score, snippet: truncateSizeTableSnippet(JSON.stringify(node)) });
     };
 
     if (Array.isArray(node)) {
@@ -166,9 +175,11 @@ export const extractSizeTableFromJsonData = (jsonData) => {
     }
   }
 
-  return bestScore >= 4 ? bestTable : null;
+  return sortCandidatesByScore(candidates);
 };
 
+export const extractSizeTableFromJsonData = (jsonData) => extractSizeTableCandidatesFromJsonData(jsonData)[0]?.table ?? null;
+
 export const collectTextBlocksFromJsonData = (jsonData) => {
   const blocks = [];
   const stack = [{ node: jsonData, keyHint: "" }];
@@ -204,10 +215,10 @@ export const collectTextBlocksFromJsonData = (jsonData) => {
   return uniqValues(blocks);
 };
 
-export const extractSizeTableFromHtmlTables = (html) => {
+/** Every `<table>` that reads as a size chart (score 4 or more), best first, with its text as the snippet. */
+export const extractSizeTableCandidatesFromHtmlTables = (html) => {
   const tablePattern = /<table[\s\S]*?<\/table>/gi;
-  let bestScore = -1;
-  let bestTable = null;
+  const candidates = [];
   let tableMatch = null;
 
   while ((tableMatch = tablePattern.exec(String(html || ""))) !== null) {
@@ -234,23 +245,25 @@ export const extractSizeTableFromHtmlTables = (html) => {
     if (!candidate) continue;
 
     const keywordBoost =
-      /(?:size|\uC0AC\uC774\uC988|\uCE58\uC218|cm|\uCD1D\uC7A5|\uAC00\uC2B4|\uC5B4\uAE68|\uD5C8\uB9AC|\uC18C\uB9E4)/i
+      /(?:size|\uC0AC\uC774\uC988|\uCE58\uC218|cm|mm|\uCD1D\uC7A5|\uAC00\uC2B4|\uC5B4\uAE68|\uD5C8\uB9AC|\uC18C\uB9E4|\uBC1C\uAE38\uC774|\uBC1C\uBCFC)/i
         .test(stripHtml(tableHtml))
         ? 2
         : 0;
     const score = scoreSizeTableCandidate(candidate) + keywordBoost;
-    if (score > bestScore) {
-      bestScore = score;
-      bestTable = candidate;
-    }
+    if (score < 4) continue;
+    candidates.push({ table: candidate, score, snippet: truncateSizeTableSnippet(stripHtml(tableHtml)) });
   }
 
-  return bestScore >= 4 ? bestTable : null;
+  return sortCandidatesByScore(candidates);
 };
 
+export const extractSizeTableFromHtmlTables = (html) => extractSizeTableCandidatesFromHtmlTables(html)[0]?.table ?? null;
+
 export const extractSizeTableFromPlainText = (value) => {
   const text = normalizeCellText(value);
   if (!text) return null;
+  // Plain-text values lose their unit suffixes below, so remember it up front.
+  const sourceUnit = detectSizeTableUnitFromText(text);
 
   const indexedSizeRows = [];
   const indexedSizeRowPattern = /\[(\d{1,3})\]\s*([\s\S]*?)(?=(?:\[\d{1,3}\])|$)/g;
@@ -301,6 +314,7 @@ export const extractSizeTableFromPlainText = (value) => {
         const parsedIndexedTable = standardizeSizeTable({
           headers: ["size", ...sizeHeaders],
           rows,
+          sourceUnit,
         });
         if (parsedIndexedTable) return parsedIndexedTable;
       }
@@ -343,6 +357,7 @@ export const extractSizeTableFromPlainText = (value) => {
     const parsedTable = standardizeSizeTable({
       headers: ["size", ...sizeValues],
       rows,
+      sourceUnit,
     });
     if (!parsedTable) continue;
 
@@ -386,7 +401,7 @@ export const extractSizeTableFromPlainText = (value) => {
           const headers = ["size", ...measurementHeaders.slice(0, valueColumnCount)];
           while (headers.length <= valueColumnCount) headers.push(`measure_${headers.length}`);
           const normalizedRows = rows.map((row) => [row[0], ...row.slice(1, valueColumnCount + 1)]);
-          const table = standardizeSizeTable({ headers, rows: normalizedRows });
+          const table = standardizeSizeTable({ headers, rows: normalizedRows, sourceUnit });
           if (table) return table;
         }
       }
@@ -422,5 +437,6 @@ export const extractSizeTableFromPlainText = (value) => {
   return standardizeSizeTable({
     headers: ["size", ...sizeValues],
     rows,
+    sourceUnit,
   });
 };
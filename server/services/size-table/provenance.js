@@ -0,0 +1,43 @@
+import { normalizeCellText, parseSizeTable } from "../../utils/size-table.js";
+
+export const SIZE_TABLE_SOURCES = ["store_data", "html_table", "json_data", "text_block", "page_text", "gemini_image"];
+export const MAX_SIZE_TABLE_CANDIDATES = 5;
+export const SIZE_TABLE_SNIPPET_MAX_LENGTH = 300;
+
+export const truncateSizeTableSnippet = (value) => {
+  const text = normalizeCellText(value);
+  return text.length > SIZE_TABLE_SNIPPET_MAX_LENGTH ? `${text.slice(0, SIZE_TABLE_SNIPPET_MAX_LENGTH - 1)}\u2026` : text;
+};
+
+const normalizeSizeTableCandidate = (value) => {
+  const table = parseSizeTable(value?.table);
+  const source = normalizeCellText(value?.source);
+  if (!table || !SIZE_TABLE_SOURCES.includes(source)) return null;
+  const score = Number(value?.score);
+  return {
+    source,
+    score: value?.score === null || !Number.isFinite(score) ? null : score,
+    snippet: truncateSizeTableSnippet(value?.snippet),
+    table,
+  };
+};
+
+/**
+ * Sanitizes the `{ selectedIndex, candidates }` record stored in
+ * products.size_table_provenance. Candidates keep their tables so the admin
+ * editor can switch to another one later; an out-of-range selection falls
+ * back to the top-ranked candidate.
+ */
+export const normalizeSizeTableProvenance = (value) => {
+  const candidates = (Array.isArray(value?.candidates) ? value.candidates : [])
+    .map(normalizeSizeTableCandidate)
+    .filter(Boolean)
+    // Page candidates plus the one read from an uploaded chart image.
+    .slice(0, MAX_SIZE_TABLE_CANDIDATES + 1);
+  if (candidates.length === 0) return null;
+  const selectedIndex = Number(value?.selectedIndex);
+  return {
+    selectedIndex: Number.isInteger(selectedIndex) && selectedIndex >= 0 && selectedIndex < candidates.length ? selectedIndex : 0,
+    candidates,
+  };
+};
@@ -0,0 +1,209 @@
+import { parseSizeLabel, toComparableSize } from "../../../src/utils/sizeConversion.js";
+import {
+  SIZE_COLUMN_LABEL,
+  isMeasurementBasisLabel,
+  normalizeCellText,
+  normalizeComparableSizeLabel,
+  parseMeasurementCell,
+  parseSizeTable,
+} from "../../utils/size-table.js";
+import { uniqValues } from "../product-metadata/shared.js";
+
+const TOTAL_LENGTH = "\uCD1D\uC7A5"; // 총장
+const HIP = "\uC5C9\uB369\uC774"; // 엉덩이
+const THIGH = "\uD5C8\uBC85\uC9C0"; // 허벅지
+const RISE = "\uBC11\uC704"; // 밑위
+const INSEAM = "\uC778\uC2EC"; // 인심
+const FOOT_LENGTH = "\uBC1C\uAE38\uC774"; // 발길이
+const INSOLE_LENGTH = "\uC778\uC194\uAE38\uC774"; // 인솔길이
+const HEEL_HEIGHT = "\uAD7D\uB192\uC774"; // 굽높이
+
+// Widest values (cm) a real chart can hold. Measurement-basis labels use the
+// flat range here; circumference columns get it doubled.
+const PLAUSIBLE_MEASUREMENT_RANGES = {
+  [TOTAL_LENGTH]: [15, 200],
+  "\uC5B4\uAE68": [25, 80], // 어깨
+  "\uAC00\uC2B4": [25, 90], // 가슴
+  "\uC18C\uB9E4": [5, 100], // 소매
+  "\uC554\uD640": [10, 70], // 암홀
+  "\uD5C8\uB9AC": [20, 80], // 허리
+  [HIP]: [25, 85],
+  [THIGH]: [10, 50],
+  [RISE]: [10, 60],
+  "\uBC11\uB2E8": [5, 170], // 밑단
+  [INSEAM]: [5, 110],
+  [FOOT_LENGTH]: [10, 35],
+  "\uBC1C\uBCFC": [5, 15], // 발볼
+  [INSOLE_LENGTH]: [10, 36],
+  [HEEL_HEIGHT]: [0, 20],
+};
+const CATEGORY_RANGE_OVERRIDES = {
+  top: { [TOTAL_LENGTH]: [30, 110] },
+  outer: { [TOTAL_LENGTH]: [35, 150] },
+  bottom: { [TOTAL_LENGTH]: [20, 140], "\uBC11\uB2E8": [5, 50] },
+};
+
+// Measurements that do not have to grow with the size.
+const NON_GRADED_LABELS = [HEEL_HEIGHT];
+
+// [larger, smaller] pairs that hold on any garment, so a chart where every row
+// has them the other way round almost certainly has the two columns swapped.
+const COLUMN_ORDER_RULES = [
+  [TOTAL_LENGTH, INSEAM],
+  [TOTAL_LENGTH, RISE],
+  [HIP, THIGH],
+  [INSOLE_LENGTH, FOOT_LENGTH],
+];
+
+const MONOTONIC_TOLERANCE_CM = 0.5;
+
+const getPlausibleRange = (label, category, basis) => {
+  const override = CATEGORY_RANGE_OVERRIDES[normalizeCellText(category).toLowerCase()]?.[label];
+  const range = override || PLAUSIBLE_MEASUREMENT_RANGES[label];
+  if (!range || !isMeasurementBasisLabel(label)) return range || null;
+  if (basis === "circumference") return [range[0] * 2, range[1] * 2];
+  if (basis === "flat") return range;
+  return [range[0], range[1] * 2];
+};
+
+// Rows in size order when every label parses to the same kind of size,
+// otherwise in the order the store published them.
+const getGradedRowOrder = (rows, category) => {
+  const comparable = rows.map((row, index) => ({
+    index,
+    size: toComparableSize(parseSizeLabel(row[0], { category })),
+  }));
+  const kinds = new Set(comparable.map(({ size }) => size?.kind ?? null));
+  if (kinds.size !== 1 || kinds.has(null) || comparable.some(({ size }) => !Number.isFinite(size?.value))) {
+    return rows.map((_, index) => index);
+  }
+  return comparable.sort((left, right) => left.size.value - right.size.value).map(({ index }) => index);
+};
+
+/**
+ * Checks a stored size table for the anomalies that make a chart suspicious
+ * and reports each one with the cells involved, so admins can see why instead
+ * of getting a single accept/reject. Cells are addressed by size label and
+ * canonical measurement label, which survive re-ordering and display layouts.
+ * `optionSizeLabels` are the size options scraped from the product page.
+ *
+ * @param {unknown} value
+ * @param {{ category?: string | null, optionSizeLabels?: string[] }} [options]
+ */
+export const buildSizeTableValidationReport = (value, { category = "", optionSizeLabels = [] } = {}) => {
+  const table = parseSizeTable(value);
+  const options = uniqValues((optionSizeLabels || []).map((label) => normalizeComparableSizeLabel(label)).filter(Boolean));
+  const findings = [];
+  const cell = (row, columnIndex) => ({ size: row[0], label: columnIndex === 0 ? SIZE_COLUMN_LABEL : table.headers[columnIndex] });
+
+  if (!table?.rows?.length) return { status: "ok", findings, optionSizeLabels: options };
+
+  const rowsBySize = new Map();
+  table.rows.forEach((row) => {
+    const size = normalizeComparableSizeLabel(row[0]);
+    if (!size) return;
+    rowsBySize.set(size, [...(rowsBySize.get(size) || []), row]);
+  });
+  rowsBySize.forEach((rows, size) => {
+    if (rows.length < 2) return;
+    findings.push({ code: "duplicate_size_row", severity: "error", labels: [], sizes: [size], cells: rows.map((row) => cell(row, 0)) });
+  });
+
+  const valuesByLabel = new Map();
+  table.headers.forEach((label, columnIndex) => {
+    if (columnIndex === 0 || !PLAUSIBLE_MEASUREMENT_RANGES[label] || valuesByLabel.has(label)) return;
+    valuesByLabel.set(label, {
+      columnIndex,
+      values: table.rows.map((row) => parseMeasurementCell(row[columnIndex])?.value ?? null),
+    });
+  });
+
+  const order = getGradedRowOrder(table.rows, category);
+  valuesByLabel.forEach(({ columnIndex, values }, label) => {
+    const range = getPlausibleRange(label, category, table.measurementBasis?.[label]);
+    const impossible = table.rows.filter((_, rowIndex) => {
+      const number = values[rowIndex];
+      return number !== null && range && (number < range[0] || number > range[1]);
+    });
+    if (impossible.length > 0) {
+      findings.push({
+        code: "impossible_value",
+        severity: "error",
+        labels: [label],
+        sizes: impossible.map((row) => row[0]),
+        cells: impossible.map((row) => cell(row, columnIndex)),
+      });
+    }
+
+    if (NON_GRADED_LABELS.includes(label)) return;
+    const breaks = new Set();
+    let previous = null;
+    for (const rowIndex of order) {
+      const number = values[rowIndex];
+      if (number === null) continue;
+      if (previous && number < previous.number - MONOTONIC_TOLERANCE_CM) {
+        breaks.add(previous.rowIndex);
+        breaks.add(rowIndex);
+      }
+      previous = { rowIndex, number };
+    }
+    if (breaks.size > 0) {
+      const rows = order.filter((rowIndex) => breaks.has(rowIndex)).map((rowIndex) => table.rows[rowIndex]);
+      findings.push({
+        code: "non_monotonic",
+        severity: "warning",
+        labels: [label],
+        sizes: rows.map((row) => row[0]),
+        cells: rows.map((row) => cell(row, columnIndex)),
+      });
+    }
+  });
+
+  for (const [larger, smaller] of COLUMN_ORDER_RULES) {
+    const left = valuesByLabel.get(larger);
+    const right = valuesByLabel.get(smaller);
+    if (!left || !right || table.measurementBasis?.[larger] !== table.measurementBasis?.[smaller]) continue;
+    const comparedIndexes = table.rows
+      .map((_, rowIndex) => rowIndex)
+      .filter((rowIndex) => left.values[rowIndex] !== null && right.values[rowIndex] !== null);
+    const isSwapped =
+      comparedIndexes.length > 0 && comparedIndexes.every((rowIndex) => left.values[rowIndex] < right.values[rowIndex]);
+    if (!isSwapped) continue;
+    findings.push({
+      code: "swapped_columns",
+      severity: "warning",
+      labels: [larger, smaller],
+      sizes: [],
+      cells: comparedIndexes.flatMap((rowIndex) => [
+        cell(table.rows[rowIndex], left.columnIndex),
+        cell(table.rows[rowIndex], right.columnIndex),
+      ]),
+    });
+  }
+
+  if (options.length >= 2) {
+    const tableSizes = [...rowsBySize.keys()];
+    const missing = options.filter((size) => !rowsBySize.has(size));
+    const unexpected = tableSizes.filter((size) => !options.includes(size));
+    if (missing.length > 0 || unexpected.length > 0) {
+      findings.push({
+        code: "option_label_mismatch",
+        severity: "warning",
+        labels: [],
+        sizes: missing,
+        cells: unexpected.flatMap((size) => rowsBySize.get(size).map((row) => cell(row, 0))),
+      });
+    }
+  }
+
+  const status = findings.some((finding) => finding.severity === "error")
+    ? "error"
+    : findings.length > 0
+      ? "warning"
+      : "ok";
+  return { status, findings, optionSizeLabels: options };
+};
+
+/** Reads the option labels back out of a stored report so re-validation keeps them. */
+export const getReportOptionSizeLabels = (report) =>
+  Array.isArray(report?.optionSizeLabels) ? report.optionSizeLabels.map((label) => normalizeCellText(label)).filter(Boolean) : [];
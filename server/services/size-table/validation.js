@@ -1,11 +1,13 @@
 import {
   ITEM_LABEL,
+  copySizeTableMetadata,
   isLikelyMeasurementLabel,
   isLikelyMeasurementLabelLoose,
   isLikelySizeLabel,
   normalizeCellText,
   normalizeComparableSizeLabel,
   normalizeSizeLabel,
+  parseMeasurementCell,
   transposeTable,
 } from "../../utils/size-table.js";
 import { stripHtml } from "../product-metadata/html.js";
@@ -14,7 +16,7 @@ import { uniqValues } from "../product-metadata/shared.js";
 export const SIZE_KEY_NAME_PATTERN =
   /(?:size|\uC0AC\uC774\uC988|\uC635\uC158|\uCE58\uC218|\uADDC\uACA9|\uD638\uC218)/i;
 export const MEASUREMENT_KEY_HINT_PATTERN =
-  /(?:\uCD1D\uC7A5|\uAE30\uC7A5|\uC5B4\uAE68|\uAC00\uC2B4|\uC18C\uB9E4|\uD5C8\uB9AC|\uC5C9\uB369|\uD5C8\uBC85|\uBC11\uC704|\uBC11\uB2E8|\uAE38\uC774|length|shoulder|chest|sleeve|waist|hip|thigh|rise|hem|inseam|pit|bust|body|width)/i;
+  /(?:\uCD1D\uC7A5|\uAE30\uC7A5|\uC5B4\uAE68|\uAC00\uC2B4|\uC18C\uB9E4|\uD5C8\uB9AC|\uC5C9\uB369|\uD5C8\uBC85|\uBC11\uC704|\uBC11\uB2E8|\uAE38\uC774|\uBC1C\uBCFC|\uC778\uC194|\uAD7D|\uC554\uD640|length|shoulder|chest|sleeve|waist|hip|thigh|rise|hem|inseam|pit|bust|body|width|foot|insole|heel|armhole)/i;
 
 const areSequentialNumericSizeHeaders = (headers) =>
   Array.isArray(headers) &&
@@ -38,18 +40,9 @@ const isNumericLikeCell = (value) => {
   return /-?\d+(?:\.\d+)?/.test(cleaned);
 };
 
-export const parseNumericCellValue = (value) => {
-  const text = normalizeCellText(value).toLowerCase();
-  if (!text) return null;
-  const cleaned = text
-    .replace(/,/g, "")
-    .replace(/\b(cm|mm|in|inch|kg|g|oz)\b/g, "")
-    .replace(/\s+/g, "");
-  const tokenMatch = cleaned.match(/-?\d+(?:\.\d+)?/);
-  if (!tokenMatch?.[0]) return null;
-  const numeric = Number(tokenMatch[0]);
-  return Number.isFinite(numeric) ? numeric : null;
-};
+// Returns the first number in a cell in centimeters; inch-marked cells are
+// converted so range checks compare every store on the same scale.
+export const parseNumericCellValue = (value) => parseMeasurementCell(value)?.value ?? null;
 
 export const isLikelyMeasurementKey = (value) => {
   const text = normalizeCellText(value);
@@ -95,30 +88,106 @@ export const hasUsableSizeTableShape = (table) => {
 const pickUsableSizeTableOrientation = (table) => {
   if (!table) return null;
   if (hasUsableSizeTableShape(table)) return table;
-  const transposed = transposeTable(table);
+  const transposed = copySizeTableMetadata(transposeTable(table), table);
   if (hasUsableSizeTableShape(transposed)) return transposed;
   return null;
 };
 
-export const extractOptionSizeLabelsFromHtml = (html) => {
-  const labels = [];
-  const seen = new Set();
-  const push = (value) => {
+const SOLD_OUT_OPTION_ATTRIBUTE_PATTERN =
+  /(?:\bdisabled\b|aria-disabled=["']true["']|data-(?:sold-?out|soldout)=["']?(?:true|1|y)\b|sold[-_]?out|out[-_]of[-_]stock|\bunavailable\b)/i;
+const SOLD_OUT_OPTION_TEXT_PATTERN = /(?:\uD488\uC808|sold\s*out|out\s*of\s*stock|\uC7AC\uACE0\s*\uC5C6\uC74C)/i; // 품절, 재고 없음
+
+/**
+ * Size options from `<option>`/`data-size` markup with whether each one is
+ * marked sold out (disabled, a sold-out class or a 품절 label). A size listed
+ * more than once is sold out only when every element says so, the same rule
+ * as the inventory JSON below: a size still offered anywhere stays buyable.
+ */
+export const extractOptionSizeStatesFromHtml = (html) => {
+  const states = new Map();
+  const push = (value, soldOut) => {
     const normalized = normalizeComparableSizeLabel(value);
-    if (!normalized || !isLikelySizeLabel(normalized) || seen.has(normalized)) return;
-    seen.add(normalized);
-    labels.push(normalized);
+    if (!normalized || !isLikelySizeLabel(normalized)) return;
+    states.set(normalized, (states.get(normalized) ?? true) && soldOut);
   };
 
   const optionPattern =
-    /<(?:option|button|label|span|li)[^>]*?(?:data-option|data-size|class=["'][^"']*(?:size|option)[^"']*["'])[\s\S]*?>([\s\S]*?)<\/(?:option|button|label|span|li)>/gi;
+    /<(?:option|button|label|span|li)([^>]*?(?:data-option|data-size|class=["'][^"']*(?:size|option)[^"']*["'])[\s\S]*?)>([\s\S]*?)<\/(?:option|button|label|span|li)>/gi;
   let optionMatch = null;
   while ((optionMatch = optionPattern.exec(String(html || ""))) !== null) {
-    const tokens = normalizeCellText(stripHtml(optionMatch[1] || "")).split(/\s+/);
-    for (const token of tokens) push(token);
+    const text = normalizeCellText(stripHtml(optionMatch[2] || ""));
+    const soldOut = SOLD_OUT_OPTION_ATTRIBUTE_PATTERN.test(optionMatch[1] || "") || SOLD_OUT_OPTION_TEXT_PATTERN.test(text);
+    for (const token of text.split(/\s+/)) push(token, soldOut);
   }
 
-  return uniqValues(labels);
+  return [...states].map(([label, soldOut]) => ({ label, soldOut }));
+};
+
+export const extractOptionSizeLabelsFromHtml = (html) =>
+  extractOptionSizeStatesFromHtml(html).map(({ label }) => label);
+
+const JSON_OPTION_LABEL_KEYS = ["size", "sizeName", "size_name", "optionValue", "option_value", "optionName", "option1", "label", "title", "name", "value"];
+const JSON_SOLD_OUT_FLAG_KEYS = ["soldOut", "isSoldOut", "is_sold_out", "soldout"];
+const JSON_AVAILABLE_FLAG_KEYS = ["available", "isAvailable", "is_available", "inStock", "isInStock", "purchasable"];
+const JSON_STOCK_QUANTITY_KEYS = ["stock", "stockQuantity", "stock_quantity", "inventoryQuantity", "inventory_quantity", "remainQuantity", "remain_quantity", "quantity", "qty"];
+const JSON_STOCK_STATUS_KEYS = ["availability", "stockStatus", "stock_status", "status"];
+const MAX_JSON_STOCK_NODES = 5000;
+
+const readJsonOptionSizeLabel = (node) => {
+  for (const key of JSON_OPTION_LABEL_KEYS) {
+    const value = node[key];
+    if (typeof value !== "string" && typeof value !== "number") continue;
+    const normalized = normalizeComparableSizeLabel(value);
+    if (normalized && isLikelySizeLabel(normalized)) return normalized;
+  }
+  return "";
+};
+
+const readJsonOptionSoldOut = (node) => {
+  for (const key of JSON_SOLD_OUT_FLAG_KEYS) {
+    if (typeof node[key] === "boolean") return node[key];
+  }
+  for (const key of JSON_AVAILABLE_FLAG_KEYS) {
+    if (typeof node[key] === "boolean") return !node[key];
+  }
+  for (const key of JSON_STOCK_QUANTITY_KEYS) {
+    if (typeof node[key] === "number" && Number.isFinite(node[key])) return node[key] <= 0;
+  }
+  for (const key of JSON_STOCK_STATUS_KEYS) {
+    const status = normalizeCellText(node[key]).replace(/[_-]+/g, " ");
+    if (SOLD_OUT_OPTION_TEXT_PATTERN.test(status)) return true;
+    if (/(?:in\s*stock|instock|available)/i.test(status)) return false;
+  }
+  return null;
+};
+
+/**
+ * Per-size inventory from option/variant objects in embedded JSON such as
+ * `__NEXT_DATA__` or a Shopify product JSON: any object carrying both a size
+ * label and a stock signal (sold-out flag, availability flag, quantity or
+ * status text). Variants repeat a size per color, so a size is sold out only
+ * when every variant carrying it is.
+ */
+export const extractOptionSizeStockFromJsonData = (jsonData) => {
+  const states = new Map();
+  const stack = (Array.isArray(jsonData) ? jsonData : [jsonData]).map((node) => ({ node, depth: 0 }));
+  let visited = 0;
+  while (stack.length > 0 && visited < MAX_JSON_STOCK_NODES) {
+    const { node, depth } = stack.pop();
+    if (!node || typeof node !== "object") continue;
+    visited += 1;
+    if (!Array.isArray(node)) {
+      const label = readJsonOptionSizeLabel(node);
+      const soldOut = label ? readJsonOptionSoldOut(node) : null;
+      if (label && soldOut !== null) states.set(label, (states.get(label) ?? true) && soldOut);
+    }
+    if (depth >= 12) continue;
+    const children = Array.isArray(node) ? node : Object.values(node);
+    for (let index = children.length - 1; index >= 0; index -= 1) {
+      if (children[index] && typeof children[index] === "object") stack.push({ node: children[index], depth: depth + 1 });
+    }
+  }
+  return [...states].map(([label, soldOut]) => ({ label, soldOut }));
 };
 
 export const alignAndValidateSizeTableByOptionLabels = (table, optionSizeLabels = []) => {
@@ -143,10 +212,10 @@ export const alignAndValidateSizeTableByOptionLabels = (table, optionSizeLabels
     areSequentialNumericSizeHeaders(normalizedHeaders) &&
     normalizedOptions.length === normalizedHeaders.length;
   if (shouldReplaceHeaders) {
-    return {
+    return copySizeTableMetadata({
       headers: [usableTable.headers[0] || ITEM_LABEL, ...normalizedOptions],
       rows: usableTable.rows,
-    };
+    }, usableTable);
   }
 
   const optionSet = new Set(normalizedOptions);
@@ -162,10 +231,10 @@ export const alignAndValidateSizeTableByOptionLabels = (table, optionSizeLabels
       row?.[0] || "",
       ...matchedOptionsInOrder.map((optionValue) => row?.[optionIndexByValue.get(optionValue)] || ""),
     ]);
-    const projectedTable = {
+    const projectedTable = copySizeTableMetadata({
       headers: projectedHeaders,
       rows: projectedRows,
-    };
+    }, usableTable);
     return hasUsableSizeTableShape(projectedTable) ? projectedTable : null;
   }
 
@@ -2,7 +2,8 @@ import { PRODUCT_METADATA_MAX_IMAGE_BYTES, SUPABASE_PRODUCTS_TABLE, SUPABASE_STO
 import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
 import { isStoredProductImagePath } from "./product-image-storage.js";
 import { classifyProductCategory } from "./product-category-classification";
-import { normalizeSizeTableForCategory, parseSizeTable } from "../utils/size-table.js";
+import { buildSizeTableValidationReport, getReportOptionSizeLabels } from "./size-table/report.js";
+import { hasNormalizedSizeTableLayout, normalizeSizeTableForCategory, parseSizeTable } from "../utils/size-table.js";
 
 const markFailed = async (productId: string) => {
   const { error } = await supabase!
@@ -18,7 +19,7 @@ export async function analyzeStoredProductCategory(productId: string): Promise<{
   assertSupabaseConfig();
   const { data: product, error } = await supabase!
     .from(SUPABASE_PRODUCTS_TABLE)
-    .select("id,brand,name,image_path,size_table,product_metadata")
+    .select("id,brand,name,image_path,size_table,size_table_validation,product_metadata")
     .eq("id", productId)
     .maybeSingle();
   if (error || !product || !isStoredProductImagePath(product.image_path)) {
@@ -55,9 +56,16 @@ export async function analyzeStoredProductCategory(productId: string): Promise<{
       .update({
         category: classification.category,
         sub_category: classification.subCategory,
-        normalized_size_table: classification.category === "Bottom"
+        normalized_size_table: hasNormalizedSizeTableLayout(classification.category)
           ? normalizeSizeTableForCategory(classification.category, parseSizeTable(product.size_table))
           : null,
+        // Ranges depend on the category, which is only known from here on.
+        size_table_validation: product.size_table
+          ? buildSizeTableValidationReport(product.size_table, {
+              category: classification.category,
+              optionSizeLabels: getReportOptionSizeLabels(product.size_table_validation),
+            })
+          : null,
         category_analysis_status: "completed",
       })
       .eq("id", productId)
@@ -0,0 +1,291 @@
+import { randomUUID } from "node:crypto";
+import type { Product } from "../../src/types";
+import {
+  calculateDigMatchProfile,
+  parseDigMatchProfile,
+  replayTasteHistory,
+  TASTE_PROFILE_ALGORITHM_VERSION,
+  type DigMatchAnswer,
+  type DigMatchChoice,
+  type DigMatchProfile,
+  type DigMatchQuestion,
+  type DigMatchReplaySession,
+  type TasteSwipeDecision,
+} from "../../src/utils/digMatch";
+import { getEffectiveStyleAttributes, getEffectiveStyleTags } from "../../src/utils/tasteGraph";
+import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
+import { makeHttpError } from "../utils/request-validation.js";
+import { normalizeAnalysisProduct } from "./catalog";
+
+export type TasteSwipeInput = { productId: string; decision: TasteSwipeDecision };
+export type TasteUndoResult = { undone: "swipe" | "match" | null; profile: DigMatchProfile | null };
+
+type ProductSnapshot = {
+  category: string | null;
+  tag_snapshot: unknown;
+  attribute_snapshot: unknown;
+};
+
+type SwipeEventRow = ProductSnapshot & {
+  session_id: string;
+  product_id: string;
+  decision: TasteSwipeDecision;
+  created_at: string;
+};
+
+type MatchSessionRow = { answers: unknown; product_snapshots: unknown; completed_at: string };
+
+const TASTE_PRODUCT_COLUMNS = "id,brand,name,category,style_tags,style_attributes,human_style_tags,human_style_attributes,tag_review_status";
+const MAX_SWIPES_PER_SESSION = 50;
+const MAX_MATCH_ANSWERS = 16;
+const MAX_REPLAYED_EVENTS = 5000;
+const MAX_REPLAYED_MATCH_SESSIONS = 200;
+const DIG_MATCH_CHOICES: DigMatchChoice[] = ["left", "right", "both", "neither", "skip"];
+
+/** Validates a swipe request; throws a 400 HttpError on bad input. */
+export function parseTasteSwipeInput(body: unknown): TasteSwipeInput[] {
+  const input = (body && typeof body === "object" ? body : {}) as Record<string, unknown>;
+  if (input.profile !== undefined) throw makeHttpError("taste profile is computed on the server", 400);
+  const actions = Array.isArray(input.actions) ? input.actions.slice(0, MAX_SWIPES_PER_SESSION) : [];
+  if (!actions.length || actions.some((item) => !item || typeof item.productId !== "string" || !["like", "pass"].includes(item.decision))) {
+    throw makeHttpError("invalid taste swipe", 400);
+  }
+  // The last decision on a product wins if a card was swiped twice.
+  const byProduct = new Map<string, TasteSwipeInput>();
+  for (const item of actions as TasteSwipeInput[]) byProduct.set(item.productId, { productId: item.productId, decision: item.decision });
+  return [...byProduct.values()];
+}
+
+/** Validates Dig Match answers; throws a 400 HttpError on bad input. */
+export function parseDigMatchAnswers(value: unknown): DigMatchAnswer[] {
+  const answers = Array.isArray(value) ? value.slice(0, MAX_MATCH_ANSWERS) : [];
+  const valid = answers.every((item) =>
+    item
+    && typeof item.questionId === "string"
+    && typeof item.axisId === "string"
+    && typeof item.leftProductId === "string"
+    && typeof item.rightProductId === "string"
+    && DIG_MATCH_CHOICES.includes(item.choice)
+  );
+  if (!answers.length || !valid) throw makeHttpError("invalid dig match answers", 400);
+  return answers.map(({ questionId, axisId, choice, leftProductId, rightProductId }: DigMatchAnswer) => ({ questionId, axisId, choice, leftProductId, rightProductId }));
+}
+
+async function getTasteProducts(productIds: string[]) {
+  const { data, error } = await supabase!.from("products").select(TASTE_PRODUCT_COLUMNS).in("id", productIds);
+  if (error) throw error;
+  return new Map(
+    (data || [])
+      .map(normalizeAnalysisProduct)
+      .filter((product): product is Product => Boolean(product))
+      .map((product) => [product.id, product])
+  );
+}
+
+function snapshotProduct(product: Product): ProductSnapshot {
+  return {
+    category: product.category || "",
+    tag_snapshot: getEffectiveStyleTags(product).tags || {},
+    attribute_snapshot: getEffectiveStyleAttributes(product) || {},
+  };
+}
+
+function toReplayProduct(productId: string, snapshot: ProductSnapshot): Product {
+  return {
+    id: productId,
+    brand: "",
+    name: "",
+    category: snapshot.category || "",
+    url: "",
+    image: "",
+    styleTags: snapshot.tag_snapshot,
+    styleAttributes: snapshot.attribute_snapshot,
+  } as Product;
+}
+
+function toDigMatchQuestions(answers: DigMatchAnswer[], getProduct: (productId: string) => Product | undefined): DigMatchQuestion[] {
+  return answers.flatMap((answer) => {
+    const left = getProduct(answer.leftProductId);
+    const right = getProduct(answer.rightProductId);
+    return left && right ? [{ id: answer.questionId, axisId: answer.axisId, axisTitle: "", left, right }] : [];
+  });
+}
+
+function parseStoredAnswers(value: unknown): DigMatchAnswer[] {
+  try {
+    return parseDigMatchAnswers(value);
+  } catch {
+    return [];
+  }
+}
+
+async function getLatestMatchSession(userId: string) {
+  const { data, error } = await supabase!
+    .from("user_taste_match_sessions")
+    .select("id,completed_at")
+    .eq("user_id", userId)
+    .order("completed_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data as { id: string; completed_at: string } | null;
+}
+
+/** Loads the user's Dig Match sessions with the products each answer compared. */
+async function getMatchReplaySessions(userId: string): Promise<DigMatchReplaySession[]> {
+  const { data, error } = await supabase!
+    .from("user_taste_match_sessions")
+    .select("answers,product_snapshots,completed_at")
+    .eq("user_id", userId)
+    .order("completed_at", { ascending: false })
+    .limit(MAX_REPLAYED_MATCH_SESSIONS);
+  if (error) throw error;
+
+  const sessions = ((data || []) as MatchSessionRow[]).map((row) => ({
+    completedAt: row.completed_at,
+    answers: parseStoredAnswers(row.answers),
+    snapshots: (row.product_snapshots && typeof row.product_snapshots === "object" ? row.product_snapshots : {}) as Record<string, ProductSnapshot>,
+  }));
+  // Sessions saved before snapshots were kept are rescored with the products' current tags.
+  const missingIds = [...new Set(sessions.flatMap((session) =>
+    session.answers.flatMap((answer) => [answer.leftProductId, answer.rightProductId]).filter((id) => !session.snapshots[id])
+  ))];
+  const currentProducts = missingIds.length ? await getTasteProducts(missingIds) : new Map<string, Product>();
+
+  return sessions.flatMap(({ completedAt, answers, snapshots }) => {
+    const questions = toDigMatchQuestions(answers, (productId) =>
+      snapshots[productId] ? toReplayProduct(productId, snapshots[productId]) : currentProducts.get(productId)
+    );
+    return questions.length ? [{ completedAt, questions, answers }] : [];
+  });
+}
+
+/**
+ * Rebuilds the stored profile from the event log: every Dig Match session is
+ * rescored from its answers and swipe sessions are replayed between them with
+ * time decay. Deletes the profile when there is nothing left to replay.
+ */
+export async function recomputeTasteProfile(userId: string, now = new Date()): Promise<DigMatchProfile | null> {
+  assertSupabaseConfig();
+  const [matchSessions, { data, error }] = await Promise.all([
+    getMatchReplaySessions(userId),
+    supabase!
+      .from("user_taste_swipe_events")
+      .select("session_id,product_id,decision,category,tag_snapshot,attribute_snapshot,created_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(MAX_REPLAYED_EVENTS),
+  ]);
+  if (error) throw error;
+
+  const events = ((data || []) as SwipeEventRow[]).map((row) => ({
+    sessionId: String(row.session_id),
+    decision: row.decision,
+    decidedAt: row.created_at,
+    product: toReplayProduct(row.product_id, row),
+  }));
+  const profile = replayTasteHistory(matchSessions, events, { now });
+
+  if (!profile) {
+    const { error: deleteError } = await supabase!.from("user_taste_profiles").delete().eq("user_id", userId);
+    if (deleteError) throw deleteError;
+    return null;
+  }
+  const { error: upsertError } = await supabase!.from("user_taste_profiles").upsert({
+    user_id: userId,
+    profile,
+    completed_sessions: profile.completedSessions,
+    algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION,
+    updated_at: now.toISOString(),
+  });
+  if (upsertError) throw upsertError;
+  return profile;
+}
+
+/** Returns the stored profile, rebuilding it first if an older algorithm (or the client) wrote it. */
+export async function getTasteProfile(userId: string): Promise<DigMatchProfile | null> {
+  assertSupabaseConfig();
+  const { data, error } = await supabase!
+    .from("user_taste_profiles")
+    .select("profile,algorithm_version")
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (data && Number(data.algorithm_version) === TASTE_PROFILE_ALGORITHM_VERSION) return parseDigMatchProfile(data.profile);
+  return recomputeTasteProfile(userId);
+}
+
+/** Stores one swipe session with tag and attribute snapshots, then recomputes the profile. */
+export async function recordTasteSwipeSession(userId: string, actions: TasteSwipeInput[]) {
+  assertSupabaseConfig();
+  const products = await getTasteProducts(actions.map((item) => item.productId));
+  const sessionId = randomUUID();
+  const events = actions.flatMap((item) => {
+    const product = products.get(item.productId);
+    if (!product) return [];
+    return [{
+      user_id: userId,
+      session_id: sessionId,
+      product_id: item.productId,
+      decision: item.decision,
+      ...snapshotProduct(product),
+    }];
+  });
+  if (!events.length) throw makeHttpError("products not found", 400);
+  const { error } = await supabase!.from("user_taste_swipe_events").insert(events);
+  if (error) throw error;
+  return { saved: events.length, profile: await recomputeTasteProfile(userId) };
+}
+
+/** Scores a finished Dig Match from its answers against the stored profile and records the session and profile together. */
+export async function recordDigMatchSession(userId: string, answers: DigMatchAnswer[]) {
+  assertSupabaseConfig();
+  const productIds = [...new Set(answers.flatMap((answer) => [answer.leftProductId, answer.rightProductId]))];
+  const [products, previous] = await Promise.all([getTasteProducts(productIds), getTasteProfile(userId)]);
+  const questions = toDigMatchQuestions(answers, (productId) => products.get(productId));
+  if (!questions.length) throw makeHttpError("products not found", 400);
+  const profile = calculateDigMatchProfile(previous, questions, answers);
+
+  const { error } = await supabase!.rpc("record_dig_match_session", {
+    target_user_id: userId,
+    session_answers: answers,
+    session_product_snapshots: Object.fromEntries([...products.values()].map((product) => [product.id, snapshotProduct(product)])),
+    session_profile: profile,
+    session_completed_at: profile.updatedAt,
+    profile_algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION,
+  });
+  if (error) throw error;
+  return profile;
+}
+
+/** Removes the most recent Dig Match or swipe session, whichever came last, and recomputes. */
+export async function undoLastTasteSession(userId: string): Promise<TasteUndoResult> {
+  assertSupabaseConfig();
+  const [session, swipeResult] = await Promise.all([
+    getLatestMatchSession(userId),
+    supabase!
+      .from("user_taste_swipe_events")
+      .select("session_id,created_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ]);
+  if (swipeResult.error) throw swipeResult.error;
+  const swipe = swipeResult.data as { session_id: string; created_at: string } | null;
+  if (!session && !swipe) return { undone: null, profile: null };
+
+  const undoSwipe = Boolean(swipe && (!session || Date.parse(swipe.created_at) > Date.parse(session.completed_at)));
+  const { error } = undoSwipe
+    ? await supabase!.from("user_taste_swipe_events").delete().eq("user_id", userId).eq("session_id", swipe!.session_id)
+    : await supabase!.from("user_taste_match_sessions").delete().eq("user_id", userId).eq("id", session!.id);
+  if (error) throw error;
+  return { undone: undoSwipe ? "swipe" : "match", profile: await recomputeTasteProfile(userId) };
+}
+
+/** Forgets every Dig Match result, swipe and the stored profile. */
+export async function resetTasteProfile(userId: string) {
+  assertSupabaseConfig();
+  const { error } = await supabase!.rpc("reset_user_taste_profile", { target_user_id: userId });
+  if (error) throw error;
+}
@@ -0,0 +1,45 @@
+import { computeTasteTimeline, TASTE_TIMELINE_MAX_MONTHS, toTimelineMonth, type TasteTimeline, type TasteTimelineBucket } from "../../src/utils/tasteTimeline";
+import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
+import { getTasteSummary } from "./taste-analysis";
+
+type SnapshotRow = { month: string; bucket: TasteTimelineBucket | null };
+
+const toSnapshotDate = (month: string) => `${month}-01`;
+
+/**
+ * Builds the monthly taste timeline from the user's Closet and DIGBOX. Months
+ * that have ended are read from stored snapshots when present; any finished
+ * month with additions that has no snapshot yet is stored now.
+ */
+export async function getTasteTimeline(userId: string, now = new Date()): Promise<TasteTimeline> {
+  assertSupabaseConfig();
+  const windowStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (TASTE_TIMELINE_MAX_MONTHS - 1), 1));
+  const [closet, digbox, snapshotResult] = await Promise.all([
+    getTasteSummary(userId, "closet"),
+    getTasteSummary(userId, "digbox"),
+    supabase!
+      .from("user_taste_timeline_snapshots")
+      .select("month,bucket")
+      .eq("user_id", userId)
+      .gte("month", toSnapshotDate(toTimelineMonth(windowStart))),
+  ]);
+  if (snapshotResult.error) throw snapshotResult.error;
+
+  const snapshots = ((snapshotResult.data || []) as SnapshotRow[])
+    .filter((row) => row.bucket && typeof row.bucket === "object")
+    .map((row) => ({ ...row.bucket!, month: String(row.month).slice(0, 7) }));
+  const timeline = computeTasteTimeline(closet.products, digbox.products, { now, snapshots });
+
+  const currentMonth = toTimelineMonth(now);
+  const storedMonths = new Set(snapshots.map((bucket) => bucket.month));
+  const newSnapshots = timeline.buckets
+    .filter((bucket) => bucket.month < currentMonth && bucket.summary.taggedCount > 0 && !storedMonths.has(bucket.month))
+    .map((bucket) => ({ user_id: userId, month: toSnapshotDate(bucket.month), bucket }));
+  if (newSnapshots.length) {
+    const { error } = await supabase!
+      .from("user_taste_timeline_snapshots")
+      .upsert(newSnapshots, { onConflict: "user_id,month", ignoreDuplicates: true });
+    if (error) throw error;
+  }
+  return timeline;
+}
@@ -1,17 +1,13 @@
-import type { ClosetSizeSnapshot, DigboxSizeDecision, DiscoveryProduct, MySizeProfile, Product, SizeDecisionFit, SizeDecisionSource } from "../../src/types";
+import type { DigboxPriceAlert, DigboxSizeDecision, DiscoveryProduct, MySizeProfile, Product, SizeDecisionFit, SizeDecisionSource } from "../../src/types";
+import { findColorVariant, normalizeColorVariants } from "../../src/utils/colorVariants";
+import { SUPABASE_PRODUCTS_TABLE } from "../config/env.js";
 import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
 import { normalizeClientProduct, normalizeProductCard } from "./catalog";
+import { makeHttpError } from "../utils/request-validation.js";
+import { normalizeSizeSnapshot } from "../utils/size-table.js";
 
 type CollectionRow = Record<string, unknown>;
 
-function normalizeSizeSnapshot(value: unknown): ClosetSizeSnapshot | null {
-  if (!value || typeof value !== "object") return null;
-  const record = value as Record<string, unknown>;
-  const headers = Array.isArray(record.headers) ? record.headers.map((value) => String(value ?? "").trim()) : [];
-  const row = Array.isArray(record.row) ? record.row.map((value) => String(value ?? "").trim()) : [];
-  return headers.length && row.length ? { headers, row } : null;
-}
-
 function normalizeDigboxSizeDecision(row: CollectionRow): DigboxSizeDecision | null {
   const label = String(row.size_decision_label ?? "").trim() || null;
   if (!label) return null;
@@ -30,6 +26,17 @@ function normalizeDigboxSizeDecision(row: CollectionRow): DigboxSizeDecision | n
   };
 }
 
+function normalizeDigboxPriceAlert(row: CollectionRow): DigboxPriceAlert | null {
+  const kind = String(row.price_alert ?? "");
+  if (kind !== "price_drop" && kind !== "restock") return null;
+  const previousPrice = Number(row.price_alert_previous_price);
+  return {
+    kind,
+    previousPrice: row.price_alert_previous_price === null || !Number.isFinite(previousPrice) ? null : previousPrice,
+    at: String(row.price_alert_at ?? "").trim() || null,
+  };
+}
+
 export async function getClosetProducts(userId: string): Promise<Product[]> {
   assertSupabaseConfig();
   const { data, error } = await supabase!.rpc("get_closet_products", { target_user_id: userId });
@@ -43,6 +50,7 @@ export async function getClosetProducts(userId: string): Promise<Product[]> {
       closetSelectedSizeLabel: String(row.selected_size_label ?? "").trim() || null,
       closetSelectedSizeRowIndex: Number.isInteger(row.selected_size_row_index) ? Number(row.selected_size_row_index) : null,
       closetSelectedSizeSnapshot: normalizeSizeSnapshot(row.selected_size_snapshot),
+      closetSelectedColor: String(row.selected_color ?? "").trim() || null,
     }];
   });
 }
@@ -60,7 +68,12 @@ export async function getDigboxProducts(userId: string): Promise<{
   for (const row of (data ?? []) as CollectionRow[]) {
     const product = normalizeClientProduct({ ...row, collection_added_at: row.added_at });
     if (!product) continue;
-    products.push({ ...product, digboxSizeDecision: normalizeDigboxSizeDecision(row) });
+    products.push({
+      ...product,
+      digboxSizeDecision: normalizeDigboxSizeDecision(row),
+      digboxPriceAlert: normalizeDigboxPriceAlert(row),
+      digboxSelectedColor: String(row.selected_color ?? "").trim() || null,
+    });
     const count = Math.max(0, Number(row.discovered_save_count) || 0);
     if (count > 0) discoveredDigboxCounts[product.id] = count;
   }
@@ -105,3 +118,20 @@ export async function getUserDiscoveries(userId: string): Promise<{ products: Di
   });
   return { products, totalSaveCount: products.reduce((sum, product) => sum + product.saveCount, 0) };
 }
+
+/**
+ * Resolves a saved color against the product's color_variants and returns the
+ * variant's own name, or null to clear the selection. Throws a 400 HttpError
+ * for a malformed product id or a color the product does not offer.
+ */
+export async function resolveSelectedProductColor(productId: string, value: unknown): Promise<string | null> {
+  const name = String(value ?? "").trim();
+  if (!name) return null;
+  if (!/^\d+$/.test(productId)) throw makeHttpError("invalid product id", 400);
+  assertSupabaseConfig();
+  const { data, error } = await supabase!.from(SUPABASE_PRODUCTS_TABLE).select("color_variants").eq("id", productId).maybeSingle();
+  if (error) throw error;
+  const variant = findColorVariant(normalizeColorVariants(data?.color_variants), name);
+  if (!variant) throw makeHttpError("unknown color for this product", 400);
+  return variant.name;
+}
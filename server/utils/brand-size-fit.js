@@ -0,0 +1,78 @@
+import { normalizeBrandName } from "./brand-rules.js";
+
+// Like behavioral-related, a verdict is only shown once enough independent
+// people back it, so one shopper's returns never label a whole brand.
+export const BRAND_SIZE_FIT_MIN_USERS = 3;
+export const BRAND_SIZE_FIT_BIAS_THRESHOLD = 0.3;
+export const BRAND_SIZE_FIT_STRONG_THRESHOLD = 0.6;
+
+const FIT_VERDICTS = new Set(["tight", "true_to_size", "roomy"]);
+
+export const toBrandSizeFitKey = (brand) =>
+  normalizeBrandName(brand).toLowerCase().replace(/\s+/g, " ").trim();
+
+const roundScore = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Classifies verdict counts. Tight decisions mean the brand runs small (size
+ * up, positive shift); roomy decisions mean it runs large.
+ */
+export const classifyBrandSizeFit = ({ tight = 0, trueToSize = 0, roomy = 0 }) => {
+  const total = tight + trueToSize + roomy;
+  const score = total > 0 ? roundScore((roomy - tight) / total) : 0;
+  if (score <= -BRAND_SIZE_FIT_BIAS_THRESHOLD) {
+    return { score, bias: "runs_small", sizeShift: score <= -BRAND_SIZE_FIT_STRONG_THRESHOLD ? 1 : 0.5 };
+  }
+  if (score >= BRAND_SIZE_FIT_BIAS_THRESHOLD) {
+    return { score, bias: "runs_large", sizeShift: score >= BRAND_SIZE_FIT_STRONG_THRESHOLD ? -1 : -0.5 };
+  }
+  return { score, bias: "true_to_size", sizeShift: 0 };
+};
+
+/**
+ * Aggregates `{ userId, brand, subCategory, fit }` decisions into one stats row
+ * per canonical brand ('' sub category) and per brand + sub category. Groups
+ * below the minimum distinct-user threshold are dropped.
+ */
+export const aggregateBrandSizeFit = (decisions, { minUsers = BRAND_SIZE_FIT_MIN_USERS } = {}) => {
+  const groups = new Map();
+  const addVote = (brandKey, brand, subCategory, userId, fit) => {
+    const groupKey = `${brandKey}\u0000${subCategory}`;
+    const group = groups.get(groupKey) ?? {
+      brandKey,
+      brand,
+      subCategory,
+      counts: { tight: 0, trueToSize: 0, roomy: 0 },
+      users: new Set(),
+    };
+    if (fit === "tight") group.counts.tight += 1;
+    else if (fit === "roomy") group.counts.roomy += 1;
+    else group.counts.trueToSize += 1;
+    group.users.add(userId);
+    groups.set(groupKey, group);
+  };
+
+  for (const decision of Array.isArray(decisions) ? decisions : []) {
+    const userId = String(decision?.userId || "").trim();
+    const fit = String(decision?.fit || "");
+    const brand = normalizeBrandName(decision?.brand || "");
+    const brandKey = toBrandSizeFitKey(brand);
+    if (!userId || !brandKey || !FIT_VERDICTS.has(fit)) continue;
+    addVote(brandKey, brand, "", userId, fit);
+    const subCategory = String(decision?.subCategory || "").trim();
+    if (subCategory) addVote(brandKey, brand, subCategory, userId, fit);
+  }
+
+  return [...groups.values()]
+    .filter((group) => group.users.size >= minUsers)
+    .map((group) => ({
+      brandKey: group.brandKey,
+      brand: group.brand,
+      subCategory: group.subCategory,
+      tightCount: group.counts.tight,
+      trueToSizeCount: group.counts.trueToSize,
+      roomyCount: group.counts.roomy,
+      userCount: group.users.size,
+      ...classifyBrandSizeFit(group.counts),
+    }));
+};
@@ -1,6 +1,7 @@
 import type { Metadata } from "next";
 import { cache } from "react";
 import { getProductDetail } from "../services/catalog";
+import { getProductRedirectTarget } from "../services/product-merge";
 
 export function parseNumericId(param: string): string {
   const match = param.match(/^(\d+)/);
@@ -12,6 +13,12 @@ export const fetchProduct = cache(async (idParam: string) => {
   return getProductDetail(id);
 });
 
+/** The product a merged product id now belongs to, or null when the id was never merged. */
+export const fetchMergedProductTarget = cache(async (idParam: string) => {
+  const canonicalId = await getProductRedirectTarget(parseNumericId(idParam));
+  return canonicalId ? getProductDetail(canonicalId) : null;
+});
+
 export function resolveImageUrl(imagePath: string): string {
   if (!imagePath) return "";
   if (imagePath.startsWith("http")) return imagePath;
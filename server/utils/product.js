@@ -1,15 +1,28 @@
 import {
   GEMINI_API_BASE,
   GEMINI_API_KEY,
+  PRODUCT_IMAGE_GALLERY_LIMIT,
   SUBMISSIONS_STORAGE_PREFIX,
   SUPABASE_PRODUCTS_TABLE,
   SUPABASE_URL,
   SUPABASE_STORAGE_BUCKET,
 } from "../config/env.js";
 import { assertSupabaseConfig, supabase } from "../lib/supabase.js";
-import { persistExternalProductImage, removeStoredProductImage } from "../services/product-image-storage.js";
+import {
+  persistExternalProductImage,
+  persistExternalProductImages,
+  removeStoredProductImage,
+  removeStoredProductImages,
+} from "../services/product-image-storage.js";
 import { normalizeBrandName } from "./brand-rules.js";
-import { isBottomCategory, normalizeSizeTableForCategory, parseSizeTable } from "./size-table.js";
+import { selectProductGalleryImageCandidates } from "../services/product-metadata/images.js";
+import { normalizeProductPrice, normalizeProductPriceRow, toProductPriceColumns } from "../services/product-metadata/price.js";
+import { normalizeProductListings } from "../services/product-metadata/listings.js";
+import { normalizeProductColorVariants } from "../services/product-metadata/variants.js";
+import { normalizeSizeAvailability } from "../services/size-table/availability.js";
+import { normalizeSizeTableProvenance } from "../services/size-table/provenance.js";
+import { buildSizeTableValidationReport } from "../services/size-table/report.js";
+import { hasNormalizedSizeTableLayout, normalizeSizeTableForCategory, parseSizeTable } from "./size-table.js";
 
 export const DUPLICATE_PRODUCT_ERROR_MESSAGE = "이미 등록된 상품입니다";
 const DUPLICATE_PRODUCT_ERROR_MESSAGE_EN = "This product has already been added";
@@ -77,6 +90,9 @@ export const normalizeProductRow = (row) => {
     image: toPublicImageUrl(image || imagePath),
     thumbnailImage: toPublicImageUrl(imagePath || image, { width: 320, height: 320, resize: "contain", quality: 65 }),
     imagePath: imagePath || null,
+    imageGallery: (Array.isArray(row.image_gallery) ? row.image_gallery : [])
+      .map((path) => toPublicImageUrl(path))
+      .filter(Boolean),
     slug: String(row.slug || "").trim() || null,
     sizeTable: parseSizeTable(row.size_table ?? row.sizeTable),
     normalizedSizeTable: (() => {
@@ -88,6 +104,13 @@ export const normalizeProductRow = (row) => {
         return parsed;
       } catch { return null; }
     })(),
+    sizeTableValidation:
+      row.size_table_validation && typeof row.size_table_validation === "object" ? row.size_table_validation : null,
+    sizeTableProvenance: normalizeSizeTableProvenance(row.size_table_provenance),
+    price: normalizeProductPriceRow(row) ?? normalizeProductPrice(row.price),
+    sizeAvailability: normalizeSizeAvailability(row.size_availability ?? row.sizeAvailability),
+    colorVariants: normalizeProductColorVariants(row.color_variants ?? row.colorVariants),
+    listings: normalizeProductListings(row.listings),
     createdAt: row.created_at || row.createdAt || null,
     collectionAddedAt: row.collection_added_at || row.collectionAddedAt || null,
     registeredBy: row.registered_by ? String(row.registered_by) : null,
@@ -216,6 +239,8 @@ export const insertProductRow = async (input) => {
     url,
     image,
     imagePath,
+    imageCandidates = [],
+    imagePhash = null,
     sizeTable = null,
     normalizedSizeTable = null,
     createdAt,
@@ -224,6 +249,11 @@ export const insertProductRow = async (input) => {
     instagramOrder = null,
     registeredBy = null,
     productMetadata = null,
+    sizeOptionLabels = [],
+    sizeTableProvenance = null,
+    price = null,
+    sizeAvailability = null,
+    colorVariants = null,
     categoryAnalysisStatus = null,
   } = input || {};
   assertSupabaseConfig();
@@ -231,6 +261,13 @@ export const insertProductRow = async (input) => {
   const normalizedImage = sanitizeDatabaseText(image).trim();
   const sourceImagePath = normalizedImagePath || normalizedImage || null;
   const effectiveImagePath = await persistExternalProductImage(sourceImagePath);
+  const galleryImagePaths = await persistExternalProductImages(
+    selectProductGalleryImageCandidates(
+      (Array.isArray(imageCandidates) ? imageCandidates : []).filter((candidate) => candidate !== sourceImagePath),
+      `${brand || ""} ${name || ""}`,
+      PRODUCT_IMAGE_GALLERY_LIMIT
+    )
+  );
   // eslint-disable-next-line @typescript-eslint/no-unused-vars -- Retained to preserve the existing normalization path.
   const effectiveImage = normalizedImage || normalizedImagePath || "";
   const normalizedSlug = sanitizeDatabaseText(slug).trim() || null;
@@ -258,9 +295,12 @@ export const insertProductRow = async (input) => {
   const sanitizedSubCategory = sanitizeDatabaseText(subCategory).trim() || null;
   const effectiveCategoryAnalysisStatus = categoryAnalysisStatus || (sanitizedCategory ? "completed" : "pending");
   const effectiveSizeTable = parseSizeTable(sanitizeDatabaseJson(sizeTable));
-  const effectiveNormalizedSizeTable = isBottomCategory(sanitizedCategory)
+  const effectiveNormalizedSizeTable = hasNormalizedSizeTableLayout(sanitizedCategory)
     ? parseSizeTable(sanitizeDatabaseJson(normalizedSizeTable)) || normalizeSizeTableForCategory(sanitizedCategory, effectiveSizeTable)
     : null;
+  const sizeTableValidation = effectiveSizeTable
+    ? buildSizeTableValidationReport(effectiveSizeTable, { category: sanitizedCategory, optionSizeLabels: sizeOptionLabels })
+    : null;
   const canonicalBrand = normalizeBrandName(sanitizeDatabaseText(brand));
   try {
     const { data, error } = await supabase
@@ -275,8 +315,15 @@ export const insertProductRow = async (input) => {
         tagging_status: "pending",
         url: sanitizeDatabaseText(url),
         image_path: effectiveImagePath,
+        image_gallery: galleryImagePaths,
+        image_phash: /^[0-9a-f]{16}$/.test(String(imagePhash || "")) ? imagePhash : null,
         size_table: effectiveSizeTable,
         normalized_size_table: effectiveNormalizedSizeTable,
+        size_table_validation: sizeTableValidation,
+        size_table_provenance: normalizeSizeTableProvenance(sanitizeDatabaseJson(sizeTableProvenance)),
+        ...toProductPriceColumns(sanitizeDatabaseJson(price)),
+        size_availability: normalizeSizeAvailability(sanitizeDatabaseJson(sizeAvailability)),
+        color_variants: normalizeProductColorVariants(sanitizeDatabaseJson(colorVariants)),
         created_at: sanitizeDatabaseText(createdAt),
         slug: normalizedSlug,
         is_instagram: isInstagram,
@@ -293,6 +340,7 @@ export const insertProductRow = async (input) => {
     if (effectiveImagePath !== sourceImagePath) {
       await removeStoredProductImage(effectiveImagePath).catch(() => undefined);
     }
+    await removeStoredProductImages(galleryImagePaths).catch(() => undefined);
     throw error;
   }
 };
@@ -1,8 +1,14 @@
+import { SIZE_SYSTEMS, detectSizeLabelSystem, parseSizeLabel, toComparableSize } from "../../src/utils/sizeConversion.js";
+
 const TOTAL_LENGTH_LABEL = "\uCD1D\uC7A5";
 const ITEM_LABEL = "\uD56D\uBAA9";
 const SIZE_COLUMN_LABEL = "\uC0AC\uC774\uC988";
+const FOOT_LENGTH_LABEL = "\uBC1C\uAE38\uC774";
+const FOOT_WIDTH_LABEL = "\uBC1C\uBCFC";
+const INSOLE_LENGTH_LABEL = "\uC778\uC194\uAE38\uC774";
+const HEEL_HEIGHT_LABEL = "\uAD7D\uB192\uC774";
 const MEASUREMENT_LABEL_HINT_PATTERN =
-  /(?:\uCD1D\uC7A5|\uAE30\uC7A5|\uC5B4\uAE68|\uAC00\uC2B4|\uC18C\uB9E4|\uD5C8\uB9AC|\uC5C9\uB369|\uD5C8\uBC85|\uBC11\uC704|\uBC11\uB2E8|\uAE38\uC774|length|shoulder|chest|sleeve|waist|hip|thigh|rise|hem|inseam|pit|bust|body|width)/i;
+  /(?:\uCD1D\uC7A5|\uAE30\uC7A5|\uC5B4\uAE68|\uAC00\uC2B4|\uC18C\uB9E4|\uD5C8\uB9AC|\uC5C9\uB369|\uD5C8\uBC85|\uBC11\uC704|\uBC11\uB2E8|\uAE38\uC774|\uBC1C\uBCFC|\uC778\uC194|\uAD7D|\uC554\uD640|length|shoulder|chest|sleeve|waist|hip|thigh|rise|hem|inseam|pit|bust|body|width|foot|insole|heel|armhole)/i;
 const MEASUREMENT_ALIAS_MAP = {
   "\uCD1D\uC7A5": TOTAL_LENGTH_LABEL,
   "\uC804\uCCB4\uAE38\uC774": TOTAL_LENGTH_LABEL,
@@ -18,6 +24,12 @@ const MEASUREMENT_ALIAS_MAP = {
   "\uC18C\uB9E4\uAE30\uC7A5": "\uC18C\uB9E4",
   "\uD654\uC7A5": "\uC18C\uB9E4",
   "sleeve": "\uC18C\uB9E4",
+  "\uC554\uD640": "\uC554\uD640",
+  "\uC554\uD640\uB2E8\uBA74": "\uC554\uD640",
+  "\uC554\uD640\uB458\uB808": "\uC554\uD640",
+  "\uC9C4\uB3D9": "\uC554\uD640",
+  "\uC9C4\uB3D9\uB458\uB808": "\uC554\uD640",
+  "armhole": "\uC554\uD640",
   "\uC5B4\uAE68": "\uC5B4\uAE68",
   "\uC5B4\uAE68\uB108\uBE44": "\uC5B4\uAE68",
   "\uC5B4\uAE68\uB113\uC774": "\uC5B4\uAE68",
@@ -43,6 +55,25 @@ const MEASUREMENT_ALIAS_MAP = {
   "hem": "\uBC11\uB2E8",
   "\uC778\uC2EC": "\uC778\uC2EC",
   "inseam": "\uC778\uC2EC",
+  "\uBC1C\uAE38\uC774": FOOT_LENGTH_LABEL,
+  "footlength": FOOT_LENGTH_LABEL,
+  "foot": FOOT_LENGTH_LABEL,
+  "\uBC1C\uBCFC": FOOT_WIDTH_LABEL,
+  "\uBC1C\uBCFC\uB113\uC774": FOOT_WIDTH_LABEL,
+  "\uBC1C\uD3ED": FOOT_WIDTH_LABEL,
+  "\uBCFC\uB113\uC774": FOOT_WIDTH_LABEL,
+  "footwidth": FOOT_WIDTH_LABEL,
+  "ballwidth": FOOT_WIDTH_LABEL,
+  "\uC778\uC194": INSOLE_LENGTH_LABEL,
+  "\uC778\uC194\uAE38\uC774": INSOLE_LENGTH_LABEL,
+  "\uAE54\uCC3D\uAE38\uC774": INSOLE_LENGTH_LABEL,
+  "insole": INSOLE_LENGTH_LABEL,
+  "insolelength": INSOLE_LENGTH_LABEL,
+  "\uAD7D": HEEL_HEIGHT_LABEL,
+  "\uAD7D\uB192\uC774": HEEL_HEIGHT_LABEL,
+  "\uD790\uB192\uC774": HEEL_HEIGHT_LABEL,
+  "heel": HEEL_HEIGHT_LABEL,
+  "heelheight": HEEL_HEIGHT_LABEL,
 };
 const TOTAL_LENGTH_ALIAS_KEYS = [
   "\uCD1D\uC7A5",
@@ -59,6 +90,221 @@ export const normalizeCellText = (value) => String(value ?? "").replace(/\s+/g,
 export const normalizeMeasurementValueForDisplay = (value) =>
   normalizeCellText(value).replace(/(-?\d+(?:\.\d+)?)\s*(?:cm\b|㎝|센치|센티미터)/gi, "$1");
 
+export const SIZE_TABLE_UNITS = ["cm", "in"];
+const CM_PER_INCH = 2.54;
+const INCH_VALUE_PATTERN = /(-?\d+(?:\.\d+)?)\s*(?:"|\u201D|\u2033|inch(?:es)?\b|in\b|\uC778\uCE58)/gi;
+const CM_VALUE_PATTERN = /-?\d+(?:\.\d+)?\s*(?:cm\b|\u339D|\uC13C\uCE58|\uC13C\uD2F0\uBBF8\uD130)/i;
+const INCH_LABEL_PATTERN =
+  /(?:\binch(?:es)?\b|\uC778\uCE58|[([]\s*in\s*[)\]]|^in\b|\bin\s*$|\/\s*in\b)/i;
+const CM_LABEL_PATTERN = /(?:\bcm\b|\u339D|\uC13C\uCE58|\uC13C\uD2F0\uBBF8\uD130)/i;
+
+export const normalizeSizeTableUnit = (value) => {
+  const normalized = normalizeCellText(value).toLowerCase();
+  if (normalized === "cm") return "cm";
+  if (normalized === "in" || normalized === "inch" || normalized === "inches") return "in";
+  return null;
+};
+
+const formatMeasurementNumber = (value) => String(Math.round(value * 10) / 10);
+
+/**
+ * Reads a measurement cell and converts inch-marked values (`12"`, `12 in`,
+ * `12 inch`) to centimeters so plausibility checks work on one scale.
+ */
+export const parseMeasurementCell = (value) => {
+  const text = normalizeCellText(value);
+  const match = text.replace(/,/g, "").match(/-?\d+(?:\.\d+)?/);
+  if (!match) return null;
+  const numeric = Number(match[0]);
+  if (!Number.isFinite(numeric)) return null;
+  INCH_VALUE_PATTERN.lastIndex = 0;
+  const unit = INCH_VALUE_PATTERN.test(text) ? "in" : CM_VALUE_PATTERN.test(text) ? "cm" : null;
+  INCH_VALUE_PATTERN.lastIndex = 0;
+  return { value: unit === "in" ? numeric * CM_PER_INCH : numeric, unit };
+};
+
+/**
+ * Detects the unit a size table was written in. A unit stated in a header or
+ * row label ("Chest (in)", "\uC778\uCE58") wins because stores usually state it
+ * once per column; otherwise inch suffixes have to cover most numeric cells,
+ * so one stray `"` does not turn a cm chart into inches.
+ */
+export const detectSizeTableUnit = ({ headers = [], rows = [] } = {}) => {
+  let inchLabels = 0;
+  let cmLabels = 0;
+  let inchCells = 0;
+  let cmCells = 0;
+  let numericCells = 0;
+  const scoreLabel = (label) => {
+    const text = normalizeCellText(label);
+    if (!text) return;
+    if (INCH_LABEL_PATTERN.test(text)) inchLabels += 1;
+    else if (CM_LABEL_PATTERN.test(text)) cmLabels += 1;
+  };
+  headers.forEach(scoreLabel);
+  for (const row of rows) {
+    if (!Array.isArray(row)) continue;
+    scoreLabel(row[0]);
+    for (const cell of row.slice(1)) {
+      const parsed = parseMeasurementCell(cell);
+      if (!parsed) continue;
+      numericCells += 1;
+      if (parsed.unit === "in") inchCells += 1;
+      else if (parsed.unit === "cm") cmCells += 1;
+    }
+  }
+  if (inchLabels > cmLabels) return "in";
+  if (cmLabels > inchLabels) return "cm";
+  if (inchCells * 2 > numericCells) return "in";
+  if (cmLabels > 0 || cmCells > 0 || inchCells > 0) return "cm";
+  return null;
+};
+
+export const detectSizeTableUnitFromText = (value) => {
+  const text = normalizeCellText(value);
+  if (!text) return null;
+  const inchCount =
+    (text.match(INCH_VALUE_PATTERN) || []).length + (/\binch(?:es)?\b|\uC778\uCE58/i.test(text) ? 1 : 0);
+  const cmCount = (text.match(new RegExp(CM_VALUE_PATTERN.source, "gi")) || []).length;
+  if (inchCount > cmCount) return "in";
+  return cmCount > 0 ? "cm" : null;
+};
+
+export const convertInchCellToCm = (value) =>
+  normalizeCellText(value)
+    .replace(INCH_VALUE_PATTERN, "$1")
+    .replace(/-?\d+(?:\.\d+)?/g, (token) => formatMeasurementNumber(Number(token) * CM_PER_INCH));
+
+const LENGTH_COLUMN_PATTERN =
+  /(?:\uB108\uBE44|\uB113\uC774|\uAE38\uC774|\uB192\uC774|\uB2E8\uBA74|\uB458\uB808|\bcm\b|width|circumference)/i;
+
+const isLengthColumnLabel = (label) => {
+  const text = normalizeCellText(label);
+  if (!text) return false;
+  return (
+    MEASUREMENT_LABEL_HINT_PATTERN.test(text) ||
+    LENGTH_COLUMN_PATTERN.test(text) ||
+    MEASUREMENT_LABEL_HINT_PATTERN.test(normalizeMeasurementLabel(text))
+  );
+};
+
+/**
+ * Converts the numbers in length cells only: columns headed by a measurement,
+ * or rows labelled with one in transposed charts. Size-system (US, EU), weight
+ * and other columns keep their values.
+ */
+const convertInchRowsToCm = (headers, rows) => {
+  const lengthColumns = headers.map((header, index) => index > 0 && isLengthColumnLabel(header));
+  return rows.map((row) => {
+    const isLengthRow = isLengthColumnLabel(row[0]);
+    return row.map((cell, index) => (index > 0 && (lengthColumns[index] || isLengthRow) ? convertInchCellToCm(cell) : cell));
+  });
+};
+
+/** Carries unit and measurement-basis metadata over to a reshaped copy of a table. */
+export const copySizeTableMetadata = (target, source) => {
+  if (!target || !source) return target;
+  const next = { ...target };
+  if (source.unit) {
+    next.unit = source.unit;
+    next.sourceUnit = source.sourceUnit || source.unit;
+  }
+  if (source.measurementBasis && Object.keys(source.measurementBasis).length > 0) {
+    next.measurementBasis = { ...source.measurementBasis };
+  }
+  if (source.sizeSystem) next.sizeSystem = source.sizeSystem;
+  return next;
+};
+
+export const MEASUREMENT_BASIS_VALUES = ["flat", "circumference"];
+
+// Measurements that size charts publish either as a flat half-width (단면)
+// or as a full circumference (둘레). Mirrors MEASUREMENT_BASIS_LABELS in
+// src/constants/index.ts.
+const MEASUREMENT_BASIS_LABELS = [
+  "\uAC00\uC2B4",
+  "\uD5C8\uB9AC",
+  "\uC5C9\uB369\uC774",
+  "\uD5C8\uBC85\uC9C0",
+  "\uBC11\uB2E8",
+];
+const FLAT_LABEL_PATTERN = /(?:\uB2E8\uBA74|flat|width|\uB108\uBE44|\uB113\uC774|1\/2|half)/i;
+const CIRCUMFERENCE_LABEL_PATTERN = /(?:\uB458\uB808|circumference|girth|around|round|full)/i;
+// Bottom-chart ranges (cm) used when a column carries no wording hint.
+const BOTTOM_MEASUREMENT_BASIS_RANGES = {
+  "\uD5C8\uB9AC": { flat: [22, 70], circumference: [50, 150] },
+  "\uC5C9\uB369\uC774": { flat: [30, 80], circumference: [70, 160] },
+  "\uD5C8\uBC85\uC9C0": { flat: [18, 45], circumference: [36, 90] },
+  "\uBC11\uB2E8": { flat: [8, 40], circumference: [16, 80] },
+};
+
+export const isMeasurementBasisLabel = (label) => MEASUREMENT_BASIS_LABELS.includes(label);
+
+export const normalizeMeasurementBasis = (value) => {
+  const basis = normalizeCellText(value).toLowerCase();
+  return MEASUREMENT_BASIS_VALUES.includes(basis) ? basis : null;
+};
+
+export const detectMeasurementBasisFromLabel = (value) => {
+  const text = normalizeCellText(value);
+  if (!text) return null;
+  if (CIRCUMFERENCE_LABEL_PATTERN.test(text)) return "circumference";
+  if (FLAT_LABEL_PATTERN.test(text)) return "flat";
+  return null;
+};
+
+const normalizeMeasurementBasisMap = (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const basis = {};
+  Object.entries(value).forEach(([label, raw]) => {
+    const normalized = normalizeMeasurementBasis(raw);
+    if (normalized) basis[label] = normalized;
+  });
+  return basis;
+};
+
+const detectMeasurementBasisFromWording = (headers, rows) => {
+  const basis = {};
+  const tag = (rawLabel) => {
+    const label = normalizeMeasurementLabel(rawLabel);
+    if (!isMeasurementBasisLabel(label) || basis[label]) return;
+    const detected = detectMeasurementBasisFromLabel(rawLabel);
+    if (detected) basis[label] = detected;
+  };
+  headers.slice(1).forEach(tag);
+  rows.forEach((row) => tag(row?.[0]));
+  return basis;
+};
+
+const inferBottomMeasurementBasis = (label, values) => {
+  const ranges = BOTTOM_MEASUREMENT_BASIS_RANGES[label];
+  const numbers = values.filter((value) => Number.isFinite(value) && value > 0);
+  if (!ranges || numbers.length === 0) return null;
+  const fits = ([min, max]) => numbers.every((value) => value >= min && value <= max);
+  const isFlat = fits(ranges.flat);
+  const isCircumference = fits(ranges.circumference);
+  if (isFlat && !isCircumference) return "flat";
+  if (isCircumference && !isFlat) return "circumference";
+  return null;
+};
+
+const halveMeasurementCell = (value) =>
+  normalizeCellText(value).replace(/-?\d+(?:\.\d+)?/g, (token) => formatMeasurementNumber(Number(token) / 2));
+
+/**
+ * Sanitizes a stored size-row snapshot ({ headers, row }) coming from the
+ * database or a request body. Keeps measurementBasis so comparisons can
+ * reconcile flat and circumference rows later.
+ */
+export const normalizeSizeSnapshot = (value) => {
+  if (!value || typeof value !== "object") return null;
+  const headers = Array.isArray(value.headers) ? value.headers.map((item) => String(item ?? "").trim()) : [];
+  const row = Array.isArray(value.row) ? value.row.map((item) => String(item ?? "").trim()) : [];
+  if (!headers.length || !row.length) return null;
+  const measurementBasis = normalizeMeasurementBasisMap(value.measurementBasis);
+  return Object.keys(measurementBasis).length > 0 ? { headers, row, measurementBasis } : { headers, row };
+};
+
 const normalizeAliasKey = (value) =>
   normalizeCellText(value)
     .toLowerCase()
@@ -72,11 +318,17 @@ const isTotalLengthAliasKey = (aliasKey) =>
 
 const inferMeasurementLabelFromAliasKey = (aliasKey) => {
   if (!aliasKey) return "";
+  // Shoe labels first: "foot length" and "insole length" would otherwise read as total length.
+  if (aliasKey.includes("insole") || aliasKey.includes("\uC778\uC194") || aliasKey.includes("\uAE54\uCC3D")) return INSOLE_LENGTH_LABEL;
+  if (aliasKey.includes("footwidth") || aliasKey.includes("ballwidth") || aliasKey.includes("\uBC1C\uBCFC") || aliasKey.includes("\uBC1C\uD3ED")) return FOOT_WIDTH_LABEL;
+  if (aliasKey.includes("foot") || aliasKey.includes("\uBC1C\uAE38\uC774")) return FOOT_LENGTH_LABEL;
+  if (aliasKey.includes("heel") || aliasKey.includes("\uAD7D")) return HEEL_HEIGHT_LABEL;
   if (aliasKey.includes("outseam") || aliasKey.includes("\uBC14\uC9C0\uCD1D\uC7A5") || aliasKey.includes("\uCD1D\uAE38\uC774")) return TOTAL_LENGTH_LABEL;
   if (aliasKey.includes("shoulder") || aliasKey.includes("\uC5B4\uAE68")) return "\uC5B4\uAE68";
   if (aliasKey.includes("chest") || aliasKey.includes("bust") || aliasKey.includes("bodywidth") || aliasKey.includes("pit") || aliasKey.includes("\uAC00\uC2B4") || aliasKey.includes("\uD488")) {
     return "\uAC00\uC2B4";
   }
+  if (aliasKey.includes("armhole") || aliasKey.includes("\uC554\uD640") || aliasKey.includes("\uC9C4\uB3D9")) return "\uC554\uD640";
   if (aliasKey.includes("sleeve") || aliasKey.includes("arm") || aliasKey.includes("\uC18C\uB9E4") || aliasKey.includes("\uD654\uC7A5")) return "\uC18C\uB9E4";
   if (aliasKey.includes("waist") || aliasKey.includes("\uD5C8\uB9AC")) return "\uD5C8\uB9AC";
   if (aliasKey.includes("hip") || aliasKey.includes("\uC5C9\uB369\uC774") || aliasKey.includes("\uD799")) return "\uC5C9\uB369\uC774";
@@ -95,6 +347,7 @@ const MEASUREMENT_LABEL_EN = {
   "어깨": "Shoulder",
   "가슴": "Chest",
   "소매": "Sleeve",
+  "암홀": "Armhole",
   "허리": "Waist",
   "엉덩이": "Hip",
   "힙": "Hip",
@@ -103,6 +356,10 @@ const MEASUREMENT_LABEL_EN = {
   "밑위": "Rise",
   "밑단": "Hem",
   "인심": "Inseam",
+  [FOOT_LENGTH_LABEL]: "Foot length",
+  [FOOT_WIDTH_LABEL]: "Foot width",
+  [INSOLE_LENGTH_LABEL]: "Insole length",
+  [HEEL_HEIGHT_LABEL]: "Heel height",
 };
 
 /**
@@ -174,17 +431,198 @@ export const normalizeBottomSizeTableForDisplay = (table) => {
     .map((header, index) => ({ header, index }))
     .filter(({ header, index }) => index > 0 && header && !BOTTOM_STANDARD_HEADERS.includes(header));
 
+  // The standard headers are flat (단면) widths, so circumference columns are halved.
+  const circumferenceIndexes = new Set();
+  firstIndexByLabel.forEach((sourceIndex, header) => {
+    const label = normalizeMeasurementLabel(header);
+    if (!isMeasurementBasisLabel(label)) return;
+    const basis =
+      normalized.measurementBasis?.[label] ??
+      inferBottomMeasurementBasis(
+        label,
+        normalized.rows.map((row) => parseMeasurementCell(row?.[sourceIndex])?.value ?? Number.NaN)
+      );
+    if (basis === "circumference") circumferenceIndexes.add(sourceIndex);
+  });
+  const measurementBasis = {};
+  BOTTOM_STANDARD_HEADERS.slice(1).forEach((header) => {
+    const label = normalizeMeasurementLabel(header);
+    if (isMeasurementBasisLabel(label)) measurementBasis[label] = "flat";
+  });
+
   const displayTable = {
+    unit: "cm",
+    sourceUnit: normalized.sourceUnit || "cm",
+    measurementBasis,
+    ...(normalized.sizeSystem ? { sizeSystem: normalized.sizeSystem } : {}),
     headers: [...BOTTOM_STANDARD_HEADERS],
     rows: normalized.rows.map((row) => [
       normalizeMeasurementValueForDisplay(row?.[0]),
       ...BOTTOM_STANDARD_HEADERS.slice(1).map((header) => {
         const sourceIndex = firstIndexByLabel.get(header);
-        return sourceIndex === undefined ? "" : normalizeMeasurementValueForDisplay(row?.[sourceIndex]);
+        if (sourceIndex === undefined) return "";
+        const value = normalizeMeasurementValueForDisplay(row?.[sourceIndex]);
+        return circumferenceIndexes.has(sourceIndex) ? halveMeasurementCell(value) : value;
+      }),
+    ]),
+  };
+
+  if (extraIndexes.length > 0) {
+    displayTable.extra = {
+      headers: [SIZE_COLUMN_LABEL, ...extraIndexes.map(({ header }) => header)],
+      rows: normalized.rows.map((row) => [
+        normalizeMeasurementValueForDisplay(row?.[0]),
+        ...extraIndexes.map(({ index }) => normalizeMeasurementValueForDisplay(row?.[index])),
+      ]),
+    };
+  }
+
+  return displayTable;
+};
+
+export const isShoeCategory = (category) => normalizeDisplayCategory(category) === "shoes";
+
+const SHOE_STANDARD_LABELS = [FOOT_LENGTH_LABEL, FOOT_WIDTH_LABEL, INSOLE_LENGTH_LABEL, HEEL_HEIGHT_LABEL];
+
+// Shoe charts are usually published in millimeters. A cell with an explicit
+// mm unit is always converted; bare numbers above these are treated as mm.
+// Either way they are stored in centimeters like every other measurement.
+const SHOE_MILLIMETER_THRESHOLDS = {
+  [FOOT_LENGTH_LABEL]: 100,
+  [INSOLE_LENGTH_LABEL]: 100,
+  [FOOT_WIDTH_LABEL]: 30,
+  [HEEL_HEIGHT_LABEL]: 20,
+};
+const MM_VALUE_PATTERN = /\d\s*(?:mm\b|\u339C|\uBC00\uB9AC)/i;
+const MM_UNIT_PATTERN = /\s*(?:mm\b|\u339C|\uBC00\uB9AC(?:\uBBF8\uD130)?)/gi;
+
+const toShoeCentimeters = (label, value) => {
+  const cellText = normalizeCellText(value);
+  const hasMillimeterUnit = MM_VALUE_PATTERN.test(cellText);
+  const hasCentimeterUnit = CM_VALUE_PATTERN.test(cellText);
+  const text = normalizeMeasurementValueForDisplay(cellText).replace(MM_UNIT_PATTERN, "");
+  const numeric = parseMeasurementCell(text)?.value;
+  if (numeric === undefined) return text;
+  const isMillimeters =
+    hasMillimeterUnit || (!hasCentimeterUnit && numeric > (SHOE_MILLIMETER_THRESHOLDS[label] ?? Infinity));
+  if (!isMillimeters) return text;
+  return text.replace(/-?\d+(?:\.\d+)?/g, (token) => formatMeasurementNumber(Number(token) / 10));
+};
+
+/**
+ * Mirrors the client's normalizeShoeSizeTableForDisplay: fixed shoe columns
+ * in cm, other columns in `extra`, and 발길이 derived from mm/EU/US labels
+ * when the chart has none. Running it on its own output is a no-op.
+ */
+export const normalizeShoeSizeTableForDisplay = (table) => {
+  const normalized = parseSizeTable(table);
+  if (!normalized?.rows?.length) return normalized;
+
+  const sizeSystem = normalized.sizeSystem ?? detectSizeLabelSystem(normalized.rows.map((row) => row?.[0]), "Shoes");
+  const firstIndexByLabel = new Map();
+  normalized.headers.forEach((header, index) => {
+    if (index === 0 || firstIndexByLabel.has(header)) return;
+    if (SHOE_STANDARD_LABELS.includes(header)) firstIndexByLabel.set(header, index);
+  });
+  const totalLengthIndex = normalized.headers.indexOf(TOTAL_LENGTH_LABEL);
+  if (!firstIndexByLabel.has(FOOT_LENGTH_LABEL) && totalLengthIndex > 0) firstIndexByLabel.set(FOOT_LENGTH_LABEL, totalLengthIndex);
+  const usedIndexes = new Set(firstIndexByLabel.values());
+  const extraIndexes = normalized.headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ header, index }) => index > 0 && header && !usedIndexes.has(index));
+
+  const footLengthFromLabel = (label) => {
+    const comparable = toComparableSize(parseSizeLabel(label, { category: "Shoes", system: sizeSystem }));
+    return comparable?.kind === "shoe" ? formatMeasurementNumber(comparable.value / 10) : "";
+  };
+  const derivesFootLength =
+    !firstIndexByLabel.has(FOOT_LENGTH_LABEL) && normalized.rows.some((row) => footLengthFromLabel(row?.[0]));
+  const headers = SHOE_STANDARD_LABELS.filter(
+    (label) => firstIndexByLabel.has(label) || (label === FOOT_LENGTH_LABEL && derivesFootLength)
+  );
+
+  const displayTable = {
+    unit: "cm",
+    sourceUnit: normalized.sourceUnit || "cm",
+    ...(sizeSystem ? { sizeSystem } : {}),
+    headers: [SIZE_COLUMN_LABEL, ...headers],
+    rows: normalized.rows.map((row) => [
+      normalizeMeasurementValueForDisplay(row?.[0]),
+      ...headers.map((label) => {
+        const sourceIndex = firstIndexByLabel.get(label);
+        if (sourceIndex === undefined) return label === FOOT_LENGTH_LABEL ? footLengthFromLabel(row?.[0]) : "";
+        return toShoeCentimeters(label, row?.[sourceIndex]);
       }),
     ]),
   };
 
+  if (extraIndexes.length > 0) {
+    displayTable.extra = {
+      headers: [SIZE_COLUMN_LABEL, ...extraIndexes.map(({ header }) => header)],
+      rows: normalized.rows.map((row) => [
+        normalizeMeasurementValueForDisplay(row?.[0]),
+        ...extraIndexes.map(({ index }) => normalizeMeasurementValueForDisplay(row?.[index])),
+      ]),
+    };
+  } else if (normalized.extra) {
+    displayTable.extra = normalized.extra;
+  }
+
+  return displayTable;
+};
+
+const TOP_STANDARD_LABELS = [
+  TOTAL_LENGTH_LABEL,
+  "\uC5B4\uAE68",
+  "\uAC00\uC2B4",
+  "\uC18C\uB9E4",
+  "\uC554\uD640",
+  "\uBC11\uB2E8",
+];
+
+// Mirrors STANDARD_SIZE_TABLE_LAYOUTS in src/constants.
+const STANDARD_SIZE_TABLE_LAYOUTS = {
+  top: TOP_STANDARD_LABELS,
+  outer: TOP_STANDARD_LABELS,
+  dressskirt: [TOTAL_LENGTH_LABEL, "\uAC00\uC2B4", "\uD5C8\uB9AC", "\uC5C9\uB369\uC774", "\uBC11\uB2E8"],
+};
+
+const getStandardSizeTableLayout = (category) => STANDARD_SIZE_TABLE_LAYOUTS[normalizeDisplayCategory(category)] ?? null;
+
+/** Whether the category stores a normalized_size_table next to the raw one. */
+export const hasNormalizedSizeTableLayout = (category) =>
+  isBottomCategory(category) || isShoeCategory(category) || Boolean(getStandardSizeTableLayout(category));
+
+/**
+ * Mirrors the client's normalizeStandardSizeTableForDisplay: the category's
+ * canonical columns first, in order, and everything else in `extra`.
+ */
+export const normalizeStandardSizeTableForDisplay = (table, category) => {
+  const normalized = parseSizeTable(table);
+  const layout = getStandardSizeTableLayout(category);
+  if (!layout || !normalized?.rows?.length) return normalized;
+
+  const firstIndexByLabel = new Map();
+  normalized.headers.forEach((header, index) => {
+    if (index === 0 || firstIndexByLabel.has(header)) return;
+    if (layout.includes(header)) firstIndexByLabel.set(header, index);
+  });
+  const headers = layout.filter((label) => firstIndexByLabel.has(label));
+  if (headers.length === 0) return normalized;
+  const usedIndexes = new Set(firstIndexByLabel.values());
+  const extraIndexes = normalized.headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ header, index }) => index > 0 && header && !usedIndexes.has(index));
+
+  const displayTable = {
+    ...normalized,
+    headers: [SIZE_COLUMN_LABEL, ...headers],
+    rows: normalized.rows.map((row) => [
+      normalizeMeasurementValueForDisplay(row?.[0]),
+      ...headers.map((label) => normalizeMeasurementValueForDisplay(row?.[firstIndexByLabel.get(label)])),
+    ]),
+  };
+
   if (extraIndexes.length > 0) {
     displayTable.extra = {
       headers: [SIZE_COLUMN_LABEL, ...extraIndexes.map(({ header }) => header)],
@@ -198,20 +636,38 @@ export const normalizeBottomSizeTableForDisplay = (table) => {
   return displayTable;
 };
 
+// Bare labels such as "42.5" only read as a size system once the category is
+// known, so tables normalized without one get it filled in here.
+const withCategorySizeSystem = (category, table) => {
+  if (!table?.rows?.length || table.sizeSystem) return table;
+  const sizeSystem = detectSizeLabelSystem(table.rows.map((row) => row?.[0]), category);
+  return sizeSystem ? { ...table, sizeSystem } : table;
+};
+
 export const normalizeSizeTableForCategory = (category, table) => {
-  if (!isBottomCategory(category)) return parseSizeTable(table);
-  return normalizeBottomSizeTableForDisplay(table);
+  if (isShoeCategory(category)) return normalizeShoeSizeTableForDisplay(table);
+  if (getStandardSizeTableLayout(category)) {
+    return withCategorySizeSystem(category, normalizeStandardSizeTableForDisplay(table, category));
+  }
+  if (!isBottomCategory(category)) return withCategorySizeSystem(category, parseSizeTable(table));
+  return withCategorySizeSystem(category, normalizeBottomSizeTableForDisplay(table));
 };
 
 export const getDisplaySizeTable = (product) => {
   if (!product || typeof product !== "object") return null;
+  if (isShoeCategory(product.category)) {
+    return normalizeShoeSizeTableForDisplay(product.normalizedSizeTable ?? product.sizeTable ?? null);
+  }
   if (isBottomCategory(product.category)) {
     if (isBottomDisplaySizeTable(product.normalizedSizeTable ?? null)) {
       return parseSizeTable(product.normalizedSizeTable ?? null);
     }
     return normalizeSizeTableForCategory(product.category, product.sizeTable || product.normalizedSizeTable || null);
   }
-  return parseSizeTable(product.normalizedSizeTable ?? null) || normalizeSizeTableForCategory(product.category, product.sizeTable);
+  return (
+    normalizeSizeTableForCategory(product.category, product.normalizedSizeTable ?? null) ||
+    normalizeSizeTableForCategory(product.category, product.sizeTable)
+  );
 };
 
 export const normalizeSizeLabel = (value) => normalizeCellText(value).toUpperCase();
@@ -303,27 +759,51 @@ const standardizeSizeTable = (value) => {
   const width = Math.max(headers.length, ...rows.map((row) => row.length), 0);
   if (width === 0) return null;
 
+  // Stored tables are always in centimeters (`unit: "cm"`); anything else is
+  // raw input whose unit still has to be detected and converted once.
+  const isAlreadyNormalized = normalizeSizeTableUnit(parsed.unit) === "cm";
+  const sourceUnit =
+    normalizeSizeTableUnit(parsed.sourceUnit) ||
+    (isAlreadyNormalized ? "cm" : detectSizeTableUnit({ headers, rows })) ||
+    "cm";
+  const shouldConvertInches = !isAlreadyNormalized && sourceUnit === "in";
+
   const normalizedHeaders = [...headers, ...new Array(width - headers.length).fill("")].slice(0, width);
   normalizedHeaders[0] = SIZE_COLUMN_LABEL;
   for (let idx = 1; idx < normalizedHeaders.length; idx += 1) {
     normalizedHeaders[idx] = normalizeMeasurementLabel(normalizedHeaders[idx]);
   }
 
-  const normalizedRows = makeRectangularRows(rows, width).map((row) => {
+  const rectangularRows = makeRectangularRows(rows, width);
+  const normalizedRows = (shouldConvertInches ? convertInchRowsToCm(headers, rectangularRows) : rectangularRows).map((row) => {
     const nextRow = [...row];
     nextRow[0] = normalizeSizeLabel(nextRow[0]);
     return nextRow;
   });
 
+  const measurementBasis = {
+    ...detectMeasurementBasisFromWording(headers, rows),
+    ...normalizeMeasurementBasisMap(parsed.measurementBasis),
+  };
+
   const result = {
     headers: normalizedHeaders,
     rows: normalizedRows,
+    unit: "cm",
+    sourceUnit,
   };
+  if (Object.keys(measurementBasis).length > 0) result.measurementBasis = measurementBasis;
+  const sizeSystem = SIZE_SYSTEMS.includes(parsed.sizeSystem)
+    ? parsed.sizeSystem
+    : detectSizeLabelSystem(normalizedRows.map((row) => row[0]));
+  if (sizeSystem) result.sizeSystem = sizeSystem;
   if (extraHeaders.length > 0 && extraRows.length > 0) {
     const extraWidth = Math.max(extraHeaders.length, ...extraRows.map((row) => row.length), 0);
+    const rectangularExtraRows = makeRectangularRows(extraRows, extraWidth);
+    const fullExtraHeaders = [...extraHeaders, ...new Array(Math.max(extraWidth - extraHeaders.length, 0)).fill("")].slice(0, extraWidth);
     result.extra = {
-      headers: [...extraHeaders, ...new Array(Math.max(extraWidth - extraHeaders.length, 0)).fill("")].slice(0, extraWidth),
-      rows: makeRectangularRows(extraRows, extraWidth),
+      headers: fullExtraHeaders,
+      rows: shouldConvertInches ? convertInchRowsToCm(fullExtraHeaders, rectangularExtraRows) : rectangularExtraRows,
     };
   }
   return result;
@@ -348,5 +828,6 @@ export const parseSizeTable = (value) => {
 
 export {
   ITEM_LABEL,
+  SIZE_COLUMN_LABEL,
   standardizeSizeTable,
 };
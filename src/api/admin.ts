@@ -1,4 +1,4 @@
-import type { BrandBackfillResult, BrandInfo, BrandRule, ProductStyleReviewInput } from "../types";
+import type { BrandBackfillResult, BrandInfo, BrandRule, ProductMergeInput, ProductStyleReviewInput } from "../types";
 import { parseApiJson } from "./shared";
 
 export const fetchBrands = async (): Promise<BrandInfo[]> => {
@@ -99,3 +99,23 @@ export const saveProductStyleReview = async (
   }
   return payload.data.product;
 };
+
+export const mergeProducts = async (input: ProductMergeInput): Promise<{ canonicalId: string; mergedIds: string[] }> => {
+  const response = await fetch("/api/admin/products/merge", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify(input),
+  });
+  const payload = await parseApiJson<{ ok?: boolean; error?: string; data?: { canonicalId?: string; mergedIds?: string[] } }>(
+    response,
+    "/api/admin/products/merge"
+  );
+  if (!response.ok || !payload?.ok || !payload?.data?.canonicalId) {
+    throw new Error(payload?.error || "Failed to merge products");
+  }
+  return {
+    canonicalId: payload.data.canonicalId,
+    mergedIds: Array.isArray(payload.data.mergedIds) ? payload.data.mergedIds : [],
+  };
+};
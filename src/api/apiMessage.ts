@@ -1,9 +1,11 @@
 const API_MESSAGES = {
   ko: {
     loadProducts: '상품 목록을 불러오지 못했습니다.',
+    loadPersonalizedFeed: '추천 피드를 불러오지 못했습니다.',
     searchProducts: '상품 검색에 실패했습니다.',
     loadProductInfo: '상품 정보를 불러오지 못했습니다.',
     imageUploadFailed: '이미지 업로드에 실패했습니다.',
+    imageDiscardFailed: '업로드한 이미지를 삭제하지 못했습니다.',
     categoryRequired: '카테고리는 필수입니다.',
     productPhotoRequired: '상품 사진은 필수입니다.',
     productSubmitFailed: '상품 등록에 실패했습니다.',
@@ -15,6 +17,7 @@ const API_MESSAGES = {
     closetLoadFailed: '옷장을 불러오지 못했습니다.',
     closetAddFailed: '옷장에 추가하지 못했습니다.',
     closetRemoveFailed: '옷장에서 제거하지 못했습니다.',
+    closetColorSaveFailed: '색상을 저장하지 못했습니다.',
     mySizeCreateFailed: '내 사이즈 등록에 실패했습니다.',
     mySizeUpdateFailed: '내 사이즈 수정에 실패했습니다.',
     mySizeDeleteFailed: '내 사이즈 삭제에 실패했습니다.',
@@ -29,13 +32,20 @@ const API_MESSAGES = {
     usernameChangeFailed: '사용자 이름을 변경하지 못했어요.',
     outfitRequestsLoadFailed: '요청을 처리하지 못했습니다.',
     tasteAnalysisLoadFailed: '취향 분석을 불러오지 못했습니다.',
+    tasteTimelineLoadFailed: '취향 타임라인을 불러오지 못했습니다.',
     digboxSizeDecisionSaveFailed: '사이즈 기록 저장 실패',
+    digboxPriceAlertDismissFailed: '가격 알림 해제 실패',
+    digboxColorSaveFailed: '색상 저장 실패',
+    bodyMeasurementsSaveFailed: '신체 치수를 저장하지 못했습니다.',
+    bodyMeasurementsDeleteFailed: '신체 치수를 삭제하지 못했습니다.',
   },
   en: {
     loadProducts: "We couldn't load the product list.",
+    loadPersonalizedFeed: "We couldn't load your personalized feed.",
     searchProducts: "Product search failed.",
     loadProductInfo: "We couldn't load product information.",
     imageUploadFailed: "Image upload failed.",
+    imageDiscardFailed: "We couldn't delete the uploaded image.",
     categoryRequired: "Category is required.",
     productPhotoRequired: "A product photo is required.",
     productSubmitFailed: "Product submission failed.",
@@ -47,6 +57,7 @@ const API_MESSAGES = {
     closetLoadFailed: "Failed to load closet.",
     closetAddFailed: "Failed to add to closet.",
     closetRemoveFailed: "Failed to remove from closet.",
+    closetColorSaveFailed: "Failed to save the color.",
     mySizeCreateFailed: "Failed to create My Size.",
     mySizeUpdateFailed: "Failed to update My Size.",
     mySizeDeleteFailed: "Failed to delete My Size.",
@@ -61,7 +72,12 @@ const API_MESSAGES = {
     usernameChangeFailed: "We couldn't change your username.",
     outfitRequestsLoadFailed: "We couldn't process the request.",
     tasteAnalysisLoadFailed: "We couldn't load your taste analysis.",
+    tasteTimelineLoadFailed: "We couldn't load your taste timeline.",
     digboxSizeDecisionSaveFailed: "Failed to save size decision",
+    digboxPriceAlertDismissFailed: "Failed to dismiss price alert",
+    digboxColorSaveFailed: "Failed to save color",
+    bodyMeasurementsSaveFailed: "Failed to save body measurements.",
+    bodyMeasurementsDeleteFailed: "Failed to delete body measurements.",
   },
 } as const;
 
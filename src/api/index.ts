@@ -3,9 +3,13 @@ import type {
   BrandBackfillResult,
   // eslint-disable-next-line @typescript-eslint/no-unused-vars -- Retained as part of the existing API type surface.
   BrandRule,
+  BodyMeasurements,
+  BodyMeasurementsInput,
+  BrandSizeFit,
   CatalogPage,
   ClosetSizeSelection,
   DigboxSizeDecisionInput,
+  DuplicateProductCandidate,
   MySizeInput,
   MySizeProfile,
   MySizeUpdateInput,
@@ -14,11 +18,14 @@ import type {
   ProductMetadataPayload,
   SizeTable,
   SubmitProductForm,
+  SubmitProductResult,
 } from '../types';
 import { normalizeSizeTable } from '../utils/sizeTable';
 import { authenticatedFetch, parseApiJson, postJson } from './shared';
 import { apiMessage } from './apiMessage';
 import type { SerializedTasteGraphState, TasteCollectionSource } from "../utils/tasteGraph";
+import type { TasteTimeline } from "../utils/tasteTimeline";
+import type { PriceFilterValue } from '../constants';
 
 export type CollectionBootstrapData = {
   closet: Product[];
@@ -55,6 +62,14 @@ export const fetchTasteAnalysis = async (source: TasteCollectionSource): Promise
   };
 };
 
+export const fetchTasteTimeline = async (): Promise<TasteTimeline> => {
+  const endpoint = "/api/taste-timeline";
+  const response = await authenticatedFetch(endpoint);
+  const payload = await parseApiJson<{ ok?: boolean; data?: Partial<TasteTimeline>; error?: string }>(response, endpoint);
+  if (!response.ok || !payload.ok) throw new Error(payload.error || apiMessage('tasteTimelineLoadFailed'));
+  return { buckets: Array.isArray(payload.data?.buckets) ? payload.data.buckets : [] };
+};
+
 export const fetchAllProducts = async (): Promise<Product[]> => {
   const endpoint = '/api/admin/products';
   const response = await fetch(endpoint, { cache: 'no-store' });
@@ -65,8 +80,9 @@ export const fetchAllProducts = async (): Promise<Product[]> => {
 
 const catalogRequests = new Map<string, Promise<CatalogPage>>();
 
-export const fetchCatalogProducts = (offset = 0, limit = 24): Promise<CatalogPage> => {
-  const endpoint = `/api/catalog/products?offset=${encodeURIComponent(offset)}&limit=${encodeURIComponent(limit)}`;
+export const fetchCatalogProducts = (offset = 0, limit = 24, priceFilter: PriceFilterValue | "" = ""): Promise<CatalogPage> => {
+  const priceParam = priceFilter ? `&price=${encodeURIComponent(priceFilter)}` : "";
+  const endpoint = `/api/catalog/products?offset=${encodeURIComponent(offset)}&limit=${encodeURIComponent(limit)}${priceParam}`;
   const existing = catalogRequests.get(endpoint);
   if (existing) return existing;
   const request = (async () => {
@@ -86,6 +102,17 @@ export const fetchCatalogProducts = (offset = 0, limit = 24): Promise<CatalogPag
   return request;
 };
 
+export const fetchPersonalizedFeed = async (offset = 0, limit = 24): Promise<CatalogPage> => {
+  const endpoint = `/api/catalog/for-you?offset=${encodeURIComponent(offset)}&limit=${encodeURIComponent(limit)}`;
+  const response = await authenticatedFetch(endpoint, { cache: 'no-store' });
+  const payload = await parseApiJson<{ ok?: boolean; data?: { products?: ProductCardData[]; nextOffset?: number | null }; error?: string }>(response, endpoint);
+  if (!response.ok || !payload.ok) throw new Error(payload.error || apiMessage('loadPersonalizedFeed'));
+  return {
+    products: Array.isArray(payload.data?.products) ? payload.data.products : [],
+    nextOffset: typeof payload.data?.nextOffset === "number" ? payload.data.nextOffset : null,
+  };
+};
+
 export const searchCatalogProducts = async (query: string, signal?: AbortSignal, limit = 8): Promise<Product[]> => {
   const endpoint = `/api/catalog/search?q=${encodeURIComponent(query)}&limit=${encodeURIComponent(limit)}`;
   const response = await fetch(endpoint, { signal });
@@ -104,6 +131,14 @@ export const fetchCatalogProductsByIds = async (ids: string[], signal?: AbortSig
   return Array.isArray(payload.data?.products) ? payload.data.products : [];
 };
 
+export const fetchBrandSizeFit = async (productId: string, signal?: AbortSignal): Promise<BrandSizeFit | null> => {
+  const endpoint = `/api/products/${encodeURIComponent(productId)}/size-fit`;
+  const response = await fetch(endpoint, { cache: 'no-store', signal });
+  const payload = await parseApiJson<{ ok?: boolean; data?: { sizeFit?: BrandSizeFit | null }; error?: string }>(response, endpoint);
+  if (!response.ok || !payload?.ok) return null;
+  return payload.data?.sizeFit ?? null;
+};
+
 export const uploadSubmissionImage = async (file: File): Promise<string> => {
   const form = new FormData();
   form.set('file', file);
@@ -113,7 +148,18 @@ export const uploadSubmissionImage = async (file: File): Promise<string> => {
   return payload.data.path;
 };
 
-export const submitProduct = async (form: SubmitProductForm, isInstagram = false): Promise<Product> => {
+/** Deletes an uploaded photo that no product ended up using. */
+export const discardSubmissionImage = async (path: string): Promise<void> => {
+  const response = await authenticatedFetch('/api/uploads/product-image', {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path }),
+  });
+  const payload = await parseApiJson<{ ok?: boolean; error?: string }>(response, '/api/uploads/product-image');
+  if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('imageDiscardFailed'));
+};
+
+export const submitProduct = async (form: SubmitProductForm, isInstagram = false): Promise<SubmitProductResult> => {
   let imagePath = '';
   if (form.productPhoto) {
     imagePath = await uploadSubmissionImage(form.productPhoto);
@@ -124,19 +170,30 @@ export const submitProduct = async (form: SubmitProductForm, isInstagram = false
     throw new Error(apiMessage('productPhotoRequired'));
   }
 
-  const { response, payload } = await postJson<object, { product?: Product }>(
+  const { response, payload } = await postJson<object, { product?: Product; duplicateCandidates?: DuplicateProductCandidate[] }>(
     '/api/products',
     {
       brand: form.brand,
       name: form.name,
       url: form.url || null,
       image_path: imagePath,
+      productImageCandidates: form.productImageCandidates ?? [],
       sizeTable: form.sizeTable ?? null,
       normalizedSizeTable: form.normalizedSizeTable ?? null,
       productMetadata: form.productMetadata ?? null,
+      sizeOptionLabels: form.sizeOptionLabels ?? [],
+      price: form.price ?? null,
+      sizeAvailability: form.sizeAvailability ?? null,
+      colorVariants: form.colorVariants ?? null,
+      sizeTableProvenance: form.sizeTableProvenance ?? null,
+      confirmNewProduct: form.confirmNewProduct ?? false,
       isInstagram,
     }
   );
+  const duplicateCandidates = payload?.data?.duplicateCandidates;
+  if (response.status === 409 && Array.isArray(duplicateCandidates) && duplicateCandidates.length > 0) {
+    return { product: null, duplicateCandidates, imagePath };
+  }
   if (!response.ok || !payload?.ok) {
     console.error('[submitProduct] insert failed', payload?.error);
     throw new Error(payload?.error || apiMessage('productSubmitFailed'));
@@ -144,7 +201,7 @@ export const submitProduct = async (form: SubmitProductForm, isInstagram = false
   if (!payload.data?.product) {
     throw new Error(apiMessage('productSubmitNoProduct'));
   }
-  return payload.data.product;
+  return { product: payload.data.product, duplicateCandidates: [], imagePath };
 };
 
 export const fetchProductMetadataFromUrl = async (url: string): Promise<ProductMetadataPayload> => {
@@ -173,7 +230,8 @@ export const extractSizeTableFromImage = async (base64Image: string, mimeType =
   return normalized;
 };
 
-export const removeBackgroundWithGemini = async (base64Image: string): Promise<string> => {
+/** Cuts the product out on the image worker; falls back to the original image when that fails. */
+export const removeProductImageBackground = async (base64Image: string): Promise<string> => {
   const { response, payload } = await postJson<
     { imageBase64: string; mimeType: string },
     { imageBase64?: string }
@@ -193,7 +251,11 @@ export const fetchClosetItems = async (includeAnalysis = false): Promise<Product
   return rows.filter((p): p is Product => p !== null && typeof p === 'object');
 };
 
-export const addToCloset = async (productId: string, sizeSelection?: ClosetSizeSelection | null): Promise<void> => {
+export const addToCloset = async (
+  productId: string,
+  sizeSelection?: ClosetSizeSelection | null,
+  selectedColor?: string | null
+): Promise<void> => {
   const response = await authenticatedFetch('/api/closet', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -202,12 +264,23 @@ export const addToCloset = async (productId: string, sizeSelection?: ClosetSizeS
       selectedSizeLabel: sizeSelection?.label ?? null,
       selectedSizeRowIndex: sizeSelection?.rowIndex ?? null,
       selectedSizeSnapshot: sizeSelection?.snapshot ?? null,
+      selectedColor: selectedColor ?? null,
     }),
   });
   const payload = await parseApiJson<{ ok?: boolean; error?: string }>(response, '/api/closet');
   if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('closetAddFailed'));
 };
 
+export const updateClosetSelectedColor = async (productId: string, selectedColor: string | null): Promise<void> => {
+  const response = await authenticatedFetch(`/api/closet/${encodeURIComponent(productId)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ selectedColor }),
+  });
+  const payload = await parseApiJson<{ ok?: boolean; error?: string }>(response, '/api/closet/[productId]');
+  if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('closetColorSaveFailed'));
+};
+
 export const removeFromCloset = async (productId: string): Promise<void> => {
   const response = await authenticatedFetch(`/api/closet/${encodeURIComponent(productId)}`, {
     method: 'DELETE',
@@ -256,6 +329,34 @@ export const deleteMySize = async (id: string): Promise<void> => {
   if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('mySizeDeleteFailed'));
 };
 
+export const fetchBodyMeasurements = async (): Promise<BodyMeasurements | null> => {
+  const response = await authenticatedFetch('/api/my-sizes/body');
+  const payload = await parseApiJson<{ ok?: boolean; data?: { measurements?: BodyMeasurements | null }; error?: string }>(response, '/api/my-sizes/body');
+  if (!response.ok || !payload?.ok) return null;
+  return payload.data?.measurements ?? null;
+};
+
+export const saveBodyMeasurements = async (input: BodyMeasurementsInput): Promise<BodyMeasurements> => {
+  const response = await authenticatedFetch('/api/my-sizes/body', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(input),
+  });
+  const payload = await parseApiJson<{ ok?: boolean; data?: { measurements?: BodyMeasurements }; error?: string }>(response, '/api/my-sizes/body');
+  if (!response.ok || !payload?.ok || !payload.data?.measurements) {
+    throw new Error(payload?.error || apiMessage('bodyMeasurementsSaveFailed'));
+  }
+  return payload.data.measurements;
+};
+
+export const deleteBodyMeasurements = async (): Promise<void> => {
+  const response = await authenticatedFetch('/api/my-sizes/body', {
+    method: 'DELETE',
+  });
+  const payload = await parseApiJson<{ ok?: boolean; error?: string }>(response, '/api/my-sizes/body');
+  if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('bodyMeasurementsDeleteFailed'));
+};
+
 export const fetchDigboxItems = async (): Promise<Product[]> => {
   const data = await fetchDigboxData();
   return data.products;
@@ -284,11 +385,11 @@ export const fetchDigboxData = async (includeAnalysis = false): Promise<{ produc
   };
 };
 
-export const addToDigbox = async (productId: string): Promise<void> => {
+export const addToDigbox = async (productId: string, selectedColor?: string | null): Promise<void> => {
   const response = await authenticatedFetch('/api/digbox', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ productId }),
+    body: JSON.stringify({ productId, selectedColor: selectedColor ?? null }),
   });
   const payload = await parseApiJson<{ ok?: boolean; error?: string }>(response, '/api/digbox');
   if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('digboxAddFailed'));
@@ -315,6 +416,26 @@ export const updateDigboxSizeDecision = async (
   if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('digboxSizeDecisionSaveFailed'));
 };
 
+export const dismissDigboxPriceAlert = async (productId: string): Promise<void> => {
+  const response = await authenticatedFetch(`/api/digbox/${encodeURIComponent(productId)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ dismissPriceAlert: true }),
+  });
+  const payload = await parseApiJson<{ ok?: boolean; error?: string }>(response, '/api/digbox/[productId]');
+  if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('digboxPriceAlertDismissFailed'));
+};
+
+export const updateDigboxSelectedColor = async (productId: string, selectedColor: string | null): Promise<void> => {
+  const response = await authenticatedFetch(`/api/digbox/${encodeURIComponent(productId)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ selectedColor }),
+  });
+  const payload = await parseApiJson<{ ok?: boolean; error?: string }>(response, '/api/digbox/[productId]');
+  if (!response.ok || !payload?.ok) throw new Error(payload?.error || apiMessage('digboxColorSaveFailed'));
+};
+
 export const deleteMyAccount = async (): Promise<void> => {
   const response = await authenticatedFetch('/api/auth/delete-account', {
     method: 'POST',
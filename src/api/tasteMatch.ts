@@ -38,24 +38,38 @@ export async function fetchDigMatchHistory(): Promise<DigMatchHistoryEntry[]> {
   return Array.isArray(payload.data?.history) ? payload.data.history : [];
 }
 
-export async function saveDigMatchProfile(profile: DigMatchProfile, answers: DigMatchAnswer[]) {
+export async function saveDigMatchProfile(answers: DigMatchAnswer[]): Promise<DigMatchProfile | null> {
   const response = await fetch("/api/taste-match/profile", {
     method: "POST",
     credentials: "same-origin", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ profile, answers }),
+    body: JSON.stringify({ answers }),
   });
   const payload = await parseApiJson<ApiEnvelope<{ profile?: DigMatchProfile }>>(response, "/api/taste-match/profile");
   if (!response.ok || !payload.ok) throw new Error(payload.error || "취향 프로필을 저장하지 못했습니다.");
-  return true;
+  return payload.data?.profile || null;
 }
 
-export async function saveTasteSwipe(profile: DigMatchProfile, actions: TasteSwipeAction[]) {
+export async function saveTasteSwipe(actions: TasteSwipeAction[]): Promise<DigMatchProfile | null> {
   const response = await fetch("/api/taste-match/swipes", {
     method: "POST",
     credentials: "same-origin", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ profile, actions }),
+    body: JSON.stringify({ actions: actions.map(({ productId, decision }) => ({ productId, decision })) }),
   });
-  const payload = await parseApiJson<ApiEnvelope<Record<string, never>>>(response, "/api/taste-match/swipes");
+  const payload = await parseApiJson<ApiEnvelope<{ profile?: DigMatchProfile | null }>>(response, "/api/taste-match/swipes");
   if (!response.ok || !payload.ok) throw new Error(payload.error || "취향 반응을 저장하지 못했습니다.");
+  return payload.data?.profile || null;
+}
+
+export async function undoLastTasteSession(): Promise<{ undone: "swipe" | "match" | null; profile: DigMatchProfile | null }> {
+  const response = await fetch("/api/taste-match/undo", { method: "POST", credentials: "same-origin" });
+  const payload = await parseApiJson<ApiEnvelope<{ undone?: "swipe" | "match" | null; profile?: DigMatchProfile | null }>>(response, "/api/taste-match/undo");
+  if (!response.ok || !payload.ok) throw new Error(payload.error || "취향 기록을 되돌리지 못했습니다.");
+  return { undone: payload.data?.undone || null, profile: payload.data?.profile || null };
+}
+
+export async function resetTasteProfile() {
+  const response = await fetch("/api/taste-match/profile", { method: "DELETE", credentials: "same-origin" });
+  const payload = await parseApiJson<ApiEnvelope<{ profile?: null }>>(response, "/api/taste-match/profile");
+  if (!response.ok || !payload.ok) throw new Error(payload.error || "취향 프로필을 초기화하지 못했습니다.");
   return true;
 }
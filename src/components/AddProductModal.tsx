@@ -5,6 +5,7 @@ import { useBodyScrollLock } from '../hooks/useBodyScrollLock';
 import { usePresence } from '../hooks/usePresence';
 import { useLocaleContext } from '../contexts/LocaleContext';
 import { AddProductFormFields } from './add-product/AddProductFormFields';
+import { DuplicateProductModal } from './modals/DuplicateProductModal';
 
 type ProductForm = ReturnType<typeof useProductForm>;
 
@@ -56,6 +57,17 @@ export function AddProductModal({ form }: AddProductModalProps) {
           </div>
         </div>
       </div>
+      {form.pendingDuplicates ? (
+        <DuplicateProductModal
+          candidates={form.pendingDuplicates.candidates}
+          isBusy={form.isSaving}
+          onClose={form.handleDismissDuplicates}
+          onUseExisting={(product) => void form.handleUseExistingProduct(product)}
+          onRegisterAnyway={() => void form.handleConfirmNewProduct()}
+        />
+      ) : form.showDuplicateProductModal ? (
+        <DuplicateProductModal onClose={() => form.setShowDuplicateProductModal(false)} />
+      ) : null}
     </div>
   );
 }
@@ -6,7 +6,7 @@ import { BrandRulesPanel } from "./admin/BrandRulesPanel";
 import { BrandUnifyPanel } from "./admin/BrandUnifyPanel";
 import { AdminProductsList } from "./admin/AdminProductsList";
 import { InstagramProductsPanel } from "./admin/InstagramProductsPanel";
-import type { AdminEditForm, BrandBackfillResult, BrandRule, Product, ProductStyleReviewInput, SizeTable } from "../types";
+import type { AdminEditForm, BrandBackfillResult, BrandRule, Product, ProductMergeInput, ProductStyleReviewInput, SizeTable, SizeTableProvenance } from "../types";
 
 
 
@@ -33,6 +33,7 @@ interface AdminPageProps {
   adminSizeChartImage: string | null;
   isAdminAnalyzingTable: boolean;
   adminExtractedTable: SizeTable | null;
+  adminSizeTableProvenance: SizeTableProvenance | null;
   isAdminActionLoading: boolean;
   brandRules: BrandRule[];
   isBrandRulesLoading: boolean;
@@ -53,10 +54,12 @@ interface AdminPageProps {
   onUpdateProduct: (id: string) => void;
   onApproveProductCategory: (id: string) => void;
   onDeleteProduct: (id: string) => void;
+  onMergeProducts: (input: ProductMergeInput) => Promise<boolean>;
   onStartEdit: (product: Product) => void;
   onCancelEdit: () => void;
   onEditFormChange: (updater: (prev: AdminEditForm) => AdminEditForm) => void;
   onExtractedTableChange: (table: SizeTable) => void;
+  onSelectSizeTableCandidate: (index: number) => void;
   onInstagramPublish: (id: string) => void;
   onInstagramUnpublish: (id: string) => void;
   onInstagramMove: (id: string, direction: "up" | "down") => void;
@@ -87,6 +90,7 @@ export const AdminPage = ({
   adminSizeChartImage,
   isAdminAnalyzingTable,
   adminExtractedTable,
+  adminSizeTableProvenance,
   isAdminActionLoading,
   brandRules,
   isBrandRulesLoading,
@@ -107,10 +111,12 @@ export const AdminPage = ({
   onUpdateProduct,
   onApproveProductCategory,
   onDeleteProduct,
+  onMergeProducts,
   onStartEdit,
   onCancelEdit,
   onEditFormChange,
   onExtractedTableChange,
+  onSelectSizeTableCandidate,
   onInstagramPublish,
   onInstagramUnpublish,
   onInstagramMove,
@@ -252,6 +258,7 @@ export const AdminPage = ({
                 <AdminProductsList
                   adminEditForm={adminEditForm}
                   adminExtractedTable={adminExtractedTable}
+                  adminSizeTableProvenance={adminSizeTableProvenance}
                   adminImagePreview={adminImagePreview}
                   adminSizeChartImage={adminSizeChartImage}
                   allProducts={allProducts}
@@ -262,8 +269,10 @@ export const AdminPage = ({
                   onDeleteProduct={onDeleteProduct}
                   onEditFormChange={onEditFormChange}
                   onExtractedTableChange={onExtractedTableChange}
+                  onSelectSizeTableCandidate={onSelectSizeTableCandidate}
                   onFileUpload={onFileUpload}
                   onImageLoadError={onImageLoadError}
+                  onMergeProducts={onMergeProducts}
                   onSaveStyleReview={onSaveStyleReview}
                   onStartEdit={onStartEdit}
                   onUpdateProduct={onUpdateProduct}
@@ -0,0 +1,41 @@
+import { Ruler } from "lucide-react";
+import type { BrandSizeFit, BrandSizeFitBias } from "../types";
+import type { MessageKey } from "../i18n/messages";
+import { useLocaleContext } from "../contexts/LocaleContext";
+
+const BIAS_LABEL_KEYS: Record<BrandSizeFitBias, MessageKey> = {
+  runs_small: "brandFit.runsSmall",
+  true_to_size: "brandFit.trueToSize",
+  runs_large: "brandFit.runsLarge",
+};
+
+const BIAS_CLASS_NAMES: Record<BrandSizeFitBias, string> = {
+  runs_small: "border-sky-300/25 bg-sky-400/[0.08] text-sky-100",
+  true_to_size: "border-white/[0.1] bg-white/[0.04] text-gray-200",
+  runs_large: "border-amber-300/25 bg-amber-400/[0.08] text-amber-100",
+};
+
+const getShiftHintKey = (sizeShift: number): MessageKey | null => {
+  if (sizeShift >= 1) return "brandFit.sizeUp";
+  if (sizeShift > 0) return "brandFit.sizeUpHalf";
+  if (sizeShift <= -1) return "brandFit.sizeDown";
+  if (sizeShift < 0) return "brandFit.sizeDownHalf";
+  return null;
+};
+
+/** Crowd-sourced "runs small/large" verdict for the product's brand, with a size-shift hint. */
+export function BrandSizeFitBadge({ sizeFit }: { sizeFit: BrandSizeFit }) {
+  const { t } = useLocaleContext();
+  const shiftHintKey = getShiftHintKey(sizeFit.sizeShift);
+
+  return (
+    <div className={`mb-3 rounded-xl border px-3.5 py-2.5 ${BIAS_CLASS_NAMES[sizeFit.bias]}`}>
+      <p className="flex items-center gap-1.5 text-xs font-black">
+        <Ruler className="h-3.5 w-3.5" aria-hidden="true" />
+        {t(BIAS_LABEL_KEYS[sizeFit.bias], { brand: sizeFit.brand })}
+      </p>
+      {shiftHintKey ? <p className="mt-1 text-xs font-semibold opacity-80">{t(shiftHintKey)}</p> : null}
+      <p className="mt-1 text-[11px] font-semibold text-white/45">{t("brandFit.basedOn", { count: sizeFit.userCount })}</p>
+    </div>
+  );
+}
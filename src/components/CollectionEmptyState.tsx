@@ -8,6 +8,8 @@ interface CollectionEmptyStateProps {
   collection: "saved" | "closet";
   query: string;
   category: string;
+  /** A FilterBar price chip other than "any price" is selected. */
+  hasPriceFilter?: boolean;
   onClearSearch: () => void;
   onClearCategory: () => void;
   onClearAll: () => void;
@@ -17,6 +19,7 @@ export function CollectionEmptyState({
   collection,
   query,
   category,
+  hasPriceFilter = false,
   onClearSearch,
   onClearCategory,
   onClearAll,
@@ -25,19 +28,22 @@ export function CollectionEmptyState({
   const normalizedQuery = query.trim();
   const hasQuery = Boolean(normalizedQuery);
   const hasCategory = Boolean(category);
-  const hasConstraints = hasQuery || hasCategory;
+  const hasFilters = hasCategory || hasPriceFilter;
+  const hasConstraints = hasQuery || hasFilters;
   const collectionLabel = collection === "saved" ? t("collection.saved") : t("collection.closet");
 
   const title = hasQuery
     ? t("collection.noSearch", { query: normalizedQuery, collection: collectionLabel })
     : hasCategory
       ? t("collection.noCategory", { category, collection: collectionLabel })
-      : collection === "saved"
+      : hasPriceFilter
+        ? t("collection.noPrice", { collection: collectionLabel })
+        : collection === "saved"
         ? t("collection.emptySaved")
         : t("collection.emptyCloset");
 
   const description = hasConstraints
-    ? hasQuery && hasCategory
+    ? (hasQuery && hasFilters) || hasPriceFilter
       ? t("collection.adjustFilters")
       : hasQuery
         ? t("collection.trySearch")
@@ -46,7 +52,7 @@ export function CollectionEmptyState({
       ? t("collection.saveProducts")
       : t("collection.addCloset");
 
-  const action = hasQuery && hasCategory
+  const action = (hasQuery && hasFilters) || hasPriceFilter
     ? { label: t("collection.reset"), onClick: onClearAll }
     : hasQuery
       ? { label: t("collection.clearSearch"), onClick: onClearSearch }
@@ -0,0 +1,67 @@
+import type { ProductColorVariant } from "../types";
+import { useLocaleContext } from "../contexts/LocaleContext";
+
+interface ColorVariantPickerProps {
+  variants: ProductColorVariant[];
+  selectedName: string | null;
+  onSelect: (name: string) => void;
+  className?: string;
+}
+
+const getSwatchStyle = (variant: ProductColorVariant) => {
+  const swatch = variant.swatch || "";
+  if (swatch.startsWith("#")) return { backgroundColor: swatch };
+  const image = swatch || variant.images[0];
+  return image ? { backgroundImage: `url("${image}")` } : undefined;
+};
+
+/** Swatch row for a product's color variants; the selected name is shown beside the label. */
+export function ColorVariantPicker({ variants, selectedName, onSelect, className = "" }: ColorVariantPickerProps) {
+  const { t } = useLocaleContext();
+  if (variants.length < 2) return null;
+  const selectedKey = String(selectedName || "").toLowerCase();
+
+  return (
+    <div className={className}>
+      <p className="mb-1.5 flex items-baseline gap-2 text-xs">
+        <span className="font-semibold text-gray-500">{t("product.color")}</span>
+        {selectedName ? <span className="font-bold text-gray-100">{selectedName}</span> : null}
+      </p>
+      <div role="group" aria-label={t("product.color")} className="flex flex-wrap gap-2">
+        {variants.map((variant) => {
+          const isSelected = variant.name.toLowerCase() === selectedKey;
+          return (
+            <button
+              key={variant.name}
+              type="button"
+              title={variant.name}
+              aria-label={t("product.colorOption", { name: variant.name })}
+              aria-pressed={isSelected}
+              onClick={() => onSelect(variant.name)}
+              className={`h-8 w-8 rounded-full border bg-white/[0.08] bg-cover bg-center transition-[box-shadow,border-color] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-white/45 ${
+                isSelected
+                  ? "border-orange-300 shadow-[0_0_0_2px_#1c1c1f,0_0_0_4px_rgba(253,186,116,0.7)]"
+                  : "border-white/[0.16]"
+              }`}
+              style={getSwatchStyle(variant)}
+            >
+              {!variant.swatch && !variant.images[0] ? (
+                <span className="text-[10px] font-black text-gray-300">{variant.name.slice(0, 1)}</span>
+              ) : null}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/** Picked color on a Closet or DIGBOX card. */
+export function SelectedColorBadge({ name }: { name: string | null | undefined }) {
+  if (!name) return null;
+  return (
+    <span className="max-w-[6rem] shrink-0 truncate rounded-md border border-white/[0.12] bg-white/[0.06] px-1.5 py-0.5 text-[10px] font-black text-gray-200">
+      {name}
+    </span>
+  );
+}
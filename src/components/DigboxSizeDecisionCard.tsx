@@ -1,9 +1,11 @@
 import { useEffect, useMemo, useState } from "react";
 import { Check, ChevronDown, Pencil, Ruler } from "lucide-react";
-import type { DigboxSizeDecision, DigboxSizeDecisionInput, Product, SizeDecisionFit, SizeDecisionSource } from "../types";
-import { getDisplaySizeTable } from "../utils/sizeTable";
+import type { DigboxSizeDecision, DigboxSizeDecisionInput, FitPreferenceSuggestion, Product, SizeDecisionFit, SizeDecisionSource } from "../types";
+import { getVisibleFitPreferenceSuggestion } from "../utils/fitPreference";
+import { buildSizeSnapshot, getDisplaySizeTable } from "../utils/sizeTable";
 import { useLocaleContext } from "../contexts/LocaleContext";
 import type { MessageKey } from "../i18n/messages";
+import { FitPreferenceHint } from "./FitPreferenceHint";
 
 function getSourceOptions(t: (key: MessageKey) => string): Array<{ id: SizeDecisionSource; label: string }> {
   return [
@@ -32,11 +34,13 @@ export function DigboxSizeDecisionCard({
   product,
   decision,
   suggestedRowIndex,
+  fitSuggestion,
   onSave,
 }: {
   product: Product;
   decision?: DigboxSizeDecision | null;
   suggestedRowIndex: number | null;
+  fitSuggestion?: FitPreferenceSuggestion | null;
   onSave: (decision: DigboxSizeDecisionInput | null) => Promise<void>;
 }) {
   const { t } = useLocaleContext();
@@ -44,9 +48,11 @@ export function DigboxSizeDecisionCard({
   const fitOptions = useMemo(() => getFitOptions(t), [t]);
   const table = useMemo(() => getDisplaySizeTable(product), [product]);
   const rows = table?.rows ?? [];
+  const defaultRowIndex = suggestedRowIndex ?? fitSuggestion?.rowIndex ?? null;
+  const visibleFitSuggestion = getVisibleFitPreferenceSuggestion(fitSuggestion, decision?.rowIndex ?? suggestedRowIndex);
   const [isExpanded, setIsExpanded] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
-  const [rowIndex, setRowIndex] = useState<number | null>(decision?.rowIndex ?? suggestedRowIndex ?? null);
+  const [rowIndex, setRowIndex] = useState<number | null>(decision?.rowIndex ?? defaultRowIndex);
   const [manualSize, setManualSize] = useState(decision?.rowIndex === null ? decision?.label || "" : "");
   const [sources, setSources] = useState<SizeDecisionSource[]>(decision?.sources ?? []);
   const [fit, setFit] = useState<SizeDecisionFit | null>(decision?.fit ?? null);
@@ -57,13 +63,13 @@ export function DigboxSizeDecisionCard({
   useEffect(() => {
     setIsExpanded(false);
     setIsEditing(false);
-    setRowIndex(decision?.rowIndex ?? suggestedRowIndex ?? null);
+    setRowIndex(decision?.rowIndex ?? defaultRowIndex);
     setManualSize(decision?.rowIndex === null ? decision?.label || "" : "");
     setSources(decision?.sources ?? []);
     setFit(decision?.fit ?? null);
     setNote(decision?.note ?? "");
     setError(null);
-  }, [decision, product.id, suggestedRowIndex]);
+  }, [decision, product.id, defaultRowIndex]);
 
   const selectedRow = rowIndex !== null ? rows[rowIndex] : null;
   const selectedLabel = String(selectedRow?.[0] ?? manualSize).trim();
@@ -81,10 +87,7 @@ export function DigboxSizeDecisionCard({
       await onSave({
         label: selectedLabel,
         rowIndex: selectedRow ? rowIndex : null,
-        snapshot: selectedRow && table ? {
-          headers: table.headers.map((header) => String(header ?? "").trim()),
-          row: selectedRow.map((value) => String(value ?? "").trim()),
-        } : null,
+        snapshot: selectedRow ? buildSizeSnapshot(table, rowIndex, product.category) : null,
         sources,
         fit,
         note: note.trim() || null,
@@ -148,6 +151,11 @@ export function DigboxSizeDecisionCard({
         </div>
       ) : (
         <div className="border-t border-white/[0.08] bg-black/[0.10] px-4 py-4 sm:px-5">
+          {rows.length && visibleFitSuggestion ? (
+            <div className="mb-3">
+              <FitPreferenceHint suggestion={visibleFitSuggestion} />
+            </div>
+          ) : null}
           {rows.length ? (
             <div className="grid grid-cols-4 gap-2 sm:grid-cols-5">
               {rows.map((row, index) => {
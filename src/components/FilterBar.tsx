@@ -1,12 +1,16 @@
 "use client";
 
-import { CATEGORY_OPTIONS } from "../constants";
+import { CATEGORY_OPTIONS, type PriceFilterValue } from "../constants";
+import { PriceFilterChips } from "./PriceFilterChips";
 import type { TutorialAnchorRect } from "./OnboardingTutorial";
 import { useLocaleContext } from "../contexts/LocaleContext";
 
 interface FilterBarProps {
   categoryValue: string;
   onCategoryChange: (value: string, anchorRect?: TutorialAnchorRect) => void;
+  /** Price chips are shown only when the page handles them. */
+  priceValue?: PriceFilterValue | "";
+  onPriceChange?: (value: PriceFilterValue | "") => void;
   disabled?: boolean;
   className?: string;
 }
@@ -16,7 +20,7 @@ const getAnchorRect = (element: HTMLElement): TutorialAnchorRect => {
   return { top: rect.top, right: rect.right, bottom: rect.bottom, left: rect.left, width: rect.width, height: rect.height };
 };
 
-export function FilterBar({ categoryValue, onCategoryChange, disabled = false, className = "" }: FilterBarProps) {
+export function FilterBar({ categoryValue, onCategoryChange, priceValue = "", onPriceChange, disabled = false, className = "" }: FilterBarProps) {
   const { t } = useLocaleContext();
   const categories = [{ label: t("filter.all"), value: "" }, ...CATEGORY_OPTIONS.map((category) => ({ label: category, value: category }))];
 
@@ -38,6 +42,9 @@ export function FilterBar({ categoryValue, onCategoryChange, disabled = false, c
           );
         })}
       </div>
+      {onPriceChange ? (
+        <PriceFilterChips value={priceValue} onChange={onPriceChange} disabled={disabled} className="mt-2" />
+      ) : null}
     </div>
   );
 }
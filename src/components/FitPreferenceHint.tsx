@@ -0,0 +1,48 @@
+import { Sparkles } from "lucide-react";
+import type { FitPreferenceSuggestion, SizeDecisionFit } from "../types";
+import type { MessageKey } from "../i18n/messages";
+import { useLocaleContext } from "../contexts/LocaleContext";
+import { displayMeasurementLabel } from "../utils/sizeTable";
+
+const FIT_LABEL_KEYS: Record<SizeDecisionFit, MessageKey> = {
+  tight: "sizeDecision.fitTight",
+  true_to_size: "sizeDecision.fitTrueToSize",
+  roomy: "sizeDecision.fitRoomy",
+};
+
+const MAX_VISIBLE_ITEMS = 3;
+
+const formatCm = (value: number) => value.toFixed(1).replace(/\.0$/, "");
+
+/** Explains a size suggested from the user's tried/worn fit history. */
+export function FitPreferenceHint({ suggestion }: { suggestion: FitPreferenceSuggestion }) {
+  const { t } = useLocaleContext();
+  const visibleItems = suggestion.items.slice(0, MAX_VISIBLE_ITEMS);
+
+  return (
+    <div className="rounded-xl border border-emerald-300/20 bg-emerald-400/[0.07] px-3.5 py-3">
+      <p className="flex items-center gap-1.5 text-xs font-black text-emerald-100">
+        <Sparkles className="h-3.5 w-3.5" aria-hidden="true" />
+        {t("fitPreference.title", { size: suggestion.sizeLabel || t("mysize.sizeFallback") })}
+      </p>
+      <ul className="mt-1.5 space-y-0.5 text-xs font-semibold text-emerald-100/70">
+        {suggestion.measurements.map((item) => (
+          <li key={item.label}>
+            {t("fitPreference.measurement", { label: displayMeasurementLabel(item.label), target: formatCm(item.target) })}
+            {item.preferredEase !== null
+              ? ` · ${t("fitPreference.ease", { ease: `${item.preferredEase > 0 ? "+" : ""}${formatCm(item.preferredEase)}` })}`
+              : null}
+          </li>
+        ))}
+      </ul>
+      {visibleItems.length > 0 ? (
+        <p className="mt-2 text-[11px] font-semibold leading-4 text-white/45">
+          {t("fitPreference.basedOn")}{" "}
+          {visibleItems
+            .map((item) => `${item.brand} ${item.name}${item.sizeLabel ? ` ${item.sizeLabel}` : ""} (${t(FIT_LABEL_KEYS[item.fit])})`)
+            .join(", ")}
+        </p>
+      ) : null}
+    </div>
+  );
+}
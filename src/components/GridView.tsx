@@ -3,12 +3,15 @@
 import { type SyntheticEvent, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { useWindowVirtualizer } from "@tanstack/react-virtual";
 import { ProgressiveImage } from "./ProgressiveImage";
+import { ProductPriceTag } from "./ProductPriceTag";
+import { PriceFilterChips } from "./PriceFilterChips";
 import { loadProductDetailModal } from "./productDetailModalLoader";
 import type { TutorialAnchorRect } from "./OnboardingTutorial";
-import type { Product } from "../types";
+import type { GridSort, Product } from "../types";
 import { useLocaleContext } from "../contexts/LocaleContext";
 // eslint-disable-next-line @typescript-eslint/no-unused-vars -- Retained to preserve the existing module imports.
 import { CATEGORY_OPTIONS } from "../constants";
+import type { PriceFilterValue } from "../constants";
 
 // Initial estimate — virtualizer corrects with actual measurements via measureElement
 const ROW_HEIGHT_ESTIMATE = 360;
@@ -37,8 +40,16 @@ interface GridViewProps {
   hasMoreProducts?: boolean;
   isLoadingMoreProducts?: boolean;
   onLoadMoreProducts?: () => void;
+  /** The Latest / For you toggle is shown only when the page handles it. */
+  sort?: GridSort;
+  onSortChange?: (sort: GridSort) => void;
+  /** Price chips are shown only when the page filters its products by price. */
+  priceFilter?: PriceFilterValue | "";
+  onPriceFilterChange?: (value: PriceFilterValue | "") => void;
 }
 
+const GRID_SORTS: GridSort[] = ["latest", "forYou"];
+
 export function GridView({
   allProducts,
   filteredGridProducts,
@@ -59,6 +70,10 @@ export function GridView({
   hasMoreProducts = false,
   isLoadingMoreProducts = false,
   onLoadMoreProducts,
+  sort = "latest",
+  onSortChange,
+  priceFilter = "",
+  onPriceFilterChange,
 }: GridViewProps) {
   const { t } = useLocaleContext();
   const gridRef = useRef<HTMLDivElement>(null);
@@ -120,11 +135,36 @@ export function GridView({
 
   return (
     <div className={`w-full max-w-7xl ${isInteractionDisabled ? "pointer-events-none" : ""}`}>
+      {onSortChange || onPriceFilterChange ? (
+        <div className="mb-4 flex items-center gap-3">
+          {onPriceFilterChange ? (
+            <PriceFilterChips value={priceFilter} onChange={onPriceFilterChange} className="min-w-0" />
+          ) : null}
+          {onSortChange ? (
+            <div role="group" aria-label={t("grid.sortLabel")} className="ml-auto flex shrink-0 gap-1.5">
+              {GRID_SORTS.map((value) => {
+                const active = sort === value;
+                return (
+                  <button
+                    key={value}
+                    type="button"
+                    aria-pressed={active}
+                    onClick={() => onSortChange(value)}
+                    className={`h-8 shrink-0 rounded-full border px-3 text-[11px] font-bold transition-[border-color,color,background-color,transform] duration-150 active:scale-[0.98] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-orange-400/80 sm:text-xs ${active ? "border-orange-300/60 bg-orange-400/[0.12] text-orange-200" : "border-white/[0.12] text-gray-400 hover:text-white"}`}
+                  >
+                    {t(`grid.sort.${value}`)}
+                  </button>
+                );
+              })}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
 
       {isLoading && allProducts.length === 0 ? (
         <div className="py-20 text-center text-gray-500">{t("grid.loading")}</div>
       ) : allProducts.length === 0 ? (
-        <div className="py-20 text-center text-gray-500">{t("grid.empty")}</div>
+        <div className="py-20 text-center text-gray-500">{t(priceFilter ? "grid.noResults" : "grid.empty")}</div>
       ) : filteredGridProducts.length === 0 ? (
         <div className="py-20 text-center text-gray-500">{t("grid.noResults")}</div>
       ) : (
@@ -200,6 +240,7 @@ export function GridView({
                         )}
                       </div>
                       <h3 className="mb-2 line-clamp-2 text-[0.95rem] font-bold leading-tight text-white sm:text-lg">{product.name}</h3>
+                      <ProductPriceTag price={product.price} />
                       <div className="mt-auto pt-2 text-center text-sm text-gray-300">{product.category}</div>
                       {productAnalysisStatus ? <span className={`mx-auto mt-2 inline-flex rounded-md border px-2 py-0.5 text-[10px] font-bold ${productAnalysisStatus.className}`}>{productAnalysisStatus.label}</span> : null}
                     </div>
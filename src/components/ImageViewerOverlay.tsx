@@ -1,7 +1,7 @@
 "use client";
 
-import { useCallback, useEffect, useRef } from "react";
-import { X } from "lucide-react";
+import { useCallback, useEffect, useMemo, useRef, useState, type TouchEvent } from "react";
+import { ChevronLeft, ChevronRight, X } from "lucide-react";
 import { usePresence } from "../hooks/usePresence";
 import { useLocaleContext } from "../contexts/LocaleContext";
 
@@ -9,23 +9,38 @@ interface ImageViewerOverlayProps {
   open: boolean;
   src: string;
   alt: string;
+  /** Gallery to swipe through; `src` is shown first when it is part of it. */
+  images?: string[];
   onClose: () => void;
 }
 
+const SWIPE_THRESHOLD_PX = 48;
+
 /** Shared image layer with an interruptible exit transition. */
-export function ImageViewerOverlay({ open, src, alt, onClose }: ImageViewerOverlayProps) {
+export function ImageViewerOverlay({ open, src, alt, images, onClose }: ImageViewerOverlayProps) {
   const { t } = useLocaleContext();
   const presence = usePresence(open);
   const closeButtonRef = useRef<HTMLButtonElement>(null);
   const triggerRef = useRef<HTMLElement | null>(null);
   const wasOpenRef = useRef(false);
+  const touchStartXRef = useRef<number | null>(null);
+  const swipedRef = useRef(false);
+  const gallery = useMemo(() => (images && images.length > 0 ? images : [src]), [images, src]);
+  const [index, setIndex] = useState(0);
+  const hasGallery = gallery.length > 1;
+  const currentSrc = gallery[Math.min(index, gallery.length - 1)] || src;
 
   useEffect(() => {
     if (open && !wasOpenRef.current) {
       triggerRef.current = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+      setIndex(Math.max(0, gallery.indexOf(src)));
     }
     wasOpenRef.current = open;
-  }, [open]);
+  }, [gallery, open, src]);
+
+  const step = useCallback((delta: number) => {
+    setIndex((current) => (current + delta + gallery.length) % gallery.length);
+  }, [gallery.length]);
 
   const close = useCallback(() => {
     presence.requestClose(() => {
@@ -45,11 +60,39 @@ export function ImageViewerOverlay({ open, src, alt, onClose }: ImageViewerOverl
       if (event.key === "Escape") {
         event.preventDefault();
         close();
+      } else if (hasGallery && (event.key === "ArrowLeft" || event.key === "ArrowRight")) {
+        event.preventDefault();
+        step(event.key === "ArrowLeft" ? -1 : 1);
       }
     };
     document.addEventListener("keydown", handleKeyDown);
     return () => document.removeEventListener("keydown", handleKeyDown);
-  }, [close, open]);
+  }, [close, hasGallery, open, step]);
+
+  const handleTouchStart = (event: TouchEvent) => {
+    touchStartXRef.current = event.touches[0]?.clientX ?? null;
+    swipedRef.current = false;
+  };
+
+  const handleTouchEnd = (event: TouchEvent) => {
+    const startX = touchStartXRef.current;
+    const endX = event.changedTouches[0]?.clientX;
+    touchStartXRef.current = null;
+    if (!hasGallery || startX === null || endX === undefined) return;
+    const deltaX = endX - startX;
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD_PX) return;
+    swipedRef.current = true;
+    step(deltaX > 0 ? -1 : 1);
+  };
+
+  const handleImageClick = () => {
+    // A swipe ends with a click on the image; only a plain tap closes the viewer.
+    if (swipedRef.current) {
+      swipedRef.current = false;
+      return;
+    }
+    close();
+  };
 
   if (!presence.isMounted) return null;
 
@@ -67,16 +110,47 @@ export function ImageViewerOverlay({ open, src, alt, onClose }: ImageViewerOverl
         className="ui-layer-scrim absolute inset-0 cursor-zoom-out bg-black/90 backdrop-blur-sm"
         data-visible={presence.isVisible}
       />
-      <div className="ui-layer-modal relative z-10 flex h-[63vh] w-full max-w-6xl items-center justify-center" data-visible={presence.isVisible}>
+      <div
+        className="ui-layer-modal relative z-10 flex h-[63vh] w-full max-w-6xl touch-pan-y items-center justify-center"
+        data-visible={presence.isVisible}
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+      >
         <button
           type="button"
           aria-label={t("imageViewer.close")}
-          onClick={close}
+          onClick={handleImageClick}
           className="flex h-full w-full cursor-zoom-out items-center justify-center focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-white/70"
         >
           {/* eslint-disable-next-line @next/next/no-img-element -- Preserve the overlay's native full-resolution loading behavior. */}
-          <img src={src} alt={alt} className="max-h-full max-w-full object-contain" style={{ borderRadius: "20px" }} />
+          <img key={currentSrc} src={currentSrc} alt={alt} className="max-h-full max-w-full object-contain" style={{ borderRadius: "20px" }} />
         </button>
+        {hasGallery ? (
+          <>
+            <button
+              type="button"
+              aria-label={t("imageViewer.previous")}
+              onClick={() => step(-1)}
+              className="absolute left-2 top-1/2 hidden h-11 w-11 -translate-y-1/2 items-center justify-center rounded-full border border-white/20 bg-black/45 text-white shadow-lg transition-colors hover:bg-black/70 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-white/70 sm:inline-flex"
+            >
+              <ChevronLeft className="h-5 w-5" aria-hidden="true" />
+            </button>
+            <button
+              type="button"
+              aria-label={t("imageViewer.next")}
+              onClick={() => step(1)}
+              className="absolute right-2 top-1/2 hidden h-11 w-11 -translate-y-1/2 items-center justify-center rounded-full border border-white/20 bg-black/45 text-white shadow-lg transition-colors hover:bg-black/70 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-white/70 sm:inline-flex"
+            >
+              <ChevronRight className="h-5 w-5" aria-hidden="true" />
+            </button>
+            <p
+              aria-live="polite"
+              className="absolute -bottom-9 left-1/2 -translate-x-1/2 rounded-full bg-black/55 px-3 py-1 text-xs font-bold tabular-nums text-white"
+            >
+              {t("imageViewer.position", { current: index + 1, total: gallery.length })}
+            </p>
+          </>
+        ) : null}
       </div>
       <button
         ref={closeButtonRef}
@@ -0,0 +1,39 @@
+"use client";
+
+import { PRICE_FILTER_OPTIONS, type PriceFilterValue } from "../constants";
+import { useLocaleContext } from "../contexts/LocaleContext";
+
+interface PriceFilterChipsProps {
+  value: PriceFilterValue | "";
+  onChange: (value: PriceFilterValue | "") => void;
+  disabled?: boolean;
+  className?: string;
+}
+
+export function PriceFilterChips({ value: selectedValue, onChange, disabled = false, className = "" }: PriceFilterChipsProps) {
+  const { t } = useLocaleContext();
+  const priceFilters: { label: string; value: PriceFilterValue | "" }[] = [
+    { label: t("filter.priceAll"), value: "" },
+    ...PRICE_FILTER_OPTIONS.map(({ value }) => ({ label: t(`filter.price.${value}`), value })),
+  ];
+
+  return (
+    <div className={`flex gap-1.5 overflow-x-auto pb-0.5 [scrollbar-width:none] ${className}`}>
+      {priceFilters.map(({ label, value }) => {
+        const active = selectedValue === value;
+        return (
+          <button
+            key={value || "all"}
+            type="button"
+            disabled={disabled}
+            aria-pressed={active}
+            onClick={() => onChange(value)}
+            className={`h-8 shrink-0 rounded-full border px-3 text-[11px] font-bold transition-[border-color,color,background-color,transform] duration-150 active:scale-[0.98] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-orange-400/80 disabled:cursor-not-allowed disabled:opacity-45 disabled:active:scale-100 sm:text-xs ${active ? "border-orange-300/60 bg-orange-400/[0.12] text-orange-200" : "border-white/[0.12] text-gray-400 hover:text-white"}`}
+          >
+            {label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -3,29 +3,41 @@ import type { KeyboardEvent as ReactKeyboardEvent, MouseEvent, PointerEvent, Ref
 import { useRouter } from "next/navigation";
 import { Check, ChevronDown, ChevronRight, ExternalLink, X } from "lucide-react";
 import { ProgressiveImage } from "./ProgressiveImage";
-import type { ClosetSizeSelection, DigboxSizeDecisionInput, MySizeProfile, Product } from "../types";
+import type { BrandSizeFit, ClosetSizeSelection, DigboxSizeDecisionInput, FitVerdict, MySizeProfile, Product, SizeTableUnit } from "../types";
 // eslint-disable-next-line @typescript-eslint/no-unused-vars -- Retained to preserve the existing module imports.
-import { DEFAULT_PRODUCT_PLACEHOLDER } from "../constants";
+import { DEFAULT_PRODUCT_PLACEHOLDER, FIT_EASE_ALLOWANCES } from "../constants";
 import { useBodyScrollLock } from "../hooks/useBodyScrollLock";
 import { MySizesProvider, useMySizesContext } from "../contexts/MySizesContext";
+import { useDigboxContext } from "../contexts/DigboxContext";
+import { useClosetContext } from "../contexts/ClosetContext";
 import { useAuthContext } from "../contexts/AuthContext";
 import { useLocaleContext } from "../contexts/LocaleContext";
 import { SizeSelectionSheet } from "./SizeSelectionSheet";
 import { usePresence } from "../hooks/usePresence";
 import { OnboardingTutorial, type TutorialAnchorRect, type TutorialId } from "./OnboardingTutorial";
 import {
+  buildSizeSnapshot,
   compareMeasurementSnapshots,
+  convertSizeTableUnit,
   displayMeasurementLabel,
   displayTableCell,
   getDisplaySizeTable,
   isPrimaryColumnHeader,
 } from "../utils/sizeTable";
 import { captureEvent } from "../utils/analytics";
+import { findSizeRowIndex } from "../utils/sizeConversion.js";
+import { hasBodyMeasurements, pickBestFitRow, predictSizeTableFit } from "../utils/fitPrediction";
+import { buildFitPreferenceModel, suggestSizeFromFitPreference } from "../utils/fitPreference";
 import { ClosetIcon } from "./icons/ClosetIcon";
 import { ProductSummaryDetailsPanel } from "./taste-graph/ProductTasteDecision";
 import { buildLoginHref } from "../utils/authNavigation";
-import { getProductPageUrl } from "../utils/product";
+import { getProductGalleryImages, getProductPageUrl } from "../utils/product";
 import { DigboxSizeDecisionCard } from "./DigboxSizeDecisionCard";
+import { BrandSizeFitBadge } from "./BrandSizeFitBadge";
+import { ProductPriceTag } from "./ProductPriceTag";
+import { ColorVariantPicker } from "./ColorVariantPicker";
+import { findColorVariant } from "../utils/colorVariants";
+import { fetchBrandSizeFit } from "../api";
 
 export interface ProductDetailModalProps {
   product: Product;
@@ -34,12 +46,13 @@ export interface ProductDetailModalProps {
   onClose: () => void;
   onRowClick: (rowIndex: number) => void;
   onRecommendationClick: (product: Product) => void;
-  onZoomImage: () => void;
+  /** Opens the image viewer on the gallery shown for the current color, hero image first. */
+  onZoomImage: (images: string[]) => void;
   onImageError: (event: SyntheticEvent<HTMLImageElement>) => void;
   modalRef: RefObject<HTMLDivElement | null>;
-  onToggleCloset?: (selection?: ClosetSizeSelection | null) => void;
+  onToggleCloset?: (selection?: ClosetSizeSelection | null, selectedColor?: string | null) => void;
   isInCloset?: boolean;
-  onToggleDigbox?: () => void;
+  onToggleDigbox?: (selectedColor?: string | null) => void;
   isInDigbox?: boolean;
   digboxProduct?: Product | null;
   onUpdateDigboxSizeDecision?: (decision: DigboxSizeDecisionInput | null) => Promise<void>;
@@ -97,6 +110,12 @@ function SavedSizeSummary({ product }: { product?: Product | null }) {
   );
 }
 
+const FIT_VERDICT_CLASS_NAMES: Record<FitVerdict, string> = {
+  tight: "border-sky-300/30 bg-sky-400/10 text-sky-200",
+  ok: "border-emerald-300/30 bg-emerald-400/10 text-emerald-200",
+  loose: "border-orange-300/30 bg-orange-400/10 text-orange-200",
+};
+
 function MySizePickerOverlay({
   open,
   profiles,
@@ -255,19 +274,51 @@ function ProductDetailModalContent({
   const mySizeChangeButtonRef = useRef<HTMLButtonElement | null>(null);
   const [mySizeSearchQuery, setMySizeSearchQuery] = useState("");
   const [activeTutorial, setActiveTutorial] = useState<{ id: TutorialId; anchorRect?: TutorialAnchorRect } | null>(null);
-  const { mySizes, ensureLoaded: ensureMySizesLoaded } = useMySizesContext();
+  const { mySizes, bodyMeasurements, ensureLoaded: ensureMySizesLoaded } = useMySizesContext();
+  const { digboxProducts, ensureLoaded: ensureDigboxLoaded, updateSelectedColor: updateDigboxColor } = useDigboxContext();
+  const { updateSelectedColor: updateClosetColor } = useClosetContext();
   const [selectedMySizeId, setSelectedMySizeId] = useState<string>("");
+  const [brandSizeFit, setBrandSizeFit] = useState<BrandSizeFit | null>(null);
   const savedClosetProduct = closetProduct || null;
   const savedSizeRowIndex = getClosetSizeRowIndex(savedClosetProduct);
   const displaySizeTable = useMemo(() => getDisplaySizeTable(product), [product]);
+  const [sizeTableUnit, setSizeTableUnit] = useState<SizeTableUnit>("cm");
+  const visibleSizeTable = useMemo(
+    () => convertSizeTableUnit(displaySizeTable, sizeTableUnit),
+    [displaySizeTable, sizeTableUnit]
+  );
   const displayProduct = useMemo(
     () => ({ ...product, sizeTable: displaySizeTable }),
     [displaySizeTable, product]
   );
+  const savedColor =
+    savedClosetProduct?.closetSelectedColor ||
+    (digboxProduct ?? digboxProducts.find((item) => item.id === product.id))?.digboxSelectedColor ||
+    null;
+  const [selectedColor, setSelectedColor] = useState<string | null>(savedColor);
+  const selectedColorVariant = findColorVariant(product.colorVariants, selectedColor);
+  const heroImage = selectedColorVariant?.images[0] || product.image;
+  const galleryImages = getProductGalleryImages(product, selectedColorVariant?.images ?? []);
+  const [colorSaveError, setColorSaveError] = useState(false);
+
+  useEffect(() => {
+    setSelectedColor(savedColor);
+  }, [product.id, savedColor]);
 
   useEffect(() => {
     ensureMySizesLoaded();
-  }, [ensureMySizesLoaded]);
+    ensureDigboxLoaded();
+  }, [ensureDigboxLoaded, ensureMySizesLoaded]);
+
+  useEffect(() => {
+    setBrandSizeFit(null);
+    if (!/^\d+$/.test(String(product.id))) return;
+    const controller = new AbortController();
+    fetchBrandSizeFit(String(product.id), controller.signal)
+      .then(setBrandSizeFit)
+      .catch(() => undefined);
+    return () => controller.abort();
+  }, [product.id]);
 
   useEffect(() => {
     return () => {
@@ -295,17 +346,33 @@ function ProductDetailModalContent({
       `${profile.brand || ""} ${profile.title} ${profile.sizeLabel || ""} ${profile.fitNote || ""}`.toLowerCase().includes(query)
     );
   }, [categoryMySizes, mySizeSearchQuery]);
-  const activeProductSnapshot = useMemo(() => {
-    if (activeRowIndex === null || !displaySizeTable?.rows?.[activeRowIndex]) return null;
-    return {
-      headers: displaySizeTable.headers,
-      row: displaySizeTable.rows[activeRowIndex],
-    };
-  }, [activeRowIndex, displaySizeTable]);
+  const activeProductSnapshot = useMemo(
+    () => buildSizeSnapshot(displaySizeTable, activeRowIndex, product.category),
+    [activeRowIndex, displaySizeTable, product.category]
+  );
   const mySizeComparisons = useMemo(
-    () => compareMeasurementSnapshots(activeProductSnapshot, selectedMySize?.measurementSnapshot),
-    [activeProductSnapshot, selectedMySize]
+    () => compareMeasurementSnapshots(activeProductSnapshot, selectedMySize?.measurementSnapshot, product.category),
+    [activeProductSnapshot, selectedMySize, product.category]
   );
+  const fitPredictions = useMemo(
+    () => predictSizeTableFit(displaySizeTable, bodyMeasurements, product.category),
+    [bodyMeasurements, displaySizeTable, product.category]
+  );
+  const bestFitPrediction = useMemo(() => pickBestFitRow(fitPredictions, product.category), [fitPredictions, product.category]);
+  const activeFitPrediction = fitPredictions.find((prediction) => prediction.rowIndex === activeRowIndex) || null;
+  const canPredictFit = Boolean(FIT_EASE_ALLOWANCES[String(product.category || "")]) && Boolean(displaySizeTable?.rows?.length);
+  const fitPreferenceSuggestion = useMemo(() => {
+    const model = buildFitPreferenceModel(
+      digboxProducts.filter((item) => item.id !== product.id),
+      bodyMeasurements
+    );
+    return suggestSizeFromFitPreference(displaySizeTable, product.category, model);
+  }, [bodyMeasurements, digboxProducts, displaySizeTable, product.category, product.id]);
+  const mySizeRowIndex = useMemo(
+    () => (selectedMySize?.sizeLabel ? findSizeRowIndex(displaySizeTable, selectedMySize.sizeLabel, product.category) : null),
+    [displaySizeTable, product.category, selectedMySize]
+  );
+  const mySizeRowLabel = mySizeRowIndex !== null ? String(displaySizeTable?.rows[mySizeRowIndex]?.[0] ?? "").trim() : "";
   const isSelectedMySizeSourceProduct = selectedMySize?.sourceProductId === product.id;
   const activeSizeLabel = String(activeProductSnapshot?.row?.[0] ?? "").trim();
 
@@ -461,7 +528,21 @@ function ProductDetailModalContent({
 
   const handleConfirmClosetSize = (selection: ClosetSizeSelection | null) => {
     setIsSizeSheetOpen(false);
-    onToggleCloset?.(selection);
+    onToggleCloset?.(selection, selectedColor);
+  };
+
+  // Saved items remember the color; otherwise it is sent along when the item is added.
+  const handleSelectColor = (name: string) => {
+    setSelectedColor(name);
+    setColorSaveError(false);
+    const updates = [
+      isInCloset && canUseCloset ? updateClosetColor(product.id, name) : null,
+      isInDigbox && authUser ? updateDigboxColor(product.id, name) : null,
+    ].filter(Boolean);
+    void Promise.all(updates).catch((error: unknown) => {
+      console.error("[product] color save failed", error);
+      setColorSaveError(true);
+    });
   };
 
   const handleMissingMySizeAction = () => {
@@ -508,7 +589,7 @@ function ProductDetailModalContent({
                 data-active={isInDigbox}
                 onClick={(event) => {
                   onCollectionActionStart?.(getAnchorRect(event));
-                  onToggleDigbox?.();
+                  onToggleDigbox?.(selectedColor);
                 }}
                 className={`ui-detail-toolbar-button ui-detail-toolbar-button--digbox inline-flex min-h-11 items-center gap-1.5 rounded-xl border px-3 text-xs font-bold transition-[background-color,border-color,color,box-shadow,transform] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-white/45 ${
                   isInDigbox
@@ -568,21 +649,27 @@ function ProductDetailModalContent({
           <div className="flex flex-col gap-6 md:flex-row md:items-center">
             <button
               type="button"
-              onClick={onZoomImage}
+              onClick={() => onZoomImage(galleryImages)}
               className="relative isolate h-[15.5rem] w-full max-w-[22rem] self-center cursor-zoom-in overflow-hidden rounded-[24px] bg-[linear-gradient(180deg,rgba(30,38,54,0.42),rgba(8,11,18,0.18))] shadow-[inset_0_1px_0_rgba(255,255,255,0.04)] md:h-[19rem] md:w-[19rem] md:max-w-none"
             >
               <div className="pointer-events-none absolute inset-[-10%] rounded-[32px] bg-[radial-gradient(circle,rgba(255,255,255,0.14)_0%,rgba(255,255,255,0.06)_36%,rgba(255,255,255,0.02)_52%,transparent_74%)] opacity-80 blur-xl" />
               <div className="pointer-events-none absolute inset-0 rounded-[24px] bg-[linear-gradient(180deg,rgba(255,255,255,0.06),rgba(255,255,255,0.015)_40%,transparent_100%)]" />
               <div className="absolute inset-2 z-[1]">
                 <ProgressiveImage
-                  src={product.image}
-                  thumbnailSrc={product.thumbnailImage}
-                  alt={product.name}
+                  key={heroImage}
+                  src={heroImage}
+                  thumbnailSrc={selectedColorVariant ? undefined : product.thumbnailImage}
+                  alt={selectedColorVariant ? `${product.name} ${selectedColorVariant.name}` : product.name}
                   className="object-contain"
                   loading="eager"
                   onError={onImageError}
                 />
               </div>
+              {galleryImages.length > 1 ? (
+                <span className="absolute bottom-3 right-3 z-[2] rounded-full bg-black/55 px-2 py-0.5 text-[11px] font-bold tabular-nums text-white">
+                  {t("product.imageCount", { count: galleryImages.length })}
+                </span>
+              ) : null}
             </button>
             <div className="flex-1">
               <div className="mb-2 flex items-center gap-2 text-sm font-bold text-orange-500">
@@ -590,12 +677,22 @@ function ProductDetailModalContent({
                 <span className="text-gray-500">{product.category}</span>
               </div>
               <h4 className="mb-2 text-2xl font-bold text-white">{product.name}</h4>
+              <ProductPriceTag price={product.price} size="detail" className="mb-3" />
+              {product.colorVariants ? (
+                <ColorVariantPicker
+                  variants={product.colorVariants}
+                  selectedName={selectedColor}
+                  onSelect={handleSelectColor}
+                  className="mb-3"
+                />
+              ) : null}
+              {colorSaveError ? <p role="alert" className="mb-3 text-xs font-semibold text-red-300">{t("product.colorSaveFailed")}</p> : null}
               <ProductSummaryDetailsPanel product={product} />
               <div className="mt-3 space-y-2">
                 {savedClosetProduct ? <SavedSizeSummary product={savedClosetProduct} /> : null}
                 {product.url ? (
                   <a
-                    href={product.url}
+                    href={selectedColorVariant?.url || product.url}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="inline-flex items-center text-sm text-gray-400 transition-colors hover:text-orange-300 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-orange-300/70 focus-visible:ring-offset-2 focus-visible:ring-offset-[#1c1c1f]"
@@ -605,6 +702,30 @@ function ProductDetailModalContent({
                 ) : (
                   <span className="text-sm text-gray-600">{t("product.noUrl")}</span>
                 )}
+                {product.listings && product.listings.length > 1 ? (
+                  <div className="rounded-xl border border-white/[0.08] bg-white/[0.03] px-3 py-2.5">
+                    <p className="text-xs font-bold text-gray-400">{t("product.listings", { count: product.listings.length })}</p>
+                    <ul className="mt-1.5 space-y-1.5">
+                      {product.listings.map((listing) => (
+                        <li key={listing.url} className="flex min-w-0 items-center justify-between gap-3">
+                          <a
+                            href={listing.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex min-w-0 items-center gap-1 text-sm font-semibold text-gray-200 transition-colors hover:text-orange-300"
+                          >
+                            <span className="truncate">{listing.storeName || listing.url}</span>
+                            <ExternalLink className="h-3 w-3 shrink-0" />
+                            {listing.isSizeTableSource ? (
+                              <span className="shrink-0 rounded-md bg-white/[0.08] px-1.5 py-0.5 text-[10px] font-bold text-gray-400">{t("product.sizeTableSource")}</span>
+                            ) : null}
+                          </a>
+                          <ProductPriceTag price={listing.price} className="shrink-0 justify-end" />
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ) : null}
               </div>
               {(product.registeredBy || otherDigboxCount > 0) && (
                 <div className="mt-3 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs font-semibold text-gray-500">
@@ -621,9 +742,29 @@ function ProductDetailModalContent({
                 <p className="mt-1 text-xs font-semibold text-gray-500">{t("product.sizeHint")}</p>
               </div>
               {displaySizeTable?.headers?.length ? (
-                <span className="shrink-0 text-[11px] font-semibold text-gray-500">{t("product.unit")}</span>
+                <div className="flex shrink-0 flex-col items-end gap-1">
+                  <div role="group" aria-label={t("product.unitLabel")} className="inline-flex rounded-lg border border-white/[0.1] bg-black/20 p-0.5">
+                    {(["cm", "in"] as const).map((unit) => (
+                      <button
+                        key={unit}
+                        type="button"
+                        aria-pressed={sizeTableUnit === unit}
+                        onClick={() => setSizeTableUnit(unit)}
+                        className={`min-h-7 rounded-md px-2 text-[11px] font-bold transition-[background-color,color] ${
+                          sizeTableUnit === unit ? "bg-white/[0.1] text-white" : "text-gray-500 hover:text-gray-200"
+                        }`}
+                      >
+                        {unit}
+                      </button>
+                    ))}
+                  </div>
+                  {displaySizeTable.sourceUnit === "in" ? (
+                    <span className="text-[10px] font-semibold text-gray-500">{t("product.sourceUnitInch")}</span>
+                  ) : null}
+                </div>
               ) : null}
             </div>
+            {brandSizeFit ? <BrandSizeFitBadge sizeFit={brandSizeFit} /> : null}
           <div
             className="relative touch-manipulation overflow-x-auto overscroll-x-contain rounded-[22px] border border-white/[0.08] bg-[linear-gradient(180deg,rgba(255,255,255,0.03)_0%,rgba(255,255,255,0.022)_28%,rgba(255,255,255,0.018)_100%)] shadow-[inset_0_1px_0_rgba(255,255,255,0.025)] [scrollbar-width:none] max-[360px]:after:pointer-events-none max-[360px]:after:absolute max-[360px]:after:inset-y-0 max-[360px]:after:right-0 max-[360px]:after:z-[2] max-[360px]:after:w-6 max-[360px]:after:bg-gradient-to-l max-[360px]:after:from-[#1c1c1f] max-[360px]:after:to-transparent max-[360px]:after:content-[''] [&::-webkit-scrollbar]:hidden"
             onTouchStart={handleSizeTableTouchStart}
@@ -632,11 +773,11 @@ function ProductDetailModalContent({
             onTouchCancel={handleSizeTableTouchEnd}
           >
             <div className="pointer-events-none absolute inset-x-0 top-0 h-14 bg-[linear-gradient(180deg,rgba(255,255,255,0.045),rgba(255,255,255,0.018)_55%,transparent)]" />
-            {displaySizeTable?.headers?.length ? (
+            {visibleSizeTable?.headers?.length ? (
               <table className="relative z-[1] min-w-full w-max text-center text-[11px] sm:text-sm">
                 <thead className="text-[11px] sm:text-sm">
                   <tr>
-                    {displaySizeTable.headers.map((header, index) => (
+                    {visibleSizeTable.headers.map((header, index) => (
                       <th
                         key={index}
                         className={`whitespace-nowrap bg-[linear-gradient(180deg,rgba(255,255,255,0.04),rgba(255,255,255,0.018))] px-2 py-2.5 text-xs font-bold uppercase sm:px-4 sm:py-3 sm:text-sm ${index === 0 ? "border-r border-white/[0.04]" : ""}`}
@@ -648,7 +789,7 @@ function ProductDetailModalContent({
                   </tr>
                 </thead>
                 <tbody>
-                  {displaySizeTable.rows.map((row, rowIndex) => {
+                  {visibleSizeTable.rows.map((row, rowIndex) => {
                     const isActiveRow = activeRowIndex === rowIndex;
                     const isSavedRow = savedSizeRowIndex === rowIndex;
                     const isPressedRow = pressedSizeRowIndex === rowIndex;
@@ -682,6 +823,12 @@ function ProductDetailModalContent({
                             >
                               <span className="inline-flex items-center gap-1.5">
                                 {displayTableCell(cell)}
+                                {cellIndex === 0 && bestFitPrediction?.rowIndex === rowIndex ? (
+                                  <span className="rounded bg-emerald-400/15 px-1 text-[9px] font-black text-emerald-200">{t("fit.bestBadge")}</span>
+                                ) : null}
+                                {cellIndex === 0 && mySizeRowIndex === rowIndex ? (
+                                  <span className="rounded bg-orange-400/15 px-1 text-[9px] font-black text-orange-200">{t("product.mySize")}</span>
+                                ) : null}
                               </span>
                             </td>
                           );
@@ -697,6 +844,47 @@ function ProductDetailModalContent({
           </div>
           </section>
 
+          {canPredictFit ? (
+            <div className="mt-4 border-t border-white/[0.08] pt-4" aria-live="polite" aria-atomic="true">
+              {hasBodyMeasurements(bodyMeasurements) ? (
+                fitPredictions.length > 0 ? (
+                  <>
+                    <div className="flex items-center justify-between gap-3">
+                      <p className="text-xs font-bold text-gray-500">{t("fit.title")}</p>
+                      {bestFitPrediction ? (
+                        <span className="text-xs font-black text-emerald-200">{t("fit.bestSize", { size: bestFitPrediction.sizeLabel || t("mysize.sizeFallback") })}</span>
+                      ) : null}
+                    </div>
+                    {activeFitPrediction ? (
+                      <ul className="mt-2 flex flex-wrap gap-2">
+                        {activeFitPrediction.measurements.map((item) => (
+                          <li
+                            key={item.label}
+                            title={t("fit.easeHint", { garment: item.garmentValue, body: item.bodyValue })}
+                            className={`rounded-lg border px-2.5 py-1.5 text-xs font-bold ${FIT_VERDICT_CLASS_NAMES[item.verdict]}`}
+                          >
+                            {displayMeasurementLabel(item.label)} · {t(`fit.${item.verdict}`)}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : null}
+                  </>
+                ) : null
+              ) : authUser ? (
+                <div className="flex items-center justify-between gap-3">
+                  <p className="text-xs font-semibold text-gray-400">{t("fit.addBodyPrompt")}</p>
+                  <button
+                    type="button"
+                    onClick={handleMissingMySizeAction}
+                    className="min-h-11 shrink-0 rounded-lg px-2 text-xs font-bold text-orange-200 transition-[background-color,color] hover:bg-white/[0.06] hover:text-orange-100 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-orange-300/70"
+                  >
+                    {t("fit.addBody")}
+                  </button>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+
           <div className="mt-4" aria-live="polite" aria-atomic="true">
             {activeRowIndex === null ? null : categoryMySizes.length === 0 ? (
               <div className="ui-size-comparison-result flex min-h-12 items-center justify-between gap-3 border-t border-white/[0.08] pt-4">
@@ -734,6 +922,11 @@ function ProductDetailModalContent({
                     </div>
                     <p className="mt-0.5 min-w-0 break-words text-xs font-semibold leading-4 text-gray-400">{selectedMySize.brand || t("comparison.unregisteredBrand")}</p>
                     <p className="mt-0.5 min-w-0 break-words text-sm font-bold leading-5 text-white">{selectedMySize.title || t("comparison.savedProduct")}</p>
+                    {selectedMySize.sizeLabel && mySizeRowLabel && mySizeRowLabel.toUpperCase() !== selectedMySize.sizeLabel.trim().toUpperCase() ? (
+                      <p className="mt-1 text-xs font-semibold text-orange-200/80">
+                        {t("sizeConversion.matched", { from: selectedMySize.sizeLabel, to: mySizeRowLabel })}
+                      </p>
+                    ) : null}
                   </div>
                 </div>
 
@@ -786,11 +979,12 @@ function ProductDetailModalContent({
               product={displayProduct}
               decision={digboxProduct?.digboxSizeDecision}
               suggestedRowIndex={activeRowIndex}
+              fitSuggestion={fitPreferenceSuggestion}
               onSave={onUpdateDigboxSizeDecision}
             />
           ) : null}
 
-          {displaySizeTable?.extra?.headers?.length ? (
+          {visibleSizeTable?.extra?.headers?.length ? (
             <div className="mt-4 overflow-hidden rounded-2xl border border-white/[0.08] bg-white/[0.03]">
               <button
                 type="button"
@@ -805,7 +999,7 @@ function ProductDetailModalContent({
                   <table className="min-w-full w-max text-center text-[11px] sm:text-sm">
                     <thead>
                       <tr>
-                        {displaySizeTable.extra.headers.map((header, index) => (
+                        {visibleSizeTable.extra.headers.map((header, index) => (
                           <th
                             key={index}
                             className={`whitespace-nowrap bg-white/[0.04] px-2 py-2.5 text-xs font-bold uppercase sm:px-4 sm:py-3 ${index === 0 ? "border-r border-white/[0.04]" : ""}`}
@@ -817,7 +1011,7 @@ function ProductDetailModalContent({
                       </tr>
                     </thead>
                     <tbody>
-                      {displaySizeTable.extra.rows.map((row, rowIndex) => (
+                      {visibleSizeTable.extra.rows.map((row, rowIndex) => (
                         <tr key={rowIndex} className="border-t border-white/[0.04]">
                           {row.map((cell, cellIndex) => (
                             <td
@@ -852,6 +1046,8 @@ function ProductDetailModalContent({
       <SizeSelectionSheet
         product={displayProduct}
         initialRowIndex={activeRowIndex}
+        mySizeRowIndex={mySizeRowIndex}
+        fitSuggestion={fitPreferenceSuggestion}
         onClose={() => setIsSizeSheetOpen(false)}
         onConfirm={handleConfirmClosetSize}
       />
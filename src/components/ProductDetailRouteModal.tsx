@@ -23,6 +23,7 @@ export function ProductDetailRouteModal({
   const { toggleDigbox, isInDigbox, ensureLoaded: ensureDigboxLoaded } = useDigboxContext();
   const [activeRowIndex, setActiveRowIndex] = useState<number | null>(null);
   const [isDetailImageZoomed, setIsDetailImageZoomed] = useState(false);
+  const [detailZoomImages, setDetailZoomImages] = useState<string[]>([]);
   const modalRef = useRef<HTMLDivElement>(null);
   const source = searchParams.get("source");
   const hideCollectionActions = source === "closet";
@@ -68,12 +69,15 @@ export function ProductDetailRouteModal({
           setIsDetailImageZoomed(false);
           router.replace(getProductPageUrl(nextProduct), { scroll: false });
         }}
-        onZoomImage={() => setIsDetailImageZoomed(true)}
+        onZoomImage={(images) => {
+          setDetailZoomImages(images);
+          setIsDetailImageZoomed(true);
+        }}
         onImageError={handleImageLoadError}
         modalRef={modalRef}
-        onToggleCloset={(selection) => toggleCloset(normalizedProduct.id, selection)}
+        onToggleCloset={(selection, selectedColor) => toggleCloset(normalizedProduct.id, selection, selectedColor)}
         isInCloset={isInCloset(normalizedProduct.id)}
-        onToggleDigbox={() => toggleDigbox(normalizedProduct.id, "product_route")}
+        onToggleDigbox={(selectedColor) => toggleDigbox(normalizedProduct.id, "product_route", selectedColor)}
         isInDigbox={isInDigbox(normalizedProduct.id)}
         hideDigboxButton={hideDigboxButton}
         hideCollectionActions={hideCollectionActions}
@@ -82,7 +86,8 @@ export function ProductDetailRouteModal({
 
       <ImageViewerOverlay
         open={isDetailImageZoomed}
-        src={normalizedProduct.image}
+        src={detailZoomImages[0] || normalizedProduct.image}
+        images={detailZoomImages}
         alt={normalizedProduct.name}
         onClose={() => setIsDetailImageZoomed(false)}
       />
@@ -0,0 +1,60 @@
+import type { DigboxPriceAlert, ProductPrice } from "../types";
+import { useLocaleContext } from "../contexts/LocaleContext";
+import { formatPrice, getDiscountRate, getEffectivePrice, getSaleListPrice } from "../utils/productPrice";
+
+interface ProductPriceTagProps {
+  price: ProductPrice | null | undefined;
+  size?: "card" | "detail";
+  className?: string;
+}
+
+/** Current price with the list price struck through on sale, plus a sold-out/pre-order badge. */
+export function ProductPriceTag({ price, size = "card", className = "" }: ProductPriceTagProps) {
+  const { t, locale } = useLocaleContext();
+  const amount = getEffectivePrice(price);
+  const listPrice = getSaleListPrice(price);
+  const discountRate = getDiscountRate(price);
+  const availabilityKey =
+    price?.availability === "out_of_stock" ? "price.soldOut" : price?.availability === "preorder" ? "price.preorder" : null;
+  if (amount === null && !availabilityKey) return null;
+
+  const isDetail = size === "detail";
+  const isSoldOut = price?.availability === "out_of_stock";
+
+  return (
+    <div className={`flex min-w-0 flex-wrap items-baseline gap-x-1.5 gap-y-0.5 ${className}`}>
+      {discountRate !== null ? (
+        <span className={`font-black text-red-400 ${isDetail ? "text-base" : "text-xs"}`}>{t("price.discount", { rate: discountRate })}</span>
+      ) : null}
+      {amount !== null ? (
+        <span className={`font-black ${isSoldOut ? "text-gray-500" : "text-white"} ${isDetail ? "text-lg" : "text-sm"}`}>
+          {formatPrice(amount, price?.currency ?? null, locale)}
+        </span>
+      ) : null}
+      {listPrice !== null ? (
+        <span
+          className={`font-semibold text-gray-500 line-through ${isDetail ? "text-sm" : "text-[11px]"}`}
+          aria-label={t("price.listPrice", { price: formatPrice(listPrice, price?.currency ?? null, locale) })}
+        >
+          {formatPrice(listPrice, price?.currency ?? null, locale)}
+        </span>
+      ) : null}
+      {availabilityKey ? (
+        <span className="rounded-md border border-white/[0.12] bg-white/[0.06] px-1.5 py-0.5 text-[10px] font-black leading-none text-gray-300">
+          {t(availabilityKey)}
+        </span>
+      ) : null}
+    </div>
+  );
+}
+
+/** Price drop / restock flag the tracking cron set on a saved item. */
+export function DigboxPriceAlertBadge({ alert }: { alert: DigboxPriceAlert | null | undefined }) {
+  const { t } = useLocaleContext();
+  if (!alert) return null;
+  return (
+    <span className="shrink-0 rounded-md border border-emerald-300/30 bg-emerald-400/[0.12] px-1.5 py-0.5 text-[10px] font-black text-emerald-100">
+      {t(alert.kind === "restock" ? "priceAlert.restock" : "priceAlert.priceDrop")}
+    </span>
+  );
+}
@@ -13,6 +13,7 @@ export function SearchResultOverlay() {
   const search = useSearchContext();
   const [activeRowIndex, setActiveRowIndex] = useState<number | null>(null);
   const [isImageZoomed, setIsImageZoomed] = useState(false);
+  const [zoomImages, setZoomImages] = useState<string[]>([]);
   const modalRef = useRef<HTMLDivElement>(null);
 
   const showModal = Boolean(search.result);
@@ -41,14 +42,18 @@ export function SearchResultOverlay() {
           search.setResult(null);
           router.push(getProductPageUrl(product), { scroll: false });
         }}
-        onZoomImage={() => setIsImageZoomed(true)}
+        onZoomImage={(images) => {
+          setZoomImages(images);
+          setIsImageZoomed(true);
+        }}
         onImageError={handleImageLoadError}
         modalRef={modalRef}
       />
       {search.result && (
         <ImageViewerOverlay
           open={isImageZoomed}
-          src={search.result.image}
+          src={zoomImages[0] || search.result.image}
+          images={zoomImages}
           alt={search.result.name}
           onClose={() => setIsImageZoomed(false)}
         />
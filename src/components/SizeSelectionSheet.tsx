@@ -1,17 +1,22 @@
 import { type PointerEvent, useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
 import { X } from "lucide-react";
-import type { ClosetSizeSelection, Product } from "../types";
+import type { ClosetSizeSelection, FitPreferenceSuggestion, Product } from "../types";
 import { useBodyScrollLock } from "../hooks/useBodyScrollLock";
 import { usePresence } from "../hooks/usePresence";
 import { OnboardingTutorial, type TutorialAnchorRect, type TutorialId } from "./OnboardingTutorial";
+import { FitPreferenceHint } from "./FitPreferenceHint";
 import { useLocaleContext } from "../contexts/LocaleContext";
 import {
+  buildSizeSnapshot,
   displayMeasurementLabel,
   getDisplaySizeTable,
   normalizeMeasurementLabel,
   normalizeMeasurementValueForDisplay,
 } from "../utils/sizeTable";
+import { getEquivalentSizeLabels } from "../utils/sizeConversion.js";
+import { isSizeSoldOut } from "../utils/sizeAvailability";
+import { getVisibleFitPreferenceSuggestion } from "../utils/fitPreference";
 
 export function buildClosetSizeSelection(
   product: Product,
@@ -23,32 +28,39 @@ export function buildClosetSizeSelection(
   if (rowIndex === null || !sizeTable?.rows?.[rowIndex]) {
     return manualLabel ? { label: manualLabel, rowIndex: null, snapshot: null } : null;
   }
-  const row = sizeTable.rows[rowIndex].map((cell) => String(cell ?? "").trim());
-  const headers = sizeTable.headers.map((header) => String(header ?? "").trim());
-  const label = String(row[0] || manualLabel || "").trim();
+  const snapshot = buildSizeSnapshot(sizeTable, rowIndex, product.category);
+  const label = String(snapshot?.row[0] || manualLabel || "").trim();
   return {
     label: label || null,
     rowIndex,
-    snapshot: label ? { headers, row } : null,
+    snapshot: label ? snapshot : null,
   };
 }
 
 export function SizeSelectionSheet({
   product,
   initialRowIndex,
+  mySizeRowIndex = null,
+  fitSuggestion,
   onClose,
   onConfirm,
 }: {
   product: Product;
   initialRowIndex: number | null;
+  /** Row matching the user's saved size label for the category, converted across size systems. */
+  mySizeRowIndex?: number | null;
+  /** Learned from the user's Digbox fit feedback; preselected when nothing else is. */
+  fitSuggestion?: FitPreferenceSuggestion | null;
   onClose: () => void;
   onConfirm: (selection: ClosetSizeSelection | null) => void;
 }) {
-  const { t } = useLocaleContext();
+  const { t, locale } = useLocaleContext();
   const sizeTable = useMemo(() => getDisplaySizeTable(product), [product]);
   const rows = useMemo(() => sizeTable?.rows ?? [], [sizeTable]);
   const headers = useMemo(() => sizeTable?.headers ?? [], [sizeTable]);
-  const safeInitialIndex = initialRowIndex !== null && rows[initialRowIndex] ? initialRowIndex : null;
+  const visibleFitSuggestion = getVisibleFitPreferenceSuggestion(fitSuggestion, initialRowIndex ?? mySizeRowIndex);
+  const preferredInitialIndex = initialRowIndex ?? mySizeRowIndex ?? fitSuggestion?.rowIndex ?? null;
+  const safeInitialIndex = preferredInitialIndex !== null && rows[preferredInitialIndex] ? preferredInitialIndex : null;
   const [selectedRowIndex, setSelectedRowIndex] = useState<number | null>(safeInitialIndex);
   const [manualSize, setManualSize] = useState("");
   const sheetRef = useRef<HTMLDivElement | null>(null);
@@ -179,11 +191,22 @@ export function SizeSelectionSheet({
   }, [headers, selectedRow]);
 
   const hasSizeTable = rows.length > 0;
+  const soldOutRows = useMemo(
+    () => rows.map((row) => isSizeSoldOut(product.sizeAvailability, row[0], product.category)),
+    [product.category, product.sizeAvailability, rows]
+  );
+  const stockCheckedAt = soldOutRows.some(Boolean) && product.sizeAvailability?.checkedAt
+    ? new Date(product.sizeAvailability.checkedAt).toLocaleDateString(locale)
+    : null;
   const canConfirm = hasSizeTable ? selectedRowIndex !== null : manualSize.trim().length > 0;
   const selectedSizeLabel = selectedRow ? String(selectedRow[0] ?? '').trim() : manualSize.trim();
   const measurementSummary = measurements
     .map(({ label, value }) => `${label} ${value}`)
     .join(' · ');
+  const equivalentLabels = useMemo(
+    () => (selectedRow ? getEquivalentSizeLabels(selectedRow[0], { category: product.category, system: sizeTable?.sizeSystem }) : []),
+    [product.category, selectedRow, sizeTable]
+  );
   const selectionHint = hasSizeTable
     ? t("size.selectHint")
     : t("size.manualHint");
@@ -231,28 +254,43 @@ export function SizeSelectionSheet({
           </div>
         </div>
 
+        {hasSizeTable && visibleFitSuggestion ? (
+          <div className="mb-4">
+            <FitPreferenceHint suggestion={visibleFitSuggestion} />
+          </div>
+        ) : null}
+
         {hasSizeTable ? (
+          <>
           <div className="grid grid-cols-4 gap-2 sm:grid-cols-5">
               {rows.map((row, index) => {
                 const label = String(row[0] ?? "").trim() || `Size ${index + 1}`;
                 const active = selectedRowIndex === index;
+                const soldOut = soldOutRows[index];
+                // Sold-out sizes stay selectable: the sheet records a size the user already owns.
                 return (
                   <button
                     key={`${label}-${index}`}
                     type="button"
                     aria-pressed={active}
+                    aria-label={soldOut ? t("size.soldOutAria", { size: label }) : undefined}
                     onClick={() => setSelectedRowIndex(index)}
-                    className={`relative h-12 rounded-xl border text-sm font-bold transition-[background-color,border-color,color,box-shadow] ${
+                    className={`relative flex h-12 flex-col items-center justify-center rounded-xl border text-sm font-bold transition-[background-color,border-color,color,box-shadow] ${
                       active
                         ? "border-white/35 bg-white/[0.12] text-white shadow-[inset_0_0_0_1px_rgba(255,255,255,0.05)]"
-                        : "border-white/10 bg-white/[0.06] text-gray-200 hover:border-white/25 hover:text-white"
+                        : soldOut
+                          ? "border-white/[0.06] bg-white/[0.02] text-gray-600 hover:border-white/15 hover:text-gray-400"
+                          : "border-white/10 bg-white/[0.06] text-gray-200 hover:border-white/25 hover:text-white"
                     }`}
                   >
-                    {label}
+                    <span className={soldOut && !active ? "line-through" : undefined}>{label}</span>
+                    {soldOut ? <span className="text-[10px] font-semibold leading-none">{t("size.soldOut")}</span> : null}
                   </button>
                 );
               })}
           </div>
+          {stockCheckedAt ? <p className="mt-2 text-xs text-gray-500">{t("size.stockCheckedAt", { date: stockCheckedAt })}</p> : null}
+          </>
         ) : (
           <div className="rounded-2xl border border-white/10 bg-white/[0.04] p-4">
             <p className="text-sm font-bold text-white">{t("size.noTable")}</p>
@@ -275,6 +313,9 @@ export function SizeSelectionSheet({
               <span>{measurementSummary ? ` · ${measurementSummary}` : ` · ${hasSizeTable ? t("size.saveSelected") : t("size.manualDescription")}`}</span>
             </p>
           ) : <p className="text-xs text-gray-500">{selectionHint}</p>}
+          {canConfirm && equivalentLabels.length > 0 ? (
+            <p className="text-xs font-semibold text-white/40">{t("sizeConversion.equivalents", { labels: equivalentLabels.join(" · ") })}</p>
+          ) : null}
         </div>
 
         <div className="sticky bottom-0 -mx-5 mt-3 grid grid-cols-2 gap-2 bg-[#111114] px-5 pb-[calc(0.25rem+env(safe-area-inset-bottom))] pt-4 sm:-mx-6 sm:px-6">
@@ -9,6 +9,7 @@ import { useLocaleContext } from '../../contexts/LocaleContext';
 import type { useProductForm } from '../../hooks/useProductForm';
 import { ProductImageSection } from './ProductImageSection';
 import { SizeTableSection } from './SizeTableSection';
+import { buildSizeSnapshot } from '../../utils/sizeTable';
 
 type ProductForm = ReturnType<typeof useProductForm>;
 
@@ -29,12 +30,11 @@ export function AddProductFormFields({ form }: AddProductFormFieldsProps) {
   const { t } = useLocaleContext();
   const [manualClosetSize, setManualClosetSize] = useState('');
   const sizeRows = form.formData.extractedTable?.rows || [];
-  const sizeHeaders = form.formData.extractedTable?.headers || [];
   const selectClosetSize = (rowIndex: number) => {
-    const row = sizeRows[rowIndex]?.map((cell) => String(cell ?? '').trim());
-    if (!row) return;
-    const headers = sizeHeaders.map((header) => String(header ?? '').trim());
-    form.setClosetSizeSelection({ label: row[0] || null, rowIndex, snapshot: row[0] ? { headers, row } : null });
+    const snapshot = buildSizeSnapshot(form.formData.extractedTable, rowIndex);
+    if (!snapshot) return;
+    const label = snapshot.row[0] || null;
+    form.setClosetSizeSelection({ label, rowIndex, snapshot: label ? snapshot : null });
   };
 
   return (
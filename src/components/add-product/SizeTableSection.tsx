@@ -38,6 +38,10 @@ export function SizeTableSection({ form }: SizeTableSectionProps) {
   const [isDragging, setIsDragging] = useState(false);
   const [isImagePreviewOpen, setIsImagePreviewOpen] = useState(false);
   const isComparisonMode = Boolean(form.formData.sizeChartImage && form.formData.extractedTable);
+  const selectedCandidate =
+    form.formData.selectedSizeTableCandidate === null
+      ? null
+      : form.formData.sizeTableCandidates[form.formData.selectedSizeTableCandidate];
 
   useEffect(() => {
     if (!isImagePreviewOpen) return;
@@ -101,6 +105,38 @@ export function SizeTableSection({ form }: SizeTableSectionProps) {
           <p>{t("sizeTable.warning")}</p>
         </div>
       ) : null}
+      {form.formData.sizeTableCandidates.length > 1 && !form.isAnalyzingTable ? (
+        <div className="space-y-1.5">
+          <p className="text-xs font-semibold text-gray-400">{t("sizeTable.candidates")}</p>
+          <div className="flex flex-wrap gap-1.5">
+            {form.formData.sizeTableCandidates.map((candidate, index) => {
+              const isSelected = form.formData.selectedSizeTableCandidate === index;
+              return (
+                <button
+                  key={`${candidate.source}-${index}`}
+                  type="button"
+                  title={candidate.snippet || undefined}
+                  aria-pressed={isSelected}
+                  onClick={() => form.handleSelectSizeTableCandidate(index)}
+                  className={`rounded-lg border px-2.5 py-1 text-[11px] font-semibold transition ${
+                    isSelected
+                      ? 'border-orange-500/70 bg-orange-500/15 text-orange-100'
+                      : 'border-white/10 bg-white/[0.04] text-gray-400 hover:bg-white/[0.08] hover:text-gray-200'
+                  }`}
+                >
+                  {t(`sizeTable.source.${candidate.source}`)}
+                  {candidate.score !== null ? ` · ${t("sizeTable.candidateScore", { score: candidate.score })}` : null}
+                </button>
+              );
+            })}
+          </div>
+          {selectedCandidate?.snippet ? (
+            <p className="line-clamp-2 text-[11px] leading-4 text-gray-500">{selectedCandidate.snippet}</p>
+          ) : (
+            <p className="text-[11px] text-gray-500">{t("sizeTable.candidatesHelp")}</p>
+          )}
+        </div>
+      ) : null}
       {form.formData.extractedTable && !form.isAnalyzingTable ? (
         <div className={isComparisonMode ? "space-y-3" : ""}>
           {isComparisonMode ? (
@@ -1,18 +1,63 @@
 import type { ChangeEvent } from 'react';
 import { Upload } from 'lucide-react';
-import { ITEM_LABEL } from '../../constants';
+import { ITEM_LABEL, SIZE_COLUMN_LABEL } from '../../constants';
 import { CATEGORY_LABELS, CATEGORY_OPTIONS, getSubcategories } from '../../constants';
-import type { AdminEditForm, SizeTable } from '../../types';
-import { normalizeCellText } from '../../utils/sizeTable';
+import type {
+  AdminEditForm,
+  SizeTable,
+  SizeTableFinding,
+  SizeTableProvenance,
+  SizeTableSource,
+  SizeTableValidationReport,
+} from '../../types';
+import { normalizeCellText, normalizeMeasurementLabel, normalizeSizeLabel } from '../../utils/sizeTable';
 
 type TableEditingCell =
   | { kind: 'header'; colIdx: number }
   | { kind: 'row'; rowIdx: number; colIdx: number }
   | null;
 
+const SIZE_TABLE_SOURCE_LABELS: Record<SizeTableSource, string> = {
+  store_data: '스토어 데이터',
+  html_table: '페이지 표',
+  json_data: '상품 데이터',
+  text_block: '상세 설명',
+  page_text: '페이지 본문',
+  gemini_image: '사이즈표 이미지',
+};
+
+const getFindingCellKey = (size: unknown, label: string) => `${normalizeSizeLabel(size)}|${label}`;
+
+const formatSizes = (sizes: string[]) => sizes.join(', ');
+
+const describeFinding = (finding: SizeTableFinding): string => {
+  const label = finding.labels.join('·');
+  switch (finding.code) {
+    case 'duplicate_size_row':
+      return `중복된 사이즈 행: ${formatSizes(finding.sizes)}`;
+    case 'impossible_value':
+      return `${label} 값이 범위를 벗어났습니다: ${formatSizes(finding.sizes)}`;
+    case 'non_monotonic':
+      return `${label} 값이 사이즈 순서대로 커지지 않습니다: ${formatSizes(finding.sizes)}`;
+    case 'swapped_columns':
+      return `${label} 열이 서로 바뀐 것 같습니다.`;
+    case 'option_label_mismatch': {
+      const unexpected = [...new Set(finding.cells.map((cell) => cell.size))];
+      return [
+        '상품 옵션과 사이즈가 일치하지 않습니다.',
+        finding.sizes.length ? `표에 없음: ${formatSizes(finding.sizes)}` : '',
+        unexpected.length ? `옵션에 없음: ${formatSizes(unexpected)}` : '',
+      ].filter(Boolean).join(' ');
+    }
+    default:
+      return finding.code;
+  }
+};
+
 interface AdminProductEditorProps {
   adminEditForm: AdminEditForm;
   adminExtractedTable: SizeTable | null;
+  adminSizeTableProvenance: SizeTableProvenance | null;
   adminImagePreview: string;
   adminSizeChartImage: string | null;
   isAdminActionLoading: boolean;
@@ -20,15 +65,19 @@ interface AdminProductEditorProps {
   onCancelEdit: () => void;
   onEditFormChange: (updater: (prev: AdminEditForm) => AdminEditForm) => void;
   onExtractedTableChange: (table: SizeTable) => void;
+  onSelectSizeTableCandidate: (index: number) => void;
   onFileUpload: (event: ChangeEvent<HTMLInputElement>, type: 'product' | 'chart') => void;
   onUpdateProduct: () => void;
   setTableEditingCell: (cell: TableEditingCell) => void;
+  /** Report stored with the last save; cells are matched by size and measurement label. */
+  sizeTableValidation: SizeTableValidationReport | null;
   tableEditingCell: TableEditingCell;
 }
 
 export function AdminProductEditor({
   adminEditForm,
   adminExtractedTable,
+  adminSizeTableProvenance,
   adminImagePreview,
   adminSizeChartImage,
   isAdminActionLoading,
@@ -36,11 +85,31 @@ export function AdminProductEditor({
   onCancelEdit,
   onEditFormChange,
   onExtractedTableChange,
+  onSelectSizeTableCandidate,
   onFileUpload,
   onUpdateProduct,
   setTableEditingCell,
+  sizeTableValidation,
   tableEditingCell,
 }: AdminProductEditorProps) {
+  const findings = sizeTableValidation?.findings ?? [];
+  const flaggedCells = new Map<string, SizeTableFinding['severity']>();
+  for (const finding of findings) {
+    for (const cell of finding.cells) {
+      const key = getFindingCellKey(cell.size, cell.label);
+      if (flaggedCells.get(key) !== 'error') flaggedCells.set(key, finding.severity);
+    }
+  }
+  const columnLabels = (adminExtractedTable?.headers ?? []).map((header, colIdx) =>
+    colIdx === 0 ? SIZE_COLUMN_LABEL : normalizeMeasurementLabel(header)
+  );
+  const getCellHighlightClass = (row: string[], colIdx: number) => {
+    const severity = flaggedCells.get(getFindingCellKey(row[0], columnLabels[colIdx] ?? ''));
+    if (severity === 'error') return 'bg-red-500/20 text-red-200';
+    if (severity === 'warning') return 'bg-amber-500/20 text-amber-100';
+    return '';
+  };
+
   const commitTableCell = (value: string) => {
     if (!tableEditingCell || !adminExtractedTable) return;
     if (tableEditingCell.kind === 'header') {
@@ -126,6 +195,34 @@ export function AdminProductEditor({
         </div>
       </div>
       {isAdminAnalyzingTable ? <div className="text-xs text-orange-400">사이즈표 분석 중...</div> : null}
+      {adminSizeTableProvenance && adminSizeTableProvenance.candidates.length > 0 ? (
+        <div className="space-y-1.5">
+          <p className="text-xs text-gray-400">사이즈표 후보 (출처 · 점수)</p>
+          <div className="flex flex-wrap gap-1.5">
+            {adminSizeTableProvenance.candidates.map((candidate, index) => (
+              <button
+                key={`${candidate.source}-${index}`}
+                type="button"
+                title={candidate.snippet || undefined}
+                onClick={() => onSelectSizeTableCandidate(index)}
+                className={`px-2.5 py-1 rounded-lg border text-xs ${
+                  adminSizeTableProvenance.selectedIndex === index
+                    ? 'border-orange-500 text-orange-200 bg-orange-500/10'
+                    : 'border-gray-700 text-gray-400 hover:bg-gray-800'
+                }`}
+              >
+                {SIZE_TABLE_SOURCE_LABELS[candidate.source]}
+                {candidate.score !== null ? ` · ${candidate.score}` : ''}
+              </button>
+            ))}
+          </div>
+          {adminSizeTableProvenance.candidates[adminSizeTableProvenance.selectedIndex]?.snippet ? (
+            <p className="text-xs text-gray-500 break-all">
+              {adminSizeTableProvenance.candidates[adminSizeTableProvenance.selectedIndex].snippet}
+            </p>
+          ) : null}
+        </div>
+      ) : null}
       <div className="overflow-x-auto rounded-lg border border-gray-700">
         {adminExtractedTable?.headers?.length ? (
           <table className="w-full text-xs text-left">
@@ -163,7 +260,7 @@ export function AdminProductEditor({
                     <td
                       key={colIdx}
                       onClick={() => setTableEditingCell({ kind: 'row', rowIdx, colIdx })}
-                      className={`px-3 py-2 whitespace-nowrap cursor-pointer hover:bg-gray-800 transition ${colIdx === 0 ? 'text-gray-200 border-r border-gray-700' : 'text-gray-400'}`}
+                      className={`px-3 py-2 whitespace-nowrap cursor-pointer hover:bg-gray-800 transition ${colIdx === 0 ? 'text-gray-200 border-r border-gray-700' : 'text-gray-400'} ${getCellHighlightClass(row, colIdx)}`}
                     >
                       {tableEditingCell?.kind === 'row' &&
                       tableEditingCell.rowIdx === rowIdx &&
@@ -192,6 +289,16 @@ export function AdminProductEditor({
           <div className="px-3 py-4 text-xs text-gray-500">사이즈표 데이터가 없습니다.</div>
         )}
       </div>
+      {findings.length > 0 ? (
+        <ul className="space-y-1 rounded-lg border border-gray-700 px-3 py-2 text-xs">
+          {findings.map((finding, index) => (
+            <li key={`${finding.code}-${index}`} className={finding.severity === 'error' ? 'text-red-300' : 'text-amber-200'}>
+              {describeFinding(finding)}
+            </li>
+          ))}
+          <li className="text-gray-500">마지막 저장 기준 검사 결과입니다.</li>
+        </ul>
+      ) : null}
       <div className="flex items-center gap-2">
         <button
           onClick={onUpdateProduct}
@@ -0,0 +1,99 @@
+import { GitMerge, X } from 'lucide-react';
+import { ProgressiveImage } from '../ProgressiveImage';
+import type { Product } from '../../types';
+
+interface AdminProductMergePanelProps {
+  products: Product[];
+  canonicalId: string;
+  sizeTableProductId: string;
+  isAdminActionLoading: boolean;
+  onCanonicalChange: (id: string) => void;
+  onSizeTableProductChange: (id: string) => void;
+  onRemove: (id: string) => void;
+  onClear: () => void;
+  onMerge: () => void;
+}
+
+const getStoreName = (url: string) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./i, '');
+  } catch {
+    return 'URL 없음';
+  }
+};
+
+/** Selected duplicates, the product they fold into and the size table it keeps. */
+export function AdminProductMergePanel({
+  products,
+  canonicalId,
+  sizeTableProductId,
+  isAdminActionLoading,
+  onCanonicalChange,
+  onSizeTableProductChange,
+  onRemove,
+  onClear,
+  onMerge,
+}: AdminProductMergePanelProps) {
+  const canMerge = products.length >= 2 && !isAdminActionLoading;
+
+  return (
+    <section className="sticky top-2 z-10 rounded-xl border border-sky-500/40 bg-gray-950/95 p-3 shadow-xl backdrop-blur">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="flex items-center gap-1.5 text-xs font-bold text-sky-200"><GitMerge className="h-3.5 w-3.5" />상품 병합 {products.length}개 선택</p>
+          <p className="mt-1 text-xs text-gray-500">대표 상품만 남고 나머지는 판매처로 합쳐집니다. DIGBOX·옷장·코디 기록과 기존 URL은 대표 상품으로 이어집니다.</p>
+        </div>
+        <button type="button" onClick={onClear} className="shrink-0 text-xs text-gray-500 hover:text-gray-300">선택 해제</button>
+      </div>
+      <ul className="mt-3 space-y-2">
+        {products.map((product) => (
+          <li key={product.id} className="flex items-center gap-3 rounded-lg border border-gray-800 bg-gray-900 px-2.5 py-2">
+            <div className="flex h-10 w-10 shrink-0 items-center justify-center overflow-hidden rounded-md bg-white p-1">
+              <ProgressiveImage src={product.image} thumbnailSrc={product.thumbnailImage} alt={product.name} className="max-h-full max-w-full object-contain" />
+            </div>
+            <div className="min-w-0 flex-1">
+              <p className="truncate text-sm font-semibold text-white">{product.brand} · {product.name}</p>
+              <p className="truncate text-xs text-gray-500">#{product.id} · {getStoreName(product.url)}{product.sizeTable ? '' : ' · 사이즈표 없음'}</p>
+            </div>
+            <label className="flex shrink-0 items-center gap-1 text-xs text-gray-300">
+              <input
+                type="radio"
+                name="merge-canonical"
+                checked={canonicalId === product.id}
+                onChange={() => onCanonicalChange(product.id)}
+                className="accent-sky-400"
+              />
+              대표
+            </label>
+            <label className="flex shrink-0 items-center gap-1 text-xs text-gray-300">
+              <input
+                type="radio"
+                name="merge-size-table"
+                checked={sizeTableProductId === product.id}
+                disabled={!product.sizeTable}
+                onChange={() => onSizeTableProductChange(product.id)}
+                className="accent-orange-400"
+              />
+              사이즈표
+            </label>
+            <button type="button" onClick={() => onRemove(product.id)} aria-label="병합 선택에서 제외" className="shrink-0 rounded p-1 text-gray-500 hover:bg-gray-800 hover:text-gray-200">
+              <X className="h-3.5 w-3.5" />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="mt-3 flex justify-end">
+        <button
+          type="button"
+          onClick={onMerge}
+          disabled={!canMerge}
+          className={`rounded-lg px-3 py-2 text-sm font-bold ${
+            canMerge ? 'bg-sky-500 text-black hover:bg-sky-400' : 'cursor-not-allowed bg-gray-800 text-gray-500'
+          }`}
+        >
+          {products.length >= 2 ? `${products.length - 1}개를 대표 상품으로 병합` : '병합할 상품을 하나 더 선택하세요'}
+        </button>
+      </div>
+    </section>
+  );
+}
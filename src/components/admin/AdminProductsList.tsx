@@ -2,8 +2,9 @@ import { useState } from 'react';
 import { AlertTriangle, CheckCircle2, Clock3, Search, Sparkles, XCircle } from 'lucide-react';
 import { ProgressiveImage } from '../ProgressiveImage';
 import { AdminProductEditor } from './AdminProductEditor';
+import { AdminProductMergePanel } from './AdminProductMergePanel';
 import { ProductStyleReviewPanel } from './ProductStyleReviewPanel';
-import type { AdminEditForm, Product, ProductStyleReviewInput, SizeTable } from '../../types';
+import type { AdminEditForm, Product, ProductMergeInput, ProductStyleReviewInput, SizeTable, SizeTableProvenance } from '../../types';
 import type { ChangeEvent, SyntheticEvent } from 'react';
 import { CATEGORY_LABELS, CATEGORY_OPTIONS, getCategoryLabel, getSubcategories } from '../../constants';
 
@@ -29,6 +30,7 @@ const getCategoryAnalysisLabel = (product: Product) => {
 interface AdminProductsListProps {
   adminEditForm: AdminEditForm;
   adminExtractedTable: SizeTable | null;
+  adminSizeTableProvenance: SizeTableProvenance | null;
   adminImagePreview: string;
   adminSizeChartImage: string | null;
   allProducts: Product[];
@@ -39,8 +41,10 @@ interface AdminProductsListProps {
   onDeleteProduct: (id: string) => void;
   onEditFormChange: (updater: (prev: AdminEditForm) => AdminEditForm) => void;
   onExtractedTableChange: (table: SizeTable) => void;
+  onSelectSizeTableCandidate: (index: number) => void;
   onFileUpload: (event: ChangeEvent<HTMLInputElement>, type: 'product' | 'chart') => void;
   onImageLoadError: (event: SyntheticEvent<HTMLImageElement>) => void;
+  onMergeProducts: (input: ProductMergeInput) => Promise<boolean>;
   onSaveStyleReview: (id: string, review: ProductStyleReviewInput) => void;
   onStartEdit: (product: Product) => void;
   onUpdateProduct: (id: string) => void;
@@ -52,6 +56,7 @@ interface AdminProductsListProps {
 export function AdminProductsList({
   adminEditForm,
   adminExtractedTable,
+  adminSizeTableProvenance,
   adminImagePreview,
   adminSizeChartImage,
   allProducts,
@@ -62,8 +67,10 @@ export function AdminProductsList({
   onDeleteProduct,
   onEditFormChange,
   onExtractedTableChange,
+  onSelectSizeTableCandidate,
   onFileUpload,
   onImageLoadError,
+  onMergeProducts,
   onSaveStyleReview,
   onStartEdit,
   onUpdateProduct,
@@ -77,6 +84,9 @@ export function AdminProductsList({
   const [categoryFilter, setCategoryFilter] = useState('');
   const [subCategoryFilter, setSubCategoryFilter] = useState('');
   const [expandedReviewIds, setExpandedReviewIds] = useState<Set<string>>(() => new Set());
+  const [mergeSelection, setMergeSelection] = useState<string[]>([]);
+  const [mergeCanonicalId, setMergeCanonicalId] = useState('');
+  const [mergeSizeTableProductId, setMergeSizeTableProductId] = useState('');
 
   const aiTaggedCount = allProducts.filter(hasAiTags).length;
   const aiUntaggedCount = allProducts.filter((product) => !hasAiTags(product) && product.taggingStatus !== 'failed').length;
@@ -136,6 +146,38 @@ export function AdminProductsList({
     });
   };
 
+  const productsById = new Map(allProducts.map((product) => [product.id, product]));
+  const selectedMergeProducts = mergeSelection.flatMap((id) => productsById.get(id) ?? []);
+  // The first picked product leads until the admin chooses another; the size
+  // table follows the canonical product unless it has none.
+  const effectiveCanonicalId = selectedMergeProducts.some((product) => product.id === mergeCanonicalId)
+    ? mergeCanonicalId
+    : (selectedMergeProducts[0]?.id ?? '');
+  const effectiveSizeTableProductId = selectedMergeProducts.some((product) => product.id === mergeSizeTableProductId && product.sizeTable)
+    ? mergeSizeTableProductId
+    : (productsById.get(effectiveCanonicalId)?.sizeTable ? effectiveCanonicalId : (selectedMergeProducts.find((product) => product.sizeTable)?.id ?? effectiveCanonicalId));
+
+  const toggleMergeSelection = (productId: string) => {
+    setMergeSelection((previous) => previous.includes(productId)
+      ? previous.filter((id) => id !== productId)
+      : [...previous, productId]);
+  };
+
+  const clearMergeSelection = () => {
+    setMergeSelection([]);
+    setMergeCanonicalId('');
+    setMergeSizeTableProductId('');
+  };
+
+  const handleMerge = async () => {
+    const merged = await onMergeProducts({
+      canonicalId: effectiveCanonicalId,
+      duplicateIds: selectedMergeProducts.map((product) => product.id).filter((id) => id !== effectiveCanonicalId),
+      sizeTableProductId: effectiveSizeTableProductId,
+    });
+    if (merged) clearMergeSelection();
+  };
+
   if (allProducts.length === 0) {
     return <div className="text-center py-16 text-gray-500">등록된 상품이 없습니다.</div>;
   }
@@ -253,6 +295,19 @@ export function AdminProductsList({
           </button>
         )}
       </div>
+      {selectedMergeProducts.length > 0 ? (
+        <AdminProductMergePanel
+          products={selectedMergeProducts}
+          canonicalId={effectiveCanonicalId}
+          sizeTableProductId={effectiveSizeTableProductId}
+          isAdminActionLoading={isAdminActionLoading}
+          onCanonicalChange={setMergeCanonicalId}
+          onSizeTableProductChange={setMergeSizeTableProductId}
+          onRemove={toggleMergeSelection}
+          onClear={clearMergeSelection}
+          onMerge={() => void handleMerge()}
+        />
+      ) : null}
       {filteredProducts.length === 0 ? (
         <div className="text-center py-10 text-gray-500 text-sm">검색 결과가 없습니다.</div>
       ) : (
@@ -336,6 +391,20 @@ export function AdminProductsList({
                       >
                         기본 상품 정보 수정
                       </button>
+                      <label
+                        title="중복 상품을 하나로 합치려면 두 개 이상 선택하세요"
+                        className={`inline-flex h-9 cursor-pointer items-center gap-1.5 rounded-lg px-2.5 text-sm font-medium ${
+                          mergeSelection.includes(product.id) ? 'bg-sky-500/15 text-sky-200' : 'text-gray-300 hover:bg-gray-800'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={mergeSelection.includes(product.id)}
+                          onChange={() => toggleMergeSelection(product.id)}
+                          className="accent-sky-400"
+                        />
+                        병합
+                      </label>
                       <button
                         onClick={() => onDeleteProduct(product.id)}
                         disabled={isAdminActionLoading}
@@ -381,6 +450,7 @@ export function AdminProductsList({
                         <AdminProductEditor
                           adminEditForm={adminEditForm}
                           adminExtractedTable={adminExtractedTable}
+                          adminSizeTableProvenance={adminSizeTableProvenance}
                           adminImagePreview={adminImagePreview}
                           adminSizeChartImage={adminSizeChartImage}
                           isAdminActionLoading={isAdminActionLoading}
@@ -388,9 +458,11 @@ export function AdminProductsList({
                           onCancelEdit={onCancelEdit}
                           onEditFormChange={onEditFormChange}
                           onExtractedTableChange={onExtractedTableChange}
+                          onSelectSizeTableCandidate={onSelectSizeTableCandidate}
                           onFileUpload={onFileUpload}
                           onUpdateProduct={() => onUpdateProduct(product.id)}
                           setTableEditingCell={setTableEditingCell}
+                          sizeTableValidation={adminSizeChartImage ? null : (product.sizeTableValidation ?? null)}
                           tableEditingCell={tableEditingCell}
                         />
                       </div>
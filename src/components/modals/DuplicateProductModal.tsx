@@ -1,27 +1,93 @@
 import { ShieldAlert } from 'lucide-react';
+import type { DuplicateProductCandidate, ProductCardData } from '../../types';
 import { useLocaleContext } from '../../contexts/LocaleContext';
 
+// Hashes this close are the same photo re-encoded or resized.
+const SAME_IMAGE_MAX_PHASH_DISTANCE = 4;
+
 interface DuplicateProductModalProps {
+  /** Likely duplicates from other shops; empty when the exact URL is already registered. */
+  candidates?: DuplicateProductCandidate[];
+  isBusy?: boolean;
   onClose: () => void;
+  onUseExisting?: (product: ProductCardData) => void;
+  onRegisterAnyway?: () => void;
 }
 
-export function DuplicateProductModal({ onClose }: DuplicateProductModalProps) {
+export function DuplicateProductModal({
+  candidates = [],
+  isBusy = false,
+  onClose,
+  onUseExisting,
+  onRegisterAnyway,
+}: DuplicateProductModalProps) {
   const { t } = useLocaleContext();
+  const hasCandidates = candidates.length > 0;
   return (
     <div className="fixed inset-0 z-[72] flex items-center justify-center p-4">
-      <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={onClose} />
-      <div className="relative w-full max-w-sm rounded-3xl border border-red-500/40 bg-gray-950 px-6 py-7 text-center shadow-2xl">
+      <div className="absolute inset-0 bg-black/70 backdrop-blur-sm" onClick={isBusy ? undefined : onClose} />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="duplicate-product-title"
+        className="relative w-full max-w-sm rounded-3xl border border-red-500/40 bg-gray-950 px-6 py-7 text-center shadow-2xl"
+      >
         <div className="mx-auto flex h-12 w-12 items-center justify-center rounded-2xl bg-red-500/15 text-red-400">
           <ShieldAlert className="h-6 w-6" />
         </div>
-        <h3 className="mt-4 text-lg font-bold text-white">{t("duplicateProduct.title")}</h3>
-        <button
-          type="button"
-          onClick={onClose}
-          className="mt-5 inline-flex items-center justify-center rounded-xl bg-orange-500 px-5 py-2.5 text-sm font-bold text-black hover:bg-orange-400 transition"
-        >
-          {t("common.confirm")}
-        </button>
+        <h3 id="duplicate-product-title" className="mt-4 text-lg font-bold text-white">
+          {hasCandidates ? t("duplicateProduct.possibleTitle") : t("duplicateProduct.title")}
+        </h3>
+        {hasCandidates ? (
+          <>
+            <p className="mt-2 text-sm text-gray-400">{t("duplicateProduct.possibleDescription")}</p>
+            <ul className="mt-4 space-y-2 text-left">
+              {candidates.map(({ product, phashDistance }) => (
+                <li key={product.id} className="flex items-center gap-3 rounded-2xl border border-white/10 bg-white/[0.04] p-2">
+                  {/* eslint-disable-next-line @next/next/no-img-element -- Storage thumbnails are already resized. */}
+                  <img
+                    src={product.thumbnailImage || product.image}
+                    alt=""
+                    className="h-14 w-14 shrink-0 rounded-xl bg-white/[0.06] object-contain"
+                  />
+                  <div className="min-w-0 flex-1">
+                    <p className="truncate text-xs font-bold text-orange-400">{product.brand}</p>
+                    <p className="truncate text-sm font-semibold text-white">{product.name}</p>
+                    <p className="text-[11px] text-gray-500">
+                      {phashDistance !== null && phashDistance <= SAME_IMAGE_MAX_PHASH_DISTANCE
+                        ? t("duplicateProduct.sameImage")
+                        : t("duplicateProduct.similarImage")}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    disabled={isBusy}
+                    onClick={() => onUseExisting?.(product)}
+                    className="shrink-0 rounded-xl bg-orange-500 px-3 py-2 text-xs font-bold text-black transition hover:bg-orange-400 disabled:cursor-not-allowed disabled:opacity-50"
+                  >
+                    {t("duplicateProduct.useExisting")}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              disabled={isBusy}
+              onClick={onRegisterAnyway}
+              className="mt-5 inline-flex items-center justify-center rounded-xl border border-white/10 bg-white/[0.06] px-5 py-2.5 text-sm font-medium text-gray-300 transition hover:bg-white/[0.12] hover:text-white disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {t("duplicateProduct.registerAnyway")}
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={onClose}
+            className="mt-5 inline-flex items-center justify-center rounded-xl bg-orange-500 px-5 py-2.5 text-sm font-bold text-black hover:bg-orange-400 transition"
+          >
+            {t("common.confirm")}
+          </button>
+        )}
       </div>
     </div>
   );
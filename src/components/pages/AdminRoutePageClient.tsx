@@ -54,6 +54,7 @@ export function AdminRoutePageClient() {
       adminSizeChartImage={admin.adminSizeChartImage}
       isAdminAnalyzingTable={admin.isAdminAnalyzingTable}
       adminExtractedTable={admin.adminExtractedTable}
+      adminSizeTableProvenance={admin.adminSizeTableProvenance}
       isAdminActionLoading={admin.isAdminActionLoading}
       brandRules={admin.brandRules}
       isBrandRulesLoading={admin.isBrandRulesLoading}
@@ -76,10 +77,12 @@ export function AdminRoutePageClient() {
       onUpdateProduct={(id) => void admin.handleAdminUpdateProduct(id)}
       onApproveProductCategory={(id) => void admin.handleApproveProductCategory(id)}
       onDeleteProduct={(id) => void admin.handleAdminDeleteProduct(id)}
+      onMergeProducts={admin.handleAdminMergeProducts}
       onStartEdit={admin.startProductEdit}
       onCancelEdit={admin.cancelEdit}
       onEditFormChange={admin.setAdminEditForm}
       onExtractedTableChange={admin.setAdminExtractedTable}
+      onSelectSizeTableCandidate={admin.selectAdminSizeTableCandidate}
       onInstagramPublish={(id) => void admin.handleInstagramPublish(id)}
       onInstagramUnpublish={(id) => void admin.handleInstagramUnpublish(id)}
       onInstagramMove={(id, direction) => void admin.handleInstagramMove(featuredProducts, id, direction)}
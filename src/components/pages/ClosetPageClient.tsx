@@ -15,12 +15,16 @@ import { useProductDetail } from "../../hooks/useProductDetail";
 import { useProgressiveList } from "../../hooks/useProgressiveList";
 import { ProgressiveImage } from "../ProgressiveImage";
 import { FilterBar } from "../FilterBar";
+import { ProductPriceTag } from "../ProductPriceTag";
+import { SelectedColorBadge } from "../ColorVariantPicker";
 import { PageHeader } from "../PageHeader";
 import { PageState } from "../PageState";
 import { CollectionLoadingSkeleton } from "../CollectionLoadingSkeleton";
 import { CollectionSearchField } from "../CollectionSearchField";
 import { CollectionEmptyState } from "../CollectionEmptyState";
 import { toPublicUrl } from "../../utils/product";
+import { matchesPriceFilter } from "../../utils/productPrice";
+import type { PriceFilterValue } from "../../constants";
 import type { Product } from "../../types";
 import { loadProductDetailModal } from "../productDetailModalLoader";
 import { buildLoginHref } from "../../utils/authNavigation";
@@ -111,8 +115,10 @@ function GridCard({
                 {product.closetSelectedSizeLabel}
               </span>
             )}
+            <SelectedColorBadge name={product.closetSelectedColor} />
           </div>
           <h3 className="mb-2 line-clamp-2 text-[0.95rem] font-bold leading-tight text-white sm:text-lg">{product.name}</h3>
+          <ProductPriceTag price={product.price} />
           <div className="mt-auto pt-2 text-center text-sm text-gray-300">{product.category}</div>
         </div>
       </Link>
@@ -458,6 +464,7 @@ export function ClosetPageClient({ initialProducts }: { initialProducts?: Produc
   const productModal = useProductModalQuery();
 
   const [catFilter, setCatFilter] = useState("");
+  const [priceFilter, setPriceFilter] = useState<PriceFilterValue | "">("");
   const [searchQuery, setSearchQuery] = useState("");
   const [viewMode, setViewMode] = useState<ViewMode>("grid");
   const [isEditing, setIsEditing] = useState(false);
@@ -468,6 +475,7 @@ export function ClosetPageClient({ initialProducts }: { initialProducts?: Produc
   const detailedProduct = useProductDetail(productModal.productId, selectedProduct);
   const [activeRowIndex, setActiveRowIndex] = useState<number | null>(null);
   const [isDetailImageZoomed, setIsDetailImageZoomed] = useState(false);
+  const [detailZoomImages, setDetailZoomImages] = useState<string[]>([]);
   const modalRef = useRef<HTMLDivElement>(null);
 
   useEffect(() => {
@@ -501,11 +509,12 @@ export function ClosetPageClient({ initialProducts }: { initialProducts?: Produc
     const keyword = searchQuery.trim().toLowerCase();
     return closetItems.filter((p) => {
       if (catFilter && p.category !== catFilter) return false;
+      if (!matchesPriceFilter(p.price, priceFilter)) return false;
       if (!keyword) return true;
       return `${p.brand} ${p.name}`.toLowerCase().includes(keyword);
     });
-  }, [closetItems, catFilter, searchQuery]);
-  const { visibleCount, sentinelRef } = useProgressiveList(filtered.length, `${catFilter}:${searchQuery}`);
+  }, [closetItems, catFilter, priceFilter, searchQuery]);
+  const { visibleCount, sentinelRef } = useProgressiveList(filtered.length, `${catFilter}:${priceFilter}:${searchQuery}`);
   const visibleProducts = filtered.slice(0, visibleCount);
 
   // eslint-disable-next-line @typescript-eslint/no-unused-vars -- Retained to preserve the existing derived collection state.
@@ -628,7 +637,13 @@ export function ClosetPageClient({ initialProducts }: { initialProducts?: Produc
         <div className="mt-[var(--page-header-content-gap)]">
           <CollectionSearchField value={searchQuery} onChange={setSearchQuery} disabled={isEditing} ariaLabel={t("closet.search")} />
         </div>
-        <FilterBar categoryValue={catFilter} onCategoryChange={(value) => setCatFilter(value)} disabled={isEditing} />
+        <FilterBar
+          categoryValue={catFilter}
+          onCategoryChange={(value) => setCatFilter(value)}
+          priceValue={priceFilter}
+          onPriceChange={setPriceFilter}
+          disabled={isEditing}
+        />
         </div>
 
         {/* Toolbar */}
@@ -823,11 +838,13 @@ export function ClosetPageClient({ initialProducts }: { initialProducts?: Produc
             collection="closet"
             query={searchQuery}
             category={catFilter}
+            hasPriceFilter={Boolean(priceFilter)}
             onClearSearch={() => setSearchQuery("")}
             onClearCategory={() => setCatFilter("")}
             onClearAll={() => {
               setSearchQuery("");
               setCatFilter("");
+              setPriceFilter("");
             }}
           />
         )}
@@ -918,17 +935,20 @@ export function ClosetPageClient({ initialProducts }: { initialProducts?: Produc
           onClose={handleModalClose}
           onRowClick={(rowIndex) => setActiveRowIndex(rowIndex)}
           onRecommendationClick={(product) => handleProductOpen(product, true)}
-          onZoomImage={() => setIsDetailImageZoomed(true)}
+          onZoomImage={(images) => {
+            setDetailZoomImages(images);
+            setIsDetailImageZoomed(true);
+          }}
           onImageError={handleImageLoadError}
           modalRef={modalRef}
           isInCloset
-          onToggleDigbox={() => digbox.toggleDigbox(normalizedProduct.id)}
+          onToggleDigbox={(selectedColor) => digbox.toggleDigbox(normalizedProduct.id, undefined, selectedColor)}
           isInDigbox={digbox.isInDigbox(normalizedProduct.id)}
           hideCollectionActions
         />
       )}
 
-      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={normalizedProduct.image} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
+      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={detailZoomImages[0] || normalizedProduct.image} images={detailZoomImages} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
     </main>
   );
 }
@@ -37,6 +37,7 @@ import {
   buildDigMatchFollowUpQuestions,
   buildDigMatchOpeningQuestions,
   calculateDigMatchProfile,
+  DIG_MATCH_MAX_FOLLOW_UP_QUESTIONS,
   DIG_MATCH_OPENING_QUESTION_COUNT,
   getDigMatchHighlights,
   getDigMatchInterpretation,
@@ -53,6 +54,11 @@ import type { Product } from "../../types";
 
 const GUEST_PROFILE_KEY = "digbox:dig-match:profile:v1";
 const UNDO_TIMEOUT_MS = 4200;
+// Axis posteriors live on a probit scale; ±3 covers every realistic interval.
+const AXIS_DISPLAY_RANGE = 3;
+
+const toAxisPercent = (value: number) =>
+  ((Math.max(-AXIS_DISPLAY_RANGE, Math.min(AXIS_DISPLAY_RANGE, value)) + AXIS_DISPLAY_RANGE) / (2 * AXIS_DISPLAY_RANGE)) * 100;
 
 type Screen = "ready" | "question" | "result";
 type UndoState = Pick<
@@ -386,10 +392,12 @@ export function DigMatchPageClient({
       if (!auth.authUser) return;
       setIsSaving(true);
       try {
-        await saveDigMatchProfile(nextProfile, nextAnswers);
+        const savedProfile = (await saveDigMatchProfile(nextAnswers)) || nextProfile;
+        loadedProfileRef.current = savedProfile;
+        writeGuestProfile(savedProfile);
         setHistory((entries) =>
           [
-            { completedAt: nextProfile.updatedAt, profile: nextProfile },
+            { completedAt: savedProfile.updatedAt, profile: savedProfile },
             ...entries,
           ].slice(0, 5),
         );
@@ -429,16 +437,21 @@ export function DigMatchPageClient({
           axis: currentQuestion.axisId,
         },
       );
-      const isOpeningComplete =
-        questionIndex + 1 === DIG_MATCH_OPENING_QUESTION_COUNT &&
-        questions.length === DIG_MATCH_OPENING_QUESTION_COUNT;
-      const followUps = isOpeningComplete
+      // Follow-ups are picked one at a time from the answers so far, until
+      // every axis is confident or the follow-up budget runs out.
+      const canAskFollowUp =
+        questionIndex + 1 === questions.length &&
+        questions.length >= DIG_MATCH_OPENING_QUESTION_COUNT &&
+        questions.length <
+          DIG_MATCH_OPENING_QUESTION_COUNT + DIG_MATCH_MAX_FOLLOW_UP_QUESTIONS;
+      const followUps = canAskFollowUp
         ? buildDigMatchFollowUpQuestions(
             availableProducts,
             questions,
             nextAnswers,
-            4,
+            1,
             Math.random,
+            { previousProfile: loadedProfileRef.current },
           )
         : [];
       const isFinal =
@@ -531,7 +544,7 @@ export function DigMatchPageClient({
   );
   const isFollowUpPhase = questionIndex >= DIG_MATCH_OPENING_QUESTION_COUNT;
   const phaseTotal = isFollowUpPhase
-    ? Math.max(1, questions.length - DIG_MATCH_OPENING_QUESTION_COUNT)
+    ? DIG_MATCH_MAX_FOLLOW_UP_QUESTIONS
     : DIG_MATCH_OPENING_QUESTION_COUNT;
   const phaseIndex = isFollowUpPhase
     ? questionIndex - DIG_MATCH_OPENING_QUESTION_COUNT + 1
@@ -834,21 +847,47 @@ export function DigMatchPageClient({
                   </p>
                   <div className="mt-3 space-y-2">
                     {result.interpretation.axes.map(
-                      ({ axis, score, label }) => (
+                      ({ axis, side, mean, interval, confidence }) => (
                         <div
                           key={axis.id}
-                          className="flex items-center justify-between gap-4 rounded-lg bg-white/[0.03] px-3 py-3"
+                          className="rounded-lg bg-white/[0.03] px-3 py-3"
                         >
-                          <span className="text-sm font-medium text-white">
-                            {label}
-                          </span>
-                          <span className="shrink-0 text-xs text-gray-400">
-                            {score >= 0.08
-                              ? axis.positiveLabel
-                              : score <= -0.08
-                                ? axis.negativeLabel
-                                : t("digMatch.balanced")}
-                          </span>
+                          <div className="flex items-center justify-between gap-4">
+                            <span className="text-sm font-medium text-white">
+                              {axis.title}
+                            </span>
+                            <span className="shrink-0 text-xs text-gray-400">
+                              {side === "positive"
+                                ? axis.positiveLabel
+                                : side === "negative"
+                                  ? axis.negativeLabel
+                                  : t("digMatch.balanced")}
+                            </span>
+                          </div>
+                          <div
+                            role="img"
+                            aria-label={t("digMatch.axisConfidence", {
+                              percent: Math.round(confidence * 100),
+                            })}
+                            className="relative mt-3 h-1.5 rounded-full bg-white/[0.08]"
+                          >
+                            <span className="absolute inset-y-0 left-1/2 w-px bg-white/25" />
+                            <span
+                              className="absolute inset-y-0 rounded-full bg-orange-300/35"
+                              style={{
+                                left: `${toAxisPercent(interval.low)}%`,
+                                right: `${100 - toAxisPercent(interval.high)}%`,
+                              }}
+                            />
+                            <span
+                              className="absolute top-1/2 h-2.5 w-2.5 -translate-x-1/2 -translate-y-1/2 rounded-full bg-orange-300"
+                              style={{ left: `${toAxisPercent(mean)}%` }}
+                            />
+                          </div>
+                          <div className="mt-1.5 flex justify-between gap-3 text-[11px] text-gray-500">
+                            <span>{axis.negativeLabel}</span>
+                            <span>{axis.positiveLabel}</span>
+                          </div>
                         </div>
                       ),
                     )}
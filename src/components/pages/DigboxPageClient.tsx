@@ -14,8 +14,12 @@ import { useProductDetail } from "../../hooks/useProductDetail";
 import { useProgressiveList } from "../../hooks/useProgressiveList";
 import { ProgressiveImage } from "../ProgressiveImage";
 import { FilterBar } from "../FilterBar";
+import { DigboxPriceAlertBadge, ProductPriceTag } from "../ProductPriceTag";
+import { SelectedColorBadge } from "../ColorVariantPicker";
 import type { TutorialAnchorRect, TutorialId } from "../OnboardingTutorial";
 import { toPublicUrl } from "../../utils/product";
+import { matchesPriceFilter } from "../../utils/productPrice";
+import type { PriceFilterValue } from "../../constants";
 import { CollectionSearchField } from "../CollectionSearchField";
 import { CollectionEmptyState } from "../CollectionEmptyState";
 import { PageHeader } from "../PageHeader";
@@ -98,8 +102,11 @@ function GridCard({
           <div className="mb-1 flex items-center gap-2">
             <div className="min-w-0 truncate text-xs font-bold tracking-wide text-orange-500">{product.brand}</div>
             {product.digboxSizeDecision?.label ? <span className="shrink-0 rounded-md border border-orange-300/30 bg-orange-400/[0.12] px-1.5 py-0.5 text-[10px] font-black text-orange-100">{t("digbox.purchasedSizeBadge", { label: product.digboxSizeDecision.label })}</span> : null}
+            <SelectedColorBadge name={product.digboxSelectedColor} />
+            <DigboxPriceAlertBadge alert={product.digboxPriceAlert} />
           </div>
           <h3 className="mb-2 line-clamp-2 text-[0.95rem] font-bold leading-tight text-white sm:text-lg">{product.name}</h3>
+          <ProductPriceTag price={product.price} />
           <div className="mt-auto pt-2 text-center text-sm text-gray-300">{product.category}</div>
         </div>
       </Link>
@@ -327,6 +334,7 @@ export function DigboxPageClient({
   }, []);
 
   const [catFilter, setCatFilter] = useState("");
+  const [priceFilter, setPriceFilter] = useState<PriceFilterValue | "">("");
   const [searchQuery, setSearchQuery] = useState("");
   const [isEditing, setIsEditing] = useState(false);
   const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
@@ -338,6 +346,7 @@ export function DigboxPageClient({
   const detailedProduct = useProductDetail(productModal.productId, selectedProduct);
   const [activeRowIndex, setActiveRowIndex] = useState<number | null>(null);
   const [isDetailImageZoomed, setIsDetailImageZoomed] = useState(false);
+  const [detailZoomImages, setDetailZoomImages] = useState<string[]>([]);
   const modalRef = useRef<HTMLDivElement>(null);
 
   const [bio, setBio] = useState(initialBio);
@@ -438,11 +447,12 @@ export function DigboxPageClient({
     const keyword = searchQuery.trim().toLowerCase();
     return products.filter((p) => {
       if (catFilter && p.category !== catFilter) return false;
+      if (!matchesPriceFilter(p.price, priceFilter)) return false;
       if (!keyword) return true;
       return `${p.brand} ${p.name}`.toLowerCase().includes(keyword);
     });
-  }, [catFilter, products, searchQuery]);
-  const { visibleCount, sentinelRef } = useProgressiveList(filtered.length, `${catFilter}:${searchQuery}`);
+  }, [catFilter, priceFilter, products, searchQuery]);
+  const { visibleCount, sentinelRef } = useProgressiveList(filtered.length, `${catFilter}:${priceFilter}:${searchQuery}`);
   const visibleProducts = filtered.slice(0, visibleCount);
 
   const normalizedProduct = useMemo<Product | null>(() => {
@@ -736,7 +746,13 @@ export function DigboxPageClient({
         )}
 
         {/* Category filter */}
-        <FilterBar categoryValue={catFilter} onCategoryChange={(value) => setCatFilter(value)} disabled={isEditing} />
+        <FilterBar
+          categoryValue={catFilter}
+          onCategoryChange={(value) => setCatFilter(value)}
+          priceValue={priceFilter}
+          onPriceChange={setPriceFilter}
+          disabled={isEditing}
+        />
         </div>
 
         {/* Toolbar */}
@@ -816,11 +832,13 @@ export function DigboxPageClient({
             collection="saved"
             query={searchQuery}
             category={catFilter}
+            hasPriceFilter={Boolean(priceFilter)}
             onClearSearch={() => setSearchQuery("")}
             onClearCategory={() => setCatFilter("")}
             onClearAll={() => {
               setSearchQuery("");
               setCatFilter("");
+              setPriceFilter("");
             }}
           />
         ) : (
@@ -891,12 +909,15 @@ export function DigboxPageClient({
           onClose={handleModalClose}
           onRowClick={(rowIndex) => setActiveRowIndex(rowIndex)}
           onRecommendationClick={(product) => handleProductOpen(product, true)}
-          onZoomImage={() => setIsDetailImageZoomed(true)}
+          onZoomImage={(images) => {
+            setDetailZoomImages(images);
+            setIsDetailImageZoomed(true);
+          }}
           onImageError={handleImageLoadError}
           modalRef={modalRef}
-          onToggleCloset={(selection) => toggleCloset(normalizedProduct.id, selection)}
+          onToggleCloset={(selection, selectedColor) => toggleCloset(normalizedProduct.id, selection, selectedColor)}
           isInCloset={isInCloset(normalizedProduct.id)}
-          onToggleDigbox={() => digbox.toggleDigbox(normalizedProduct.id)}
+          onToggleDigbox={(selectedColor) => digbox.toggleDigbox(normalizedProduct.id, undefined, selectedColor)}
           isInDigbox={digbox.isInDigbox(normalizedProduct.id)}
           digboxProduct={digbox.digboxProducts.find((product) => product.id === normalizedProduct.id) || null}
           onUpdateDigboxSizeDecision={(decision) => digbox.updateSizeDecision(normalizedProduct.id, decision)}
@@ -910,7 +931,7 @@ export function DigboxPageClient({
         />
       )}
 
-      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={normalizedProduct.image} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
+      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={detailZoomImages[0] || normalizedProduct.image} images={detailZoomImages} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
       {activeTutorial && (
         <OnboardingTutorial
           tutorialId={activeTutorial.id}
@@ -26,6 +26,7 @@ export function GridPageClient() {
   const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
   const [activeRowIndex, setActiveRowIndex] = useState<number | null>(null);
   const [isDetailImageZoomed, setIsDetailImageZoomed] = useState(false);
+  const [detailZoomImages, setDetailZoomImages] = useState<string[]>([]);
   const modalRef = useRef<HTMLDivElement>(null);
   const detailedProduct = useProductDetail(productModal.productId, selectedProduct);
 
@@ -105,17 +106,20 @@ export function GridPageClient() {
           onClose={handleClose}
           onRowClick={(rowIndex) => setActiveRowIndex(rowIndex)}
           onRecommendationClick={handleRecommendationClick}
-          onZoomImage={() => setIsDetailImageZoomed(true)}
+          onZoomImage={(images) => {
+            setDetailZoomImages(images);
+            setIsDetailImageZoomed(true);
+          }}
           onImageError={handleImageLoadError}
           modalRef={modalRef}
-          onToggleCloset={(selection) => toggleCloset(normalizedProduct.id, selection)}
+          onToggleCloset={(selection, selectedColor) => toggleCloset(normalizedProduct.id, selection, selectedColor)}
           isInCloset={isInCloset(normalizedProduct.id)}
-          onToggleDigbox={() => toggleDigbox(normalizedProduct.id)}
+          onToggleDigbox={(selectedColor) => toggleDigbox(normalizedProduct.id, undefined, selectedColor)}
           isInDigbox={isInDigbox(normalizedProduct.id)}
         />
       )}
 
-      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={normalizedProduct.image} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
+      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={detailZoomImages[0] || normalizedProduct.image} images={detailZoomImages} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
     </main>
   );
 }
@@ -1,11 +1,12 @@
 "use client";
 
-import { useEffect } from "react";
+import { useEffect, useMemo } from "react";
 import { useRouter } from "next/navigation";
 import { MyPageView } from "../views/MyPageView";
 import { PageState } from "../PageState";
 import { useAuthContext } from "../../contexts/AuthContext";
 import { useClosetContext } from "../../contexts/ClosetContext";
+import { useDigboxContext } from "../../contexts/DigboxContext";
 import { useMySizesContext } from "../../contexts/MySizesContext";
 import { useLocaleContext } from "../../contexts/LocaleContext";
 import { changeMyUsername } from "../../api/username";
@@ -18,7 +19,21 @@ export function MyPageClient({ initialDiscoveries = [], initialDiscoveryTotalSav
   const { t } = useLocaleContext();
   const authUserId = auth.authUser?.id;
   const { closetProducts } = useClosetContext();
-  const { mySizes, createMySize, updateMySize, deleteMySize } = useMySizesContext();
+  const { digboxProducts, dismissPriceAlert, ensureLoaded: ensureDigboxLoaded } = useDigboxContext();
+  const priceAlertProducts = useMemo(
+    () => digboxProducts
+      .filter((product) => product.digboxPriceAlert)
+      .sort((left, right) => String(right.digboxPriceAlert?.at ?? "").localeCompare(String(left.digboxPriceAlert?.at ?? ""))),
+    [digboxProducts]
+  );
+  const { mySizes, bodyMeasurements, saveBodyMeasurements, createMySize, updateMySize, deleteMySize, ensureLoaded: ensureMySizesLoaded } = useMySizesContext();
+
+  useEffect(() => {
+    if (authUserId) {
+      ensureMySizesLoaded();
+      ensureDigboxLoaded();
+    }
+  }, [authUserId, ensureDigboxLoaded, ensureMySizesLoaded]);
 
   useEffect(() => {
     if (!auth.isAuthLoading && !authUserId) {
@@ -46,7 +61,13 @@ export function MyPageClient({ initialDiscoveries = [], initialDiscoveryTotalSav
         discoveryTotalSaveCount={initialDiscoveryTotalSaveCount}
         isDiscoveriesLoading={false}
         closetProducts={closetProducts}
+        priceAlertProducts={priceAlertProducts}
+        onDismissPriceAlert={dismissPriceAlert}
         mySizes={mySizes}
+        bodyMeasurements={bodyMeasurements}
+        onSaveBodyMeasurements={async (input) => {
+          await saveBodyMeasurements(input);
+        }}
         onCreateMySize={async (input) => {
           await createMySize(input);
         }}
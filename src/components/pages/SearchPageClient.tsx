@@ -17,10 +17,11 @@ import { useLocaleContext } from "../../contexts/LocaleContext";
 import { useProductsContext } from "../../contexts/ProductsContext";
 import { useSearchContext } from "../../contexts/SearchContext";
 import { useGridState } from "../../hooks/useGridState";
+import { usePersonalizedFeed } from "../../hooks/usePersonalizedFeed";
 import { useProductDetail } from "../../hooks/useProductDetail";
 import { useProductModalQuery } from "../../hooks/useProductModalQuery";
 import { toPublicUrl } from "../../utils/product";
-import type { Product } from "../../types";
+import type { GridSort, Product } from "../../types";
 import { loadProductDetailModal } from "../productDetailModalLoader";
 
 const BrandExplorer = dynamic(() => import("../BrandExplorer").then((module) => module.BrandExplorer), { ssr: false });
@@ -74,7 +75,17 @@ function HighlightMatch({ text, query }: { text: string; query: string }) {
 
 export function SearchPageClient() {
   const { t } = useLocaleContext();
-  const { products, isProductsLoading, productsError, retryProductsLoad, hasMoreProducts, isLoadingMoreProducts, loadMoreProducts } = useProductsContext();
+  const {
+    products,
+    isProductsLoading,
+    productsError,
+    retryProductsLoad,
+    hasMoreProducts,
+    isLoadingMoreProducts,
+    loadMoreProducts,
+    priceFilter,
+    setPriceFilter,
+  } = useProductsContext();
   const { authUser, isAuthLoading } = useAuthContext();
   const { toggleCloset, isInCloset, ensureLoaded: ensureClosetLoaded } = useClosetContext();
   const {
@@ -94,11 +105,17 @@ export function SearchPageClient() {
     showSuggestions,
     suggestions,
   } = useSearchContext();
-  const grid = useGridState(products);
+  const [gridSort, setGridSort] = useState<GridSort>("latest");
+  const personalizedFeed = usePersonalizedFeed(gridSort === "forYou" && Boolean(authUser));
+  // A failed feed falls back to the latest catalog rather than an empty grid.
+  const isForYouFeed = gridSort === "forYou" && Boolean(authUser) && !personalizedFeed.feedError;
+  const gridProducts = isForYouFeed ? personalizedFeed.products : products;
+  const grid = useGridState(gridProducts);
   const productModal = useProductModalQuery();
   const [selectedProduct, setSelectedProduct] = useState<Product | null>(null);
   const [activeRowIndex, setActiveRowIndex] = useState<number | null>(null);
   const [isDetailImageZoomed, setIsDetailImageZoomed] = useState(false);
+  const [detailZoomImages, setDetailZoomImages] = useState<string[]>([]);
   const [brandFilter, setBrandFilter] = useState("");
   const [isBrandExplorerOpen, setIsBrandExplorerOpen] = useState(false);
   const [showGuestDetailSaveHint, setShowGuestDetailSaveHint] = useState(false);
@@ -502,7 +519,7 @@ export function SearchPageClient() {
           </div>
         )}
         <GridView
-          allProducts={products}
+          allProducts={gridProducts}
           filteredGridProducts={brandFilteredProducts}
           gridCategoryCounts={grid.gridCategoryCounts}
           gridCategoryFilter={grid.gridCategoryFilter}
@@ -512,10 +529,14 @@ export function SearchPageClient() {
           isInteractionDisabled={showSuggestions}
           onProductClick={handleProductClick}
           onImageError={handleImageLoadError}
-          isLoading={isProductsLoading}
-          hasMoreProducts={hasMoreProducts}
-          isLoadingMoreProducts={isLoadingMoreProducts}
-          onLoadMoreProducts={() => void loadMoreProducts()}
+          isLoading={isForYouFeed ? personalizedFeed.isFeedLoading : isProductsLoading}
+          hasMoreProducts={isForYouFeed ? personalizedFeed.hasMoreProducts : hasMoreProducts}
+          isLoadingMoreProducts={isForYouFeed ? personalizedFeed.isLoadingMoreProducts : isLoadingMoreProducts}
+          onLoadMoreProducts={() => void (isForYouFeed ? personalizedFeed.loadMoreProducts() : loadMoreProducts())}
+          sort={isForYouFeed ? "forYou" : "latest"}
+          onSortChange={authUser ? setGridSort : undefined}
+          priceFilter={isForYouFeed ? "" : priceFilter}
+          onPriceFilterChange={isForYouFeed ? undefined : setPriceFilter}
         />
       </div>
 
@@ -550,17 +571,20 @@ export function SearchPageClient() {
           onClose={handleGridClose}
           onRowClick={(rowIndex) => setActiveRowIndex(rowIndex)}
           onRecommendationClick={handleGridRecommendationClick}
-          onZoomImage={() => setIsDetailImageZoomed(true)}
+          onZoomImage={(images) => {
+            setDetailZoomImages(images);
+            setIsDetailImageZoomed(true);
+          }}
           onImageError={handleImageLoadError}
           modalRef={gridModalRef}
           onCollectionActionStart={(anchorRect) => showTutorialOnce("collection", anchorRect)}
-          onToggleCloset={(selection) => {
-            toggleCloset(normalizedProduct.id, selection);
+          onToggleCloset={(selection, selectedColor) => {
+            toggleCloset(normalizedProduct.id, selection, selectedColor);
           }}
           isInCloset={isInCloset(normalizedProduct.id)}
-          onToggleDigbox={() => {
+          onToggleDigbox={(selectedColor) => {
             setShowGuestDetailSaveHint(false);
-            toggleDigbox(normalizedProduct.id, "home_product_detail");
+            toggleDigbox(normalizedProduct.id, "home_product_detail", selectedColor);
           }}
           isInDigbox={isInDigbox(normalizedProduct.id)}
           showGuestDigboxHint={showGuestDetailSaveHint}
@@ -568,7 +592,7 @@ export function SearchPageClient() {
         />
       )}
 
-      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={normalizedProduct.image} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
+      {normalizedProduct && <ImageViewerOverlay open={isDetailImageZoomed} src={detailZoomImages[0] || normalizedProduct.image} images={detailZoomImages} alt={normalizedProduct.name} onClose={() => setIsDetailImageZoomed(false)} />}
 
       {activeTutorial && (
         <OnboardingTutorial
@@ -13,12 +13,15 @@ import { useLocaleContext } from "../../contexts/LocaleContext";
 import { useProductModalQuery } from "../../hooks/useProductModalQuery";
 import { useProductDetail } from "../../hooks/useProductDetail";
 import { captureEvent } from "../../utils/analytics";
-import { fetchTasteAnalysis } from "../../api";
+import { fetchTasteAnalysis, fetchTasteTimeline } from "../../api";
+import { fetchDigMatchProfile } from "../../api/tasteMatch";
 import { buildLoginHref } from "../../utils/authNavigation";
 import { toPublicUrl } from "../../utils/product";
 import type { Product, StyleTagName } from "../../types";
 import { loadProductDetailModal } from "../productDetailModalLoader";
 import type { SerializedTasteGraphState, TasteCollectionSource } from "../../utils/tasteGraph";
+import type { DigMatchProfile } from "../../utils/digMatch";
+import type { TasteTimeline } from "../../utils/tasteTimeline";
 import { buildBrandClusters } from "../../utils/brandClusters";
 import { TasteReport } from "../taste-graph/TasteReport";
 import { PageState } from "../PageState";
@@ -74,6 +77,10 @@ export function TasteGraphPageClient({
   });
   const [graphs, setGraphs] = useState<Partial<Record<TasteGraphSource, SerializedTasteGraphState>>>(initialGraphs || {});
   const [graphLoadError, setGraphLoadError] = useState<string | null>(null);
+  const [tasteProfile, setTasteProfile] = useState<DigMatchProfile | null>(null);
+  const [timeline, setTimeline] = useState<TasteTimeline | null>(null);
+  const [timelineLoadError, setTimelineLoadError] = useState<string | null>(null);
+  const [timelineRetryTrigger, setTimelineRetryTrigger] = useState(0);
   const graphRequestsRef = useRef(new Map<TasteGraphSource, Promise<void>>());
   const [urlFocus, setUrlFocus] = useState<{ source: TasteGraphSource | null; tag?: StyleTagName }>({
     source: initialSource || null,
@@ -84,6 +91,7 @@ export function TasteGraphPageClient({
   const detailedProduct = useProductDetail(productModal.productId, selectedProduct);
   const [activeRowIndex, setActiveRowIndex] = useState<number | null>(null);
   const [isDetailImageZoomed, setIsDetailImageZoomed] = useState(false);
+  const [detailZoomImages, setDetailZoomImages] = useState<string[]>([]);
   const modalRef = useRef<HTMLDivElement>(null);
   const reportScrollPositionRef = useRef(0);
   const shouldRestoreReportScrollRef = useRef(false);
@@ -131,6 +139,35 @@ export function TasteGraphPageClient({
     ensureDigboxLoaded();
   }, [authUserId, ensureClosetLoaded, ensureDigboxLoaded]);
 
+  useEffect(() => {
+    if (!authUserId) return;
+    let isActive = true;
+    void fetchDigMatchProfile().then((profile) => { if (isActive) setTasteProfile(profile); }).catch(() => undefined);
+    return () => {
+      isActive = false;
+    };
+  }, [authUserId]);
+
+  // Refetched when a save or removal changes either collection.
+  const closetCount = closetProducts.length;
+  const digboxCount = digboxProducts.length;
+  useEffect(() => {
+    if (!authUserId || !isClosetLoaded || !isDigboxLoaded) return;
+    let isActive = true;
+    fetchTasteTimeline()
+      .then((value) => {
+        if (!isActive) return;
+        setTimeline(value);
+        setTimelineLoadError(null);
+      })
+      .catch((error: unknown) => {
+        if (isActive) setTimelineLoadError(error instanceof Error ? error.message : t("tasteGraph.timelineLoadFailed"));
+      });
+    return () => {
+      isActive = false;
+    };
+  }, [authUserId, closetCount, digboxCount, isClosetLoaded, isDigboxLoaded, t, timelineRetryTrigger]);
+
   const source = selectedSource ?? urlFocus.source ?? "digbox";
   const activeProducts = source === "closet" ? closetProducts : digboxProducts;
   const digboxGraphData = useMemo(
@@ -326,7 +363,7 @@ export function TasteGraphPageClient({
 
   return (
     <>
-      {!isMapOpen ? <TasteReport closetProducts={closetProducts} digboxProducts={digboxProducts} onOpenMap={openMap} onOpenBrandMap={hasBrandClusters ? openBrandMap : undefined} /> : null}
+      {!isMapOpen ? <TasteReport closetProducts={closetProducts} digboxProducts={digboxProducts} onOpenMap={openMap} onOpenBrandMap={hasBrandClusters ? openBrandMap : undefined} tasteProfile={tasteProfile} timeline={timeline} timelineLoadError={timelineLoadError} onRetryTimeline={() => setTimelineRetryTrigger((current) => current + 1)} /> : null}
     <main className={`taste-graph-page taste-graph-layout ${!isMapOpen ? "taste-graph-layout--standby" : ""}`} aria-hidden={!isMapOpen}>
       <header className="taste-graph-toolbar">
         <button type="button" onClick={closeMap} className="taste-map-back">
@@ -382,19 +419,23 @@ export function TasteGraphPageClient({
                 onClose={closeProductDetail}
                 onRowClick={setActiveRowIndex}
                 onRecommendationClick={openRecommendedProduct}
-                onZoomImage={() => setIsDetailImageZoomed(true)}
+                onZoomImage={(images) => {
+                  setDetailZoomImages(images);
+                  setIsDetailImageZoomed(true);
+                }}
                 onImageError={handleProductImageError}
                 modalRef={modalRef}
-                onToggleCloset={(selection) => toggleCloset(normalizedProduct.id, selection)}
+                onToggleCloset={(selection, selectedColor) => toggleCloset(normalizedProduct.id, selection, selectedColor)}
                 isInCloset={isInCloset(normalizedProduct.id)}
-                onToggleDigbox={() => toggleDigbox(normalizedProduct.id)}
+                onToggleDigbox={(selectedColor) => toggleDigbox(normalizedProduct.id, undefined, selectedColor)}
                 isInDigbox={isInDigbox(normalizedProduct.id)}
                 hideDigboxButton={isInDigbox(normalizedProduct.id)}
                 analyticsSource="taste_graph"
               />
               <ImageViewerOverlay
                 open={isDetailImageZoomed}
-                src={normalizedProduct.image}
+                src={detailZoomImages[0] || normalizedProduct.image}
+                images={detailZoomImages}
                 alt={normalizedProduct.name}
                 onClose={() => setIsDetailImageZoomed(false)}
               />
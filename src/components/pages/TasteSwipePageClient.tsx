@@ -4,7 +4,7 @@
 import { type PointerEvent, type SyntheticEvent, useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { ArrowLeft, Check, Heart, Sparkles, X } from "lucide-react";
 import { useRouter } from "next/navigation";
-import { fetchDigMatchProducts, fetchDigMatchProfile, saveTasteSwipe } from "../../api/tasteMatch";
+import { fetchDigMatchProducts, fetchDigMatchProfile, saveTasteSwipe, undoLastTasteSession } from "../../api/tasteMatch";
 import { DEFAULT_PRODUCT_PLACEHOLDER } from "../../constants";
 import { useAuthContext } from "../../contexts/AuthContext";
 import { useLocaleContext } from "../../contexts/LocaleContext";
@@ -46,6 +46,9 @@ export function TasteSwipePageClient({ initialProducts = [] }: { initialProducts
   const [exitDecision, setExitDecision] = useState<"like" | "pass" | null>(null);
   const [finished, setFinished] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [savedProfile, setSavedProfile] = useState<DigMatchProfile | null>(null);
+  const [isUndoing, setIsUndoing] = useState(false);
+  const [undoError, setUndoError] = useState(false);
   const pointerStart = useRef<number | null>(null);
   const seen = useRef<Set<string>>(new Set());
 
@@ -71,14 +74,17 @@ export function TasteSwipePageClient({ initialProducts = [] }: { initialProducts
   const products = feedProducts;
   const isProductsLoading = isFeedLoading;
 
+  const current = deck[0] || null;
+  const nextProfile = useMemo(() => finished && actions.length ? calculateTasteSwipeProfile(profile, products, actions) : profile, [actions, finished, products, profile]);
+
   const start = useCallback(() => {
-    const next = buildTasteSwipeDeck(products, profile, presentation, seen.current, 24);
+    // The server's replayed profile wins over the local estimate once the session is saved.
+    const base = finished ? savedProfile ?? nextProfile : profile;
+    const next = buildTasteSwipeDeck(products, base, presentation, seen.current, 24);
+    setProfile(base); setSavedProfile(null); setUndoError(false);
     setDeck(next); setActions([]); setFinished(false); setDragX(0); setExitDecision(null);
     captureEvent("taste_swipe_started", { deck_size: next.length, presentation, is_authenticated: Boolean(auth.authUser) });
-  }, [auth.authUser, presentation, products, profile]);
-
-  const current = deck[0] || null;
-  const nextProfile = useMemo(() => finished && actions.length ? calculateTasteSwipeProfile(profile, products, actions) : profile, [actions, finished, products, profile]);
+  }, [auth.authUser, finished, nextProfile, presentation, products, profile, savedProfile]);
   const recommendations = useMemo(() => finished && nextProfile ? getDigMatchRecommendations(products, nextProfile, new Set(actions.map((action) => action.productId)), 3, presentation) : [], [actions, finished, nextProfile, presentation, products]);
   const highlights = useMemo(() => nextProfile ? getDigMatchHighlights(nextProfile) : null, [nextProfile]);
   const sessionLikeCount = actions.filter((action) => action.decision === "like").length;
@@ -102,7 +108,11 @@ export function TasteSwipePageClient({ initialProducts = [] }: { initialProducts
     captureEvent("taste_swipe_completed", { action_count: actions.length, likes: actions.filter((item) => item.decision === "like").length });
     if (!auth.authUser) return;
     setIsSaving(true);
-    try { await saveTasteSwipe(finalProfile, actions); captureEvent("taste_swipe_saved", { action_count: actions.length }); }
+    try {
+      const serverProfile = await saveTasteSwipe(actions);
+      if (serverProfile) { setSavedProfile(serverProfile); window.localStorage.setItem(PROFILE_KEY, JSON.stringify(serverProfile)); }
+      captureEvent("taste_swipe_saved", { action_count: actions.length });
+    }
     catch { /* local profile still preserves the interaction */ }
     finally { setIsSaving(false); }
   }, [actions, auth.authUser, finished, products, profile]);
@@ -111,6 +121,18 @@ export function TasteSwipePageClient({ initialProducts = [] }: { initialProducts
     if (!deck.length && actions.length) void finish();
   }, [actions.length, deck.length, finish]);
 
+  const undoSession = useCallback(async () => {
+    setIsUndoing(true); setUndoError(false);
+    try {
+      const { profile: restored } = await undoLastTasteSession();
+      if (restored) window.localStorage.setItem(PROFILE_KEY, JSON.stringify(restored));
+      else window.localStorage.removeItem(PROFILE_KEY);
+      captureEvent("taste_swipe_undone", { action_count: actions.length });
+      setProfile(restored); setSavedProfile(null); setActions([]); setDeck([]); setFinished(false);
+    } catch { setUndoError(true); }
+    finally { setIsUndoing(false); }
+  }, [actions.length]);
+
   const decide = useCallback((decision: "like" | "pass") => {
     if (!current || exitDecision) return;
     const nextActions = [...actions, { productId: current.id, decision, decidedAt: new Date().toISOString() }];
@@ -142,6 +164,8 @@ export function TasteSwipePageClient({ initialProducts = [] }: { initialProducts
 
         {recommendations.length ? <section id="taste-swipe-recommendations" className="mt-10 border-t border-white/10 pt-6"><p className="text-xs font-bold uppercase tracking-[0.12em] text-orange-300">FOR YOU</p><h2 className="mt-2 text-xl font-semibold text-white">{t("tasteSwipe.recommendations")}</h2><div className="mt-5 space-y-2">{recommendations.map(({ product, reasons }) => <button key={product.id} type="button" onClick={() => router.push(`/products/${product.slug || product.id}`)} className="flex w-full items-center gap-3 rounded-xl border border-white/10 bg-white/[0.04] p-2 text-left transition hover:border-white/20"><img src={product.thumbnailImage || product.image || DEFAULT_PRODUCT_PLACEHOLDER} alt="" onError={fallback} className="h-16 w-16 rounded-lg object-cover"/><span className="min-w-0"><span className="block text-xs font-semibold text-orange-200">{product.brand}</span><span className="mt-1 block truncate text-sm font-semibold text-white">{product.name}</span>{reasons.length ? <span className="mt-1 block text-xs text-gray-400">{reasons.map(getDigMatchTagLabel).join(" · ")}</span> : null}</span></button>)}</div></section> : null}
         {isSaving ? <p className="mt-5 text-sm text-gray-500">{t("tasteSwipe.saving")}</p> : null}
+        {savedProfile ? <button type="button" disabled={isUndoing} onClick={() => void undoSession()} className="mt-5 text-sm font-medium text-gray-400 underline-offset-4 transition hover:text-white hover:underline disabled:opacity-50">{t("tasteSwipe.undoSession")}</button> : null}
+        {undoError ? <p className="mt-2 text-sm text-red-300">{t("tasteSwipe.undoError")}</p> : null}
       </section>
     </main>
   );
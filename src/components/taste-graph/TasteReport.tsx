@@ -6,6 +6,9 @@ import { PageHeader } from "../PageHeader";
 import { useLocaleContext } from "../../contexts/LocaleContext";
 import type { Product, StyleTagName } from "../../types";
 import { buildBrandClusters } from "../../utils/brandClusters";
+import { getDigMatchAttributeHighlights, type DigMatchAttributePreference, type DigMatchProfile } from "../../utils/digMatch";
+import type { TasteTimeline } from "../../utils/tasteTimeline";
+import { TasteTimelineSection } from "./TasteTimelineSection";
 import {
   compareTasteCollections,
   computeTasteShift,
@@ -90,11 +93,19 @@ export function TasteReport({
   digboxProducts,
   onOpenMap,
   onOpenBrandMap,
+  tasteProfile = null,
+  timeline = null,
+  timelineLoadError = null,
+  onRetryTimeline,
 }: {
   closetProducts: Product[];
   digboxProducts: Product[];
   onOpenMap: (target?: MapTarget) => void;
   onOpenBrandMap?: () => void;
+  tasteProfile?: DigMatchProfile | null;
+  timeline?: TasteTimeline | null;
+  timelineLoadError?: string | null;
+  onRetryTimeline?: () => void;
 }) {
   const { locale, t } = useLocaleContext();
   const isEnglish = locale === "en";
@@ -134,6 +145,10 @@ export function TasteReport({
         closetShift={computeTasteShift(closetProducts, "closet")}
       />
 
+      <TasteTimelineSection timeline={timeline} loadError={timelineLoadError} onRetry={onRetryTimeline} />
+
+      <TasteAttributeSection profile={tasteProfile} />
+
       <section className="taste-report-details" aria-labelledby="taste-evidence-title">
         <div className="taste-report-evidence-header">
           <div>
@@ -379,6 +394,62 @@ function TasteShiftCard({ title, shift, isEnglish }: { title: string; shift: Tas
   );
 }
 
+function attributeName(item: DigMatchAttributePreference, isEnglish: boolean) {
+  return isEnglish ? item.value.replace(/_/g, " ") : item.label;
+}
+
+function TasteAttributeSection({ profile }: { profile: DigMatchProfile | null }) {
+  const { locale } = useLocaleContext();
+  const isEnglish = locale === "en";
+  const { likes, dislikes } = getDigMatchAttributeHighlights(profile);
+  if (!likes.length && !dislikes.length) return null;
+  const groups = [
+    { id: "likes", title: isEnglish ? "Drawn to" : "끌리는 디테일", items: likes },
+    { id: "dislikes", title: isEnglish ? "Usually passed on" : "자주 넘기는 디테일", items: dislikes },
+  ].filter((group) => group.items.length);
+
+  return (
+    <section className="taste-attributes" aria-labelledby="taste-attributes-title">
+      <div>
+        <p>STYLE DETAILS</p>
+        <h2 id="taste-attributes-title">{isEnglish ? "Details your picks keep pointing to" : "선택에서 읽힌 디테일 취향"}</h2>
+        <span>{isEnglish ? "Read from colors, materials and fits in your Dig Match and taste swipe picks." : "Dig Match와 취향 스와이프에서 고른 색감, 소재, 핏을 바탕으로 했어요."}</span>
+      </div>
+      <div className="taste-attribute-groups">
+        {groups.map((group) => (
+          <article key={group.id} className={`taste-attribute-group is-${group.id}`}>
+            <h3>{group.title}</h3>
+            <ul>
+              {group.items.map((item) => (
+                <li key={item.key}>
+                  <strong>{attributeName(item, isEnglish)}</strong>
+                  <span>{isEnglish ? item.field.replace(/_/g, " ") : item.fieldLabel}</span>
+                </li>
+              ))}
+            </ul>
+          </article>
+        ))}
+      </div>
+      <style jsx>{`
+        .taste-attributes { display: grid; grid-template-columns: minmax(13rem, .65fr) minmax(0, 1.35fr); gap: clamp(1.5rem, 3vw, 3rem); margin-top: clamp(2rem, 4vw, 3rem); padding-top: 1.5rem; border-top: 1px solid rgba(255,255,255,.12); }
+        .taste-attributes > div > p { margin: 0; color: #7f8998; font-size: .625rem; font-weight: 800; letter-spacing: .1em; }
+        .taste-attributes h2 { margin: .375rem 0 0; font-size: clamp(1.25rem, 2vw, 1.5rem); font-weight: 750; letter-spacing: -.025em; line-height: 1.25; }
+        .taste-attributes > div > span { display: block; margin-top: .75rem; color: #aeb7c4; font-size: .8125rem; font-weight: 600; line-height: 1.55; }
+        .taste-attribute-groups { display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 1rem; }
+        .taste-attribute-group { min-width: 0; padding-left: .75rem; border-left: 2px solid rgba(249,115,22,.55); }
+        .taste-attribute-group.is-dislikes { border-left-color: rgba(255,255,255,.18); }
+        .taste-attribute-group h3 { margin: 0; color: #c9d0da; font-size: .8125rem; font-weight: 720; }
+        .taste-attribute-group ul { display: grid; gap: .5rem; margin: .65rem 0 0; padding: 0; list-style: none; }
+        .taste-attribute-group li { display: flex; align-items: baseline; justify-content: space-between; gap: .75rem; }
+        .taste-attribute-group strong { color: #f5f5f6; font-size: .875rem; font-weight: 760; }
+        .taste-attribute-group.is-dislikes strong { color: #aeb7c4; }
+        .taste-attribute-group li span { color: #7f8998; font-size: .75rem; font-weight: 600; white-space: nowrap; }
+        @media (max-width: 700px) { .taste-attributes, .taste-attribute-groups { grid-template-columns: 1fr; } }
+      `}</style>
+    </section>
+  );
+}
+
 function getCategoryTastes(products: Product[]): CategoryTaste[] {
   const overallTags = computeTasteSummary(products).entries.slice(0, 2).map((entry) => entry.tag);
   return Object.keys(CATEGORY_LABELS).flatMap((category) => {
@@ -0,0 +1,154 @@
+"use client";
+
+import { useLocaleContext } from "../../contexts/LocaleContext";
+import type { StyleTagName } from "../../types";
+import { styleTagLabel, tagColor, TAGS } from "../../utils/tasteGraph";
+import type { TasteTimeline, TasteTimelineBucket } from "../../utils/tasteTimeline";
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+
+type TimelineLayer = { tag: StyleTagName; path: string };
+
+function formatMonth(month: string, isEnglish: boolean) {
+  return new Intl.DateTimeFormat(isEnglish ? "en-US" : "ko-KR", { year: "numeric", month: "short", timeZone: "UTC" })
+    .format(new Date(`${month}-01T00:00:00Z`));
+}
+
+// A month without additions has no mix, so every area drops to zero there and
+// the gap stays visible instead of repeating the previous month.
+function buildLayers(buckets: TasteTimelineBucket[]): { layers: TimelineLayer[]; xs: number[] } {
+  const mixes = buckets.map((bucket) => new Map<StyleTagName, number>(
+    bucket.summary.taggedCount ? bucket.summary.entries.map((entry) => [entry.tag, entry.percent]) : [],
+  ));
+  const points = mixes.length === 1 ? [mixes[0], mixes[0]] : mixes;
+  const xs = points.map((_, index) => (index / (points.length - 1)) * CHART_WIDTH);
+  const y = (percent: number) => CHART_HEIGHT - (percent / 100) * CHART_HEIGHT;
+  const tags = TAGS
+    .map((tag) => ({ tag, total: points.reduce((sum, mix) => sum + (mix.get(tag) || 0), 0) }))
+    .filter((item) => item.total > 0)
+    .sort((left, right) => right.total - left.total)
+    .map((item) => item.tag);
+
+  let lower = points.map(() => 0);
+  const layers = tags.map((tag) => {
+    const upper = lower.map((value, index) => value + (points[index].get(tag) || 0));
+    const top = upper.map((value, index) => `${xs[index].toFixed(1)},${y(value).toFixed(1)}`);
+    const bottom = lower.map((value, index) => `${xs[index].toFixed(1)},${y(value).toFixed(1)}`).reverse();
+    lower = upper;
+    return { tag, path: `M${top.join("L")}L${bottom.join("L")}Z` };
+  });
+  return { layers, xs: mixes.length === 1 ? [CHART_WIDTH / 2] : xs };
+}
+
+export function TasteTimelineSection({
+  timeline,
+  loadError = null,
+  onRetry,
+}: {
+  timeline: TasteTimeline | null;
+  loadError?: string | null;
+  onRetry?: () => void;
+}) {
+  const { locale, t } = useLocaleContext();
+  const isEnglish = locale === "en";
+  const buckets = timeline?.buckets || [];
+  if (loadError) {
+    return (
+      <section className="taste-timeline" aria-labelledby="taste-timeline-title">
+        <div className="taste-timeline-header">
+          <p>TASTE TIMELINE</p>
+          <h2 id="taste-timeline-title">{isEnglish ? "How your taste has moved month by month" : "달마다 달라진 취향의 흐름"}</h2>
+        </div>
+        <div className="taste-timeline-error" role="alert">
+          <span>{loadError}</span>
+          {onRetry ? <button type="button" onClick={onRetry} className="ui-button ui-button-primary px-4 py-2">{t("common.retry")}</button> : null}
+        </div>
+        <style jsx>{`
+          .taste-timeline { margin-top: clamp(2rem, 4vw, 3rem); padding-top: 1.5rem; border-top: 1px solid rgba(255,255,255,.12); }
+          .taste-timeline-header > p { margin: 0; color: #7f8998; font-size: .625rem; font-weight: 800; letter-spacing: .1em; }
+          .taste-timeline-header h2 { margin: .375rem 0 0; font-size: clamp(1.25rem, 2vw, 1.5rem); font-weight: 750; letter-spacing: -.025em; line-height: 1.25; }
+          .taste-timeline-error { display: flex; flex-wrap: wrap; align-items: center; justify-content: space-between; gap: .75rem; margin-top: 1rem; padding: .875rem 1rem; border-radius: .5rem; background: #141519; color: #fca5a5; font-size: .8125rem; font-weight: 650; }
+        `}</style>
+      </section>
+    );
+  }
+  if (buckets.filter((bucket) => bucket.summary.taggedCount > 0).length < 2) return null;
+
+  const { layers, xs } = buildLayers(buckets);
+  const annotations = buckets.flatMap((bucket, index) => bucket.change ? [{ bucket, change: bucket.change, left: (xs[index] / CHART_WIDTH) * 100 }] : []);
+  const first = buckets[0];
+  const last = buckets[buckets.length - 1];
+
+  return (
+    <section className="taste-timeline" aria-labelledby="taste-timeline-title">
+      <div className="taste-timeline-header">
+        <p>TASTE TIMELINE</p>
+        <h2 id="taste-timeline-title">{isEnglish ? "How your taste has moved month by month" : "달마다 달라진 취향의 흐름"}</h2>
+        <span>{isEnglish ? "The style mix of products you saved to DIGBOX or Closet each month." : "매달 저장하고 옷장에 담은 상품의 스타일 구성을 보여드려요."}</span>
+      </div>
+      <div className="taste-timeline-chart">
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          preserveAspectRatio="none"
+          role="img"
+          aria-label={isEnglish
+            ? `Monthly style mix from ${formatMonth(first.month, true)} to ${formatMonth(last.month, true)}`
+            : `${formatMonth(first.month, false)}부터 ${formatMonth(last.month, false)}까지의 월별 스타일 구성`}
+        >
+          {layers.map((layer) => <path key={layer.tag} d={layer.path} fill={tagColor(layer.tag).base} />)}
+        </svg>
+        {annotations.map((annotation, index) => (
+          <span key={annotation.bucket.month} className="taste-timeline-marker" style={{ left: `${annotation.left}%` }} aria-hidden="true">
+            <b>{index + 1}</b>
+          </span>
+        ))}
+      </div>
+      <div className="taste-timeline-axis" aria-hidden="true">
+        <span>{formatMonth(first.month, isEnglish)}</span>
+        <span>{formatMonth(last.month, isEnglish)}</span>
+      </div>
+      <div className="taste-timeline-legend" aria-label={isEnglish ? "Styles in the chart" : "차트의 스타일"}>
+        {layers.map((layer) => <span key={layer.tag}><i style={{ backgroundColor: tagColor(layer.tag).base }} />{styleTagLabel(layer.tag)}</span>)}
+      </div>
+      {annotations.length ? (
+        <ol className="taste-timeline-notes">
+          {annotations.map(({ bucket, change }, index) => (
+            <li key={bucket.month}>
+              <b aria-hidden="true">{index + 1}</b>
+              <div>
+                <strong>
+                  {formatMonth(bucket.month, isEnglish)} · {styleTagLabel(change.tag)} +{Math.round(change.delta)}%p
+                </strong>
+                {change.drivers.length ? (
+                  <span>{isEnglish ? "Driven by " : ""}{change.drivers.map((driver) => `${driver.brand} ${driver.name}`).join(", ")}{isEnglish ? "" : " 등이 이끌었어요."}</span>
+                ) : null}
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : null}
+      <style jsx>{`
+        .taste-timeline { margin-top: clamp(2rem, 4vw, 3rem); padding-top: 1.5rem; border-top: 1px solid rgba(255,255,255,.12); }
+        .taste-timeline-header > p { margin: 0; color: #7f8998; font-size: .625rem; font-weight: 800; letter-spacing: .1em; }
+        .taste-timeline-header h2 { margin: .375rem 0 0; font-size: clamp(1.25rem, 2vw, 1.5rem); font-weight: 750; letter-spacing: -.025em; line-height: 1.25; }
+        .taste-timeline-header > span { display: block; margin-top: .625rem; color: #aeb7c4; font-size: .8125rem; font-weight: 600; line-height: 1.55; }
+        .taste-timeline-chart { position: relative; margin-top: 1.5rem; padding-top: 1.25rem; }
+        .taste-timeline-chart svg { display: block; width: 100%; height: 11rem; border-radius: .5rem; background: #141519; }
+        .taste-timeline-chart path { opacity: .88; }
+        .taste-timeline-marker { position: absolute; top: 0; bottom: 0; width: 0; border-left: 1px dashed rgba(255,255,255,.55); pointer-events: none; }
+        .taste-timeline-marker b, .taste-timeline-notes b { display: inline-flex; width: 1.125rem; height: 1.125rem; align-items: center; justify-content: center; border-radius: 999px; background: #f5f5f6; color: #111; font-size: .625rem; font-weight: 850; }
+        .taste-timeline-marker b { position: absolute; top: 0; left: 0; transform: translateX(-50%); }
+        .taste-timeline-axis { display: flex; justify-content: space-between; margin-top: .5rem; color: #7f8998; font-size: .6875rem; font-weight: 650; }
+        .taste-timeline-legend { display: flex; flex-wrap: wrap; gap: .35rem .75rem; margin-top: .875rem; }
+        .taste-timeline-legend span { display: inline-flex; align-items: center; gap: .35rem; color: #aeb7c4; font-size: .75rem; font-weight: 650; }
+        .taste-timeline-legend i { width: .5rem; height: .5rem; border-radius: 999px; }
+        .taste-timeline-notes { display: grid; gap: .75rem; margin: 1.25rem 0 0; padding: 0; list-style: none; }
+        .taste-timeline-notes li { display: flex; align-items: flex-start; gap: .625rem; }
+        .taste-timeline-notes b { flex: 0 0 auto; margin-top: .1rem; }
+        .taste-timeline-notes strong { display: block; color: #f5f5f6; font-size: .8125rem; font-weight: 750; }
+        .taste-timeline-notes span { display: block; margin-top: .25rem; color: #9ea8b7; font-size: .75rem; font-weight: 600; line-height: 1.5; }
+      `}</style>
+    </section>
+  );
+}
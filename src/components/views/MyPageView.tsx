@@ -4,14 +4,18 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
 import Link from "next/link";
 import { usePathname } from "next/navigation";
-import { Check, ChevronDown, ChevronRight, Languages, LogOut, Pencil, Plus, Ruler, Search, Trash2, UserRound, X } from "lucide-react";
-import type { DiscoveryProduct, MySizeInput, MySizeProfile, MySizeUpdateInput, Product } from "../../types";
+import { BellRing, Check, ChevronDown, ChevronRight, Languages, LogOut, Pencil, PersonStanding, Plus, Ruler, Search, Trash2, UserRound, X } from "lucide-react";
+import type { BodyMeasurementKey, BodyMeasurements, BodyMeasurementsInput, DiscoveryProduct, MySizeInput, MySizeProfile, MySizeUpdateInput, Product } from "../../types";
 import { OnboardingTutorial, type TutorialAnchorRect, type TutorialId } from "../OnboardingTutorial";
 import { getProductPageUrl } from "../../utils/product";
 import { UsernameSetupForm } from "../UsernameSetupForm";
 import { useLocaleContext } from "../../contexts/LocaleContext";
 import { getAlternateLocale } from "../../i18n/locale";
 import { displayMeasurementLabel } from "../../utils/sizeTable";
+import { BODY_MEASUREMENT_KEYS, BODY_MEASUREMENT_RANGES } from "../../constants";
+import type { MessageKey } from "../../i18n/messages";
+import { DigboxPriceAlertBadge, ProductPriceTag } from "../ProductPriceTag";
+import { formatPrice } from "../../utils/productPrice";
 
 interface MyPageViewProps {
   username: string;
@@ -19,7 +23,11 @@ interface MyPageViewProps {
   discoveryTotalSaveCount: number;
   isDiscoveriesLoading: boolean;
   closetProducts: Product[];
+  priceAlertProducts: Product[];
+  onDismissPriceAlert: (productId: string) => Promise<void>;
   mySizes: MySizeProfile[];
+  bodyMeasurements: BodyMeasurements | null;
+  onSaveBodyMeasurements: (input: BodyMeasurementsInput) => Promise<void>;
   onCreateMySize: (input: MySizeInput) => Promise<void>;
   onUpdateMySize: (id: string, input: MySizeUpdateInput) => Promise<void>;
   onDeleteMySize: (id: string) => Promise<void>;
@@ -47,6 +55,117 @@ const getMySizePrimaryLabel = (profile: MySizeProfile, fallback: string) => {
   return sizeLabel || fallback;
 };
 
+const BODY_MEASUREMENT_LABEL_KEYS: Record<BodyMeasurementKey, MessageKey> = {
+  heightCm: "body.heightCm",
+  weightKg: "body.weightKg",
+  chestCm: "body.chestCm",
+  waistCm: "body.waistCm",
+  hipCm: "body.hipCm",
+  inseamCm: "body.inseamCm",
+};
+
+const toBodyMeasurementDraft = (measurements: BodyMeasurements | null) =>
+  Object.fromEntries(
+    BODY_MEASUREMENT_KEYS.map((key) => [key, measurements?.[key] === null || measurements?.[key] === undefined ? "" : String(measurements[key])])
+  ) as Record<BodyMeasurementKey, string>;
+
+function BodyMeasurementsCard({
+  bodyMeasurements,
+  onSave,
+}: {
+  bodyMeasurements: BodyMeasurements | null;
+  onSave: (input: BodyMeasurementsInput) => Promise<void>;
+}) {
+  const { t } = useLocaleContext();
+  const [draft, setDraft] = useState(() => toBodyMeasurementDraft(bodyMeasurements));
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState<{ kind: "error" | "saved"; message: string } | null>(null);
+
+  useEffect(() => {
+    setDraft(toBodyMeasurementDraft(bodyMeasurements));
+  }, [bodyMeasurements]);
+
+  const handleSave = async () => {
+    const input: BodyMeasurementsInput = {};
+    for (const key of BODY_MEASUREMENT_KEYS) {
+      const raw = draft[key].trim();
+      if (!raw) {
+        input[key] = null;
+        continue;
+      }
+      const value = Number(raw);
+      const [min, max] = BODY_MEASUREMENT_RANGES[key];
+      if (!Number.isFinite(value) || value < min || value > max) {
+        setStatus({ kind: "error", message: t("body.rangeError", { label: t(BODY_MEASUREMENT_LABEL_KEYS[key]), min, max }) });
+        return;
+      }
+      input[key] = value;
+    }
+    if (BODY_MEASUREMENT_KEYS.every((key) => input[key] === null)) {
+      setStatus({ kind: "error", message: t("body.emptyError") });
+      return;
+    }
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      await onSave(input);
+      setStatus({ kind: "saved", message: t("body.saved") });
+    } catch (error) {
+      setStatus({ kind: "error", message: error instanceof Error ? error.message : t("body.saveError") });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className={`${primaryCardClass} min-w-0 overflow-hidden p-4 sm:p-5`} aria-labelledby="body-measurements-title">
+      <div className="mb-4 flex items-center gap-2">
+        <span className="flex h-9 w-9 items-center justify-center rounded-xl border border-white/[0.06] bg-white/[0.045] text-gray-300">
+          <PersonStanding className="h-4 w-4" />
+        </span>
+        <div>
+          <h2 id="body-measurements-title" className="text-lg font-black tracking-[-0.02em] text-white">{t("body.title")}</h2>
+          <p className="mt-0.5 text-xs font-medium text-gray-500">{t("body.description")}</p>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+        {BODY_MEASUREMENT_KEYS.map((key) => (
+          <label key={key} className="block min-w-0">
+            <span className="mb-1.5 block text-[11px] font-black uppercase tracking-wide text-gray-500">{t(BODY_MEASUREMENT_LABEL_KEYS[key])}</span>
+            <input
+              type="number"
+              inputMode="decimal"
+              step="0.1"
+              min={BODY_MEASUREMENT_RANGES[key][0]}
+              max={BODY_MEASUREMENT_RANGES[key][1]}
+              value={draft[key]}
+              onChange={(event) => {
+                const value = event.target.value;
+                setDraft((current) => ({ ...current, [key]: value }));
+                setStatus(null);
+              }}
+              className="h-11 w-full rounded-xl bg-white/[0.045] px-3 text-sm font-semibold text-white outline-none placeholder:text-gray-600 focus-visible:ring-2 focus-visible:ring-orange-300/70"
+            />
+          </label>
+        ))}
+      </div>
+      {status && (
+        <p role={status.kind === "error" ? "alert" : "status"} className={`mt-3 text-sm font-semibold ${status.kind === "error" ? "text-red-300" : "text-gray-400"}`}>
+          {status.message}
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={() => void handleSave()}
+        disabled={isSaving}
+        className="mt-4 inline-flex h-11 w-full items-center justify-center gap-2 rounded-xl bg-orange-500 px-4 text-sm font-black text-black transition-[background-color,transform] duration-150 hover:bg-orange-400 active:scale-[0.98] focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-orange-300/70 disabled:cursor-not-allowed disabled:bg-gray-700 disabled:text-gray-500 motion-reduce:transform-none motion-reduce:transition-none"
+      >
+        {isSaving ? t("mysize.saving") : t("common.save")}
+      </button>
+    </section>
+  );
+}
+
 function trapDialogFocus(event: React.KeyboardEvent<HTMLElement>) {
   if (event.key !== "Tab") return;
   const focusable = Array.from(
@@ -688,13 +807,93 @@ function MySizesManager({
   );
 }
 
+function PriceAlertsCard({
+  products,
+  onDismiss,
+}: {
+  products: Product[];
+  onDismiss: (productId: string) => Promise<void>;
+}) {
+  const { locale, t } = useLocaleContext();
+  const [dismissingId, setDismissingId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const dismiss = async (productId: string) => {
+    setDismissingId(productId);
+    setError(null);
+    try {
+      await onDismiss(productId);
+    } catch {
+      setError(t("priceAlert.dismissFailed"));
+    } finally {
+      setDismissingId(null);
+    }
+  };
+
+  return (
+    <section className={`${primaryCardClass} min-w-0 overflow-hidden p-4 sm:p-5`} aria-labelledby="price-alerts-title">
+      <div className="mb-4 flex items-center gap-2">
+        <span className="flex h-9 w-9 items-center justify-center rounded-xl border border-emerald-400/20 bg-emerald-400/10 text-emerald-300">
+          <BellRing className="h-4 w-4" />
+        </span>
+        <div>
+          <h2 id="price-alerts-title" className="text-lg font-black tracking-[-0.02em] text-white">{t("priceAlert.title")}</h2>
+          <p className="mt-0.5 text-xs font-medium text-gray-500">{t("priceAlert.description")}</p>
+        </div>
+      </div>
+      <ul className="divide-y divide-white/[0.06]">
+        {products.map((product) => {
+          const previousPrice = product.digboxPriceAlert?.previousPrice ?? null;
+          return (
+            <li key={product.id} className="flex items-center gap-3 py-3">
+              <Link href={getProductPageUrl(product)} className="flex min-w-0 flex-1 items-center gap-3 no-underline">
+                <span className="h-14 w-14 shrink-0 overflow-hidden rounded-lg bg-white/[0.04]">
+                  {/* eslint-disable-next-line @next/next/no-img-element -- Small alert thumbnails match the discovery list. */}
+                  <img src={product.thumbnailImage || product.image} alt={product.name} className="h-full w-full object-contain" />
+                </span>
+                <span className="min-w-0">
+                  <span className="flex items-center gap-2">
+                    <span className="truncate text-[11px] font-bold uppercase text-orange-300">{product.brand}</span>
+                    <DigboxPriceAlertBadge alert={product.digboxPriceAlert} />
+                  </span>
+                  <span className="mt-0.5 block truncate text-sm font-black text-white">{product.name}</span>
+                  <ProductPriceTag price={product.price} className="mt-1" />
+                  {product.digboxPriceAlert?.kind === "price_drop" && previousPrice !== null ? (
+                    <span className="mt-0.5 block text-[11px] font-semibold text-gray-500">
+                      {t("priceAlert.previousPrice", { price: formatPrice(previousPrice, product.price?.currency ?? null, locale) })}
+                    </span>
+                  ) : null}
+                </span>
+              </Link>
+              <button
+                type="button"
+                onClick={() => void dismiss(product.id)}
+                disabled={dismissingId === product.id}
+                aria-label={t("priceAlert.dismiss", { name: product.name })}
+                className="flex h-9 w-9 shrink-0 items-center justify-center rounded-lg border border-white/10 text-gray-400 transition hover:border-white/30 hover:text-white disabled:opacity-50"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      {error ? <p className="mt-3 text-xs font-semibold text-red-300" role="alert">{error}</p> : null}
+    </section>
+  );
+}
+
 export function MyPageView({
   username,
   discoveredProducts,
   discoveryTotalSaveCount,
   isDiscoveriesLoading,
   closetProducts,
+  priceAlertProducts,
+  onDismissPriceAlert,
   mySizes,
+  bodyMeasurements,
+  onSaveBodyMeasurements,
   onCreateMySize,
   onUpdateMySize,
   onDeleteMySize,
@@ -756,6 +955,10 @@ export function MyPageView({
         </div>
       </section>
 
+      {priceAlertProducts.length ? <PriceAlertsCard products={priceAlertProducts} onDismiss={onDismissPriceAlert} /> : null}
+
+      <BodyMeasurementsCard bodyMeasurements={bodyMeasurements} onSave={onSaveBodyMeasurements} />
+
       <MySizesManager
         closetProducts={closetProducts}
         mySizes={mySizes}
@@ -1,4 +1,4 @@
-import type { AddProductFormData } from "../types";
+import type { AddProductFormData, BodyMeasurementKey, SizeDecisionFit, SizeDecisionSource } from "../types";
 export { ACCESSORY_CATEGORY_OPTIONS, CATEGORY_LABELS, CATEGORY_OPTIONS, CATEGORY_OPTION_BY_LOWER, getCategoryLabel, getSubcategories, isAccessoryCategory, isProductCategory, isValidSubcategory, PRODUCT_CATEGORIES, suggestProductCategory } from "./productCategories";
 
 export const MAX_PRODUCT_IMAGE_CANDIDATES = 24;
@@ -10,12 +10,38 @@ export const STORAGE_BUCKET = "product-assets";
 export const STORAGE_PREFIX = "submissions/";
 export const DEFAULT_PRODUCT_PLACEHOLDER = "/images/default-product.svg";
 
+/**
+ * Price filters shared by FilterBar and /api/catalog/products. Ranges are in KRW
+ * and compare against the sale price when there is one; "sale" keeps discounted products.
+ */
+export const PRICE_FILTER_OPTIONS = [
+  { value: "sale" },
+  { value: "under_50000", max: 50000 },
+  { value: "50000_100000", min: 50000, max: 100000 },
+  { value: "100000_200000", min: 100000, max: 200000 },
+  { value: "over_200000", min: 200000 },
+] as const satisfies readonly { value: string; min?: number; max?: number }[];
+export type PriceFilterValue = (typeof PRICE_FILTER_OPTIONS)[number]["value"];
+export const PRICE_FILTER_CURRENCY = "KRW";
+
 
 export const TOTAL_LENGTH_LABEL = "총장";
 export const ITEM_LABEL = "항목";
 export const SIZE_COLUMN_LABEL = "사이즈";
+export const FOOT_LENGTH_LABEL = "발길이";
+export const FOOT_WIDTH_LABEL = "발볼";
+export const INSOLE_LENGTH_LABEL = "인솔길이";
+export const HEEL_HEIGHT_LABEL = "굽높이";
+/** Shoe chart columns in display order. Stored in centimeters like garment measurements. */
+export const SHOE_MEASUREMENT_LABELS = [FOOT_LENGTH_LABEL, FOOT_WIDTH_LABEL, INSOLE_LENGTH_LABEL, HEEL_HEIGHT_LABEL] as const;
+/** Canonical column order for garment charts, per category. Columns a chart lacks are left out. */
+export const STANDARD_SIZE_TABLE_LAYOUTS: Record<string, readonly string[]> = {
+  Top: [TOTAL_LENGTH_LABEL, "어깨", "가슴", "소매", "암홀", "밑단"],
+  Outer: [TOTAL_LENGTH_LABEL, "어깨", "가슴", "소매", "암홀", "밑단"],
+  DressSkirt: [TOTAL_LENGTH_LABEL, "가슴", "허리", "엉덩이", "밑단"],
+};
 export const MEASUREMENT_LABEL_HINT_PATTERN =
-  /(?:총장|기장|어깨|가슴|소매|허리|힙|허벅지|밑위|밑단|인심|length|shoulder|chest|sleeve|waist|hip|thigh|rise|hem|inseam|pit|bust|body|width)/i;
+  /(?:총장|기장|어깨|가슴|소매|허리|힙|허벅지|밑위|밑단|인심|발길이|발볼|인솔|굽|암홀|length|shoulder|chest|sleeve|waist|hip|thigh|rise|hem|inseam|pit|bust|body|width|foot|insole|heel|armhole)/i;
 export const TOTAL_LENGTH_ALIAS_KEYS = ["총장", "전체길이", "전체장", "기장", "totallength", "length", "total"] as const;
 export const MEASUREMENT_ALIAS_MAP: Record<string, string> = {
   총장: TOTAL_LENGTH_LABEL,
@@ -32,6 +58,12 @@ export const MEASUREMENT_ALIAS_MAP: Record<string, string> = {
   소매기장: "소매",
   팔장: "소매",
   sleeve: "소매",
+  암홀: "암홀",
+  암홀단면: "암홀",
+  암홀둘레: "암홀",
+  진동: "암홀",
+  진동둘레: "암홀",
+  armhole: "암홀",
   어깨: "어깨",
   어깨너비: "어깨",
   어깨넓이: "어깨",
@@ -57,8 +89,103 @@ export const MEASUREMENT_ALIAS_MAP: Record<string, string> = {
   hem: "밑단",
   인심: "인심",
   inseam: "인심",
+  발길이: FOOT_LENGTH_LABEL,
+  footlength: FOOT_LENGTH_LABEL,
+  foot: FOOT_LENGTH_LABEL,
+  발볼: FOOT_WIDTH_LABEL,
+  발볼넓이: FOOT_WIDTH_LABEL,
+  발폭: FOOT_WIDTH_LABEL,
+  볼넓이: FOOT_WIDTH_LABEL,
+  footwidth: FOOT_WIDTH_LABEL,
+  ballwidth: FOOT_WIDTH_LABEL,
+  인솔: INSOLE_LENGTH_LABEL,
+  인솔길이: INSOLE_LENGTH_LABEL,
+  깔창길이: INSOLE_LENGTH_LABEL,
+  insole: INSOLE_LENGTH_LABEL,
+  insolelength: INSOLE_LENGTH_LABEL,
+  굽: HEEL_HEIGHT_LABEL,
+  굽높이: HEEL_HEIGHT_LABEL,
+  힐높이: HEEL_HEIGHT_LABEL,
+  heel: HEEL_HEIGHT_LABEL,
+  heelheight: HEEL_HEIGHT_LABEL,
+};
+
+/** Measurements that stores publish either as a flat half-width (단면) or as a full circumference (둘레). */
+export const MEASUREMENT_BASIS_LABELS = ["가슴", "허리", "엉덩이", "허벅지", "밑단"] as const;
+export type MeasurementBasisRange = { flat: [number, number]; circumference: [number, number] };
+const DEFAULT_MEASUREMENT_BASIS_RANGES: Record<string, MeasurementBasisRange> = {
+  가슴: { flat: [30, 85], circumference: [70, 170] },
+  허리: { flat: [22, 70], circumference: [50, 150] },
+  엉덩이: { flat: [30, 80], circumference: [70, 160] },
+  허벅지: { flat: [18, 45], circumference: [36, 90] },
+  밑단: { flat: [30, 85], circumference: [65, 170] },
+};
+/** Plausible centimeter ranges for each basis, per category, used when the header wording is silent. */
+export const MEASUREMENT_BASIS_RANGES: Record<string, Record<string, MeasurementBasisRange>> = {
+  default: DEFAULT_MEASUREMENT_BASIS_RANGES,
+  Bottom: { ...DEFAULT_MEASUREMENT_BASIS_RANGES, 밑단: { flat: [8, 40], circumference: [16, 80] } },
+  DressSkirt: { ...DEFAULT_MEASUREMENT_BASIS_RANGES, 밑단: { flat: [30, 160], circumference: [70, 320] } },
 };
 
+export const BODY_MEASUREMENT_KEYS: BodyMeasurementKey[] = ["heightCm", "weightKg", "chestCm", "waistCm", "hipCm", "inseamCm"];
+
+/** Accepted input range per body measurement (cm, weight in kg). */
+export const BODY_MEASUREMENT_RANGES: Record<BodyMeasurementKey, [number, number]> = {
+  heightCm: [100, 250],
+  weightKg: [20, 300],
+  chestCm: [50, 200],
+  waistCm: [40, 200],
+  hipCm: [50, 200],
+  inseamCm: [40, 120],
+};
+
+export type FitEaseAllowance = {
+  bodyKey: BodyMeasurementKey;
+  /** Body girths are halved to match flat garment widths; lengths are compared as-is. */
+  isGirth: boolean;
+  /** Garment minus body (cm, flat for girths) that still reads as a normal fit. */
+  ease: [number, number];
+};
+
+/** Per-category ease allowances keyed by canonical garment measurement label. */
+export const FIT_EASE_ALLOWANCES: Record<string, Record<string, FitEaseAllowance>> = {
+  Top: {
+    가슴: { bodyKey: "chestCm", isGirth: true, ease: [2, 10] },
+  },
+  Outer: {
+    가슴: { bodyKey: "chestCm", isGirth: true, ease: [4, 13] },
+  },
+  Bottom: {
+    허리: { bodyKey: "waistCm", isGirth: true, ease: [-1, 3] },
+    엉덩이: { bodyKey: "hipCm", isGirth: true, ease: [1, 8] },
+    인심: { bodyKey: "inseamCm", isGirth: false, ease: [-5, 3] },
+  },
+  DressSkirt: {
+    가슴: { bodyKey: "chestCm", isGirth: true, ease: [1, 8] },
+    허리: { bodyKey: "waistCm", isGirth: true, ease: [0, 5] },
+    엉덩이: { bodyKey: "hipCm", isGirth: true, ease: [1, 10] },
+  },
+};
+
+/**
+ * How far (cm, flat) a recorded fit moves the preferred measurement away
+ * from the size that was tried or worn: a tight size means the user wanted more.
+ */
+export const FIT_FEEDBACK_ADJUSTMENTS: Record<SizeDecisionFit, number> = {
+  tight: 2,
+  true_to_size: 0,
+  roomy: -2,
+};
+
+/** Only decisions backed by trying on or wearing teach the fit model; worn counts double. */
+export const FIT_FEEDBACK_SOURCE_WEIGHTS: Partial<Record<SizeDecisionSource, number>> = {
+  try_on: 1,
+  worn: 2,
+};
+
+/** Width measurements the fit feedback speaks to; lengths are left to the size table. */
+export const FIT_FEEDBACK_LABELS = ["어깨", "가슴", "허리", "엉덩이", "허벅지"] as const;
+
 export const EMPTY_FORM_DATA: AddProductFormData = {
   brand: "",
   name: "",
@@ -67,4 +194,6 @@ export const EMPTY_FORM_DATA: AddProductFormData = {
   sizeChartImage: null,
   extractedTable: null,
   rawExtractedTable: null,
+  sizeTableCandidates: [],
+  selectedSizeTableCandidate: null,
 };
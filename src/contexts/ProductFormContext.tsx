@@ -7,6 +7,7 @@ import { useAuthContext } from "./AuthContext";
 import { useClosetContext } from "./ClosetContext";
 import { useDigboxContext } from "./DigboxContext";
 import { announceProductCreated } from "../utils/productUpdates";
+import { getProductPageUrl } from "../utils/product";
 
 type ProductFormContextValue = ReturnType<typeof useProductForm>;
 
@@ -22,6 +23,7 @@ export function ProductFormProvider({ children }: { children: React.ReactNode })
   const value = useProductForm({
     productUrlSet: EMPTY_PRODUCT_URLS,
     onSubmitSuccess: (product) => announceProductCreated(product),
+    onUseExistingProduct: (product) => router.push(getProductPageUrl(product)),
     onAddToDigbox: digbox.addToDigbox,
     onAddToCloset: closet.addToCloset,
     isLoggedIn: Boolean(auth.authUser) || Boolean(pathname?.startsWith("/admin")),
@@ -1,8 +1,8 @@
 import { useState } from "react";
 import type { ChangeEvent } from "react";
-import type { AdminEditForm, Product, ProductStyleReviewInput, SizeTable } from "../../types";
+import type { AdminEditForm, Product, ProductMergeInput, ProductStyleReviewInput, SizeTable, SizeTableProvenance } from "../../types";
 import { extractSizeTableFromImage, uploadSubmissionImage } from "../../api";
-import { saveProductStyleReview } from "../../api/admin";
+import { mergeProducts, saveProductStyleReview } from "../../api/admin";
 import { readFileAsDataUrl, resizeImage } from "../../utils/image";
 
 interface UseAdminProductEditorOptions {
@@ -29,6 +29,7 @@ export function useAdminProductEditor({
   const [adminProductPhotoFile, setAdminProductPhotoFile] = useState<File | null>(null);
   const [adminSizeChartImage, setAdminSizeChartImage] = useState<string | null>(null);
   const [adminExtractedTable, setAdminExtractedTable] = useState<SizeTable | null>(null);
+  const [adminSizeTableProvenance, setAdminSizeTableProvenance] = useState<SizeTableProvenance | null>(null);
   const [isAdminAnalyzingTable, setIsAdminAnalyzingTable] = useState(false);
   const [isAdminActionLoading, setIsAdminActionLoading] = useState(false);
 
@@ -50,6 +51,7 @@ export function useAdminProductEditor({
         ? (product.normalizedSizeTable ?? product.sizeTable)
         : product.sizeTable) ?? null
     );
+    setAdminSizeTableProvenance(product.sizeTableProvenance ?? null);
     setAdminActionError(null);
   };
 
@@ -82,6 +84,13 @@ export function useAdminProductEditor({
       try {
         const tableData = await extractSizeTableFromImage(optimizedBase64, "image/png");
         setAdminExtractedTable(tableData);
+        setAdminSizeTableProvenance((prev) => ({
+          selectedIndex: 0,
+          candidates: [
+            { source: "gemini_image", score: null, snippet: "", table: tableData },
+            ...(prev?.candidates ?? []).filter((candidate) => candidate.source !== "gemini_image"),
+          ],
+        }));
       } catch (extractError: unknown) {
         const message = extractError instanceof Error ? extractError.message : "Size table extraction failed.";
         setAdminActionError(`사이즈표 추출에 실패했습니다: ${message}`);
@@ -91,6 +100,13 @@ export function useAdminProductEditor({
     })();
   };
 
+  const selectAdminSizeTableCandidate = (index: number) => {
+    const candidate = adminSizeTableProvenance?.candidates[index];
+    if (!adminSizeTableProvenance || !candidate) return;
+    setAdminExtractedTable(candidate.table);
+    setAdminSizeTableProvenance({ ...adminSizeTableProvenance, selectedIndex: index });
+  };
+
   const handleAdminUpdateProduct = async (id: string) => {
     if (!adminEditForm.brand.trim() || !adminEditForm.name.trim()) {
       setAdminActionError("브랜드명과 상품명은 비워둘 수 없습니다.");
@@ -117,6 +133,7 @@ export function useAdminProductEditor({
           url: adminEditForm.url || null,
           imagePath: nextImagePath,
           sizeTable: adminExtractedTable,
+          sizeTableProvenance: adminSizeTableProvenance,
         }),
       });
       const payload = await response.json();
@@ -182,6 +199,26 @@ export function useAdminProductEditor({
     }
   };
 
+  const handleAdminMergeProducts = async (input: ProductMergeInput): Promise<boolean> => {
+    if (!window.confirm(`선택한 상품 ${input.duplicateIds.length}개를 대표 상품으로 병합하시겠습니까? 병합된 상품은 삭제되고 저장 기록은 대표 상품으로 옮겨집니다.`)) return false;
+
+    setIsAdminActionLoading(true);
+    try {
+      const { mergedIds } = await mergeProducts(input);
+      for (const id of mergedIds) onProductDeleted(id);
+      if (editingProductId && mergedIds.includes(editingProductId)) setEditingProductId(null);
+      onProductMutated();
+      setAdminActionError(null);
+      return true;
+    } catch (mergeError: unknown) {
+      const message = mergeError instanceof Error ? mergeError.message : "상품 병합에 실패했습니다.";
+      setAdminActionError(message);
+      return false;
+    } finally {
+      setIsAdminActionLoading(false);
+    }
+  };
+
   const handleSaveProductStyleReview = async (id: string, review: ProductStyleReviewInput) => {
     setIsAdminActionLoading(true);
     try {
@@ -211,6 +248,8 @@ export function useAdminProductEditor({
     adminSizeChartImage,
     adminExtractedTable,
     setAdminExtractedTable,
+    adminSizeTableProvenance,
+    selectAdminSizeTableCandidate,
     isAdminAnalyzingTable,
     isAdminActionLoading,
     startProductEdit,
@@ -219,6 +258,7 @@ export function useAdminProductEditor({
     handleAdminUpdateProduct,
     handleApproveProductCategory,
     handleAdminDeleteProduct,
+    handleAdminMergeProducts,
     handleSaveProductStyleReview,
     resetEditorState,
   };
@@ -1,8 +1,20 @@
 import {
   MAX_PRODUCT_IMAGE_CANDIDATES,
 } from '../../constants';
-import type { AddProductFormData, ProductMetadataPayload, ProductTaggingMetadata, SubmitProductForm } from '../../types';
+import type {
+  AddProductFormData,
+  ProductMetadataPayload,
+  ProductColorVariant,
+  ProductPrice,
+  ProductTaggingMetadata,
+  SizeAvailability,
+  SizeTable,
+  SizeTableCandidate,
+  SizeTableProvenance,
+  SubmitProductForm,
+} from '../../types';
 import { uniqHttpUrls } from '../../utils/product';
+import { normalizeSizeTable } from '../../utils/sizeTable';
 import type { MessageKey } from '../../i18n/messages';
 
 export const getAutofillCandidateUrls = (extracted: ProductMetadataPayload): string[] =>
@@ -23,6 +35,59 @@ export const applyUrlAutofill = (
   productImage: selectedCandidateUrl || prev.productImage,
 });
 
+export const selectSizeTableCandidate = (prev: AddProductFormData, index: number): AddProductFormData => {
+  const candidate = prev.sizeTableCandidates[index];
+  if (!candidate) return prev;
+  const table = normalizeSizeTable(candidate.table);
+  return { ...prev, extractedTable: table, rawExtractedTable: table, selectedSizeTableCandidate: index };
+};
+
+// Cell edits replace extractedTable while rawExtractedTable keeps the table as selected.
+const hasEditedSizeTable = (formData: AddProductFormData): boolean =>
+  formData.extractedTable !== null && formData.extractedTable !== formData.rawExtractedTable;
+
+/**
+ * Replaces the page candidates with the ones from a fresh URL autofill. A table
+ * read from an uploaded chart image stays selected, and a table the user has
+ * edited stays in place until they pick a candidate; otherwise the top-ranked
+ * page candidate is picked.
+ */
+export const applySizeTableCandidatesFromPage = (
+  prev: AddProductFormData,
+  pageCandidates: SizeTableCandidate[]
+): AddProductFormData => {
+  const imageCandidates = prev.sizeTableCandidates.filter((candidate) => candidate.source === 'gemini_image');
+  const selected = prev.selectedSizeTableCandidate === null ? null : prev.sizeTableCandidates[prev.selectedSizeTableCandidate];
+  const keepsImageTable = selected?.source === 'gemini_image';
+  const next = {
+    ...prev,
+    sizeTableCandidates: [...imageCandidates, ...pageCandidates],
+    selectedSizeTableCandidate: keepsImageTable ? imageCandidates.indexOf(selected) : null,
+  };
+  const keepsCurrentTable = keepsImageTable || hasEditedSizeTable(prev);
+  return keepsCurrentTable || pageCandidates.length === 0 ? next : selectSizeTableCandidate(next, imageCandidates.length);
+};
+
+/** Puts the table Gemini read from an uploaded chart first, replacing any earlier upload, and selects it. */
+export const applySizeTableFromImage = (prev: AddProductFormData, table: SizeTable | null): AddProductFormData => {
+  const pageCandidates = prev.sizeTableCandidates.filter((candidate) => candidate.source !== 'gemini_image');
+  if (!table) {
+    return { ...prev, extractedTable: null, rawExtractedTable: null, sizeTableCandidates: pageCandidates, selectedSizeTableCandidate: null };
+  }
+  return {
+    ...prev,
+    extractedTable: table,
+    rawExtractedTable: table,
+    sizeTableCandidates: [{ source: 'gemini_image', score: null, snippet: '', table }, ...pageCandidates],
+    selectedSizeTableCandidate: 0,
+  };
+};
+
+export const buildSizeTableProvenance = (formData: AddProductFormData): SizeTableProvenance | null =>
+  formData.selectedSizeTableCandidate === null || !formData.sizeTableCandidates[formData.selectedSizeTableCandidate]
+    ? null
+    : { selectedIndex: formData.selectedSizeTableCandidate, candidates: formData.sizeTableCandidates };
+
 interface SubmitValidationInput {
   hasBrand: boolean;
   hasName: boolean;
@@ -53,6 +118,11 @@ export const buildSubmitProductPayload = (
   productPhotoFile: File | null,
   autofilledProductImageUrl: string | null,
   productMetadata: ProductTaggingMetadata | null = null,
+  sizeOptionLabels: string[] = [],
+  price: ProductPrice | null = null,
+  sizeAvailability: SizeAvailability | null = null,
+  colorVariants: ProductColorVariant[] | null = null,
+  productImageCandidates: string[] = [],
 ): SubmitProductForm => ({
   brand: formData.brand,
   name: formData.name,
@@ -61,7 +131,14 @@ export const buildSubmitProductPayload = (
   normalizedSizeTable: null,
   productPhoto: productPhotoFile,
   productImageUrl: autofilledProductImageUrl,
+  // An uploaded photo replaces the page images, so none of them go to the gallery.
+  productImageCandidates: productPhotoFile ? [] : productImageCandidates,
   productMetadata,
+  sizeOptionLabels,
+  price,
+  sizeAvailability,
+  colorVariants,
+  sizeTableProvenance: buildSizeTableProvenance(formData),
 });
 
 interface FormFlagsInput {
@@ -1,5 +1,5 @@
 import type { ChangeEvent } from "react";
-import type { AddProductFormData, ProductMetadataPayload, ProductTaggingMetadata } from "../../types";
+import type { AddProductFormData, ProductColorVariant, ProductMetadataPayload, ProductPrice, ProductTaggingMetadata, SizeAvailability } from "../../types";
 import {
   dataUrlToFile,
   readFileAsDataUrl,
@@ -16,11 +16,14 @@ import { normalizeSizeTable } from "../../utils/sizeTable";
 import {
   extractSizeTableFromImage,
   fetchProductMetadataFromUrl,
-  removeBackgroundWithGemini,
+  removeProductImageBackground,
 } from "../../api";
 import {
+  applySizeTableCandidatesFromPage,
+  applySizeTableFromImage,
   applyUrlAutofill,
   getAutofillCandidateUrls,
+  selectSizeTableCandidate,
 } from "./helpers";
 import { useLocaleContext } from "../../contexts/LocaleContext";
 
@@ -33,6 +36,10 @@ interface ProductFormAutofillState {
   setAutofilledProductImageUrl: (value: string | null) => void;
   setAutofilledProductImageCandidates: (value: string[]) => void;
   setProductTaggingMetadata: (value: ProductTaggingMetadata | null) => void;
+  setSizeOptionLabels: (value: string[]) => void;
+  setProductPrice: (value: ProductPrice | null) => void;
+  setSizeAvailability: (value: SizeAvailability | null) => void;
+  setColorVariants: (value: ProductColorVariant[] | null) => void;
   setProductImageNotice: (value: string | null) => void;
   setAutoFillError: (value: string | null) => void;
   setIsProcessingImage: (value: boolean) => void;
@@ -88,7 +95,7 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
         state.setProductPhotoFile(file);
         state.setIsProcessingImage(true);
         try {
-          const processedBase64 = await removeBackgroundWithGemini(base64);
+          const processedBase64 = await removeProductImageBackground(base64);
           const processedDataUrl = `data:image/png;base64,${processedBase64}`;
           state.setFormData((prev) => ({ ...prev, productImage: processedDataUrl }));
           state.setProductPhotoFile(dataUrlToFile(processedDataUrl, `product-${crypto.randomUUID()}`));
@@ -112,17 +119,14 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
         sizeChartImage: optimizedDataUrl,
         extractedTable: null,
         rawExtractedTable: null,
+        selectedSizeTableCandidate: null,
       }));
       state.setTableEditingCell(null);
       state.setIsAnalyzingTable(true);
       try {
         const tableData = await extractSizeTableFromImage(optimizedBase64, "image/png");
         const rawTable = normalizeSizeTable(tableData);
-        state.setFormData((prev) => ({
-          ...prev,
-          rawExtractedTable: rawTable,
-          extractedTable: rawTable,
-        }));
+        state.setFormData((prev) => applySizeTableFromImage(prev, rawTable));
       } catch (extractError: unknown) {
         const message = extractError instanceof Error ? extractError.message : t("addProduct.sizeTableExtractFailed");
         alert(`${message} (check /api/size-table server logs)`);
@@ -148,7 +152,7 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
         state.setProductPhotoFile(file);
         state.setIsProcessingImage(true);
         try {
-          const processedBase64 = await removeBackgroundWithGemini(base64);
+          const processedBase64 = await removeProductImageBackground(base64);
           const processedDataUrl = `data:image/png;base64,${processedBase64}`;
           state.setFormData((prev) => ({ ...prev, productImage: processedDataUrl }));
           state.setProductPhotoFile(dataUrlToFile(processedDataUrl, `product-${crypto.randomUUID()}`));
@@ -172,17 +176,14 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
         sizeChartImage: optimizedDataUrl,
         extractedTable: null,
         rawExtractedTable: null,
+        selectedSizeTableCandidate: null,
       }));
       state.setTableEditingCell(null);
       state.setIsAnalyzingTable(true);
       try {
         const tableData = await extractSizeTableFromImage(optimizedBase64, "image/png");
         const rawTable = normalizeSizeTable(tableData);
-        state.setFormData((prev) => ({
-          ...prev,
-          rawExtractedTable: rawTable,
-          extractedTable: rawTable,
-        }));
+        state.setFormData((prev) => applySizeTableFromImage(prev, rawTable));
       } catch (extractError: unknown) {
         const message = extractError instanceof Error ? extractError.message : t("addProduct.sizeTableExtractFailed");
         alert(`${message} (check /api/size-table server logs)`);
@@ -213,6 +214,10 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
     state.clearAutoFillFeedback();
     state.setAutofilledProductImageCandidates([]);
     state.setProductTaggingMetadata(null);
+    state.setSizeOptionLabels([]);
+    state.setProductPrice(null);
+    state.setSizeAvailability(null);
+    state.setColorVariants(null);
 
     try {
       const extracted = await fetchProductMetadataFromUrl(targetUrl);
@@ -230,6 +235,10 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
       const candidateUrls = getAutofillCandidateUrls(extracted);
       const selectedCandidateUrl = candidateUrls[0] || "";
       state.setProductTaggingMetadata(buildProductTaggingMetadata(extracted));
+      state.setSizeOptionLabels(extracted.sizeOptionLabels ?? []);
+      state.setProductPrice(extracted.price ?? null);
+      state.setSizeAvailability(extracted.sizeAvailability ?? null);
+      state.setColorVariants(extracted.colorVariants ?? null);
       state.setProductPhotoFile(null);
       if (selectedCandidateUrl) {
         state.setAutofilledProductImageUrl(selectedCandidateUrl);
@@ -240,7 +249,10 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
       }
 
       state.setAutofilledProductImageCandidates(candidateUrls);
-      state.setFormData((prev) => applyUrlAutofill(prev, extracted, selectedCandidateUrl));
+      state.setFormData((prev) =>
+        applySizeTableCandidatesFromPage(applyUrlAutofill(prev, extracted, selectedCandidateUrl), extracted.sizeTableCandidates ?? [])
+      );
+      state.setTableEditingCell(null);
 
       if (!extracted.brand && !extracted.name && !selectedCandidateUrl) {
         state.setAutoFillError(t("addProduct.urlAutofillFailed"));
@@ -252,10 +264,16 @@ export function useProductFormAutofill({ state, productUrlSet }: UseProductFormA
     }
   };
 
+  const handleSelectSizeTableCandidate = (index: number) => {
+    state.setTableEditingCell(null);
+    state.setFormData((prev) => selectSizeTableCandidate(prev, index));
+  };
+
   return {
     handleFileUpload,
     handleDroppedFile,
     handleSelectAutofilledProductImage,
     handleAutoFillFromUrl,
+    handleSelectSizeTableCandidate,
   };
 }
@@ -1,10 +1,12 @@
 import { useCallback, useEffect, useState } from "react";
-import type { AddProductFormData, ClosetSizeSelection, ProductTaggingMetadata } from "../../types";
+import type { AddProductFormData, ClosetSizeSelection, DuplicateProductCandidate, ProductColorVariant, ProductPrice, ProductTaggingMetadata, SizeAvailability } from "../../types";
 import { DEFAULT_PRODUCT_PLACEHOLDER, EMPTY_FORM_DATA } from "../../constants";
 
 export function useProductFormState() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [showDuplicateProductModal, setShowDuplicateProductModal] = useState(false);
+  /** Likely duplicates the server stopped on, with the image path to resubmit if the user confirms. */
+  const [pendingDuplicates, setPendingDuplicates] = useState<{ candidates: DuplicateProductCandidate[]; imagePath: string } | null>(null);
 
   const [formData, setFormData] = useState<AddProductFormData>(EMPTY_FORM_DATA);
   const [addToDigboxOnSubmit, setAddToDigboxOnSubmit] = useState(true);
@@ -15,6 +17,10 @@ export function useProductFormState() {
   const [autofilledProductImageUrl, setAutofilledProductImageUrl] = useState<string | null>(null);
   const [autofilledProductImageCandidates, setAutofilledProductImageCandidates] = useState<string[]>([]);
   const [productTaggingMetadata, setProductTaggingMetadata] = useState<ProductTaggingMetadata | null>(null);
+  const [sizeOptionLabels, setSizeOptionLabels] = useState<string[]>([]);
+  const [productPrice, setProductPrice] = useState<ProductPrice | null>(null);
+  const [sizeAvailability, setSizeAvailability] = useState<SizeAvailability | null>(null);
+  const [colorVariants, setColorVariants] = useState<ProductColorVariant[] | null>(null);
 
   const [isProcessingImage, setIsProcessingImage] = useState(false);
   const [isAnalyzingTable, setIsAnalyzingTable] = useState(false);
@@ -54,6 +60,10 @@ export function useProductFormState() {
     setAutofilledProductImageUrl(null);
     setAutofilledProductImageCandidates([]);
     setProductTaggingMetadata(null);
+    setSizeOptionLabels([]);
+    setProductPrice(null);
+    setSizeAvailability(null);
+    setColorVariants(null);
     setProductPhotoFile(null);
   };
 
@@ -87,6 +97,7 @@ export function useProductFormState() {
     setIsSaveComplete(false);
     setSubmitError(null);
     setShowDuplicateProductModal(false);
+    setPendingDuplicates(null);
     setTableEditingCell(null);
     setIsInstagramMode(false);
   };
@@ -130,6 +141,8 @@ export function useProductFormState() {
     closeModal,
     showDuplicateProductModal,
     setShowDuplicateProductModal,
+    pendingDuplicates,
+    setPendingDuplicates,
     formData,
     setFormData,
     addToDigboxOnSubmit,
@@ -149,6 +162,14 @@ export function useProductFormState() {
     setAutofilledProductImageCandidates,
     productTaggingMetadata,
     setProductTaggingMetadata,
+    sizeOptionLabels,
+    setSizeOptionLabels,
+    productPrice,
+    setProductPrice,
+    sizeAvailability,
+    setSizeAvailability,
+    colorVariants,
+    setColorVariants,
     isProcessingImage,
     setIsProcessingImage,
     isAnalyzingTable,
@@ -1,7 +1,18 @@
 import { isDuplicateProductErrorMessage } from "../../utils/product";
-import { submitProduct } from "../../api";
+import { discardSubmissionImage, submitProduct } from "../../api";
 import { buildSubmitProductPayload, getProductFormFlags, getSubmitValidationError } from "./helpers";
-import type { AddProductFormData, ClosetSizeSelection, Product, ProductTaggingMetadata } from "../../types";
+import type {
+  AddProductFormData,
+  ClosetSizeSelection,
+  DuplicateProductCandidate,
+  Product,
+  ProductCardData,
+  ProductColorVariant,
+  ProductPrice,
+  ProductTaggingMetadata,
+  SizeAvailability,
+  SubmitProductForm,
+} from "../../types";
 import { useLocaleContext } from "../../contexts/LocaleContext";
 import type { MessageKey } from "../../i18n/messages";
 
@@ -9,7 +20,12 @@ interface ProductFormSubmitState {
   formData: AddProductFormData;
   productPhotoFile: File | null;
   autofilledProductImageUrl: string | null;
+  autofilledProductImageCandidates: string[];
   productTaggingMetadata: ProductTaggingMetadata | null;
+  sizeOptionLabels: string[];
+  productPrice: ProductPrice | null;
+  sizeAvailability: SizeAvailability | null;
+  colorVariants: ProductColorVariant[] | null;
   isAutofillingFromUrl: boolean;
   isProcessingImage: boolean;
   isAnalyzingTable: boolean;
@@ -22,6 +38,8 @@ interface ProductFormSubmitState {
   closetSizeSelection: ClosetSizeSelection | null;
   setIsSaving: (value: boolean) => void;
   setShowDuplicateProductModal: (value: boolean) => void;
+  pendingDuplicates: { candidates: DuplicateProductCandidate[]; imagePath: string } | null;
+  setPendingDuplicates: (value: { candidates: DuplicateProductCandidate[]; imagePath: string } | null) => void;
   showSubmitToast: (toast: { message: string; type: "success" | "error" }) => void;
   closeModal: () => void;
 }
@@ -29,6 +47,8 @@ interface ProductFormSubmitState {
 interface UseProductFormSubmitOptions {
   state: ProductFormSubmitState;
   onSubmitSuccess: (product: Product) => void;
+  /** Called after the user chose an existing catalog product over registering a duplicate. */
+  onUseExistingProduct?: (product: ProductCardData) => void;
   onAddToDigbox?: (productId: string) => Promise<void>;
   onAddToCloset?: (productId: string, sizeSelection?: ClosetSizeSelection | null) => Promise<void>;
   isLoggedIn?: boolean;
@@ -45,6 +65,7 @@ function getSuccessMessage(addToDigbox: boolean, addToCloset: boolean, t: (key:
 export function useProductFormSubmit({
   state,
   onSubmitSuccess,
+  onUseExistingProduct,
   onAddToDigbox,
   onAddToCloset,
   isLoggedIn = true,
@@ -61,6 +82,70 @@ export function useProductFormSubmit({
     isSaving: state.isSaving,
   }, t);
 
+  const buildPayload = () =>
+    buildSubmitProductPayload(
+      state.formData,
+      state.productPhotoFile,
+      state.autofilledProductImageUrl,
+      state.productTaggingMetadata,
+      state.sizeOptionLabels,
+      state.productPrice,
+      state.sizeAvailability,
+      state.colorVariants,
+      state.autofilledProductImageCandidates
+    );
+
+  /** Adds the product to the collections picked in the form, then closes the modal. */
+  const saveToCollectionsAndClose = async (productId: string, successMessage: string) => {
+    try {
+      const collectionAdds: Promise<void>[] = [];
+      if (state.addToDigboxOnSubmit && onAddToDigbox) {
+        collectionAdds.push(onAddToDigbox(productId));
+      }
+      if (state.addToClosetOnSubmit && onAddToCloset) {
+        collectionAdds.push(onAddToCloset(productId, state.closetSizeSelection));
+      }
+      await Promise.all(collectionAdds);
+      state.showSubmitToast({ message: successMessage, type: "success" });
+    } catch (collectionError) {
+      console.error("[handleSubmitProduct] collection add failed", collectionError);
+      state.showSubmitToast({ message: t("addProduct.collectionAddFailed"), type: "error" });
+    }
+
+    state.setIsSaveComplete(true);
+    await new Promise((resolve) => window.setTimeout(resolve, 500));
+    state.closeModal();
+  };
+
+  const submit = async (payload: SubmitProductForm) => {
+    state.setSubmitError(null);
+    state.setIsSaveComplete(false);
+    state.setIsSaving(true);
+    try {
+      const result = await submitProduct(payload, state.isInstagramMode);
+      if (!result.product) {
+        state.setPendingDuplicates({ candidates: result.duplicateCandidates, imagePath: result.imagePath });
+        return;
+      }
+
+      await saveToCollectionsAndClose(
+        result.product.id,
+        getSuccessMessage(state.addToDigboxOnSubmit, state.addToClosetOnSubmit, t)
+      );
+      onSubmitSuccess(result.product);
+    } catch (submitError: unknown) {
+      const message = submitError instanceof Error ? submitError.message : t("addProduct.submitFailedGeneric");
+      console.error("[handleSubmitProduct] submit failed", submitError);
+      if (isDuplicateProductErrorMessage(message)) {
+        state.setShowDuplicateProductModal(true);
+        return;
+      }
+      state.setSubmitError(t("addProduct.submitFailed", { message }));
+    } finally {
+      state.setIsSaving(false);
+    }
+  };
+
   const handleSubmitProduct = async () => {
     if (!isLoggedIn) {
       onLoginRequired?.();
@@ -79,50 +164,34 @@ export function useProductFormSubmit({
       return;
     }
 
-    state.setSubmitError(null);
-    state.setIsSaveComplete(false);
-    state.setIsSaving(true);
-    try {
-      const product = await submitProduct(
-        buildSubmitProductPayload(
-          state.formData,
-          state.productPhotoFile,
-          state.autofilledProductImageUrl,
-          state.productTaggingMetadata
-        ),
-        state.isInstagramMode
-      );
+    await submit(buildPayload());
+  };
 
-      try {
-        const collectionAdds: Promise<void>[] = [];
-        if (state.addToDigboxOnSubmit && onAddToDigbox) {
-          collectionAdds.push(onAddToDigbox(product.id));
-        }
-        if (state.addToClosetOnSubmit && onAddToCloset) {
-          collectionAdds.push(onAddToCloset(product.id, state.closetSizeSelection));
-        }
-        await Promise.all(collectionAdds);
-        state.showSubmitToast({
-          message: getSuccessMessage(state.addToDigboxOnSubmit, state.addToClosetOnSubmit, t),
-          type: "success",
-        });
-      } catch (collectionError) {
-        console.error("[handleSubmitProduct] collection add failed", collectionError);
-        state.showSubmitToast({ message: t("addProduct.collectionAddFailed"), type: "error" });
-      }
+  /** Registers the product even though likely duplicates were found, reusing the already uploaded image. */
+  const handleConfirmNewProduct = async () => {
+    const pending = state.pendingDuplicates;
+    if (!pending) return;
+    state.setPendingDuplicates(null);
+    await submit({ ...buildPayload(), productPhoto: null, productImageUrl: pending.imagePath, confirmNewProduct: true });
+  };
 
-      state.setIsSaveComplete(true);
-      await new Promise((resolve) => window.setTimeout(resolve, 500));
-      state.closeModal();
-      onSubmitSuccess(product);
-    } catch (submitError: unknown) {
-      const message = submitError instanceof Error ? submitError.message : t("addProduct.submitFailedGeneric");
-      console.error("[handleSubmitProduct] submit failed", submitError);
-      if (isDuplicateProductErrorMessage(message)) {
-        state.setShowDuplicateProductModal(true);
-        return;
-      }
-      state.setSubmitError(t("addProduct.submitFailed", { message }));
+  /** Drops the duplicate prompt and deletes the photo uploaded for it, which no product will use. */
+  const dismissPendingDuplicates = () => {
+    const pending = state.pendingDuplicates;
+    state.setPendingDuplicates(null);
+    if (pending?.imagePath.startsWith("submissions/")) {
+      void discardSubmissionImage(pending.imagePath).catch((error: unknown) => {
+        console.error("[dismissPendingDuplicates] uploaded image cleanup failed", error);
+      });
+    }
+  };
+
+  const handleUseExistingProduct = async (product: ProductCardData) => {
+    dismissPendingDuplicates();
+    state.setIsSaving(true);
+    try {
+      await saveToCollectionsAndClose(product.id, t("duplicateProduct.linked"));
+      onUseExistingProduct?.(product);
     } finally {
       state.setIsSaving(false);
     }
@@ -131,5 +200,8 @@ export function useProductFormSubmit({
   return {
     ...flags,
     handleSubmitProduct,
+    handleConfirmNewProduct,
+    handleUseExistingProduct,
+    handleDismissDuplicates: dismissPendingDuplicates,
   };
 }
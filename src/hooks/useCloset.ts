@@ -1,6 +1,6 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 import { useRouter } from "next/navigation";
-import { fetchClosetItems, addToCloset as apiAdd, removeFromCloset as apiRemove } from "../api";
+import { fetchClosetItems, addToCloset as apiAdd, removeFromCloset as apiRemove, updateClosetSelectedColor as apiUpdateSelectedColor } from "../api";
 import { useCollectionBootstrap } from "../contexts/CollectionBootstrapContext";
 import type { ClosetSizeSelection, Product } from "../types";
 import { useLocaleContext } from "../contexts/LocaleContext";
@@ -100,13 +100,13 @@ export function useCloset(
     setError(null);
   }, []);
 
-  const addToCloset = useCallback(async (productId: string, sizeSelection?: ClosetSizeSelection | null) => {
+  const addToCloset = useCallback(async (productId: string, sizeSelection?: ClosetSizeSelection | null, selectedColor?: string | null) => {
     if (!isLoggedIn) {
       router.push("/login");
       return;
     }
     if (closetIds.has(productId)) return;
-    await apiAdd(productId, sizeSelection);
+    await apiAdd(productId, sizeSelection, selectedColor);
     bootstrap.invalidate();
     setClosetIds((prev) => new Set([...prev, productId]));
     if (refreshAnalysisAfterMutation) await load(true);
@@ -124,9 +124,17 @@ export function useCloset(
     if (refreshAnalysisAfterMutation) await load(true);
   }, [bootstrap, load, refreshAnalysisAfterMutation]);
 
+  const updateSelectedColor = useCallback(async (productId: string, selectedColor: string | null) => {
+    await apiUpdateSelectedColor(productId, selectedColor);
+    bootstrap.invalidate();
+    setClosetProducts((prev) => prev.map((product) => (
+      product.id === productId ? { ...product, closetSelectedColor: selectedColor } : product
+    )));
+  }, [bootstrap]);
+
   const isInCloset = useCallback((productId: string) => closetIds.has(productId), [closetIds]);
 
-  const toggleCloset = useCallback(async (productId: string, sizeSelection?: ClosetSizeSelection | null) => {
+  const toggleCloset = useCallback(async (productId: string, sizeSelection?: ClosetSizeSelection | null, selectedColor?: string | null) => {
     if (!isLoggedIn) {
       router.push("/login");
       return;
@@ -136,7 +144,7 @@ export function useCloset(
       return;
     }
     try {
-      await addToCloset(productId, sizeSelection);
+      await addToCloset(productId, sizeSelection, selectedColor);
       showToast({ message: "added", type: "success" });
     } catch (error) {
       console.error("[closet] add failed", error);
@@ -144,5 +152,5 @@ export function useCloset(
     }
   }, [isLoggedIn, router, closetIds, addToCloset, showToast]);
 
-  return { closetProducts, closetIds, isLoading, isLoaded, error, toast, clearToast, addToCloset, removeFromCloset, isInCloset, toggleCloset, reload: load, ensureLoaded, hydrate };
+  return { closetProducts, closetIds, isLoading, isLoaded, error, toast, clearToast, addToCloset, removeFromCloset, updateSelectedColor, isInCloset, toggleCloset, reload: load, ensureLoaded, hydrate };
 }
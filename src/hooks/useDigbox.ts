@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useRef, useState } from "react";
-import { fetchCatalogProductsByIds, fetchDigboxData, addToDigbox as apiAdd, removeFromDigbox as apiRemove, updateDigboxSizeDecision as apiUpdateSizeDecision } from "../api";
+import { fetchCatalogProductsByIds, fetchDigboxData, addToDigbox as apiAdd, removeFromDigbox as apiRemove, updateDigboxSizeDecision as apiUpdateSizeDecision, dismissDigboxPriceAlert as apiDismissPriceAlert, updateDigboxSelectedColor as apiUpdateSelectedColor } from "../api";
 import { useCollectionBootstrap } from "../contexts/CollectionBootstrapContext";
 import type { DigboxSizeDecisionInput, Product } from "../types";
 import { captureEvent } from "../utils/analytics";
@@ -151,8 +151,8 @@ export function useDigbox(
     setError(null);
   }, []);
 
-  const addServerItem = useCallback(async (productId: string) => {
-    await apiAdd(productId);
+  const addServerItem = useCallback(async (productId: string, selectedColor?: string | null) => {
+    await apiAdd(productId, selectedColor);
     bootstrap.invalidate();
     setDigboxIds((current) => new Set([...current, productId]));
   }, [bootstrap]);
@@ -206,9 +206,9 @@ export function useDigbox(
     void syncGuestItems();
   }, [syncGuestItems]);
 
-  const addToDigbox = useCallback(async (productId: string, source = "unknown") => {
+  const addToDigbox = useCallback(async (productId: string, source = "unknown", selectedColor?: string | null) => {
     if (!isLoggedIn || digboxIds.has(productId)) return;
-    await addServerItem(productId);
+    await addServerItem(productId, selectedColor);
     if (refreshAnalysisAfterMutation) await load(true);
     const properties = { product_id: productId, source, logged_in: true };
     captureEvent("server_digbox_save_completed", properties);
@@ -241,6 +241,22 @@ export function useDigbox(
     )));
   }, [bootstrap]);
 
+  const dismissPriceAlert = useCallback(async (productId: string) => {
+    await apiDismissPriceAlert(productId);
+    bootstrap.invalidate();
+    setDigboxProducts((current) => current.map((product) => (
+      product.id === productId ? { ...product, digboxPriceAlert: null } : product
+    )));
+  }, [bootstrap]);
+
+  const updateSelectedColor = useCallback(async (productId: string, selectedColor: string | null) => {
+    await apiUpdateSelectedColor(productId, selectedColor);
+    bootstrap.invalidate();
+    setDigboxProducts((current) => current.map((product) => (
+      product.id === productId ? { ...product, digboxSelectedColor: selectedColor } : product
+    )));
+  }, [bootstrap]);
+
   const removeGuestItem = useCallback((productId: string) => {
     setIsGuestPromptOpen(false);
     setGuestIds((current) => {
@@ -255,7 +271,7 @@ export function useDigbox(
     [digboxIds, guestIds, isLoggedIn]
   );
 
-  const toggleDigbox = useCallback(async (productId: string, source = "unknown") => {
+  const toggleDigbox = useCallback(async (productId: string, source = "unknown", selectedColor?: string | null) => {
     captureEvent("save_clicked", {
       product_id: productId,
       source,
@@ -297,7 +313,7 @@ export function useDigbox(
       return;
     }
     try {
-      await addToDigbox(productId, source);
+      await addToDigbox(productId, source, selectedColor);
       showToast({ message: "added", type: "success" });
     } catch (error) {
       console.error("[digbox] add failed", error);
@@ -317,6 +333,8 @@ export function useDigbox(
     addToDigbox,
     removeFromDigbox,
     updateSizeDecision,
+    dismissPriceAlert,
+    updateSelectedColor,
     isInDigbox,
     toggleDigbox,
     reload: load,
@@ -1,10 +1,13 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 import {
   createMySize as apiCreate,
+  deleteBodyMeasurements as apiDeleteBodyMeasurements,
   deleteMySize as apiDelete,
+  fetchBodyMeasurements,
+  saveBodyMeasurements as apiSaveBodyMeasurements,
   updateMySize as apiUpdate,
 } from "../api";
-import type { MySizeInput, MySizeProfile, MySizeUpdateInput } from "../types";
+import type { BodyMeasurements, BodyMeasurementsInput, MySizeInput, MySizeProfile, MySizeUpdateInput } from "../types";
 import { useCollectionBootstrap } from "../contexts/CollectionBootstrapContext";
 
 export function useMySizes(isLoggedIn: boolean, initialProfiles?: MySizeProfile[]) {
@@ -14,12 +17,27 @@ export function useMySizes(isLoggedIn: boolean, initialProfiles?: MySizeProfile[
   const [error, setError] = useState<string | null>(null);
   const hasLoadedRef = useRef(initialProfiles !== undefined);
   const isLoadingRef = useRef(false);
+  const [bodyMeasurements, setBodyMeasurements] = useState<BodyMeasurements | null>(null);
+  const hasLoadedBodyRef = useRef(false);
+
+  // Body measurements are not part of the collection bootstrap, so they load on their own.
+  const loadBodyMeasurements = useCallback(async () => {
+    if (!isLoggedIn || hasLoadedBodyRef.current) return;
+    hasLoadedBodyRef.current = true;
+    try {
+      setBodyMeasurements(await fetchBodyMeasurements());
+    } catch {
+      hasLoadedBodyRef.current = false;
+    }
+  }, [isLoggedIn]);
 
   const load = useCallback(async () => {
     if (!isLoggedIn) {
       setMySizes([]);
+      setBodyMeasurements(null);
       setError(null);
       hasLoadedRef.current = false;
+      hasLoadedBodyRef.current = false;
       return;
     }
     if (isLoadingRef.current) return;
@@ -43,9 +61,11 @@ export function useMySizes(isLoggedIn: boolean, initialProfiles?: MySizeProfile[
   }, [isLoggedIn, load]);
 
   const ensureLoaded = useCallback(() => {
-    if (!isLoggedIn || hasLoadedRef.current) return;
+    if (!isLoggedIn) return;
+    void loadBodyMeasurements();
+    if (hasLoadedRef.current) return;
     void load();
-  }, [isLoggedIn, load]);
+  }, [isLoggedIn, load, loadBodyMeasurements]);
 
   const createMySize = useCallback(async (input: MySizeInput) => {
     const profile = await apiCreate(input);
@@ -67,13 +87,28 @@ export function useMySizes(isLoggedIn: boolean, initialProfiles?: MySizeProfile[
     setMySizes((prev) => prev.filter((item) => item.id !== id));
   }, [bootstrap]);
 
+  const saveBodyMeasurements = useCallback(async (input: BodyMeasurementsInput) => {
+    const measurements = await apiSaveBodyMeasurements(input);
+    hasLoadedBodyRef.current = true;
+    setBodyMeasurements(measurements);
+    return measurements;
+  }, []);
+
+  const deleteBodyMeasurements = useCallback(async () => {
+    await apiDeleteBodyMeasurements();
+    setBodyMeasurements(null);
+  }, []);
+
   return {
     mySizes,
+    bodyMeasurements,
     isLoading,
     error,
     createMySize,
     updateMySize,
     deleteMySize,
+    saveBodyMeasurements,
+    deleteBodyMeasurements,
     ensureLoaded,
     reload: load,
   };
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { fetchPersonalizedFeed } from "../api";
+import { useLocaleContext } from "../contexts/LocaleContext";
+import type { Product } from "../types";
+
+/** Pages through `/api/catalog/for-you` while `enabled`; loads nothing until then. */
+export function usePersonalizedFeed(enabled: boolean) {
+  const { t } = useLocaleContext();
+  const tRef = useRef(t);
+  tRef.current = t;
+  const [products, setProducts] = useState<Product[]>([]);
+  const [feedError, setFeedError] = useState<string | null>(null);
+  const [isFeedLoading, setIsFeedLoading] = useState(false);
+  const [nextOffset, setNextOffset] = useState<number | null>(null);
+  const [isLoadingMoreProducts, setIsLoadingMoreProducts] = useState(false);
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const isLoadingMoreRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled || hasLoaded) return;
+    let isActive = true;
+
+    const load = async () => {
+      setIsFeedLoading(true);
+      try {
+        const loaded = await fetchPersonalizedFeed(0);
+        if (!isActive) return;
+        setProducts(loaded.products);
+        setNextOffset(loaded.nextOffset);
+        setFeedError(null);
+        setHasLoaded(true);
+      } catch (loadError: unknown) {
+        if (!isActive) return;
+        setFeedError(loadError instanceof Error ? loadError.message : tRef.current("products.loadError"));
+      } finally {
+        if (isActive) setIsFeedLoading(false);
+      }
+    };
+
+    void load();
+    return () => {
+      isActive = false;
+    };
+  }, [enabled, hasLoaded]);
+
+  const loadMoreProducts = useCallback(async () => {
+    if (!enabled || nextOffset === null || isLoadingMoreRef.current) return;
+    isLoadingMoreRef.current = true;
+    setIsLoadingMoreProducts(true);
+    try {
+      const loaded = await fetchPersonalizedFeed(nextOffset);
+      setProducts((current) => {
+        const seen = new Set(current.map((product) => product.id));
+        return [...current, ...loaded.products.filter((product) => !seen.has(product.id))];
+      });
+      setNextOffset(loaded.nextOffset);
+    } finally {
+      isLoadingMoreRef.current = false;
+      setIsLoadingMoreProducts(false);
+    }
+  }, [enabled, nextOffset]);
+
+  return {
+    products,
+    feedError,
+    isFeedLoading: isFeedLoading || (enabled && !hasLoaded && !feedError),
+    hasMoreProducts: enabled && nextOffset !== null,
+    isLoadingMoreProducts,
+    loadMoreProducts,
+  };
+}
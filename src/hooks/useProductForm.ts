@@ -1,4 +1,4 @@
-import type { ClosetSizeSelection, Product } from "../types";
+import type { ClosetSizeSelection, Product, ProductCardData } from "../types";
 import { useProductFormAutofill } from "./product-form/useProductFormAutofill";
 import { useProductFormState } from "./product-form/useProductFormState";
 import { useProductFormSubmit } from "./product-form/useProductFormSubmit";
@@ -6,6 +6,7 @@ import { useProductFormSubmit } from "./product-form/useProductFormSubmit";
 interface UseProductFormOptions {
   productUrlSet: Set<string>;
   onSubmitSuccess: (product: Product) => void;
+  onUseExistingProduct?: (product: ProductCardData) => void;
   onAddToDigbox?: (productId: string) => Promise<void>;
   onAddToCloset?: (productId: string, sizeSelection?: ClosetSizeSelection | null) => Promise<void>;
   isLoggedIn?: boolean;
@@ -15,6 +16,7 @@ interface UseProductFormOptions {
 export function useProductForm({
   productUrlSet,
   onSubmitSuccess,
+  onUseExistingProduct,
   onAddToDigbox,
   onAddToCloset,
   isLoggedIn,
@@ -27,6 +29,7 @@ export function useProductForm({
   const submit = useProductFormSubmit({
     state,
     onSubmitSuccess,
+    onUseExistingProduct,
     onAddToDigbox,
     onAddToCloset,
     isLoggedIn,
@@ -1,5 +1,6 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 import { fetchAllProducts, fetchCatalogProducts } from "../api";
+import type { PriceFilterValue } from "../constants";
 import { useLocaleContext } from "../contexts/LocaleContext";
 import type { Product } from "../types";
 import { PRODUCT_CREATED_EVENT } from "../utils/productUpdates";
@@ -52,13 +53,27 @@ export function useProducts(
     catalog ? (initialProducts.length > 0 ? (initialNextOffset ?? null) : 0) : null,
   );
   const [isLoadingMoreProducts, setIsLoadingMoreProducts] = useState(false);
+  const [priceFilter, setPriceFilterState] = useState<PriceFilterValue | "">("");
   const didInitRef = useRef(initialProducts.length > 0);
   const isLoadingMoreRef = useRef(false);
+  const priceFilterRef = useRef<PriceFilterValue | "">("");
 
   const retryProductsLoad = useCallback(() => {
     setRetryTrigger((prev) => prev + 1);
   }, []);
 
+  // The server-rendered first page is unfiltered, so a price change always refetches
+  // from offset 0 and drops the pages loaded for the previous filter.
+  const setPriceFilter = useCallback((value: PriceFilterValue | "") => {
+    if (!catalog || value === priceFilterRef.current) return;
+    priceFilterRef.current = value;
+    didInitRef.current = false;
+    setProducts([]);
+    setFeaturedProducts([]);
+    setNextCatalogOffset(null);
+    setPriceFilterState(value);
+  }, [catalog]);
+
   const upsertProduct = useCallback((product: Product) => {
     setProducts((current) => [product, ...current.filter((item) => item.id !== product.id)]);
     setFeaturedProducts((current) => sortFeaturedProducts([
@@ -127,7 +142,7 @@ export function useProducts(
       setIsProductsLoading(true);
       try {
         if (catalog) {
-          const loaded = await fetchCatalogProducts(0);
+          const loaded = await fetchCatalogProducts(0, 24, priceFilter);
           if (!isActive) return;
           const split = splitProducts(loaded.products);
           setProducts(split.normal);
@@ -156,14 +171,15 @@ export function useProducts(
     return () => {
       isActive = false;
     };
-  }, [catalog, enabled, retryTrigger]);
+  }, [catalog, enabled, priceFilter, retryTrigger]);
 
   const loadMoreProducts = useCallback(async () => {
     if (!catalog || nextCatalogOffset === null || isLoadingMoreRef.current) return;
     isLoadingMoreRef.current = true;
     setIsLoadingMoreProducts(true);
     try {
-      const loaded = await fetchCatalogProducts(nextCatalogOffset);
+      const loaded = await fetchCatalogProducts(nextCatalogOffset, 24, priceFilter);
+      if (priceFilterRef.current !== priceFilter) return;
       const split = splitProducts(loaded.products);
       setProducts((current) => [...current, ...split.normal]);
       setFeaturedProducts((current) => sortFeaturedProducts([...current, ...split.featured]));
@@ -172,7 +188,7 @@ export function useProducts(
       isLoadingMoreRef.current = false;
       setIsLoadingMoreProducts(false);
     }
-  }, [catalog, nextCatalogOffset]);
+  }, [catalog, nextCatalogOffset, priceFilter]);
 
   return {
     products,
@@ -184,5 +200,7 @@ export function useProducts(
     hasMoreProducts: catalog && nextCatalogOffset !== null,
     isLoadingMoreProducts,
     loadMoreProducts,
+    priceFilter,
+    setPriceFilter,
   };
 }
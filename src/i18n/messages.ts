@@ -28,10 +28,14 @@ export const messages = {
     "search.clear": "검색어 지우기",
     "products.loadError": "상품 정보를 불러오지 못했습니다.",
     "filter.all": "전체",
+    "filter.priceAll": "전체 가격", "filter.price.sale": "세일", "filter.price.under_50000": "5만원 미만", "filter.price.50000_100000": "5~10만원", "filter.price.100000_200000": "10~20만원", "filter.price.over_200000": "20만원 이상",
+    "price.soldOut": "품절", "price.preorder": "예약 판매", "price.discount": "{rate}%", "price.listPrice": "정가 {price}",
+    "priceAlert.priceDrop": "가격 인하", "priceAlert.restock": "재입고", "priceAlert.title": "가격 알림", "priceAlert.description": "DIGBOX에 저장한 상품의 가격 인하와 재입고 소식", "priceAlert.previousPrice": "이전 {price}", "priceAlert.dismiss": "{name} 알림 지우기", "priceAlert.dismissFailed": "알림을 지우지 못했어요. 다시 시도해주세요.",
     "collection.saved": "저장 상품",
     "collection.closet": "옷장 상품",
     "collection.noSearch": "“{query}”와 일치하는 {collection}이 없어요",
     "collection.noCategory": "{category}에 해당하는 {collection}이 없어요",
+    "collection.noPrice": "선택한 가격대의 {collection}이 없어요",
     "collection.emptySaved": "저장한 상품이 없어요",
     "collection.emptyCloset": "옷장에 추가한 상품이 없어요",
     "collection.adjustFilters": "검색어를 바꾸거나 검색·필터를 초기화해보세요.",
@@ -54,6 +58,9 @@ export const messages = {
     "size.noTable": "사이즈표가 없는 상품입니다",
     "size.noTableDescription": "보유 사이즈를 직접 입력해주세요.",
     "size.owned": "보유 사이즈",
+    "size.soldOut": "품절",
+    "size.soldOutAria": "{size}, 품절",
+    "size.stockCheckedAt": "품절 정보는 {date} 기준이에요",
     "size.example": "예: M, 32, 260, Free",
     "size.saveSelected": "선택한 사이즈로 내 옷장에 저장됩니다.",
     "size.manualDescription": "직접 입력한 보유 사이즈입니다.",
@@ -117,12 +124,17 @@ export const messages = {
     "product.visitOfficialSite": "공식 홈페이지 바로가기",
     "product.backToSaved": "저장한 상품으로 돌아가기",
     "product.noUrl": "URL 없음",
+    "product.listings": "판매처 {count}곳",
+    "product.sizeTableSource": "사이즈표 기준",
+    "product.color": "색상",
+    "product.colorOption": "{name} 색상 보기",
+    "product.colorSaveFailed": "색상을 저장하지 못했어요. 다시 시도해주세요.",
+    "product.imageCount": "사진 {count}장",
     "product.discoveredBy": "발굴한 사람:",
     "comparison.changeMyReferenceAria": "비교할 내 상품 변경: {brand} {title}",
     "product.guestHint": "마음에 드는 상품은 상단의 저장 버튼으로 담아 내 취향을 찾아보세요.",
     "product.sizeSelection": "사이즈 선택",
     "product.sizeHint": "행을 선택하면 내 사이즈와 바로 비교할 수 있어요.",
-    "product.unit": "단위: cm",
     "product.noMySize": "My Size가 없어요",
     "product.noMySizeHint": "내 옷을 등록하면 바로 비교할 수 있어요.",
     "product.loginAndAdd": "로그인하고 등록",
@@ -195,10 +207,12 @@ export const messages = {
     "addProduct.collectionAddFailed": "상품은 등록됐지만 담기에 실패했습니다.", "addProduct.submitFailed": "상품 등록에 실패했습니다. {message}", "addProduct.submitFailedGeneric": "등록에 실패했습니다.",
     "addProduct.bgRemoveFailed": "배경 제거에 실패했습니다. 원본 이미지를 사용합니다.", "addProduct.sizeTableExtractFailed": "사이즈표 추출에 실패했습니다.", "addProduct.imageFilesOnly": "이미지 파일만 업로드할 수 있습니다.", "addProduct.urlRequired": "상품 URL을 입력해 주세요.", "addProduct.officialImageNotFound": "공식 홈페이지에서 상품 이미지를 찾지 못했습니다. 브랜드 이미지를 직접 업로드해 주세요.", "addProduct.urlAutofillFailed": "공식 홈페이지에서 정보를 불러오지 못했습니다. 비어 있는 항목을 직접 입력해 주세요.", "addProduct.captureAutofillEmpty": "캡처 이미지에서 자동 입력 데이터를 찾지 못했습니다.", "addProduct.imageAnalysisFailed": "이미지 분석에 실패했습니다.", "addProduct.screenshotCropOnly": "캡처본에서 잘라낸 이미지만 찾았습니다. 저장하기 전에 브랜드 상품 이미지를 직접 업로드해 주세요.", "addProduct.officialImageNotFoundFromScreenshot": "캡처본에서 공식 상품 이미지를 찾지 못했습니다. 브랜드 이미지를 직접 업로드해 주세요.",
     "sizeTable.title": "사이즈표", "sizeTable.uploadHelp": "사이즈표 사진을 올리면 자동으로 표를 추출합니다.", "sizeTable.captureHelp": "캡처본에서 추출한 사이즈표를 확인하세요.", "sizeTable.extracting": "사이즈표 추출 중...", "sizeTable.unverified": "사이즈표 이미지는 있지만 검증된 표 추출은 아직 완료되지 않았습니다.", "sizeTable.warning": "AI가 추출한 사이즈표입니다. 원본 이미지와 비교해 다른 값이 있으면 셀을 눌러 수정한 뒤 저장하세요.", "sizeTable.originalAria": "사이즈표 원본 크게 보기", "sizeTable.original": "업로드한 사이즈표 원본", "sizeTable.viewLarge": "크게 보기", "sizeTable.originalHint": "원본 사이즈표 · 클릭하여 확대", "sizeTable.editHint": "셀을 눌러 수정할 수 있습니다.", "sizeTable.editingHint": "Enter 저장 · Esc 취소", "sizeTable.unit": "단위: cm", "sizeTable.editCell": "{value} 수정", "sizeTable.dialog": "사이즈표 원본 확대 보기", "sizeTable.extra": "추가 실측 정보", "sizeTable.reuploadCapture": "캡처본 다시 업로드",
+    "sizeTable.candidates": "추출된 사이즈표 후보", "sizeTable.candidatesHelp": "자동으로 고른 표가 틀리면 다른 후보를 선택하세요.", "sizeTable.candidateScore": "점수 {score}", "sizeTable.source.store_data": "스토어 데이터", "sizeTable.source.html_table": "페이지 표", "sizeTable.source.json_data": "상품 데이터", "sizeTable.source.text_block": "상세 설명", "sizeTable.source.page_text": "페이지 본문", "sizeTable.source.gemini_image": "사이즈표 이미지",
     "onboarding.complete": "설정이 완료됐어요", "onboarding.redirecting": "잠시 후 계속 보던 곳으로 이동할게요.", "onboarding.finalStep": "마지막 단계 · 사용자 이름 설정", "onboarding.title": "나를 나타낼 이름을 정해 주세요", "onboarding.description": "저장한 아이템과 내 활동을 구분하는 데 사용하는 이름이에요.", "onboarding.submit": "사용자 이름 설정하고 시작하기", "onboarding.otherGoogle": "다른 Google 계정으로 계속하기", "username.label": "사용자 이름", "username.hint": "영문, 숫자, 밑줄(_), 마침표(.)로 3~20자", "username.suggestions": "추천 사용자 이름", "username.saving": "저장하고 있어요…", "username.checking": "사용 가능 여부를 확인하고 있어요.", "username.available": "사용할 수 있는 사용자 이름이에요.", "username.unavailable": "이미 사용 중인 사용자 이름이에요.", "username.checkError": "사용 가능 여부를 확인하지 못했어요. 다시 시도해 주세요.", "username.placeholder": "예: digbox_user",
     "grid.loading": "상품을 불러오는 중입니다.", "grid.empty": "등록된 상품이 없습니다.", "grid.noResults": "검색 조건에 맞는 상품이 없습니다.", "grid.loadingMore": "상품을 더 불러오는 중입니다.",
+    "grid.sortLabel": "정렬", "grid.sort.latest": "최신순", "grid.sort.forYou": "나를 위한 추천",
     "guestTaste.preview": "내 취향 미리보기", "guestTaste.selectedItems": "내가 고른 아이템 {count}/{limit}", "guestTaste.close": "임시 저장 목록 닫기", "guestTaste.chooseThree": "마음에 드는 아이템을 3개 골라보세요", "guestTaste.visible": "관심 취향이 보이기 시작했습니다", "guestTaste.collecting": "마음에 든 상품을 모으고 있어요", "guestTaste.chooseThreeHelp": "상품 카드의 별을 눌러 관심 있는 아이템을 담아보세요.", "guestTaste.visibleHelp": "선택한 아이템 3개에서 공통된 무드를 찾았습니다. 가입하면 이 취향과 저장한 상품을 보관하고, 더 맞는 아이템을 추천받을 수 있습니다.", "guestTaste.collectingHelp": "고른 아이템으로 취향을 만들고 있어요. 3개가 되면 공통 무드를 보여드려요.", "guestTaste.remove": "{product} 임시 저장 목록에서 삭제", "guestTaste.saveWithSignup": "가입하고 내 저장 목록에 보관", "guestTaste.continue": "계속 둘러보기", "guestTaste.itemTags": "아이템별 태그", "guestTaste.brandsFallback": "관심 브랜드 · {brands}", "guestTaste.countFallback": "담은 상품 {count}개",
-    "imageViewer.dialog": "{image} 확대 보기", "imageViewer.close": "확대 이미지 닫기", "duplicateProduct.title": "이미 등록된 상품입니다.", "common.confirm": "확인", "tasteGraph.loading": "취향 그래프를 준비하고 있어요.", "tasteGraph.loadingDescription": "저장한 상품을 분석해 나만의 연결을 만드는 중입니다.", "tasteGraph.dataToggle": "그래프 데이터 선택", "tasteGraph.saved": "저장", "tasteGraph.closet": "옷장", "tasteGraph.backToSummary": "요약으로 돌아가기", "tasteGraph.summary": "요약으로",
+    "imageViewer.dialog": "{image} 확대 보기", "imageViewer.close": "확대 이미지 닫기", "imageViewer.previous": "이전 이미지", "imageViewer.next": "다음 이미지", "imageViewer.position": "{current} / {total}", "duplicateProduct.title": "이미 등록된 상품입니다.", "duplicateProduct.possibleTitle": "이미 등록된 상품일 수 있어요", "duplicateProduct.possibleDescription": "다른 쇼핑몰 링크로 같은 상품이 등록되어 있어요. 기존 상품을 쓰면 저장 기록과 사이즈 정보가 한곳에 모여요.", "duplicateProduct.useExisting": "이 상품 사용", "duplicateProduct.registerAnyway": "다른 상품이에요, 새로 등록", "duplicateProduct.sameImage": "같은 이미지", "duplicateProduct.similarImage": "비슷한 이미지", "duplicateProduct.linked": "기존 상품으로 저장했어요.", "common.confirm": "확인", "tasteGraph.loading": "취향 그래프를 준비하고 있어요.", "tasteGraph.loadingDescription": "저장한 상품을 분석해 나만의 연결을 만드는 중입니다.", "tasteGraph.dataToggle": "그래프 데이터 선택", "tasteGraph.saved": "저장", "tasteGraph.closet": "옷장", "tasteGraph.backToSummary": "요약으로 돌아가기", "tasteGraph.summary": "요약으로",
     "tasteGraph.empty.closet.title": "아직 옷장 상품이 없어요", "tasteGraph.empty.closet.description": "실제로 가진 상품을 옷장에 넣으면 보유 취향을 그려드릴게요.", "tasteGraph.empty.saved.title": "아직 저장한 상품이 없어요", "tasteGraph.empty.saved.description": "마음에 드는 상품을 저장하면 관심 취향을 그려드릴게요.", "tasteGraph.empty.title": "아직 취향을 읽을 상품이 없어요", "tasteGraph.empty.description": "상품을 저장하거나 옷장에 추가하면 취향의 중심을 보여드릴게요.", "tasteGraph.browse": "상품 둘러보기",
     "tasteReport.title": "나의 취향", "tasteReport.description": "저장한 상품과 옷장 {count}개를 바탕으로 정리했어요.", "tasteReport.comparison": "저장한 취향과 옷장 취향", "tasteReport.openGraph": "취향 그래프 보기", "tasteReport.savedProducts": "저장한 상품",
     "tasteReport.brandComposition": "{brand} 상품 구성", "tasteReport.totalCount": "총 {count}개", "tasteReport.savedShort": "저장 {count}", "tasteReport.closetShort": "옷장 {count}", "tasteReport.keyStyles": "{brand}의 주요 스타일", "tasteReport.basedOnCount": "{count}개 상품 기준", "tasteReport.emptySource": "스타일 태그가 있는 상품이 쌓이면 이 기록의 취향을 보여드릴게요.",
@@ -215,6 +229,8 @@ export const messages = {
     "tasteSwipe.viewRecommendations": "추천 {count}개 보기",
     "tasteSwipe.recommendations": "지금 취향으로 볼 만한 상품",
     "tasteSwipe.saving": "취향을 저장하는 중…",
+    "tasteSwipe.undoSession": "이번 스와이프 되돌리기",
+    "tasteSwipe.undoError": "되돌리지 못했어요. 잠시 후 다시 시도해 주세요.",
     "tasteSwipe.back": "디그매치",
     "tasteSwipe.title": "한 장씩, 빠르게 반응해 보세요.",
     "tasteSwipe.description": "오른쪽은 좋아요, 왼쪽은 이번엔 아니에요. 언제든 멈추고 현재 선택으로 추천을 볼 수 있어요.",
@@ -261,6 +277,7 @@ export const messages = {
     "digMatch.viewAll": "추천 전체 보기",
     "digMatch.details": "세부 취향 분석 보기",
     "digMatch.balanced": "균형 탐색",
+    "digMatch.axisConfidence": "이 축의 확신도 {percent}%",
     "digMatch.coreEmpty": "몇 번 더 고르면 중심 취향이 더 선명해집니다.",
     "digMatch.signatureEmpty": "반복된 선택이 쌓이면 나만의 특징이 나타납니다.",
     "digMatch.curiousEmpty": "아직 탐색 중인 방향입니다.",
@@ -430,6 +447,7 @@ export const messages = {
     "tasteGraph.loadError": "취향 그래프를 불러오지 못했어요",
     "tasteGraph.loadErrorDescription": "잠시 후 다시 시도해 주세요. 저장한 상품은 그대로 유지됩니다.",
     "tasteGraph.analysisLoadFailed": "취향 분석을 불러오지 못했습니다.",
+    "tasteGraph.timelineLoadFailed": "취향 타임라인을 불러오지 못했습니다.",
     "sizeDecision.sourceComparison": "내 옷과 비교",
     "sizeDecision.sourceTryOn": "매장 피팅",
     "sizeDecision.sourceWorn": "구매·착용",
@@ -466,6 +484,43 @@ export const messages = {
     "guestSaved.progressRemaining": "{count}개를 더 저장하면, 고른 상품의 공통 스타일을 보여드려요.",
     "guestSaved.goDigging": "디깅하러 가기",
     "guestSaved.tempSavedProductsAria": "임시 저장한 상품",
+    "product.unitLabel": "사이즈표 단위",
+    "product.sourceUnitInch": "인치 사이즈표를 cm로 변환했어요",
+    "body.title": "신체 치수",
+    "body.description": "한 번 입력하면 상품마다 사이즈별 핏을 예측해요",
+    "body.heightCm": "키 (cm)",
+    "body.weightKg": "몸무게 (kg)",
+    "body.chestCm": "가슴둘레 (cm)",
+    "body.waistCm": "허리둘레 (cm)",
+    "body.hipCm": "엉덩이둘레 (cm)",
+    "body.inseamCm": "다리 안쪽 길이 (cm)",
+    "body.rangeError": "{label}은 {min}~{max} 사이로 입력해 주세요.",
+    "body.emptyError": "치수를 하나 이상 입력해 주세요.",
+    "body.saved": "신체 치수를 저장했어요.",
+    "body.saveError": "신체 치수를 저장하지 못했어요.",
+    "fit.title": "내 몸 기준 핏 예측",
+    "fit.bestSize": "추천 {size}",
+    "fit.tight": "작음",
+    "fit.ok": "적당",
+    "fit.loose": "넉넉함",
+    "fit.easeHint": "옷 {garment} · 몸 {body} (단면 기준)",
+    "fit.addBodyPrompt": "신체 치수를 입력하면 사이즈별 핏을 예측해 드려요.",
+    "fit.addBody": "신체 치수 입력",
+    "fit.bestBadge": "추천",
+    "fitPreference.title": "내 핏 기록 기준 {size} 추천",
+    "fitPreference.measurement": "{label} {target}cm 선호",
+    "fitPreference.ease": "몸보다 {ease}cm",
+    "fitPreference.basedOn": "참고한 기록:",
+    "brandFit.runsSmall": "{brand} 작게 나와요",
+    "brandFit.runsLarge": "{brand} 크게 나와요",
+    "brandFit.trueToSize": "{brand} 정사이즈예요",
+    "brandFit.sizeUp": "평소보다 한 사이즈 크게 고르는 걸 추천해요",
+    "brandFit.sizeUpHalf": "평소 사이즈가 애매하면 한 치수 크게 고르세요",
+    "brandFit.sizeDown": "평소보다 한 사이즈 작게 고르는 걸 추천해요",
+    "brandFit.sizeDownHalf": "평소 사이즈가 애매하면 한 치수 작게 고르세요",
+    "brandFit.basedOn": "{count}명의 사이즈 기록 기준",
+    "sizeConversion.matched": "내 사이즈 {from}은 이 상품의 {to}예요",
+    "sizeConversion.equivalents": "다른 표기: {labels}",
   },
   en: {
     "time.justNow": "Just now",
@@ -494,10 +549,14 @@ export const messages = {
     "search.clear": "Clear search",
     "products.loadError": "We couldn't load product information.",
     "filter.all": "All",
+    "filter.priceAll": "Any price", "filter.price.sale": "On sale", "filter.price.under_50000": "Under ₩50k", "filter.price.50000_100000": "₩50k–100k", "filter.price.100000_200000": "₩100k–200k", "filter.price.over_200000": "₩200k+",
+    "price.soldOut": "Sold out", "price.preorder": "Pre-order", "price.discount": "{rate}% off", "price.listPrice": "Regular price {price}",
+    "priceAlert.priceDrop": "Price drop", "priceAlert.restock": "Back in stock", "priceAlert.title": "Price alerts", "priceAlert.description": "Price drops and restocks for products saved to DIGBOX", "priceAlert.previousPrice": "Was {price}", "priceAlert.dismiss": "Dismiss alert for {name}", "priceAlert.dismissFailed": "We couldn't dismiss the alert. Please try again.",
     "collection.saved": "saved products",
     "collection.closet": "closet products",
     "collection.noSearch": "No {collection} match “{query}”",
     "collection.noCategory": "No {collection} in {category}",
+    "collection.noPrice": "No {collection} in this price range",
     "collection.emptySaved": "No saved products yet",
     "collection.emptyCloset": "No products in your closet yet",
     "collection.adjustFilters": "Try another search or clear your search and filters.",
@@ -520,6 +579,9 @@ export const messages = {
     "size.noTable": "This product has no size chart",
     "size.noTableDescription": "Enter the size you own manually.",
     "size.owned": "Your size",
+    "size.soldOut": "Sold out",
+    "size.soldOutAria": "{size}, sold out",
+    "size.stockCheckedAt": "Stock as of {date}",
     "size.example": "e.g. M, 32, 260, Free",
     "size.saveSelected": "This size will be saved to your closet.",
     "size.manualDescription": "This is the size you entered manually.",
@@ -583,12 +645,17 @@ export const messages = {
     "product.visitOfficialSite": "Visit official website",
     "product.backToSaved": "Back to saved products",
     "product.noUrl": "No URL available",
+    "product.listings": "Sold at {count} stores",
+    "product.sizeTableSource": "Size chart source",
+    "product.color": "Color",
+    "product.colorOption": "Show in {name}",
+    "product.colorSaveFailed": "Couldn't save the color. Please try again.",
+    "product.imageCount": "{count} photos",
     "product.discoveredBy": "Discovered by:",
     "comparison.changeMyReferenceAria": "Change comparison item: {brand} {title}",
     "product.guestHint": "Save products you like with the button above to discover your taste.",
     "product.sizeSelection": "Select a size",
     "product.sizeHint": "Select a row to compare it with your size.",
-    "product.unit": "Unit: cm",
     "product.noMySize": "No My Size yet",
     "product.noMySizeHint": "Add an item you own to compare it right away.",
     "product.loginAndAdd": "Log in to add",
@@ -661,10 +728,12 @@ export const messages = {
     "addProduct.collectionAddFailed": "The product was added, but we couldn't save it to your collection.", "addProduct.submitFailed": "Failed to add product. {message}", "addProduct.submitFailedGeneric": "Submission failed.",
     "addProduct.bgRemoveFailed": "Background removal failed. Using the original image.", "addProduct.sizeTableExtractFailed": "Size table extraction failed.", "addProduct.imageFilesOnly": "Only image files can be uploaded.", "addProduct.urlRequired": "Please enter a product URL.", "addProduct.officialImageNotFound": "We couldn't find a product image on the official site. Please upload the brand image manually.", "addProduct.urlAutofillFailed": "We couldn't load information from the official site. Please fill in the empty fields yourself.", "addProduct.captureAutofillEmpty": "We couldn't find autofill data from the screenshot.", "addProduct.imageAnalysisFailed": "Image analysis failed.", "addProduct.screenshotCropOnly": "Only a screenshot crop was found. Upload the brand product image manually before saving.", "addProduct.officialImageNotFoundFromScreenshot": "Official product image was not found from the screenshot. Upload the brand image manually.",
     "sizeTable.title": "Size table", "sizeTable.uploadHelp": "Upload a size chart image to extract the table automatically.", "sizeTable.captureHelp": "Review the size table extracted from the screenshot.", "sizeTable.extracting": "Extracting size table...", "sizeTable.unverified": "A size chart image is available, but verified table extraction is not complete yet.", "sizeTable.warning": "This size table was extracted by AI. Compare it with the original image, edit any different values, then save.", "sizeTable.originalAria": "Enlarge original size table", "sizeTable.original": "Uploaded original size table", "sizeTable.viewLarge": "View large", "sizeTable.originalHint": "Original size table · click to enlarge", "sizeTable.editHint": "Click a cell to edit it.", "sizeTable.editingHint": "Enter to save · Esc to cancel", "sizeTable.unit": "Unit: cm", "sizeTable.editCell": "Edit {value}", "sizeTable.dialog": "Enlarged original size table", "sizeTable.extra": "Additional measurements", "sizeTable.reuploadCapture": "Upload screenshot again",
+    "sizeTable.candidates": "Extracted size table candidates", "sizeTable.candidatesHelp": "If the auto-picked table is wrong, choose another candidate.", "sizeTable.candidateScore": "Score {score}", "sizeTable.source.store_data": "Store data", "sizeTable.source.html_table": "Page table", "sizeTable.source.json_data": "Product data", "sizeTable.source.text_block": "Description", "sizeTable.source.page_text": "Page text", "sizeTable.source.gemini_image": "Size chart image",
     "onboarding.complete": "You're all set", "onboarding.redirecting": "Taking you back to where you left off.", "onboarding.finalStep": "Final step · Choose a username", "onboarding.title": "Choose a name that represents you", "onboarding.description": "This name identifies your saved items and activity.", "onboarding.submit": "Set username and get started", "onboarding.otherGoogle": "Continue with another Google account", "username.label": "Username", "username.hint": "3–20 characters: letters, numbers, underscores (_), and periods (.)", "username.suggestions": "Suggested usernames", "username.saving": "Saving…", "username.checking": "Checking availability.", "username.available": "This username is available.", "username.unavailable": "This username is already taken.", "username.checkError": "We couldn't check availability. Please try again.", "username.placeholder": "e.g. digbox_user",
     "grid.loading": "Loading products.", "grid.empty": "No products have been added.", "grid.noResults": "No products match your search criteria.", "grid.loadingMore": "Loading more products.",
+    "grid.sortLabel": "Sort", "grid.sort.latest": "Latest", "grid.sort.forYou": "For you",
     "guestTaste.preview": "Preview my taste", "guestTaste.selectedItems": "My picks {count}/{limit}", "guestTaste.close": "Close temporary saved items", "guestTaste.chooseThree": "Choose 3 items you like", "guestTaste.visible": "Your emerging taste is becoming visible", "guestTaste.collecting": "Collecting products you like", "guestTaste.chooseThreeHelp": "Tap the star on a product card to save items that interest you.", "guestTaste.visibleHelp": "We found a shared mood across your 3 selections. Sign up to keep this taste and your saved products, and receive more fitting recommendations.", "guestTaste.collectingHelp": "We are building a taste profile from your picks. When you have 3, we will show the shared mood.", "guestTaste.remove": "Remove {product} from temporary saved items", "guestTaste.saveWithSignup": "Sign up and keep my saved items", "guestTaste.continue": "Keep browsing", "guestTaste.itemTags": "Tags by item", "guestTaste.brandsFallback": "Brands you like · {brands}", "guestTaste.countFallback": "{count} items saved",
-    "imageViewer.dialog": "Enlarge {image}", "imageViewer.close": "Close enlarged image", "duplicateProduct.title": "This product has already been added.", "common.confirm": "Confirm", "tasteGraph.loading": "Preparing your taste graph.", "tasteGraph.loadingDescription": "Analyzing your saved products to map your connections.", "tasteGraph.dataToggle": "Choose graph data", "tasteGraph.saved": "Saved", "tasteGraph.closet": "Closet", "tasteGraph.backToSummary": "Back to summary", "tasteGraph.summary": "Summary",
+    "imageViewer.dialog": "Enlarge {image}", "imageViewer.close": "Close enlarged image", "imageViewer.previous": "Previous image", "imageViewer.next": "Next image", "imageViewer.position": "{current} / {total}", "duplicateProduct.title": "This product has already been added.", "duplicateProduct.possibleTitle": "This product may already be here", "duplicateProduct.possibleDescription": "The same item looks like it was added from another shop's link. Use the existing product to keep saves and size info in one place.", "duplicateProduct.useExisting": "Use this", "duplicateProduct.registerAnyway": "It's different, add as new", "duplicateProduct.sameImage": "Same image", "duplicateProduct.similarImage": "Similar image", "duplicateProduct.linked": "Saved the existing product.", "common.confirm": "Confirm", "tasteGraph.loading": "Preparing your taste graph.", "tasteGraph.loadingDescription": "Analyzing your saved products to map your connections.", "tasteGraph.dataToggle": "Choose graph data", "tasteGraph.saved": "Saved", "tasteGraph.closet": "Closet", "tasteGraph.backToSummary": "Back to summary", "tasteGraph.summary": "Summary",
     "tasteGraph.empty.closet.title": "Your Closet has no products yet", "tasteGraph.empty.closet.description": "Add products you own to your Closet to map your owned style.", "tasteGraph.empty.saved.title": "You have no saved products yet", "tasteGraph.empty.saved.description": "Save products you like to map your taste interests.", "tasteGraph.empty.title": "No products to read your taste from yet", "tasteGraph.empty.description": "Save products or add them to your Closet to see the center of your taste.", "tasteGraph.browse": "Browse products",
     "tasteReport.title": "My taste", "tasteReport.description": "A summary based on your {count} saved and Closet products.", "tasteReport.comparison": "Saved taste and Closet taste", "tasteReport.openGraph": "View taste graph", "tasteReport.savedProducts": "Saved products",
     "tasteReport.brandComposition": "{brand} product mix", "tasteReport.totalCount": "{count} total", "tasteReport.savedShort": "Saved {count}", "tasteReport.closetShort": "Closet {count}", "tasteReport.keyStyles": "Key styles for {brand}", "tasteReport.basedOnCount": "Based on {count} products", "tasteReport.emptySource": "Once products with style tags build up, we'll show your taste here.",
@@ -681,6 +750,8 @@ export const messages = {
     "tasteSwipe.viewRecommendations": "View {count} recommendations",
     "tasteSwipe.recommendations": "Products to explore for your current taste",
     "tasteSwipe.saving": "Saving your taste…",
+    "tasteSwipe.undoSession": "Undo this swipe session",
+    "tasteSwipe.undoError": "Couldn't undo it. Please try again in a moment.",
     "tasteSwipe.back": "Dig Match",
     "tasteSwipe.title": "React quickly, one card at a time.",
     "tasteSwipe.description": "Swipe right for like and left for pass. Stop anytime to see recommendations based on your choices.",
@@ -727,6 +798,7 @@ export const messages = {
     "digMatch.viewAll": "View all recommendations",
     "digMatch.details": "View detailed taste analysis",
     "digMatch.balanced": "Balanced exploration",
+    "digMatch.axisConfidence": "Confidence on this axis: {percent}%",
     "digMatch.coreEmpty": "A few more choices will make your core taste clearer.",
     "digMatch.signatureEmpty": "Your signature will emerge as repeated choices build up.",
     "digMatch.curiousEmpty": "This direction is still being explored.",
@@ -896,6 +968,7 @@ export const messages = {
     "tasteGraph.loadError": "We couldn't load your taste graph",
     "tasteGraph.loadErrorDescription": "Please try again in a moment. Your saved products are unaffected.",
     "tasteGraph.analysisLoadFailed": "We couldn't load your taste analysis.",
+    "tasteGraph.timelineLoadFailed": "We couldn't load your taste timeline.",
     "sizeDecision.sourceComparison": "Compared to my items",
     "sizeDecision.sourceTryOn": "Tried on in-store",
     "sizeDecision.sourceWorn": "Bought & worn",
@@ -932,6 +1005,43 @@ export const messages = {
     "guestSaved.progressRemaining": "Save {count} more to see the common style across your picks.",
     "guestSaved.goDigging": "Go digging",
     "guestSaved.tempSavedProductsAria": "Temporarily saved products",
+    "product.unitLabel": "Size chart unit",
+    "product.sourceUnitInch": "Converted from an inch size chart",
+    "body.title": "Body measurements",
+    "body.description": "Enter once to get a fit prediction for every size",
+    "body.heightCm": "Height (cm)",
+    "body.weightKg": "Weight (kg)",
+    "body.chestCm": "Chest (cm)",
+    "body.waistCm": "Waist (cm)",
+    "body.hipCm": "Hip (cm)",
+    "body.inseamCm": "Inseam (cm)",
+    "body.rangeError": "{label} must be between {min} and {max}.",
+    "body.emptyError": "Enter at least one measurement.",
+    "body.saved": "Body measurements saved.",
+    "body.saveError": "We couldn't save your body measurements.",
+    "fit.title": "Fit for your body",
+    "fit.bestSize": "Best fit {size}",
+    "fit.tight": "Tight",
+    "fit.ok": "Good",
+    "fit.loose": "Loose",
+    "fit.easeHint": "Garment {garment} · body {body} (flat)",
+    "fit.addBodyPrompt": "Add your body measurements to predict the fit of each size.",
+    "fit.addBody": "Add measurements",
+    "fit.bestBadge": "Best",
+    "fitPreference.title": "{size} suggested from your fit history",
+    "fitPreference.measurement": "Prefers {label} {target}cm",
+    "fitPreference.ease": "{ease}cm over body",
+    "fitPreference.basedOn": "Based on:",
+    "brandFit.runsSmall": "{brand} runs small",
+    "brandFit.runsLarge": "{brand} runs large",
+    "brandFit.trueToSize": "{brand} fits true to size",
+    "brandFit.sizeUp": "Consider one size up from your usual",
+    "brandFit.sizeUpHalf": "Between sizes? Go one size up",
+    "brandFit.sizeDown": "Consider one size down from your usual",
+    "brandFit.sizeDownHalf": "Between sizes? Go one size down",
+    "brandFit.basedOn": "Based on size decisions from {count} people",
+    "sizeConversion.matched": "Your {from} is {to} here",
+    "sizeConversion.equivalents": "Also: {labels}",
   },
 } as const;
 
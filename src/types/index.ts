@@ -1,12 +1,108 @@
+export type SizeTableUnit = 'cm' | 'in';
+export type MeasurementBasis = 'flat' | 'circumference';
+/** Basis per canonical measurement label (가슴, 허리, ...). */
+export type MeasurementBasisMap = Partial<Record<string, MeasurementBasis>>;
+
+/** Size-label systems understood by utils/sizeConversion. */
+export type SizeSystem = "alpha" | "kr" | "mm" | "us" | "us_women" | "uk" | "eu" | "jp" | "waist_in" | "waist_cm";
+
 export interface SizeTable {
   headers: string[];
   rows: string[][];
+  /** Unit of the stored values. Normalized tables are always in centimeters. */
+  unit?: SizeTableUnit;
+  /** Unit the store published the chart in, kept so it can be shown on request. */
+  sourceUnit?: SizeTableUnit;
+  /** Whether 가슴/허리/... columns are flat half-widths or full circumferences. */
+  measurementBasis?: MeasurementBasisMap;
+  /** System the size column is written in, when it is unambiguous (e.g. EU-only shoe charts). */
+  sizeSystem?: SizeSystem;
   extra?: {
     headers: string[];
     rows: string[][];
   } | null;
 }
 
+export type SizeTableFindingCode =
+  | 'duplicate_size_row'
+  | 'impossible_value'
+  | 'non_monotonic'
+  | 'swapped_columns'
+  | 'option_label_mismatch';
+
+export interface SizeTableFinding {
+  code: SizeTableFindingCode;
+  severity: 'warning' | 'error';
+  /** Canonical measurement labels involved, e.g. both columns of a swapped pair. */
+  labels: string[];
+  /** Size labels involved; for option mismatches, the options missing from the table. */
+  sizes: string[];
+  /** Flagged cells, addressed by size label and canonical column label (사이즈 for the size column). */
+  cells: Array<{ size: string; label: string }>;
+}
+
+/** Stored in products.size_table_validation by server/services/size-table/report.js. */
+export interface SizeTableValidationReport {
+  status: 'ok' | 'warning' | 'error';
+  findings: SizeTableFinding[];
+  /** Size options scraped from the product page, kept so re-validation can compare against them. */
+  optionSizeLabels: string[];
+}
+
+/** Where an extracted size table came from: a store adapter, a page parser, or Gemini reading an uploaded chart image. */
+export type SizeTableSource = 'store_data' | 'html_table' | 'json_data' | 'text_block' | 'page_text' | 'gemini_image';
+
+export interface SizeTableCandidate {
+  source: SizeTableSource;
+  /** Page-level extraction score; null for chart images. */
+  score: number | null;
+  /** Raw excerpt of the source the table was parsed from. */
+  snippet: string;
+  table: SizeTable;
+}
+
+/** Stored in products.size_table_provenance; size_table was taken from candidates[selectedIndex]. */
+export interface SizeTableProvenance {
+  selectedIndex: number;
+  candidates: SizeTableCandidate[];
+}
+
+export type ProductAvailability = 'in_stock' | 'preorder' | 'out_of_stock';
+
+/** Price read from the store page. Amounts are in `currency` units; salePrice is only set below listPrice. */
+export interface ProductPrice {
+  listPrice: number | null;
+  salePrice: number | null;
+  currency: string | null;
+  availability: ProductAvailability | null;
+}
+
+export type SizeAvailabilityStatus = 'in_stock' | 'out_of_stock';
+
+/** Stored in products.size_availability; read from the store's size options at `checkedAt`. */
+export interface SizeAvailability {
+  checkedAt: string | null;
+  sizes: Array<{ label: string; availability: SizeAvailabilityStatus }>;
+}
+
+/** One entry of products.color_variants. `swatch` is a hex color or a swatch image URL. */
+export interface ProductColorVariant {
+  name: string;
+  swatch: string | null;
+  images: string[];
+  url: string | null;
+}
+
+/** A shop page selling a canonical product, from product_listings. */
+export interface ProductListing {
+  url: string;
+  /** Hostname without `www.`, e.g. `musinsa.com`. */
+  storeName: string;
+  price: ProductPrice | null;
+  /** The canonical product's size table was taken from this page. */
+  isSizeTableSource: boolean;
+}
+
 export interface Product {
   id: string;
   brand: string;
@@ -19,9 +115,18 @@ export interface Product {
   image: string;
   thumbnailImage?: string;
   imagePath?: string | null;
+  /** Public URLs of the ranked images stored beside the hero `image`. */
+  imageGallery?: string[];
   slug?: string | null;
   sizeTable?: SizeTable | null;
   normalizedSizeTable?: SizeTable | null;
+  sizeTableValidation?: SizeTableValidationReport | null;
+  sizeTableProvenance?: SizeTableProvenance | null;
+  price?: ProductPrice | null;
+  sizeAvailability?: SizeAvailability | null;
+  colorVariants?: ProductColorVariant[] | null;
+  /** Every shop page of a merged product; empty unless duplicates were merged into it. */
+  listings?: ProductListing[];
   createdAt?: string;
   /** When this product was saved to a user's collection, distinct from catalog registration time. */
   collectionAddedAt?: string | null;
@@ -31,7 +136,11 @@ export interface Product {
   closetSelectedSizeLabel?: string | null;
   closetSelectedSizeRowIndex?: number | null;
   closetSelectedSizeSnapshot?: ClosetSizeSnapshot | null;
+  /** Name of the color variant the user picked, on Closet and DIGBOX items respectively. */
+  closetSelectedColor?: string | null;
+  digboxSelectedColor?: string | null;
   digboxSizeDecision?: DigboxSizeDecision | null;
+  digboxPriceAlert?: DigboxPriceAlert | null;
   styleTags?: StyleTags | null;
   styleAttributes?: StyleAttributes | null;
   styleTagsEvidence?: StyleTagsEvidence | null;
@@ -69,14 +178,19 @@ export type ProductCardData = Pick<
   | 'isInstagram'
   | 'instagramOrder'
   | 'targetGender'
+  | 'price'
 >;
 
 export type ProductDetailData = Pick<
   Product,
   | keyof ProductCardData
   | 'imagePath'
+  | 'imageGallery'
   | 'sizeTable'
   | 'normalizedSizeTable'
+  | 'sizeAvailability'
+  | 'colorVariants'
+  | 'listings'
   | 'registeredBy'
   | 'styleTags'
   | 'styleAttributes'
@@ -91,6 +205,8 @@ export interface CatalogPage {
   nextOffset: number | null;
 }
 
+export type GridSort = 'latest' | 'forYou';
+
 export interface AuthInitialState {
   user: { id: string; email?: string } | null;
   username: string | null;
@@ -130,6 +246,14 @@ export type StyleTagsEvidence = Partial<Record<StyleTagName, string[]>> & {
 };
 export type TagReviewStatus = 'needs_review' | 'approved' | 'edited' | 'rejected';
 
+/** Admin request folding duplicate products into one canonical product. */
+export interface ProductMergeInput {
+  canonicalId: string;
+  duplicateIds: string[];
+  /** Product whose size table the merged product keeps; the canonical one when omitted. */
+  sizeTableProductId?: string | null;
+}
+
 export interface ProductStyleReviewInput {
   tagReviewStatus?: TagReviewStatus;
   humanStyleTags?: StyleTags | null;
@@ -144,6 +268,7 @@ export interface ProductStyleReviewInput {
 export interface ClosetSizeSnapshot {
   headers: string[];
   row: string[];
+  measurementBasis?: MeasurementBasisMap;
 }
 
 export type MySizeSnapshot = ClosetSizeSnapshot;
@@ -173,6 +298,37 @@ export interface MySizeInput {
 
 export type MySizeUpdateInput = Partial<MySizeInput>;
 
+export type BodyMeasurementKey = 'heightCm' | 'weightKg' | 'chestCm' | 'waistCm' | 'hipCm' | 'inseamCm';
+
+/** The user's own body, entered once. Girths are full circumferences in cm. */
+export type BodyMeasurements = Record<BodyMeasurementKey, number | null> & {
+  updatedAt?: string | null;
+};
+
+export type BodyMeasurementsInput = Partial<Record<BodyMeasurementKey, number | null>>;
+
+export type FitVerdict = 'tight' | 'ok' | 'loose';
+
+export interface MeasurementFitPrediction {
+  /** Canonical garment label (가슴, 허리, 엉덩이, 인심). */
+  label: string;
+  bodyKey: BodyMeasurementKey;
+  /** Garment value on the same basis as bodyValue (flat for girths). */
+  garmentValue: number;
+  bodyValue: number;
+  ease: number;
+  verdict: FitVerdict;
+}
+
+export interface SizeRowFitPrediction {
+  rowIndex: number;
+  sizeLabel: string;
+  verdict: FitVerdict;
+  measurements: MeasurementFitPrediction[];
+  /** How far the row falls outside the ease allowances; 0 means every measurement fits. */
+  misfit: number;
+}
+
 export interface ClosetSizeSelection {
   label: string | null;
   rowIndex: number | null;
@@ -194,6 +350,67 @@ export interface DigboxSizeDecision {
 
 export type DigboxSizeDecisionInput = Omit<DigboxSizeDecision, "updatedAt">;
 
+export type DigboxPriceAlertKind = "price_drop" | "restock";
+
+/** Set by the price tracking cron on a saved item until the owner dismisses it. */
+export interface DigboxPriceAlert {
+  kind: DigboxPriceAlertKind;
+  /** Effective price before the change, in the product's price currency. */
+  previousPrice: number | null;
+  at: string | null;
+}
+
+/** A tried or worn Digbox decision that fed the user's fit preference. */
+export interface FitPreferenceItem {
+  productId: string;
+  brand: string;
+  name: string;
+  sizeLabel: string | null;
+  fit: SizeDecisionFit;
+  sources: SizeDecisionSource[];
+}
+
+export interface FitPreferenceMeasurement {
+  label: string;
+  /** Preferred garment value (cm, flat for girths) after correcting for the recorded fit. */
+  target: number;
+  weight: number;
+  /** target minus the matching body measurement, when body measurements exist. */
+  preferredEase: number | null;
+}
+
+export interface CategoryFitPreference {
+  category: string;
+  measurements: Record<string, FitPreferenceMeasurement>;
+  items: FitPreferenceItem[];
+}
+
+export type FitPreferenceModel = Record<string, CategoryFitPreference>;
+
+export interface FitPreferenceSuggestion {
+  rowIndex: number;
+  sizeLabel: string;
+  measurements: Array<FitPreferenceMeasurement & { rowValue: number }>;
+  items: FitPreferenceItem[];
+}
+
+export type BrandSizeFitBias = "runs_small" | "true_to_size" | "runs_large";
+
+/** Aggregated size-decision verdicts for a canonical brand, optionally narrowed to a sub category. */
+export interface BrandSizeFit {
+  brand: string;
+  subCategory: string | null;
+  tightCount: number;
+  trueToSizeCount: number;
+  roomyCount: number;
+  userCount: number;
+  /** (roomy - tight) / total, from -1 (everyone found it tight) to 1. */
+  score: number;
+  bias: BrandSizeFitBias;
+  /** Suggested size steps relative to the usual size; positive means size up. */
+  sizeShift: number;
+}
+
 export interface ProductRow {
   id: string | number;
   brand: string;
@@ -205,9 +422,18 @@ export interface ProductRow {
   url?: string | null;
   size_table?: unknown;
   normalized_size_table?: unknown;
+  size_table_validation?: SizeTableValidationReport | null;
+  size_table_provenance?: SizeTableProvenance | null;
+  list_price?: number | string | null;
+  sale_price?: number | string | null;
+  price_currency?: string | null;
+  availability?: ProductAvailability | null;
+  size_availability?: unknown;
+  color_variants?: unknown;
   created_at?: string | null;
   collection_added_at?: string | null;
   image_path?: string | null;
+  image_gallery?: string[] | null;
   slug?: string | null;
   is_instagram?: boolean | null;
   instagram_order?: number | null;
@@ -241,7 +467,33 @@ export interface SubmitProductForm {
   normalizedSizeTable?: SizeTable | null;
   productPhoto?: File | null;
   productImageUrl?: string | null;
+  /** Ranked image candidates from the URL autofill; the server keeps the top ones as the gallery. */
+  productImageCandidates?: string[];
   productMetadata?: ProductTaggingMetadata | null;
+  /** Size options scraped from the product page, checked against the size table on save. */
+  sizeOptionLabels?: string[];
+  sizeTableProvenance?: SizeTableProvenance | null;
+  price?: ProductPrice | null;
+  sizeAvailability?: SizeAvailability | null;
+  colorVariants?: ProductColorVariant[] | null;
+  /** Set once the user has seen the likely duplicates and still wants a new product. */
+  confirmNewProduct?: boolean;
+}
+
+/** A catalog product that likely shows the same item as the one being registered. */
+export interface DuplicateProductCandidate {
+  product: ProductCardData;
+  /** Hamming distance between the 64-bit image hashes; null when only the embedding matched. */
+  phashDistance: number | null;
+  visualSimilarity: number | null;
+}
+
+/** `product` is null when registration stopped on likely duplicates. */
+export interface SubmitProductResult {
+  product: Product | null;
+  duplicateCandidates: DuplicateProductCandidate[];
+  /** The stored or external image path that was submitted, reused when the user confirms. */
+  imagePath: string;
 }
 
 export interface AddProductFormData {
@@ -252,6 +504,9 @@ export interface AddProductFormData {
   sizeChartImage: string | null;
   extractedTable: SizeTable | null;
   rawExtractedTable: SizeTable | null;
+  sizeTableCandidates: SizeTableCandidate[];
+  /** Index into sizeTableCandidates the extracted table was taken from. */
+  selectedSizeTableCandidate: number | null;
 }
 
 export interface ProductMetadataPayload {
@@ -261,7 +516,12 @@ export interface ProductMetadataPayload {
   image_path?: string;
   productImageCandidates?: string[];
   productMetadata?: ProductTaggingMetadata | null;
+  sizeOptionLabels?: string[];
+  sizeTableCandidates?: SizeTableCandidate[];
   sizeTable?: unknown;
+  price?: ProductPrice | null;
+  sizeAvailability?: SizeAvailability | null;
+  colorVariants?: ProductColorVariant[] | null;
 }
 
 export interface ProductTaggingMetadata {
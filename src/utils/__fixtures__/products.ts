@@ -0,0 +1,15 @@
+import type { Product, StyleTags } from "../../types";
+
+type ProductFields = Omit<Partial<Product>, "styleTags"> & { styleTags?: Partial<StyleTags> };
+
+/** A catalog product for unit tests; pass only the fields the test reads. */
+export const makeProduct = (id: string, fields: ProductFields = {}): Product =>
+  ({
+    id,
+    brand: `Brand ${id}`,
+    name: `Item ${id}`,
+    category: "Top",
+    url: "",
+    image: "",
+    ...fields,
+  }) as Product;
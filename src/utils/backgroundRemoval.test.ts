@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { removeImageBackground, removeProductImageBackgroundById } from "../../server/services/background-removal.js";
+
+type WorkerResult = { ok: boolean; skipped?: boolean; status?: number; reason?: string; data?: Record<string, unknown> };
+
+const worker = vi.hoisted(() => ({
+  autoRemoveBackground: true,
+  result: { ok: true } as WorkerResult,
+  calls: [] as Array<{ path: string; body: unknown }>,
+  removedImages: [] as unknown[],
+}));
+
+vi.mock("../../server/config/env.js", async (importOriginal) => ({
+  ...(await importOriginal<Record<string, unknown>>()),
+  get PRODUCT_IMAGE_AUTO_REMOVE_BACKGROUND() {
+    return worker.autoRemoveBackground;
+  },
+}));
+
+vi.mock("../../server/services/image-worker.js", () => ({
+  callImageWorker: async (path: string, body: unknown) => {
+    worker.calls.push({ path, body });
+    return worker.result;
+  },
+}));
+
+vi.mock("../../server/utils/product.js", () => ({
+  removeOldProductImageIfUnused: async (input: unknown) => {
+    worker.removedImages.push(input);
+  },
+}));
+
+const respondWith = (result: WorkerResult) => {
+  worker.result = result;
+};
+
+beforeEach(() => {
+  worker.autoRemoveBackground = true;
+  worker.calls = [];
+  worker.removedImages = [];
+});
+
+describe("background removal", () => {
+  it("returns the worker cutout as a PNG with its crop box", async () => {
+    const crop = { left: 4, top: 2, width: 90, height: 120 };
+    respondWith({ ok: true, data: { imageBase64: "iVBORw0", crop } });
+
+    expect(await removeImageBackground("iVBO\nRw0=")).toEqual({ imageBase64: "iVBORw0", mimeType: "image/png", crop });
+    expect(worker.calls).toEqual([{ path: "/v1/background-removals", body: { imageBase64: "iVBORw0=" } }]);
+  });
+
+  it("answers 503 when no worker is configured", async () => {
+    respondWith({ ok: false, skipped: true, reason: "worker_not_configured" });
+
+    await expect(removeImageBackground("abc")).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it("passes a worker 422 through and maps other failures to 502", async () => {
+    respondWith({ ok: false, status: 422, reason: "no foreground found in image" });
+    await expect(removeImageBackground("abc")).rejects.toMatchObject({ statusCode: 422 });
+    respondWith({ ok: false, status: 500, reason: "worker_http_500" });
+    await expect(removeImageBackground("abc")).rejects.toMatchObject({ statusCode: 502 });
+    respondWith({ ok: true, data: {} });
+    await expect(removeImageBackground("abc")).rejects.toMatchObject({ statusCode: 502 });
+  });
+});
+
+describe("product image background removal", () => {
+  it("skips products when auto-apply is disabled", async () => {
+    worker.autoRemoveBackground = false;
+    respondWith({ ok: true });
+
+    expect(await removeProductImageBackgroundById("12")).toEqual({
+      ok: false,
+      skipped: true,
+      reason: "auto_remove_background_disabled",
+    });
+    expect(worker.calls).toEqual([]);
+  });
+
+  it("removes the replaced upload once the cutout is stored", async () => {
+    const result = {
+      ok: true,
+      data: { status: "removed", imagePath: "submissions/cutouts/a.png", previousImagePath: "submissions/imported/a.jpg" },
+    };
+    respondWith(result);
+
+    expect(await removeProductImageBackgroundById(" 12 ")).toBe(result);
+    expect(worker.calls).toEqual([{ path: "/v1/product-image-background-removals", body: { productId: "12" } }]);
+    expect(worker.removedImages).toEqual([{ oldPath: "submissions/imported/a.jpg", updatedProductId: "12" }]);
+  });
+
+  it("keeps the image when the worker skipped or failed", async () => {
+    respondWith({ ok: true, data: { status: "skipped" } });
+    await removeProductImageBackgroundById("12");
+    respondWith({ ok: false, status: 422, reason: "missing_image_path" });
+    expect(await removeProductImageBackgroundById("12")).toMatchObject({ ok: false, status: 422 });
+    expect(worker.removedImages).toEqual([]);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { aggregateBrandSizeFit, classifyBrandSizeFit } from "../../server/utils/brand-size-fit.js";
+
+const decision = (userId: string, fit: string, subCategory: string | null = null, brand = "Acme") => ({
+  userId,
+  brand,
+  subCategory,
+  fit,
+});
+
+describe("brand size fit aggregation", () => {
+  it("turns verdict balance into a bias and size shift", () => {
+    expect(classifyBrandSizeFit({ tight: 4, trueToSize: 1, roomy: 0 })).toEqual({ score: -0.8, bias: "runs_small", sizeShift: 1 });
+    expect(classifyBrandSizeFit({ tight: 0, trueToSize: 2, roomy: 1 })).toEqual({ score: 0.333, bias: "runs_large", sizeShift: -0.5 });
+    expect(classifyBrandSizeFit({ tight: 1, trueToSize: 3, roomy: 1 })).toMatchObject({ bias: "true_to_size", sizeShift: 0 });
+  });
+
+  it("requires enough distinct users per brand and sub category", () => {
+    const stats = aggregateBrandSizeFit([
+      decision("a", "tight", "tshirt"),
+      decision("a", "tight", "tshirt"),
+      decision("b", "tight", "tshirt"),
+      decision("c", "true_to_size", "shirt"),
+      decision("d", "roomy", null, "Other"),
+      decision("e", "unknown", "tshirt"),
+    ]);
+
+    expect(stats).toEqual([
+      expect.objectContaining({ brand: "Acme", subCategory: "", tightCount: 3, trueToSizeCount: 1, userCount: 3, bias: "runs_small" }),
+    ]);
+    expect(aggregateBrandSizeFit([decision("a", "tight", "tshirt"), decision("b", "tight", "tshirt")], { minUsers: 2 })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { extractColorVariantsFromHtml, extractProductJsonLd } from "../../server/services/product-metadata/html.js";
+import { normalizeProductColorVariants } from "../../server/services/product-metadata/variants.js";
+import { resolveSelectedProductColor } from "../../server/services/user-collections";
+import { findColorVariant, normalizeColorVariants } from "./colorVariants";
+
+describe("color variant extraction", () => {
+  it("groups JSON-LD ProductGroup variants by color", () => {
+    const html = `<script type="application/ld+json">${JSON.stringify({
+      "@type": "ProductGroup",
+      name: "Canvas Sneaker",
+      hasVariant: [
+        { "@type": "Product", name: "Canvas Sneaker", color: "Black", image: "https://shop.test/black-1.jpg", url: "https://shop.test/p?color=black", offers: { price: 89 } },
+        { "@type": "Product", name: "Canvas Sneaker", color: "Black", image: ["https://shop.test/black-2.jpg"] },
+        { "@type": "Product", name: "Canvas Sneaker", color: "Ecru", image: { url: "https://shop.test/ecru-1.jpg" } },
+      ],
+    })}</script>`;
+
+    expect(extractProductJsonLd(html)?.colorVariants).toEqual([
+      { name: "Black", swatch: null, images: ["https://shop.test/black-1.jpg", "https://shop.test/black-2.jpg"], url: "https://shop.test/p?color=black" },
+      { name: "Ecru", swatch: null, images: ["https://shop.test/ecru-1.jpg"], url: null },
+    ]);
+  });
+
+  it("reads swatch markup with hex data-color values and relative links", () => {
+    const html = `
+      <ul class="color-list">
+        <li><a href="/products/tee?color=navy" class="swatch" data-color="#1F2A44" title="Navy" data-image="//cdn.shop.test/navy.jpg"></a></li>
+        <li><a href="#" class="swatch" title="Oatmeal" style="background-image: url('/swatches/oatmeal.png')"></a></li>
+      </ul>`;
+
+    expect(extractColorVariantsFromHtml(html, "https://shop.test/products/tee")).toEqual([
+      { name: "Navy", swatch: "#1f2a44", images: ["https://cdn.shop.test/navy.jpg"], url: "https://shop.test/products/tee?color=navy" },
+      { name: "Oatmeal", swatch: "https://shop.test/swatches/oatmeal.png", images: [], url: null },
+    ]);
+    expect(extractColorVariantsFromHtml('<select name="size"><option>Black</option><option>White</option></select>')).toBeNull();
+  });
+
+  it("drops CSS color keywords as swatches and caps variant count", () => {
+    const variants = normalizeProductColorVariants(
+      Array.from({ length: 20 }, (_, index) => ({ name: `Color ${index}`, swatch: "navy" })),
+    );
+    expect(variants).toHaveLength(12);
+    expect(variants?.[0].swatch).toBeNull();
+  });
+});
+
+describe("stored color variants", () => {
+  it("matches a saved color name case-insensitively", () => {
+    const variants = normalizeColorVariants([
+      { name: "화이트", swatch: "#f4f1ea", images: ["https://static.test/white.jpg", "javascript:alert(1)"], url: null },
+      { name: "Blue", swatch: "blue", images: [] },
+      { name: "" },
+    ]);
+
+    expect(variants).toEqual([
+      { name: "화이트", swatch: "#f4f1ea", images: ["https://static.test/white.jpg"], url: null },
+      { name: "Blue", swatch: null, images: [], url: null },
+    ]);
+    expect(findColorVariant(variants, "blue")?.name).toBe("Blue");
+    expect(findColorVariant(variants, null)).toBeNull();
+  });
+
+  it("clears an empty color and rejects a malformed product id with a 400", async () => {
+    expect(await resolveSelectedProductColor("not-a-number", "")).toBeNull();
+    await expect(resolveSelectedProductColor("not-a-number", "Blue")).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,31 @@
+import type { ProductColorVariant } from '../types';
+
+const isHttpUrl = (value: string) => /^https?:\/\//i.test(value);
+
+/** Reads products.color_variants, dropping unnamed entries and non-http images. */
+export const normalizeColorVariants = (value: unknown): ProductColorVariant[] | null => {
+  if (!Array.isArray(value)) return null;
+  const variants = value.flatMap((item) => {
+    const name = String(item?.name ?? '').trim();
+    if (!name) return [];
+    const swatch = String(item?.swatch ?? '').trim();
+    const url = String(item?.url ?? '').trim();
+    return [{
+      name,
+      swatch: /^#[0-9a-f]{3,6}$/i.test(swatch) || isHttpUrl(swatch) ? swatch : null,
+      images: (Array.isArray(item?.images) ? item.images : []).map((image: unknown) => String(image ?? '').trim()).filter(isHttpUrl),
+      url: isHttpUrl(url) ? url : null,
+    }];
+  });
+  return variants.length > 0 ? variants : null;
+};
+
+/** The variant a saved color name refers to; names are matched case-insensitively. */
+export const findColorVariant = (
+  variants: ProductColorVariant[] | null | undefined,
+  name: string | null | undefined,
+): ProductColorVariant | null => {
+  const target = String(name ?? '').trim().toLowerCase();
+  if (!target || !variants) return null;
+  return variants.find((variant) => variant.name.toLowerCase() === target) ?? null;
+};
@@ -0,0 +1,215 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildDigMatchFollowUpQuestions,
+  buildTasteSwipeDeck,
+  calculateDigMatchProfile,
+  calculateTasteSwipeProfile,
+  DIG_MATCH_AXES,
+  getDigMatchAttributeHighlights,
+  getDigMatchAxisPosteriors,
+  getDigMatchInterpretation,
+  isDigMatchConfident,
+  parseDigMatchProfile,
+  replayTasteHistory,
+  replayTasteSwipeEvents,
+  TASTE_SWIPE_HALF_LIFE_DAYS,
+  type DigMatchAnswer,
+  type DigMatchAxis,
+  type DigMatchChoice,
+  type DigMatchQuestion,
+  type TasteSwipeAction,
+  type TasteSwipeReplayEvent,
+} from "./digMatch";
+import type { Product, StyleTagName } from "../types";
+import { makeProduct } from "./__fixtures__/products";
+
+const taggedProduct = (id: string, tags: StyleTagName[], category = "Top"): Product =>
+  makeProduct(id, { category, image: `https://example.com/${id}.jpg`, styleTags: Object.fromEntries(tags.map((tag) => [tag, 1])) });
+
+const makeQuestion = (axis: DigMatchAxis, index: number): DigMatchQuestion => ({
+  id: `q-${axis.id}-${index}`,
+  axisId: axis.id,
+  axisTitle: axis.title,
+  left: taggedProduct(`${axis.id}-pos-${index}`, axis.positiveTags),
+  right: taggedProduct(`${axis.id}-neg-${index}`, axis.negativeTags),
+});
+
+const answer = (question: DigMatchQuestion, choice: DigMatchChoice): DigMatchAnswer => ({
+  questionId: question.id,
+  axisId: question.axisId,
+  choice,
+  leftProductId: question.left.id,
+  rightProductId: question.right.id,
+});
+
+const posteriorFor = (axisId: string, questions: DigMatchQuestion[], answers: DigMatchAnswer[]) =>
+  getDigMatchAxisPosteriors(questions, answers).find((posterior) => posterior.axisId === axisId)!;
+
+describe("dig match axis posteriors", () => {
+  it("leans toward the picked side and narrows with consistent answers", () => {
+    const axis = DIG_MATCH_AXES[0];
+    const questions = [makeQuestion(axis, 0), makeQuestion(axis, 1), makeQuestion(axis, 2)];
+    const one = posteriorFor(axis.id, questions, [answer(questions[0], "left")]);
+    const three = posteriorFor(axis.id, questions, questions.map((question) => answer(question, "left")));
+
+    expect(one.mean).toBeGreaterThan(0);
+    expect(one.variance).toBeLessThan(1);
+    expect(three.mean).toBeGreaterThan(one.mean);
+    expect(three.variance).toBeLessThan(one.variance);
+    expect(posteriorFor(axis.id, questions, [answer(questions[0], "right")]).mean).toBeLessThan(0);
+    expect(posteriorFor(axis.id, questions, [answer(questions[0], "skip")])).toEqual({ axisId: axis.id, mean: 0, variance: 1 });
+  });
+
+  it("reports a 95% interval and names a side once the posterior settles on it", () => {
+    const axis = DIG_MATCH_AXES[1];
+    const questions = [0, 1, 2, 3].map((index) => makeQuestion(axis, index));
+    const answers = questions.map((question) => answer(question, "left"));
+    const profile = calculateDigMatchProfile(null, questions, answers);
+    const reported = getDigMatchInterpretation(profile, questions, answers).axes.find((item) => item.axis.id === axis.id)!;
+
+    expect(reported.interval.low).toBeGreaterThan(0);
+    expect(reported.interval.high).toBeGreaterThan(reported.mean);
+    expect(reported.side).toBe("positive");
+    expect(reported.label).toBe(axis.positiveLabel);
+    expect(reported.confidence).toBeGreaterThan(0.3);
+
+    const undecided = getDigMatchInterpretation(profile, questions, [answer(questions[0], "both")]).axes.find((item) => item.axis.id === axis.id)!;
+    expect(undecided.interval.low).toBeLessThan(0);
+    expect(undecided.side).toBeNull();
+    expect(undecided.label).toBe("양쪽 무드를 함께 탐색 중");
+  });
+});
+
+describe("dig match follow-up questions", () => {
+  const catalog = DIG_MATCH_AXES.flatMap((axis) =>
+    [0, 1].flatMap((index) => [
+      taggedProduct(`pool-${axis.id}-pos-${index}`, axis.positiveTags),
+      taggedProduct(`pool-${axis.id}-neg-${index}`, axis.negativeTags),
+    ])
+  );
+
+  it("asks about the least certain axis next", () => {
+    const [open, ...settled] = DIG_MATCH_AXES;
+    const questions = settled.flatMap((axis) => [0, 1, 2, 3, 4, 5].map((index) => makeQuestion(axis, index)));
+    const answers = questions.map((question) => answer(question, "left"));
+    const [next] = buildDigMatchFollowUpQuestions(catalog, questions, answers, 1, () => 0.3);
+
+    expect(next.axisId).toBe(open.id);
+    expect(new Set([next.left.id, next.right.id]).size).toBe(2);
+  });
+
+  it("stops once every axis is confident", () => {
+    const questions = DIG_MATCH_AXES.flatMap((axis) => [0, 1, 2, 3, 4, 5, 6, 7].map((index) => makeQuestion(axis, index)));
+    const answers = questions.map((question) => answer(question, "left"));
+
+    expect(isDigMatchConfident(getDigMatchAxisPosteriors(questions, answers))).toBe(true);
+    expect(buildDigMatchFollowUpQuestions(catalog, questions, answers, 4, () => 0.3)).toEqual([]);
+  });
+});
+
+describe("taste attribute preferences", () => {
+  const withAttributes = (id: string, styleAttributes: Record<string, unknown>) =>
+    ({ ...taggedProduct(id, ["minimal"]), styleAttributes }) as Product;
+  const swipe = (productId: string, decision: TasteSwipeAction["decision"]): TasteSwipeAction => ({ productId, decision, decidedAt: "2026-10-01T00:00:00Z" });
+
+  const products = [
+    withAttributes("muted-1", { color_saturation: "muted", fit_volume: "regular" }),
+    withAttributes("muted-2", { color_saturation: "muted", fit_volume: "slim" }),
+    withAttributes("muted-3", { color_saturation: "muted", fit_volume: "oversized" }),
+    withAttributes("vivid-1", { color_saturation: "vivid", fit_volume: "oversized" }),
+    withAttributes("vivid-2", { color_saturation: "vivid", fit_volume: "oversized" }),
+    withAttributes("vivid-3", { color_saturation: "vivid", fit_volume: "regular" }),
+  ];
+  const profile = calculateTasteSwipeProfile(null, products, [
+    swipe("muted-1", "like"),
+    swipe("muted-2", "like"),
+    swipe("muted-3", "pass"),
+    swipe("vivid-1", "pass"),
+    swipe("vivid-2", "pass"),
+    swipe("vivid-3", "pass"),
+  ]);
+
+  it("learns attribute likes and dislikes relative to the session's like rate", () => {
+    const attributes = profile.attributes!;
+    expect(attributes["color_saturation:muted"].score).toBeGreaterThan(0);
+    expect(attributes["color_saturation:vivid"].score).toBeLessThan(0);
+    expect(attributes["fit_volume:oversized"].score).toBeLessThan(0);
+    expect(attributes["fit_volume:regular"].score).toBeLessThan(attributes["color_saturation:muted"].score);
+
+    const highlights = getDigMatchAttributeHighlights(profile);
+    expect(highlights.likes.map((item) => item.key)).toContain("color_saturation:muted");
+    expect(highlights.dislikes.map((item) => item.key)).toEqual(expect.arrayContaining(["color_saturation:vivid", "fit_volume:oversized"]));
+    expect(highlights.likes[0]).toMatchObject({ fieldLabel: "색감 선명도", label: "저채도" });
+  });
+
+  it("ranks the swipe deck by attribute preferences when tags tie", () => {
+    const deck = buildTasteSwipeDeck(
+      [withAttributes("loud", { color_saturation: "vivid", fit_volume: "oversized" }), withAttributes("quiet", { color_saturation: "muted", fit_volume: "slim" })],
+      profile,
+      "all",
+      new Set(),
+      2,
+      () => 0.5
+    );
+    expect(deck.map((product) => product.id)).toEqual(["quiet", "loud"]);
+  });
+
+  it("learns from the pick over the other card in Dig Match and survives parsing", () => {
+    const left = withAttributes("left", { primary_material: "wool", color_saturation: "muted" });
+    const right = withAttributes("right", { primary_material: "nylon", color_saturation: "muted" });
+    const question: DigMatchQuestion = { id: "q", axisId: DIG_MATCH_AXES[0].id, axisTitle: DIG_MATCH_AXES[0].title, left, right };
+    const matched = calculateDigMatchProfile(null, [question], [answer(question, "left")]);
+
+    expect(matched.attributes!["primary_material:wool"].score).toBeGreaterThan(0);
+    expect(matched.attributes!["primary_material:nylon"].score).toBeLessThan(0);
+    expect(matched.attributes!["color_saturation:muted"].score).toBe(0);
+    expect(parseDigMatchProfile({ ...matched, attributes: { ...matched.attributes, "made:up": { score: 1, confidence: 1 } } })?.attributes).toEqual(matched.attributes);
+  });
+});
+
+describe("taste swipe replay", () => {
+  const now = new Date("2026-10-19T00:00:00Z");
+  const daysAgo = (days: number) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  const event = (sessionId: string, id: string, tags: StyleTagName[], decision: TasteSwipeReplayEvent["decision"], decidedAt: string): TasteSwipeReplayEvent =>
+    ({ sessionId, decision, decidedAt, product: taggedProduct(id, tags) });
+
+  it("matches a live session when replayed the same day", () => {
+    const products = [taggedProduct("a", ["minimal"]), taggedProduct("b", ["street"])];
+    const live = calculateTasteSwipeProfile(null, products, [
+      { productId: "a", decision: "like", decidedAt: now.toISOString() },
+      { productId: "b", decision: "pass", decidedAt: now.toISOString() },
+    ], now);
+    const replayed = replayTasteSwipeEvents(null, [
+      event("s1", "b", ["street"], "pass", now.toISOString()),
+      event("s1", "a", ["minimal"], "like", now.toISOString()),
+    ], { now });
+
+    expect(replayed).toEqual(live);
+  });
+
+  it("halves old swipes every half-life and keeps the base without events", () => {
+    const recent = replayTasteSwipeEvents(null, [event("s1", "a", ["minimal"], "like", daysAgo(0))], { now })!;
+    const old = replayTasteSwipeEvents(null, [event("s1", "a", ["minimal"], "like", daysAgo(TASTE_SWIPE_HALF_LIFE_DAYS))], { now })!;
+
+    expect(old.signals.minimal!.score).toBeCloseTo(recent.signals.minimal!.score / 2);
+    expect(replayTasteSwipeEvents(recent, [], { now })).toBe(recent);
+    expect(replayTasteSwipeEvents(null, [], { now })).toBeNull();
+  });
+
+  it("rescores Dig Match sessions from their answers between swipe sessions", () => {
+    const question = makeQuestion(DIG_MATCH_AXES[0], 0);
+    const session = { completedAt: daysAgo(10), questions: [question], answers: [answer(question, "left")] };
+    const before = event("s1", "a", ["street"], "like", daysAgo(20));
+    const after = event("s2", "b", ["minimal"], "like", daysAgo(5));
+
+    const live = replayTasteSwipeEvents(
+      calculateDigMatchProfile(replayTasteSwipeEvents(null, [before], { now }), session.questions, session.answers, new Date(session.completedAt)),
+      [after],
+      { now }
+    );
+
+    expect(replayTasteHistory([session], [after, before], { now })).toEqual(live);
+    expect(replayTasteHistory([session], [], { now })?.completedSessions).toBe(1);
+    expect(replayTasteHistory([], [], { now })).toBeNull();
+  });
+});
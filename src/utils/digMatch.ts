@@ -1,5 +1,6 @@
 import type { Product, ProductTargetGender, StyleTagName, StyleTags } from "../types";
 import { isAccessoryCategory } from "../constants";
+import { STYLE_ATTRIBUTE_FIELDS } from "../constants/styleAnalysis.js";
 import { getEffectiveStyleTags, normalizeStyleTags, TAGS } from "./tasteGraph";
 
 export type DigMatchChoice = "left" | "right" | "both" | "neither" | "skip";
@@ -40,9 +41,19 @@ export interface DigMatchProfile {
   version: 1;
   completedSessions: number;
   signals: Partial<Record<StyleTagName, DigMatchSignal>>;
+  /** Attribute-level preferences keyed `field:value`, e.g. `color_saturation:muted`. */
+  attributes?: Record<string, DigMatchSignal>;
   updatedAt: string;
 }
 
+export interface DigMatchAttributePreference extends DigMatchSignal {
+  key: string;
+  field: string;
+  value: string;
+  fieldLabel: string;
+  label: string;
+}
+
 export interface DigMatchRecommendation {
   product: Product;
   score: number;
@@ -61,6 +72,23 @@ export interface TasteSwipeAction {
   productId: string;
   decision: TasteSwipeDecision;
   decidedAt: string;
+  /** Scales the action's evidence; replayed swipes lose weight with age. */
+  weight?: number;
+}
+
+/** A stored swipe with the product as it looked when it was swiped. */
+export interface TasteSwipeReplayEvent {
+  sessionId: string;
+  decision: TasteSwipeDecision;
+  decidedAt: string;
+  product: Product;
+}
+
+/** A stored Dig Match session, rescored from its answers on replay. */
+export interface DigMatchReplaySession {
+  completedAt: string;
+  questions: DigMatchQuestion[];
+  answers: DigMatchAnswer[];
 }
 
 export const DIG_MATCH_AXES: DigMatchAxis[] = [
@@ -148,6 +176,89 @@ function eligibleProducts(products: Product[], presentation: DigMatchPresentatio
   });
 }
 
+type StyleAttributeField = { key: string; label: string; categories: string[]; options: Array<{ value: string; label: string }> };
+type AttributeEvidence = Map<string, { lift: number; count: number }>;
+
+// Accent colors repeat the primary palette and would double-count it.
+const TASTE_ATTRIBUTE_FIELDS = (STYLE_ATTRIBUTE_FIELDS as StyleAttributeField[]).filter((field) => field.key !== "accent_colors");
+const ATTRIBUTE_SESSION_PRIOR = 3;
+const ATTRIBUTE_DECK_WEIGHT = 0.5;
+const ATTRIBUTE_HIGHLIGHT_MIN_SCORE = 0.15;
+const ATTRIBUTE_HIGHLIGHT_MIN_CONFIDENCE = 0.08;
+
+function productAttributeKeys(product: Product) {
+  const attributes = effectiveAttributes(product);
+  if (!attributes || typeof attributes !== "object") return [];
+  const category = String(product.category || "").trim().toLowerCase();
+  const keys = new Set<string>();
+  for (const field of TASTE_ATTRIBUTE_FIELDS) {
+    if (!field.categories.some((item) => item.toLowerCase() === category)) continue;
+    const raw = attributes[field.key];
+    for (const value of Array.isArray(raw) ? raw : [raw]) {
+      const normalized = String(value ?? "").trim().toLowerCase();
+      if (field.options.some((option) => option.value === normalized)) keys.add(`${field.key}:${normalized}`);
+    }
+  }
+  return [...keys];
+}
+
+function addAttributeLift(target: AttributeEvidence, product: Product, lift: number, weight = 1) {
+  for (const key of productAttributeKeys(product)) {
+    const entry = target.get(key) || { lift: 0, count: 0 };
+    target.set(key, { lift: entry.lift + lift * weight, count: entry.count + weight });
+  }
+}
+
+/** Folds one session's attribute lift into the stored preferences. Lift is
+ * measured against the session's own like rate, so an attribute that merely
+ * shows up often does not read as a preference; a few pseudo-observations keep
+ * one or two cards from swinging the score. */
+function mergeAttributeSignals(previous: DigMatchProfile | null, session: AttributeEvidence) {
+  const attributes: Record<string, DigMatchSignal> = { ...(previous?.attributes || {}) };
+  for (const [key, { lift, count }] of session) {
+    const current = Math.max(-1, Math.min(1, (2 * lift) / (count + ATTRIBUTE_SESSION_PRIOR)));
+    const prior = attributes[key];
+    const weight = Math.min(0.5, count * 0.1);
+    attributes[key] = {
+      score: prior ? Math.max(-1, Math.min(1, prior.score * (1 - weight) + current * weight)) : current,
+      confidence: Math.min(1, (prior?.confidence || 0) + Math.min(0.15, count * 0.04)),
+    };
+  }
+  return attributes;
+}
+
+function attributeAffinity(product: Product, profile: DigMatchProfile | null) {
+  const attributes = profile?.attributes;
+  if (!attributes) return 0;
+  const signals = productAttributeKeys(product).flatMap((key) => attributes[key] ? [attributes[key]] : []);
+  return signals.reduce((sum, signal) => sum + signal.score * signal.confidence, 0) / Math.max(signals.length, 1);
+}
+
+function describeAttribute(key: string) {
+  const [field, value] = key.split(":");
+  for (const definition of TASTE_ATTRIBUTE_FIELDS) {
+    if (definition.key !== field) continue;
+    const option = definition.options.find((item) => item.value === value);
+    if (option) return { key, field, value, fieldLabel: definition.label, label: option.label };
+  }
+  return null;
+}
+
+/** Attribute values the profile leans toward or away from, strongest first. */
+export function getDigMatchAttributeHighlights(profile: DigMatchProfile | null, count = 3) {
+  const known = Object.entries(profile?.attributes || {}).flatMap(([key, signal]): DigMatchAttributePreference[] => {
+    const described = describeAttribute(key);
+    return described && signal.confidence >= ATTRIBUTE_HIGHLIGHT_MIN_CONFIDENCE && Math.abs(signal.score) >= ATTRIBUTE_HIGHLIGHT_MIN_SCORE
+      ? [{ ...described, score: signal.score, confidence: signal.confidence }]
+      : [];
+  });
+  const strength = (item: DigMatchAttributePreference) => item.score * item.confidence;
+  return {
+    likes: known.filter((item) => item.score > 0).sort((a, b) => strength(b) - strength(a)).slice(0, count),
+    dislikes: known.filter((item) => item.score < 0).sort((a, b) => strength(a) - strength(b)).slice(0, count),
+  };
+}
+
 /** A deliberately mixed deck: most cards reinforce the profile, while every
  * fifth card keeps the user out of a narrow recommendation bubble. */
 export function buildTasteSwipeDeck(
@@ -159,7 +270,9 @@ export function buildTasteSwipeDeck(
   random = Math.random
 ) {
   const candidates = eligibleProducts(products, presentation).filter((product) => !excludedIds.has(product.id));
-  const affinity = (product: Product) => TAGS.reduce((sum, tag) => sum + Number(productTags(product)[tag] || 0) * Math.max(0, profile?.signals[tag]?.score || 0), 0);
+  const affinity = (product: Product) =>
+    TAGS.reduce((sum, tag) => sum + Number(productTags(product)[tag] || 0) * Math.max(0, profile?.signals[tag]?.score || 0), 0)
+    + attributeAffinity(product, profile) * ATTRIBUTE_DECK_WEIGHT;
   const ranked = candidates.map((product) => ({ product, score: affinity(product), random: random() }));
   const familiar = [...ranked].sort((a, b) => b.score - a.score || a.random - b.random);
   const explore = [...ranked].sort((a, b) => a.score - b.score || a.random - b.random);
@@ -175,16 +288,25 @@ export function buildTasteSwipeDeck(
   return result;
 }
 
-export function calculateTasteSwipeProfile(previous: DigMatchProfile | null, products: Product[], actions: TasteSwipeAction[]): DigMatchProfile {
+export function calculateTasteSwipeProfile(
+  previous: DigMatchProfile | null,
+  products: Product[],
+  actions: TasteSwipeAction[],
+  now = new Date()
+): DigMatchProfile {
   const productById = new Map(products.map((product) => [product.id, product]));
   const delta = Object.fromEntries(TAGS.map((tag) => [tag, 0])) as Record<StyleTagName, number>;
   const evidence = Object.fromEntries(TAGS.map((tag) => [tag, 0])) as Record<StyleTagName, number>;
-  for (const action of actions) {
-    const product = productById.get(action.productId);
-    if (!product) continue;
+  const decided = actions.filter((action) => productById.has(action.productId));
+  const likeRate = decided.filter((action) => action.decision === "like").length / Math.max(decided.length, 1);
+  const attributeEvidence: AttributeEvidence = new Map();
+  for (const action of decided) {
+    const product = productById.get(action.productId)!;
+    const weight = Math.max(0, action.weight ?? 1);
     const multiplier = action.decision === "like" ? 0.18 : -0.07;
-    addProductSignal(delta, product, multiplier);
-    if (action.decision === "like") for (const tag of TAGS) evidence[tag] += Number(productTags(product)[tag] || 0);
+    addProductSignal(delta, product, multiplier * weight);
+    addAttributeLift(attributeEvidence, product, (action.decision === "like" ? 1 : 0) - likeRate, weight);
+    if (action.decision === "like") for (const tag of TAGS) evidence[tag] += Number(productTags(product)[tag] || 0) * weight;
   }
   const signals: Partial<Record<StyleTagName, DigMatchSignal>> = {};
   for (const tag of TAGS) {
@@ -194,7 +316,66 @@ export function calculateTasteSwipeProfile(previous: DigMatchProfile | null, pro
       confidence: Math.min(1, prior.confidence + Math.min(0.12, evidence[tag] * 0.035)),
     };
   }
-  return { version: 1, completedSessions: previous?.completedSessions || 0, signals, updatedAt: new Date().toISOString() };
+  return {
+    version: 1,
+    completedSessions: previous?.completedSessions || 0,
+    signals,
+    attributes: mergeAttributeSignals(previous, attributeEvidence),
+    updatedAt: now.toISOString(),
+  };
+}
+
+/** Bumped whenever replaying the same events would produce a different
+ * profile, so stored profiles computed by an older algorithm get rebuilt. */
+export const TASTE_PROFILE_ALGORITHM_VERSION = 2;
+export const TASTE_SWIPE_HALF_LIFE_DAYS = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Rebuilds a profile by replaying swipe sessions in order on top of `base`.
+ * Each swipe counts half as much every `halfLifeDays`, so old sessions fade
+ * instead of pinning the profile forever. */
+export function replayTasteSwipeEvents(
+  base: DigMatchProfile | null,
+  events: TasteSwipeReplayEvent[],
+  { now = new Date(), halfLifeDays = TASTE_SWIPE_HALF_LIFE_DAYS }: { now?: Date; halfLifeDays?: number } = {}
+) {
+  const sessions = new Map<string, TasteSwipeReplayEvent[]>();
+  for (const event of [...events].sort((a, b) => Date.parse(a.decidedAt) - Date.parse(b.decidedAt))) {
+    sessions.set(event.sessionId, [...(sessions.get(event.sessionId) || []), event]);
+  }
+  let profile = base;
+  for (const sessionEvents of sessions.values()) {
+    const actions = sessionEvents.map((event): TasteSwipeAction => {
+      const ageDays = Math.max(0, (now.getTime() - Date.parse(event.decidedAt)) / DAY_MS);
+      return {
+        productId: event.product.id,
+        decision: event.decision,
+        decidedAt: event.decidedAt,
+        weight: Number.isFinite(ageDays) ? 0.5 ** (ageDays / halfLifeDays) : 1,
+      };
+    });
+    profile = calculateTasteSwipeProfile(profile, sessionEvents.map((event) => event.product), actions, now);
+  }
+  return profile;
+}
+
+/** Rebuilds a profile from the whole taste history: Dig Match sessions are
+ * rescored from their answers and swipe sessions replayed between them, in the
+ * order they happened. */
+export function replayTasteHistory(
+  matchSessions: DigMatchReplaySession[],
+  events: TasteSwipeReplayEvent[],
+  options: { now?: Date; halfLifeDays?: number } = {}
+) {
+  let profile: DigMatchProfile | null = null;
+  let pending = events;
+  for (const session of [...matchSessions].sort((a, b) => Date.parse(a.completedAt) - Date.parse(b.completedAt))) {
+    const completedAt = Date.parse(session.completedAt);
+    profile = replayTasteSwipeEvents(profile, pending.filter((event) => Date.parse(event.decidedAt) < completedAt), options);
+    pending = pending.filter((event) => Date.parse(event.decidedAt) >= completedAt);
+    profile = calculateDigMatchProfile(profile, session.questions, session.answers, new Date(session.completedAt));
+  }
+  return replayTasteSwipeEvents(profile, pending, options);
 }
 
 function buildQuestion(
@@ -231,22 +412,151 @@ function buildQuestion(
   };
 }
 
-function getFollowUpAxes(questions: DigMatchQuestion[], answers: DigMatchAnswer[]) {
-  const answersByAxis = new Map<string, DigMatchAnswer[]>();
+export interface DigMatchAxisPosterior {
+  axisId: string;
+  mean: number;
+  variance: number;
+}
+
+export const DIG_MATCH_MAX_FOLLOW_UP_QUESTIONS = 6;
+const AXIS_PRIOR_VARIANCE = 1;
+// Axis-score gaps between two products are small (rarely above 0.6); the slope
+// turns them into probit units so a clear pair predicts the pick at ~90%.
+const AXIS_CHOICE_SLOPE = 4;
+const AXIS_TIE_NOISE = 1;
+const AXIS_CONFIDENT_SD = 0.6;
+const AXIS_INTERVAL_Z = 1.96;
+const FOLLOW_UP_CATEGORIES = ["Top", "Bottom", "Outer"];
+const FOLLOW_UP_PRODUCTS_PER_CATEGORY = 30;
+const BALD_C2 = (Math.PI * Math.LN2) / 2;
+
+function normalPdf(value: number) {
+  return Math.exp(-value * value / 2) / Math.sqrt(2 * Math.PI);
+}
+
+// Abramowitz & Stegun 7.1.26; accurate to ~1e-7, plenty for choice probabilities.
+function normalCdf(value: number) {
+  const x = Math.abs(value) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return value >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function binaryEntropy(probability: number) {
+  const p = Math.min(1 - 1e-12, Math.max(1e-12, probability));
+  return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+}
+
+function axisPrior(axis: DigMatchAxis, previous: DigMatchProfile | null): DigMatchAxisPosterior {
+  if (!previous) return { axisId: axis.id, mean: 0, variance: AXIS_PRIOR_VARIANCE };
+  const scores = Object.fromEntries(TAGS.map((tag) => [tag, previous.signals[tag]?.score || 0])) as Partial<StyleTags>;
+  const axisTags = [...axis.positiveTags, ...axis.negativeTags];
+  const confidence = axisTags.reduce((sum, tag) => sum + Math.min(1, previous.signals[tag]?.confidence || 0), 0) / axisTags.length;
+  return {
+    axisId: axis.id,
+    mean: Math.max(-1, Math.min(1, scoreAxis(scores, axis))) * AXIS_CHOICE_SLOPE / 2,
+    variance: AXIS_PRIOR_VARIANCE * (1 - 0.6 * confidence),
+  };
+}
+
+function axisGap(question: Pick<DigMatchQuestion, "left" | "right">, axis: DigMatchAxis) {
+  return AXIS_CHOICE_SLOPE * (scoreAxis(productTags(question.left), axis) - scoreAxis(productTags(question.right), axis));
+}
+
+/** Probit choice update (assumed-density filtering). "both" and "neither" read
+ * as an indifference observation that pulls the axis toward its midpoint. */
+function updateAxisPosterior(posterior: DigMatchAxisPosterior, gap: number, choice: DigMatchChoice): DigMatchAxisPosterior {
+  const { mean, variance } = posterior;
+  if (choice === "skip" || gap === 0) return posterior;
+  if (choice === "both" || choice === "neither") {
+    const gain = variance * gap / (gap * gap * variance + AXIS_TIE_NOISE);
+    return { ...posterior, mean: mean - gain * mean * gap, variance: variance - gain * gap * variance };
+  }
+  const direction = choice === "left" ? 1 : -1;
+  const scale = Math.sqrt(1 + gap * gap * variance);
+  const z = direction * mean * gap / scale;
+  const ratio = normalPdf(z) / Math.max(1e-12, normalCdf(z));
+  return {
+    ...posterior,
+    mean: mean + direction * variance * gap * ratio / scale,
+    variance: Math.max(1e-6, variance - (variance * variance * gap * gap * ratio * (ratio + z)) / (scale * scale)),
+  };
+}
+
+/** Expected bits learned about the axis from one answer (BALD, probit form). */
+function expectedInformationGain(posterior: DigMatchAxisPosterior, gap: number) {
+  const latentMean = posterior.mean * gap;
+  const latentVariance = gap * gap * posterior.variance;
+  const marginal = binaryEntropy(normalCdf(latentMean / Math.sqrt(1 + latentVariance)));
+  const conditional = Math.sqrt(BALD_C2 / (latentVariance + BALD_C2)) * Math.exp(-(latentMean * latentMean) / (2 * (latentVariance + BALD_C2)));
+  return Math.max(0, marginal - conditional);
+}
+
+/** Per-axis Gaussian posterior over the user's lean, positive toward `positiveTags`. */
+export function getDigMatchAxisPosteriors(
+  questions: DigMatchQuestion[],
+  answers: DigMatchAnswer[],
+  previous: DigMatchProfile | null = null
+): DigMatchAxisPosterior[] {
+  const posteriors = new Map(DIG_MATCH_AXES.map((axis) => [axis.id, axisPrior(axis, previous)]));
+  const questionById = new Map(questions.map((question) => [question.id, question]));
   for (const answer of answers) {
-    const items = answersByAxis.get(answer.axisId) || [];
-    items.push(answer);
-    answersByAxis.set(answer.axisId, items);
+    const question = questionById.get(answer.questionId);
+    const axis = DIG_MATCH_AXES.find((item) => item.id === question?.axisId);
+    const posterior = axis && posteriors.get(axis.id);
+    if (!question || !axis || !posterior) continue;
+    posteriors.set(axis.id, updateAxisPosterior(posterior, axisGap(question, axis), answer.choice));
   }
-  return [...DIG_MATCH_AXES].sort((a, b) => {
-    const uncertainty = (axis: DigMatchAxis) => {
-      const axisAnswers = answersByAxis.get(axis.id) || [];
-      if (!axisAnswers.length) return 3;
-      const uncertain = axisAnswers.filter((answer) => ["both", "neither", "skip"].includes(answer.choice)).length;
-      return uncertain * 2 + 1 / axisAnswers.length;
-    };
-    return uncertainty(b) - uncertainty(a);
-  });
+  return DIG_MATCH_AXES.map((axis) => posteriors.get(axis.id)!);
+}
+
+export function isDigMatchConfident(posteriors: DigMatchAxisPosterior[]) {
+  return posteriors.every((posterior) => Math.sqrt(posterior.variance) <= AXIS_CONFIDENT_SD);
+}
+
+function buildInformativeQuestion(
+  candidates: Product[],
+  usedProductIds: Set<string>,
+  posteriors: DigMatchAxisPosterior[],
+  questionIndex: number,
+  random: () => number
+): { question: DigMatchQuestion; gap: number } | null {
+  let best: { axis: DigMatchAxis; left: Product; right: Product; gap: number; gain: number } | null = null;
+  for (const category of FOLLOW_UP_CATEGORIES) {
+    const pool = candidates
+      .filter((product) => !usedProductIds.has(product.id) && String(product.category || "") === category)
+      .map((product) => ({ product, order: random() }))
+      .sort((a, b) => a.order - b.order)
+      .slice(0, FOLLOW_UP_PRODUCTS_PER_CATEGORY)
+      .map(({ product }) => product);
+    for (const axis of DIG_MATCH_AXES) {
+      const posterior = posteriors.find((item) => item.axisId === axis.id);
+      if (!posterior) continue;
+      const scored = pool.map((product) => ({ product, score: AXIS_CHOICE_SLOPE * scoreAxis(productTags(product), axis) }));
+      for (let leftIndex = 0; leftIndex < scored.length; leftIndex += 1) {
+        for (let rightIndex = leftIndex + 1; rightIndex < scored.length; rightIndex += 1) {
+          const gap = scored[leftIndex].score - scored[rightIndex].score;
+          const gain = expectedInformationGain(posterior, gap);
+          if (!best || gain > best.gain) best = { axis, left: scored[leftIndex].product, right: scored[rightIndex].product, gap, gain };
+        }
+      }
+    }
+  }
+  if (!best || best.gain <= 0) return null;
+
+  const swap = random() >= 0.5;
+  const pair = swap ? { left: best.right, right: best.left } : { left: best.left, right: best.right };
+  usedProductIds.add(pair.left.id);
+  usedProductIds.add(pair.right.id);
+  return {
+    question: {
+      id: `match-${questionIndex + 1}-${pair.left.id}-${pair.right.id}`,
+      axisId: best.axis.id,
+      axisTitle: best.axis.title,
+      ...pair,
+    },
+    gap: swap ? -best.gap : best.gap,
+  };
 }
 
 export function buildDigMatchOpeningQuestions(
@@ -266,26 +576,31 @@ export function buildDigMatchOpeningQuestions(
   return questions;
 }
 
+/**
+ * Picks follow-up pairs by expected information gain against the per-axis
+ * posterior, and returns none once every axis is confident. Questions after
+ * the first assume the pending answers will narrow their axis as expected.
+ */
 export function buildDigMatchFollowUpQuestions(
   products: Product[],
   previousQuestions: DigMatchQuestion[],
   answers: DigMatchAnswer[],
-  count = 4,
+  count = 1,
   random = Math.random,
-  options: { presentation?: DigMatchPresentation } = {}
+  options: { presentation?: DigMatchPresentation; previousProfile?: DigMatchProfile | null } = {}
 ) {
   const candidates = eligibleProducts(products, options.presentation || "all");
   const usedProductIds = new Set(previousQuestions.flatMap((question) => [question.left.id, question.right.id]));
-  const axes = getFollowUpAxes(previousQuestions, answers);
+  const posteriors = getDigMatchAxisPosteriors(previousQuestions, answers, options.previousProfile || null);
   const questions: DigMatchQuestion[] = [];
   for (let index = 0; index < count; index += 1) {
-    let question: DigMatchQuestion | null = null;
-    for (let offset = 0; offset < axes.length; offset += 1) {
-      question = buildQuestion(candidates, usedProductIds, axes[(index + offset) % axes.length], previousQuestions.length + index, random);
-      if (question) break;
-    }
-    if (!question) break;
-    questions.push(question);
+    if (isDigMatchConfident(posteriors)) break;
+    const next = buildInformativeQuestion(candidates, usedProductIds, posteriors, previousQuestions.length + index, random);
+    if (!next) break;
+    questions.push(next.question);
+    const axisIndex = posteriors.findIndex((posterior) => posterior.axisId === next.question.axisId);
+    const { variance } = posteriors[axisIndex];
+    posteriors[axisIndex] = { ...posteriors[axisIndex], variance: variance / (1 + next.gap * next.gap * variance) };
   }
   return questions;
 }
@@ -309,11 +624,13 @@ function addProductSignal(target: Record<StyleTagName, number>, product: Product
 export function calculateDigMatchProfile(
   previous: DigMatchProfile | null,
   questions: DigMatchQuestion[],
-  answers: DigMatchAnswer[]
+  answers: DigMatchAnswer[],
+  now = new Date()
 ): DigMatchProfile {
   const productById = new Map(questions.flatMap((question) => [question.left, question.right]).map((product) => [product.id, product]));
   const sessionSignal = Object.fromEntries(TAGS.map((tag) => [tag, 0])) as Record<StyleTagName, number>;
   const sessionEvidence = Object.fromEntries(TAGS.map((tag) => [tag, 0])) as Record<StyleTagName, number>;
+  const attributeEvidence: AttributeEvidence = new Map();
 
   for (const answer of answers) {
     const left = productById.get(answer.leftProductId);
@@ -322,6 +639,8 @@ export function calculateDigMatchProfile(
     if (answer.choice === "left" || answer.choice === "right") {
       const selected = answer.choice === "left" ? left : right;
       addProductSignal(sessionSignal, selected, 1);
+      addAttributeLift(attributeEvidence, selected, 0.5);
+      addAttributeLift(attributeEvidence, answer.choice === "left" ? right : left, -0.5);
       for (const tag of TAGS) sessionEvidence[tag] += Number(productTags(selected)[tag] || 0);
     } else if (answer.choice === "both") {
       addProductSignal(sessionSignal, left, 0.5);
@@ -345,7 +664,13 @@ export function calculateDigMatchProfile(
     signals[tag] = { score: Math.max(-1, Math.min(1, score)), confidence };
   }
 
-  return { version: 1, completedSessions: sessions, signals, updatedAt: new Date().toISOString() };
+  return {
+    version: 1,
+    completedSessions: sessions,
+    signals,
+    attributes: mergeAttributeSignals(previous, attributeEvidence),
+    updatedAt: now.toISOString(),
+  };
 }
 
 export function getDigMatchHighlights(profile: DigMatchProfile) {
@@ -487,11 +812,20 @@ export function getDigMatchInterpretation(profile: DigMatchProfile, questions: D
     values.push(...choices.map((product) => scoreAxis(productTags(product), axis)));
     axisValues.set(axis.id, values);
   }
-  const axes = DIG_MATCH_AXES.map((axis) => {
+  const posteriors = getDigMatchAxisPosteriors(questions, answers, previous);
+  const axes = DIG_MATCH_AXES.map((axis, index) => {
     const values = axisValues.get(axis.id) || [];
     const score = values.reduce((sum, value) => sum + value, 0) / Math.max(values.length, 1);
-    return { axis, score, label: score >= 0.08 ? axis.positiveLabel : score <= -0.08 ? axis.negativeLabel : "양쪽 무드를 함께 탐색 중" };
-  }).sort((a, b) => Math.abs(b.score) - Math.abs(a.score)).slice(0, 3);
+    // A side is named once the posterior puts at least ~84% on it (|mean| ≥ 1 sd);
+    // the 95% interval shows how settled that is.
+    const { mean, variance } = posteriors[index];
+    const sd = Math.sqrt(variance);
+    const interval = { low: mean - AXIS_INTERVAL_Z * sd, high: mean + AXIS_INTERVAL_Z * sd };
+    const side = mean >= sd ? "positive" as const : mean <= -sd ? "negative" as const : null;
+    const label = side === "positive" ? axis.positiveLabel : side === "negative" ? axis.negativeLabel : "양쪽 무드를 함께 탐색 중";
+    const confidence = Math.max(0, 1 - sd / Math.sqrt(AXIS_PRIOR_VARIANCE));
+    return { axis, score, side, label, mean, interval, confidence };
+  }).sort((a, b) => Math.abs(b.mean) - Math.abs(a.mean)).slice(0, 3);
 
   const attributeLabels: Record<string, Record<string, string>> = {
     fit_volume: { slim: "슬림한 핏", regular: "기본 핏", relaxed: "여유 있는 핏", oversized: "오버사이즈", boxy: "박시한 비율" },
@@ -521,7 +855,7 @@ export function getDigMatchInterpretation(profile: DigMatchProfile, questions: D
   const curiousSentence = highlights.curious.length
     ? `${highlights.curious.map((item) => getDigMatchTagLabel(item.tag)).join(" · ")}은 확고한 취향이라기보다, 지금 넓혀 보고 있는 방향입니다.`
     : "이번에는 중심 취향 주변을 안정적으로 탐색했습니다.";
-  const balancedAxis = [...axes].sort((a, b) => Math.abs(a.score) - Math.abs(b.score))[0];
+  const balancedAxis = [...axes].sort((a, b) => Math.abs(a.mean) - Math.abs(b.mean))[0];
   const explorationSentence = balancedAxis
     ? `${balancedAxis.axis.positiveLabel}과 ${balancedAxis.axis.negativeLabel} 사이에서는 아직 선택이 열려 있습니다.`
     : "다음 매치에서는 아직 열린 축을 더 자세히 살펴봅니다.";
@@ -548,10 +882,20 @@ export function parseDigMatchProfile(value: unknown): DigMatchProfile | null {
     const confidence = Number((item as DigMatchSignal).confidence);
     if (Number.isFinite(score) && Number.isFinite(confidence)) signals[tag] = { score, confidence };
   }
+  const attributes: Record<string, DigMatchSignal> = {};
+  if (raw.attributes && typeof raw.attributes === "object" && !Array.isArray(raw.attributes)) {
+    for (const [key, item] of Object.entries(raw.attributes)) {
+      if (!describeAttribute(key) || !item || typeof item !== "object") continue;
+      const score = Number(item.score);
+      const confidence = Number(item.confidence);
+      if (Number.isFinite(score) && Number.isFinite(confidence)) attributes[key] = { score, confidence };
+    }
+  }
   return {
     version: 1,
     completedSessions: Math.max(0, Number(raw.completedSessions || 0)),
     signals,
+    attributes,
     updatedAt: String(raw.updatedAt || ""),
   };
 }
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { pickBestFitRow, predictSizeTableFit } from "./fitPrediction";
+import type { BodyMeasurements } from "../types";
+
+const body: BodyMeasurements = {
+  heightCm: 175,
+  weightKg: 68,
+  chestCm: 96,
+  waistCm: 80,
+  hipCm: 96,
+  inseamCm: 78,
+};
+
+describe("fit prediction", () => {
+  it("compares flat garment widths against halved body girths", () => {
+    const table = { headers: ["사이즈", "총장", "가슴단면"], rows: [["S", "68", "49"], ["M", "70", "54"], ["L", "72", "60"]] };
+    const predictions = predictSizeTableFit(table, body, "Top");
+
+    expect(predictions.map((prediction) => prediction.verdict)).toEqual(["tight", "ok", "loose"]);
+    expect(predictions[1].measurements).toEqual([
+      { label: "가슴", bodyKey: "chestCm", garmentValue: 54, bodyValue: 48, ease: 6, verdict: "ok" },
+    ]);
+    expect(pickBestFitRow(predictions, "Top")?.sizeLabel).toBe("M");
+  });
+
+  it("uses circumference charts on the same basis", () => {
+    const table = { headers: ["size", "허리둘레", "엉덩이둘레", "인심"], rows: [["30", "82", "100", "80"], ["32", "86", "104", "80"]] };
+    const predictions = predictSizeTableFit(table, body, "Bottom");
+
+    expect(predictions[0]).toMatchObject({ verdict: "ok", misfit: 0 });
+    expect(predictions[1].measurements[0]).toMatchObject({ label: "허리", garmentValue: 43, ease: 3, verdict: "ok" });
+    expect(pickBestFitRow(predictions, "Bottom")?.sizeLabel).toBe("30");
+  });
+
+  it("returns nothing without body measurements or ease allowances", () => {
+    const table = { headers: ["사이즈", "가슴"], rows: [["M", "54"]] };
+    expect(predictSizeTableFit(table, null, "Top")).toEqual([]);
+    expect(predictSizeTableFit(table, body, "Bag")).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+import { BODY_MEASUREMENT_KEYS, FIT_EASE_ALLOWANCES } from '../constants';
+import type {
+  BodyMeasurements,
+  FitVerdict,
+  MeasurementFitPrediction,
+  SizeRowFitPrediction,
+  SizeTable,
+} from '../types';
+import { extractMeasurements, getSizeTableMeasurementBasis } from './sizeTable';
+
+export const hasBodyMeasurements = (body: BodyMeasurements | null | undefined): body is BodyMeasurements =>
+  Boolean(body) && BODY_MEASUREMENT_KEYS.some((key) => typeof body?.[key] === 'number');
+
+const roundCm = (value: number) => Math.round(value * 10) / 10;
+
+const getVerdict = (ease: number, [min, max]: [number, number]): FitVerdict => {
+  if (ease < min) return 'tight';
+  if (ease > max) return 'loose';
+  return 'ok';
+};
+
+/** Collapses per-measurement verdicts: any tight measurement makes the row tight. */
+const getRowVerdict = (measurements: MeasurementFitPrediction[]): FitVerdict => {
+  if (measurements.some((item) => item.verdict === 'tight')) return 'tight';
+  if (measurements.some((item) => item.verdict === 'loose')) return 'loose';
+  return 'ok';
+};
+
+/**
+ * Predicts how every size row of a table fits the user's body. Garment values
+ * go through extractMeasurements with the table's basis, so girths are flat
+ * half-widths and body girths are halved to match. Rows without a single
+ * comparable measurement are left out.
+ */
+export const predictSizeTableFit = (
+  table: SizeTable | null,
+  body: BodyMeasurements | null | undefined,
+  category: string | null | undefined
+): SizeRowFitPrediction[] => {
+  const allowances = FIT_EASE_ALLOWANCES[String(category || '')];
+  if (!allowances || !table?.rows?.length || !hasBodyMeasurements(body)) return [];
+  const basis = getSizeTableMeasurementBasis(table, category);
+
+  return table.rows.flatMap((row, rowIndex) => {
+    const garment = extractMeasurements(table.headers, row, basis);
+    const measurements: MeasurementFitPrediction[] = [];
+    Object.entries(allowances).forEach(([label, allowance]) => {
+      const garmentValue = garment.get(label);
+      const rawBodyValue = body[allowance.bodyKey];
+      if (garmentValue === undefined || typeof rawBodyValue !== 'number') return;
+      const bodyValue = allowance.isGirth ? rawBodyValue / 2 : rawBodyValue;
+      const ease = roundCm(garmentValue - bodyValue);
+      measurements.push({
+        label,
+        bodyKey: allowance.bodyKey,
+        garmentValue: roundCm(garmentValue),
+        bodyValue: roundCm(bodyValue),
+        ease,
+        verdict: getVerdict(ease, allowance.ease),
+      });
+    });
+    if (measurements.length === 0) return [];
+
+    const misfit = measurements.reduce((sum, item) => {
+      const [min, max] = allowances[item.label].ease;
+      return sum + Math.max(0, min - item.ease, item.ease - max);
+    }, 0);
+    return [{
+      rowIndex,
+      sizeLabel: String(row[0] ?? '').trim(),
+      verdict: getRowVerdict(measurements),
+      measurements,
+      misfit: roundCm(misfit),
+    }];
+  });
+};
+
+/** The row with the least misfit; ties go to the row closest to the middle of its ease ranges. */
+export const pickBestFitRow = (
+  predictions: SizeRowFitPrediction[],
+  category: string | null | undefined
+): SizeRowFitPrediction | null => {
+  const allowances = FIT_EASE_ALLOWANCES[String(category || '')] || {};
+  const centerDistance = (prediction: SizeRowFitPrediction) =>
+    prediction.measurements.reduce((sum, item) => {
+      const [min, max] = allowances[item.label]?.ease ?? [0, 0];
+      return sum + Math.abs(item.ease - (min + max) / 2);
+    }, 0);
+
+  let best: SizeRowFitPrediction | null = null;
+  for (const prediction of predictions) {
+    if (
+      !best ||
+      prediction.misfit < best.misfit ||
+      (prediction.misfit === best.misfit && centerDistance(prediction) < centerDistance(best))
+    ) {
+      best = prediction;
+    }
+  }
+  return best;
+};
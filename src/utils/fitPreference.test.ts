@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { buildFitPreferenceModel, getVisibleFitPreferenceSuggestion, suggestSizeFromFitPreference } from "./fitPreference";
+import { computeSizeRecommendations } from "./sizeTable";
+import type { DigboxSizeDecision, Product } from "../types";
+import { makeProduct } from "./__fixtures__/products";
+
+const decidedProduct = (id: string, chest: string, decision: Partial<DigboxSizeDecision> | null = null): Product =>
+  makeProduct(id, {
+    sizeTable: { headers: ["사이즈", "가슴단면"], rows: [["M", chest]] },
+    digboxSizeDecision: decision
+      ? {
+          label: "M",
+          rowIndex: 0,
+          snapshot: { headers: ["사이즈", "가슴단면"], row: ["M", chest] },
+          sources: ["worn"],
+          fit: "true_to_size",
+          note: null,
+          ...decision,
+        }
+      : null,
+  });
+
+describe("fit preference model", () => {
+  it("learns preferred measurements from tried and worn decisions only", () => {
+    const model = buildFitPreferenceModel(
+      [
+        decidedProduct("1", "56", { fit: "true_to_size", sources: ["worn"] }),
+        decidedProduct("2", "52", { fit: "tight", sources: ["try_on"] }),
+        decidedProduct("3", "70", { fit: "roomy", sources: ["comparison"] }),
+      ],
+      { heightCm: null, weightKg: null, chestCm: 100, waistCm: null, hipCm: null, inseamCm: null }
+    );
+
+    expect(model.Top.measurements.가슴).toEqual({ label: "가슴", target: 55.3, weight: 3, preferredEase: 5.3 });
+    expect(model.Top.items.map((item) => item.productId)).toEqual(["1", "2"]);
+  });
+
+  it("suggests the row closest to the learned preference", () => {
+    const model = buildFitPreferenceModel([decidedProduct("1", "54", { fit: "tight" })]);
+    const table = { headers: ["사이즈", "가슴단면"], rows: [["S", "52"], ["M", "55"], ["L", "58"]] };
+
+    expect(suggestSizeFromFitPreference(table, "Top", model)).toMatchObject({
+      rowIndex: 1,
+      sizeLabel: "M",
+      measurements: [{ label: "가슴", target: 56, rowValue: 55 }],
+    });
+    expect(suggestSizeFromFitPreference(table, "Bottom", model)).toBeNull();
+  });
+
+  it("biases size recommendations toward the learned preference", () => {
+    const source = decidedProduct("source", "52");
+    source.sizeTable = { headers: ["사이즈", "가슴단면"], rows: [["M", "52"]] };
+    const candidate = decidedProduct("candidate", "0");
+    candidate.sizeTable = { headers: ["사이즈", "가슴단면"], rows: [["S", "52"], ["M", "57"]] };
+    const model = buildFitPreferenceModel([decidedProduct("1", "60", { fit: "true_to_size" })]);
+
+    expect(computeSizeRecommendations(source, 0, [candidate])[0].rowIndex).toBe(0);
+    expect(computeSizeRecommendations(source, 0, [candidate], 3, model)[0].rowIndex).toBe(1);
+  });
+
+  it("hides the hint when another row is already preselected", () => {
+    const model = buildFitPreferenceModel([decidedProduct("1", "54", { fit: "tight" })]);
+    const suggestion = suggestSizeFromFitPreference({ headers: ["사이즈", "가슴단면"], rows: [["S", "52"], ["M", "55"]] }, "Top", model);
+
+    expect(getVisibleFitPreferenceSuggestion(suggestion, null)).toBe(suggestion);
+    expect(getVisibleFitPreferenceSuggestion(suggestion, 1)).toBe(suggestion);
+    expect(getVisibleFitPreferenceSuggestion(suggestion, 0)).toBeNull();
+    expect(getVisibleFitPreferenceSuggestion(null, null)).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+import {
+  FIT_EASE_ALLOWANCES,
+  FIT_FEEDBACK_ADJUSTMENTS,
+  FIT_FEEDBACK_LABELS,
+  FIT_FEEDBACK_SOURCE_WEIGHTS,
+} from '../constants';
+import type {
+  BodyMeasurements,
+  CategoryFitPreference,
+  FitPreferenceItem,
+  FitPreferenceModel,
+  FitPreferenceSuggestion,
+  Product,
+  SizeTable,
+} from '../types';
+import { extractMeasurements, getSizeTableMeasurementBasis } from './sizeTable';
+
+const roundCm = (value: number) => Math.round(value * 10) / 10;
+
+const isFeedbackLabel = (label: string) => (FIT_FEEDBACK_LABELS as readonly string[]).includes(label);
+
+const getDecisionWeight = (product: Product) =>
+  Math.max(0, ...(product.digboxSizeDecision?.sources ?? []).map((source) => FIT_FEEDBACK_SOURCE_WEIGHTS[source] ?? 0));
+
+/**
+ * Learns the garment measurements a user actually prefers, per category, from
+ * Digbox size decisions that were tried on or worn. Each decision contributes
+ * the decided row shifted by its recorded fit (tight → wanted more room).
+ */
+export const buildFitPreferenceModel = (
+  products: Product[],
+  body?: BodyMeasurements | null
+): FitPreferenceModel => {
+  const sums: Record<string, Record<string, { total: number; weight: number }>> = {};
+  const items: Record<string, Array<{ item: FitPreferenceItem; weight: number }>> = {};
+
+  for (const product of products) {
+    const decision = product.digboxSizeDecision;
+    const category = String(product.category || '');
+    const weight = getDecisionWeight(product);
+    const fit = decision?.fit;
+    if (!decision || !fit || !decision.snapshot || !category || weight === 0) continue;
+
+    const { headers, row, measurementBasis } = decision.snapshot;
+    const basis = getSizeTableMeasurementBasis({ headers, rows: [row], measurementBasis }, category);
+    const measurements = extractMeasurements(headers, row, basis);
+    let contributed = false;
+    measurements.forEach((value, label) => {
+      if (!isFeedbackLabel(label)) return;
+      const categorySums = (sums[category] ??= {});
+      const entry = (categorySums[label] ??= { total: 0, weight: 0 });
+      entry.total += (value + FIT_FEEDBACK_ADJUSTMENTS[fit]) * weight;
+      entry.weight += weight;
+      contributed = true;
+    });
+    if (!contributed) continue;
+    (items[category] ??= []).push({
+      item: {
+        productId: String(product.id),
+        brand: product.brand,
+        name: product.name,
+        sizeLabel: decision.label,
+        fit,
+        sources: decision.sources,
+      },
+      weight,
+    });
+  }
+
+  const model: FitPreferenceModel = {};
+  Object.entries(sums).forEach(([category, labels]) => {
+    const preference: CategoryFitPreference = {
+      category,
+      measurements: {},
+      items: (items[category] ?? [])
+        .sort((left, right) => right.weight - left.weight)
+        .map(({ item }) => item),
+    };
+    Object.entries(labels).forEach(([label, { total, weight }]) => {
+      const target = roundCm(total / weight);
+      const allowance = FIT_EASE_ALLOWANCES[category]?.[label];
+      const bodyValue = allowance ? body?.[allowance.bodyKey] : null;
+      preference.measurements[label] = {
+        label,
+        target,
+        weight,
+        preferredEase:
+          allowance && typeof bodyValue === 'number'
+            ? roundCm(target - (allowance.isGirth ? bodyValue / 2 : bodyValue))
+            : null,
+      };
+    });
+    model[category] = preference;
+  });
+  return model;
+};
+
+/**
+ * Picks the size row closest to the learned preference for the category,
+ * weighting each measurement by how much feedback backs it. Returns null when
+ * the table shares no learned measurement.
+ */
+export const suggestSizeFromFitPreference = (
+  table: SizeTable | null,
+  category: string | null | undefined,
+  model: FitPreferenceModel
+): FitPreferenceSuggestion | null => {
+  const preference = model[String(category || '')];
+  if (!preference || !table?.rows?.length) return null;
+  const basis = getSizeTableMeasurementBasis(table, category);
+
+  let best: { score: number; suggestion: FitPreferenceSuggestion } | null = null;
+  for (let rowIndex = 0; rowIndex < table.rows.length; rowIndex++) {
+    const row = table.rows[rowIndex];
+    const measurements = extractMeasurements(table.headers, row, basis);
+    const matched: FitPreferenceSuggestion['measurements'] = [];
+    let weightedDistance = 0;
+    let totalWeight = 0;
+    for (const learned of Object.values(preference.measurements)) {
+      const rowValue = measurements.get(learned.label);
+      if (rowValue === undefined) continue;
+      matched.push({ ...learned, rowValue: roundCm(rowValue) });
+      weightedDistance += Math.abs(rowValue - learned.target) * learned.weight;
+      totalWeight += learned.weight;
+    }
+    if (totalWeight === 0) continue;
+    const score = weightedDistance / totalWeight;
+    if (!best || score < best.score) {
+      best = {
+        score,
+        suggestion: { rowIndex, sizeLabel: String(row[0] ?? '').trim(), measurements: matched, items: preference.items },
+      };
+    }
+  }
+  return best?.suggestion ?? null;
+};
+
+/**
+ * The suggestion to explain next to a size picker, or null when another row
+ * (a saved decision or the user's own size) is already preselected.
+ */
+export const getVisibleFitPreferenceSuggestion = (
+  suggestion: FitPreferenceSuggestion | null | undefined,
+  preselectedRowIndex: number | null | undefined
+): FitPreferenceSuggestion | null => {
+  if (!suggestion) return null;
+  if (preselectedRowIndex !== null && preselectedRowIndex !== undefined && preselectedRowIndex !== suggestion.rowIndex) return null;
+  return suggestion;
+};
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { rankPersonalizedFeed } from "./personalizedFeed";
+import type { DigMatchProfile } from "./digMatch";
+import type { Product, StyleTags } from "../types";
+import { makeProduct } from "./__fixtures__/products";
+
+const NOW = Date.parse("2026-09-24T00:00:00Z");
+
+const styledProduct = (id: string, styleTags: Partial<StyleTags>, daysOld = 0): Product =>
+  makeProduct(id, { styleTags, createdAt: new Date(NOW - daysOld * 24 * 60 * 60 * 1000).toISOString() });
+
+const profile: DigMatchProfile = {
+  version: 1,
+  completedSessions: 2,
+  signals: { minimal: { score: 0.8, confidence: 0.7 }, street: { score: -0.6, confidence: 0.6 } },
+  updatedAt: "2026-09-20T00:00:00Z",
+};
+
+describe("personalized feed ranking", () => {
+  it("ranks profile and collection affinity above freshness", () => {
+    const ranked = rankPersonalizedFeed(
+      [
+        { product: styledProduct("street-new", { street: 1 }, 0), visualSimilarity: null },
+        { product: styledProduct("minimal-old", { minimal: 1 }, 60), visualSimilarity: null },
+        { product: styledProduct("classic", { classic: 1 }, 10), visualSimilarity: null },
+      ],
+      profile,
+      [styledProduct("saved", { minimal: 0.8, classic: 0.4 })],
+      { now: NOW, explorationRate: 0 }
+    );
+
+    expect(ranked.map((item) => item.product.id)).toEqual(["minimal-old", "classic", "street-new"]);
+    expect(ranked[0].reason).toBe("taste");
+  });
+
+  it("falls back to newest first without any taste data", () => {
+    const ranked = rankPersonalizedFeed(
+      [
+        { product: styledProduct("old", { minimal: 1 }, 30), visualSimilarity: null },
+        { product: styledProduct("new", { street: 1 }, 1), visualSimilarity: null },
+      ],
+      null,
+      [],
+      { now: NOW, explorationRate: 0 }
+    );
+
+    expect(ranked.map((item) => item.product.id)).toEqual(["new", "old"]);
+    expect(ranked.every((item) => item.reason === "fresh")).toBe(true);
+  });
+
+  it("gives every fifth slot to a lower-ranked product and keeps each product once", () => {
+    const candidates = Array.from({ length: 20 }, (_, index) => ({
+      product: styledProduct(`p${index}`, { minimal: 1 - index / 20 }, index),
+      visualSimilarity: 0.9 - index / 40,
+    }));
+    const first = rankPersonalizedFeed(candidates, profile, [], { now: NOW, seed: "user:2026-09-24" });
+    const second = rankPersonalizedFeed(candidates, profile, [], { now: NOW, seed: "user:2026-09-24" });
+
+    expect(first.map((item) => item.product.id)).toEqual(second.map((item) => item.product.id));
+    expect(new Set(first.map((item) => item.product.id)).size).toBe(20);
+    const lowerHalf = new Set(candidates.slice(10).map((candidate) => candidate.product.id));
+    for (const index of [4, 9]) {
+      expect(first[index].reason).toBe("explore");
+      expect(lowerHalf.has(first[index].product.id)).toBe(true);
+    }
+    expect(first.slice(0, 4).map((item) => item.product.id)).toEqual(["p0", "p1", "p2", "p3"]);
+  });
+});
@@ -0,0 +1,181 @@
+import type { Product, StyleTagName } from "../types";
+import { getDigMatchHighlights, type DigMatchProfile } from "./digMatch";
+import { getEffectiveStyleTags, normalizeStyleTags, TAGS } from "./tasteGraph";
+
+export interface PersonalizedFeedCandidate {
+  product: Product;
+  /** Image similarity to the mean embedding of the user's saved items, when both exist. */
+  visualSimilarity: number | null;
+}
+
+export type PersonalizedFeedReason = "taste" | "collection" | "visual" | "fresh" | "explore";
+
+export interface PersonalizedFeedItem {
+  product: Product;
+  score: number;
+  reason: PersonalizedFeedReason;
+}
+
+export interface PersonalizedFeedOptions {
+  now?: number;
+  /** Share of feed slots handed to products below the affinity cut. */
+  explorationRate?: number;
+  /** Seeds the exploration shuffle so paging through one feed stays stable. */
+  seed?: string;
+}
+
+export const PERSONALIZED_FEED_WEIGHTS = { taste: 0.35, collection: 0.25, visual: 0.25, fresh: 0.15 };
+const FRESHNESS_HALF_LIFE_DAYS = 14;
+const DEFAULT_EXPLORATION_RATE = 0.2;
+const CURIOUS_TAG_MIN_SCORE = 0.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type TagVector = Partial<Record<StyleTagName, number>>;
+type AffinityComponent = Exclude<PersonalizedFeedReason, "explore">;
+
+function seededRandom(seed: string) {
+  let value = 2166136261;
+  for (const char of seed || "default") value = Math.imul(value ^ char.charCodeAt(0), 16777619);
+  return () => ((value = Math.imul(value ^ (value >>> 15), 2246822519)) >>> 0) / 4294967296;
+}
+
+function shuffle<T>(items: T[], random: () => number) {
+  const result = [...items];
+  for (let index = result.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [result[index], result[swapIndex]] = [result[swapIndex], result[index]];
+  }
+  return result;
+}
+
+function productTags(product: Product): TagVector {
+  return normalizeStyleTags(getEffectiveStyleTags(product).tags);
+}
+
+function cosine(left: TagVector, right: TagVector) {
+  let dot = 0;
+  let leftNorm = 0;
+  let rightNorm = 0;
+  for (const tag of TAGS) {
+    const a = Number(left[tag] || 0);
+    const b = Number(right[tag] || 0);
+    dot += a * b;
+    leftNorm += a * a;
+    rightNorm += b * b;
+  }
+  return leftNorm && rightNorm ? dot / Math.sqrt(leftNorm * rightNorm) : 0;
+}
+
+// A single Dig Match session leaves low-confidence signals; they still count,
+// but confident ones steer the feed. Negative scores push products down.
+function profileVector(profile: DigMatchProfile | null): TagVector {
+  const vector: TagVector = {};
+  for (const tag of TAGS) {
+    const signal = profile?.signals[tag];
+    if (signal) vector[tag] = signal.score * (0.25 + 0.75 * Math.max(0, Math.min(1, signal.confidence)));
+  }
+  return vector;
+}
+
+function collectionVector(products: Product[]): TagVector {
+  const vector: TagVector = {};
+  for (const product of products) {
+    const tags = productTags(product);
+    for (const tag of TAGS) vector[tag] = (vector[tag] || 0) + Number(tags[tag] || 0);
+  }
+  return vector;
+}
+
+function hasSignal(vector: TagVector) {
+  return TAGS.some((tag) => Number(vector[tag] || 0) !== 0);
+}
+
+function freshness(product: Product, now: number) {
+  const createdAt = product.createdAt ? Date.parse(product.createdAt) : Number.NaN;
+  if (!Number.isFinite(createdAt)) return 0;
+  return Math.pow(0.5, Math.max(0, now - createdAt) / DAY_MS / FRESHNESS_HALF_LIFE_DAYS);
+}
+
+/**
+ * Orders feed candidates by a blend of Dig Match profile affinity, style
+ * similarity to the saved Closet/DIGBOX collection, image similarity and
+ * freshness. Components the user has no data for drop out and the remaining
+ * weights are rescaled, so a new account gets a newest-first feed. Every
+ * `1 / explorationRate`-th slot goes to a product from the lower half of the
+ * ranking, preferring the profile's curious tags.
+ */
+export function rankPersonalizedFeed(
+  candidates: PersonalizedFeedCandidate[],
+  profile: DigMatchProfile | null,
+  collection: Product[],
+  { now = Date.now(), explorationRate = DEFAULT_EXPLORATION_RATE, seed = "default" }: PersonalizedFeedOptions = {}
+): PersonalizedFeedItem[] {
+  const taste = profileVector(profile);
+  const saved = collectionVector(collection);
+  const enabled: Record<AffinityComponent, boolean> = {
+    taste: hasSignal(taste),
+    collection: hasSignal(saved),
+    visual: candidates.some((candidate) => typeof candidate.visualSimilarity === "number"),
+    fresh: true,
+  };
+  const components = (Object.keys(PERSONALIZED_FEED_WEIGHTS) as AffinityComponent[]).filter((component) => enabled[component]);
+  const totalWeight = components.reduce((sum, component) => sum + PERSONALIZED_FEED_WEIGHTS[component], 0);
+
+  const seen = new Set<string>();
+  const scored = candidates
+    .filter(({ product }) => !seen.has(product.id) && Boolean(seen.add(product.id)))
+    .map(({ product, visualSimilarity }): PersonalizedFeedItem => {
+      const tags = productTags(product);
+      const values: Record<AffinityComponent, number> = {
+        taste: cosine(tags, taste),
+        collection: cosine(tags, saved),
+        visual: Math.max(0, Number(visualSimilarity) || 0),
+        fresh: freshness(product, now),
+      };
+      let score = 0;
+      let reason: AffinityComponent = "fresh";
+      let strongest = Number.NEGATIVE_INFINITY;
+      for (const component of components) {
+        const contribution = (PERSONALIZED_FEED_WEIGHTS[component] / totalWeight) * values[component];
+        score += contribution;
+        if (contribution > strongest) {
+          strongest = contribution;
+          reason = component;
+        }
+      }
+      return { product, score, reason };
+    })
+    .sort((left, right) => right.score - left.score || freshness(right.product, now) - freshness(left.product, now));
+
+  const interval = explorationRate > 0 ? Math.max(2, Math.round(1 / explorationRate)) : 0;
+  if (!interval || scored.length < interval) return scored;
+
+  const cutoff = Math.ceil(scored.length / 2);
+  const ranked = scored.slice(0, cutoff);
+  const rest = scored.slice(cutoff);
+  const random = seededRandom(seed);
+  const curiousTags = profile ? getDigMatchHighlights(profile).curious.map((item) => item.tag) : [];
+  const isCurious = (product: Product) => {
+    const tags = productTags(product);
+    return curiousTags.some((tag) => Number(tags[tag] || 0) >= CURIOUS_TAG_MIN_SCORE);
+  };
+  const explore = [
+    ...shuffle(rest.filter(({ product }) => isCurious(product)), random),
+    ...shuffle(rest.filter(({ product }) => !isCurious(product)), random),
+  ];
+
+  const result: PersonalizedFeedItem[] = [];
+  const explored = new Set<string>();
+  let rankedIndex = 0;
+  while (rankedIndex < ranked.length) {
+    if ((result.length + 1) % interval === 0 && explored.size < explore.length) {
+      const item = explore[explored.size];
+      explored.add(item.product.id);
+      result.push({ ...item, reason: "explore" });
+    } else {
+      result.push(ranked[rankedIndex]);
+      rankedIndex += 1;
+    }
+  }
+  return [...result, ...rest.filter(({ product }) => !explored.has(product.id))];
+}
@@ -2,6 +2,9 @@ import type { Product, ProductRow, SizeTable } from '../types';
 import { STORAGE_BUCKET, CATEGORY_OPTIONS, CATEGORY_OPTION_BY_LOWER } from '../constants';
 import { SUPABASE_URL } from '../constants';
 import { normalizeSizeTable } from './sizeTable';
+import { normalizeProductPriceRow } from './productPrice';
+import { normalizeSizeAvailability } from './sizeAvailability';
+import { normalizeColorVariants } from './colorVariants';
 import type { MessageKey } from '../i18n/messages';
 
 export const isExternalHttpUrl = (value: string | null | undefined): boolean =>
@@ -76,6 +79,23 @@ export const toPublicUrl = (
   return url.toString();
 };
 
+/**
+ * Images the viewer swipes through: `leadImages` (e.g. the picked color's shots)
+ * first, then the hero image and the stored gallery, without repeats.
+ */
+export const getProductGalleryImages = (
+  product: Pick<Product, 'image' | 'imageGallery'>,
+  leadImages: string[] = [],
+): string[] => {
+  const seen = new Set<string>();
+  return [...leadImages, product.image, ...(product.imageGallery ?? [])].filter((image) => {
+    const normalized = String(image || '').trim();
+    if (!normalized || seen.has(normalized)) return false;
+    seen.add(normalized);
+    return true;
+  });
+};
+
 export const normalizeProduct = (row: ProductRow): Product | null => {
   const id = String(row.id ?? '').trim();
   const brand = String(row.brand ?? '').trim();
@@ -94,6 +114,7 @@ export const normalizeProduct = (row: ProductRow): Product | null => {
     image: toPublicUrl(imagePath),
     thumbnailImage: toPublicUrl(imagePath, { width: 320, height: 320, resize: 'contain', quality: 65 }),
     imagePath,
+    imageGallery: (Array.isArray(row.image_gallery) ? row.image_gallery : []).map((path) => toPublicUrl(path)).filter(Boolean),
     slug: String(row.slug ?? '').trim() || null,
     sizeTable: normalizeSizeTable(row.size_table),
     normalizedSizeTable: (() => {
@@ -105,6 +126,11 @@ export const normalizeProduct = (row: ProductRow): Product | null => {
         return parsed as SizeTable;
       } catch { return null; }
     })(),
+    sizeTableValidation: row.size_table_validation ?? null,
+    sizeTableProvenance: row.size_table_provenance ?? null,
+    price: normalizeProductPriceRow(row),
+    sizeAvailability: normalizeSizeAvailability(row.size_availability),
+    colorVariants: normalizeColorVariants(row.color_variants),
     createdAt: row.created_at ? String(row.created_at) : undefined,
     collectionAddedAt: row.collection_added_at ? String(row.collection_added_at) : null,
     registeredBy: row.registered_by ? String(row.registered_by) : null,
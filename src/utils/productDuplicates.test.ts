@@ -0,0 +1,119 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { checkNewProductDuplicates, findDuplicateProductCandidates } from "../../server/services/product-duplicates";
+import type { ProductCardData } from "../types";
+
+type MatchRow = { id: string | number; phash_distance: number | null; visual_similarity: number | null };
+
+const lookup = vi.hoisted(() => ({
+  phash: "00ff00ff00ff00ff" as string | null,
+  matches: [] as MatchRow[],
+  products: [] as Array<{ id: string }>,
+  failMatches: false,
+  fingerprinted: [] as string[],
+}));
+
+vi.mock("../../server/services/image-worker.js", () => ({
+  callImageWorker: async (_path: string, body: { imagePath: string }) => {
+    lookup.fingerprinted.push(body.imagePath);
+    return lookup.phash ? { ok: true, data: { phash: lookup.phash } } : { ok: false, skipped: true };
+  },
+}));
+
+vi.mock("../../server/lib/supabase.js", () => ({
+  assertSupabaseConfig: () => undefined,
+  supabase: {
+    rpc: async () => (lookup.failMatches ? { data: null, error: new Error("rpc unavailable") } : { data: lookup.matches, error: null }),
+    from: () => ({
+      select: () => ({
+        in: async (_column: string, ids: Array<string | number>) => ({
+          data: lookup.products.filter((product) => ids.map(String).includes(product.id)),
+          error: null,
+        }),
+      }),
+    }),
+  },
+}));
+
+vi.mock("../../server/services/catalog", () => ({
+  PRODUCT_CARD_COLUMNS: "id",
+  normalizeProductCard: (row: unknown) => row,
+}));
+
+const card = (id: string) => ({ id, brand: "Brand", name: `Item ${id}`, image: "", url: "" }) as unknown as ProductCardData;
+
+beforeEach(() => {
+  lookup.phash = "00ff00ff00ff00ff";
+  lookup.matches = [];
+  lookup.products = [];
+  lookup.failMatches = false;
+  lookup.fingerprinted = [];
+});
+
+describe("duplicate product candidates", () => {
+  it("returns matched products in match order with their distances", async () => {
+    lookup.matches = [
+      { id: 7, phash_distance: 2, visual_similarity: 0.97 },
+      { id: "3", phash_distance: null, visual_similarity: 0.95 },
+      { id: "missing", phash_distance: 1, visual_similarity: null },
+    ];
+    lookup.products = [card("3"), card("7")];
+
+    const { fingerprint, candidates } = await findDuplicateProductCandidates("submissions/imported/a.jpg");
+
+    expect(fingerprint?.phash).toBe("00ff00ff00ff00ff");
+    expect(candidates).toEqual([
+      { product: card("7"), phashDistance: 2, visualSimilarity: 0.97 },
+      { product: card("3"), phashDistance: null, visualSimilarity: 0.95 },
+    ]);
+  });
+
+  it("only sends stored image paths to the image worker", async () => {
+    for (const imagePath of ["http://169.254.169.254/latest/meta-data", "https://shop.example/a.jpg", "submissions/../secret", ""]) {
+      expect(await findDuplicateProductCandidates(imagePath)).toEqual({ fingerprint: null, candidates: [] });
+    }
+    await findDuplicateProductCandidates("submissions/imported/a.jpg");
+    expect(lookup.fingerprinted).toEqual(["submissions/imported/a.jpg"]);
+  });
+
+  it("skips the lookup when the worker returns no fingerprint", async () => {
+    lookup.phash = null;
+    lookup.matches = [{ id: 1, phash_distance: 0, visual_similarity: 1 }];
+    lookup.products = [card("1")];
+
+    expect((await findDuplicateProductCandidates("submissions/a.jpg")).candidates).toEqual([]);
+  });
+});
+
+describe("new product duplicate gate", () => {
+  beforeEach(() => {
+    lookup.matches = [{ id: 7, phash_distance: 2, visual_similarity: null }];
+    lookup.products = [card("7")];
+  });
+
+  it("returns candidates so registration answers 409", async () => {
+    const check = await checkNewProductDuplicates({ imagePath: "submissions/a.jpg", confirmNewProduct: false });
+
+    expect(check.candidates.map((candidate) => candidate.product.id)).toEqual(["7"]);
+  });
+
+  it("skips the check when the user confirmed a new product", async () => {
+    expect(await checkNewProductDuplicates({ imagePath: "submissions/a.jpg", confirmNewProduct: true })).toEqual({
+      candidates: [],
+      imagePhash: null,
+    });
+    expect(lookup.fingerprinted).toEqual([]);
+  });
+
+  it("keeps the hash of a unique image and lets a failed lookup through", async () => {
+    lookup.matches = [];
+    expect(await checkNewProductDuplicates({ imagePath: "submissions/a.jpg", confirmNewProduct: false })).toEqual({
+      candidates: [],
+      imagePhash: "00ff00ff00ff00ff",
+    });
+    lookup.failMatches = true;
+    expect(await checkNewProductDuplicates({ imagePath: "submissions/a.jpg", confirmNewProduct: false })).toEqual({
+      candidates: [],
+      imagePhash: null,
+    });
+  });
+});
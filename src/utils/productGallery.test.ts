@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { selectProductGalleryImageCandidates } from "../../server/services/product-metadata/images.js";
+import { getProductGalleryImages } from "./product";
+
+describe("product image gallery", () => {
+  it("keeps product-only shots ahead of model shots and caps the gallery", () => {
+    const candidates = [
+      "https://shop.test/web/product/big/model_01.jpg",
+      "https://shop.test/web/product/big/tee_front.jpg",
+      "https://shop.test/web/product/extra/big/lookbook/tee_03.jpg",
+      "https://shop.test/web/product/big/tee_front.jpg",
+      "https://shop.test/web/product/extra/big/tee_flat_02.jpg",
+      "data:image/png;base64,AAAA",
+    ];
+
+    expect(selectProductGalleryImageCandidates(candidates, "Brand Tee", 3)).toEqual([
+      "https://shop.test/web/product/big/tee_front.jpg",
+      "https://shop.test/web/product/extra/big/tee_flat_02.jpg",
+      "https://shop.test/web/product/big/model_01.jpg",
+    ]);
+    expect(selectProductGalleryImageCandidates(candidates, "", 0)).toEqual([]);
+  });
+
+  it("leads the viewer with the picked color's images and drops repeats", () => {
+    const product = {
+      image: "https://cdn.test/hero.jpg",
+      imageGallery: ["https://cdn.test/side.jpg", "https://cdn.test/hero.jpg"],
+    };
+
+    expect(getProductGalleryImages(product)).toEqual(["https://cdn.test/hero.jpg", "https://cdn.test/side.jpg"]);
+    expect(getProductGalleryImages(product, ["https://cdn.test/navy.jpg", "https://cdn.test/side.jpg"])).toEqual([
+      "https://cdn.test/navy.jpg",
+      "https://cdn.test/side.jpg",
+      "https://cdn.test/hero.jpg",
+    ]);
+    expect(getProductGalleryImages({ image: "https://cdn.test/hero.jpg" })).toEqual(["https://cdn.test/hero.jpg"]);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { normalizeProductListings } from "../../server/services/product-metadata/listings.js";
+
+describe("product listings", () => {
+  it("orders merged store listings oldest first and reads their prices", () => {
+    const listings = normalizeProductListings([
+      {
+        url: "https://www.musinsa.com/products/123",
+        list_price: "89000",
+        sale_price: "69000",
+        price_currency: "KRW",
+        availability: "in_stock",
+        is_size_table_source: true,
+        created_at: "2026-09-22T10:00:01Z",
+      },
+      {
+        url: "https://brand.example/shop/tee",
+        list_price: 89000,
+        sale_price: null,
+        price_currency: "KRW",
+        availability: null,
+        is_size_table_source: false,
+        created_at: "2026-09-22T10:00:00Z",
+      },
+    ]);
+
+    expect(listings).toEqual([
+      {
+        url: "https://brand.example/shop/tee",
+        storeName: "brand.example",
+        price: { listPrice: 89000, salePrice: null, currency: "KRW", availability: null },
+        isSizeTableSource: false,
+      },
+      {
+        url: "https://www.musinsa.com/products/123",
+        storeName: "musinsa.com",
+        price: { listPrice: 89000, salePrice: 69000, currency: "KRW", availability: "in_stock" },
+        isSizeTableSource: true,
+      },
+    ]);
+  });
+
+  it("drops rows without an http url and repeated urls", () => {
+    expect(normalizeProductListings([
+      { url: "#", created_at: "2026-09-22T10:00:00Z" },
+      { url: "https://brand.example/a", created_at: "2026-09-22T10:00:01Z" },
+      { url: "https://brand.example/a", created_at: "2026-09-22T10:00:02Z" },
+    ]).map((listing) => listing.url)).toEqual(["https://brand.example/a"]);
+    expect(normalizeProductListings(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getProductRedirectTarget, mergeProducts, parseProductMergeInput } from "../../server/services/product-merge";
+
+const db = vi.hoisted(() => ({
+  rpc: vi.fn(),
+  redirect: null as { data: unknown; error: unknown } | null,
+  redirectLookups: [] as unknown[],
+}));
+
+vi.mock("../../server/lib/supabase.js", () => ({
+  assertSupabaseConfig: () => undefined,
+  supabase: {
+    rpc: db.rpc,
+    from: () => ({
+      select: () => ({
+        eq: (_column: string, value: unknown) => {
+          db.redirectLookups.push(value);
+          return { maybeSingle: async () => db.redirect ?? { data: null, error: null } };
+        },
+      }),
+    }),
+  },
+}));
+
+const MIGRATIONS_DIR = join(process.cwd(), "supabase", "migrations");
+// merge_products writes these for the canonical product itself.
+const MERGE_OWNED_TABLES = new Set(["product_listings", "product_redirects"]);
+
+const migrations = readdirSync(MIGRATIONS_DIR)
+  .filter((file) => file.endsWith(".sql"))
+  .sort()
+  .map((file) => readFileSync(join(MIGRATIONS_DIR, file), "utf8"));
+
+const cascadingProductTables = () => {
+  const tables = new Set<string>();
+  for (const sql of migrations) {
+    for (const [, table, body] of sql.matchAll(/create table (?:if not exists )?public\.(\w+) \(([\s\S]*?)\n\);/g)) {
+      if (/references public\.products ?\(id\) on delete cascade/.test(body)) tables.add(table);
+    }
+  }
+  return [...tables].filter((table) => !MERGE_OWNED_TABLES.has(table));
+};
+
+const latestMergeProductsBody = () => {
+  const definitions = migrations.flatMap((sql) =>
+    [...sql.matchAll(/create or replace function public\.merge_products\([\s\S]*?\nas \$\$([\s\S]*?)\$\$;/g)].map((match) => match[1])
+  );
+  return definitions[definitions.length - 1] || "";
+};
+
+describe("merge_products", () => {
+  it("moves every row that would cascade with a merged product to the canonical one first", () => {
+    const body = latestMergeProductsBody();
+    const deleteAt = body.indexOf("delete from public.products p");
+    const tables = cascadingProductTables();
+
+    expect(deleteAt).toBeGreaterThan(0);
+    expect(tables).toEqual(expect.arrayContaining(["product_price_history", "user_taste_swipe_events"]));
+    for (const table of tables) {
+      const updateAt = body.indexOf(`update public.${table}`);
+      expect(updateAt, table).toBeGreaterThan(0);
+      expect(updateAt, table).toBeLessThan(deleteAt);
+    }
+  });
+});
+
+describe("parseProductMergeInput", () => {
+  it("dedupes duplicate ids and keeps the size table source", () => {
+    expect(parseProductMergeInput({ canonicalId: " 7 ", duplicateIds: ["8", 8, "9"], sizeTableProductId: "9" })).toEqual({
+      canonicalId: "7",
+      duplicateIds: ["8", "9"],
+      sizeTableProductId: "9",
+    });
+  });
+
+  it.each([
+    [{ duplicateIds: ["8"] }, "canonicalId is required"],
+    [{ canonicalId: "7", duplicateIds: [] }, "duplicateIds must list at least one product"],
+    [{ canonicalId: "7", duplicateIds: ["8", "x"] }, "invalid product id"],
+    [{ canonicalId: "7", duplicateIds: ["7"] }, "canonical product cannot also be a duplicate"],
+    [{ canonicalId: "7", duplicateIds: ["8"], sizeTableProductId: "9" }, "size table source must be one of the merged products"],
+    [{ canonicalId: "7", duplicateIds: Array.from({ length: 11 }, (_, index) => String(index + 10)) }, "at most 10 products can be merged at once"],
+  ])("rejects %j with a 400", (body, message) => {
+    expect(() => parseProductMergeInput(body)).toThrow(expect.objectContaining({ message, statusCode: 400 }));
+  });
+});
+
+describe("mergeProducts", () => {
+  beforeEach(() => {
+    db.rpc.mockReset();
+  });
+
+  it("answers a missing product with a 404 and a rejected request with a 400", async () => {
+    db.rpc.mockResolvedValueOnce({ data: null, error: { code: "P0002", message: "product not found" } });
+    await expect(mergeProducts({ canonicalId: "7", duplicateIds: ["8"] })).rejects.toMatchObject({ statusCode: 404 });
+
+    db.rpc.mockResolvedValueOnce({ data: null, error: { code: "22023", message: "size table source must be one of the merged products" } });
+    await expect(mergeProducts({ canonicalId: "7", duplicateIds: ["8"] })).rejects.toMatchObject({
+      statusCode: 400,
+      message: "size table source must be one of the merged products",
+    });
+  });
+
+  it("passes other database errors through unchanged", async () => {
+    const error = { code: "40001", message: "could not serialize access" };
+    db.rpc.mockResolvedValueOnce({ data: null, error });
+
+    await expect(mergeProducts({ canonicalId: "7", duplicateIds: ["8"] })).rejects.toBe(error);
+  });
+
+  it("sends numeric ids and returns the merged ids as strings", async () => {
+    db.rpc.mockResolvedValueOnce({ data: { canonicalId: 7, mergedIds: [8, 9], imagePaths: [], galleryPaths: [] }, error: null });
+
+    expect(await mergeProducts({ canonicalId: "7", duplicateIds: ["8", "9"], sizeTableProductId: "9" })).toEqual({
+      canonicalId: "7",
+      mergedIds: ["8", "9"],
+    });
+    expect(db.rpc).toHaveBeenCalledWith("merge_products", { canonical_id: 7, duplicate_ids: [8, 9], size_table_product_id: 9 });
+  });
+});
+
+describe("getProductRedirectTarget", () => {
+  beforeEach(() => {
+    db.redirect = null;
+    db.redirectLookups = [];
+  });
+
+  it("returns the canonical id of a merged product", async () => {
+    db.redirect = { data: { canonical_product_id: 7 }, error: null };
+
+    expect(await getProductRedirectTarget("8")).toBe("7");
+    expect(db.redirectLookups).toEqual(["8"]);
+  });
+
+  it("returns null for an id that was never merged, and skips malformed ids", async () => {
+    expect(await getProductRedirectTarget("8")).toBeNull();
+    expect(await getProductRedirectTarget("8-some-slug")).toBeNull();
+    expect(db.redirectLookups).toEqual(["8"]);
+  });
+});
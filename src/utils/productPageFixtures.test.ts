@@ -0,0 +1,68 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { describe, expect, it } from "vitest";
+import { productMetadataDeps } from "../../server/bootstrap/metadata.js";
+import { createProductMetadataService } from "../../server/services/product-metadata.js";
+
+// Each directory under __fixtures__/product-pages is a store page: case.json maps
+// the URLs the pipeline fetches to files next to it. expected.json is written by
+// hand from what the page shows, never from the pipeline's output, and lists
+// only the fields worth pinning: product images must all be among the
+// candidates, every other listed field must match exactly. A "-sold-out" case
+// is its store page with one size marked sold out and pins only the sizes.
+const FIXTURES_DIR = join(import.meta.dirname, "__fixtures__", "product-pages");
+
+type FixtureCase = { url: string; responses: Record<string, string> };
+
+const createFixtureService = (caseDir: string, { responses }: FixtureCase) =>
+  createProductMetadataService({
+    ...productMetadataDeps,
+    fetchWithTimeout: async (url: string) => {
+      const file = responses[url];
+      if (!file) return new Response("", { status: 404, statusText: "Not Found" });
+      return new Response(readFileSync(join(caseDir, file)), {
+        headers: { "content-type": file.endsWith(".json") ? "application/json" : "text/html; charset=utf-8" },
+      });
+    },
+    // Image downloads and Gemini re-ranking are network-bound; keep the page order.
+    selectFirstImagePayload: async () => null,
+    prioritizeProductImageCandidates: async ({ candidates }: { candidates: string[] }) => ({
+      imagePath: candidates[0] || "",
+      productImageCandidates: candidates,
+    }),
+  });
+
+type ExtractedMetadata = Awaited<ReturnType<ReturnType<typeof createProductMetadataService>["extractProductMetadataFromUrl"]>>;
+
+const summarize = (metadata: ExtractedMetadata) => ({
+  url: metadata.url,
+  brand: metadata.brand,
+  name: metadata.name,
+  category: metadata.category,
+  image_path: metadata.image_path,
+  productImageCandidates: metadata.productImageCandidates,
+  sizeOptionLabels: metadata.sizeOptionLabels ?? [],
+  sizeTable: metadata.sizeTableCandidates?.[0]?.table ?? null,
+  price: metadata.price ?? null,
+  // checkedAt is the extraction time, so only the per-size states are pinned.
+  sizeAvailability: metadata.sizeAvailability?.sizes ?? null,
+  colorVariants: metadata.colorVariants ?? null,
+});
+
+describe("product page fixtures", () => {
+  for (const name of readdirSync(FIXTURES_DIR)) {
+    const caseDir = join(FIXTURES_DIR, name);
+    it(name, async () => {
+      const fixture: FixtureCase = JSON.parse(readFileSync(join(caseDir, "case.json"), "utf8"));
+      const actual = summarize(await createFixtureService(caseDir, fixture).extractProductMetadataFromUrl(fixture.url));
+      const expected = JSON.parse(readFileSync(join(caseDir, "expected.json"), "utf8"));
+
+      expect(actual).toMatchObject({
+        ...expected,
+        ...(expected.productImageCandidates
+          ? { productImageCandidates: expect.arrayContaining(expected.productImageCandidates) }
+          : {}),
+      });
+    });
+  }
+});
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import {
+  detectPriceAlert,
+  extractPriceFromOffers,
+  hasProductPriceChanged,
+  normalizeProductPrice,
+} from "../../server/services/product-metadata/price.js";
+import { extractProductPriceFromMetaTags } from "../../server/services/product-metadata/html.js";
+import { formatPrice, getDiscountRate, getSaleListPrice, matchesPriceFilter } from "./productPrice";
+
+describe("product price extraction", () => {
+  it("reads the lowest offer, a strikethrough list price and the best availability", () => {
+    const price = extractPriceFromOffers([
+      {
+        "@type": "Offer",
+        price: "89000",
+        priceCurrency: "KRW",
+        availability: "https://schema.org/OutOfStock",
+        priceSpecification: [{ "@type": "UnitPriceSpecification", priceType: "https://schema.org/StrikethroughPrice", price: 129000 }],
+      },
+      { "@type": "Offer", price: "79,000", priceCurrency: "KRW", availability: "https://schema.org/InStock" },
+    ]);
+
+    expect(price).toEqual({ listPrice: 129000, salePrice: 79000, currency: "KRW", availability: "in_stock" });
+  });
+
+  it("treats a lone or non-discounted sale price as the list price", () => {
+    expect(normalizeProductPrice({ salePrice: "1.299,00", currency: "eur" })).toEqual({
+      listPrice: 1299,
+      salePrice: null,
+      currency: "EUR",
+      availability: null,
+    });
+    expect(normalizeProductPrice({ listPrice: 50000, salePrice: 50000, currency: "₩" })?.salePrice).toBeNull();
+    expect(normalizeProductPrice({ currency: "KRW" })).toBeNull();
+  });
+
+  it("falls back to product price meta tags", () => {
+    const html = `
+      <meta property="product:price:amount" content="289000">
+      <meta property="product:sale_price:amount" content="231200">
+      <meta property="product:price:currency" content="KRW">
+      <meta name="product:availability" content="sold out">
+    `;
+
+    expect(extractProductPriceFromMetaTags(html)).toEqual({
+      listPrice: 289000,
+      salePrice: 231200,
+      currency: "KRW",
+      availability: "out_of_stock",
+    });
+  });
+});
+
+describe("product price filters", () => {
+  const sale = { listPrice: 129000, salePrice: 79000, currency: "KRW", availability: "in_stock" } as const;
+  const usd = { listPrice: 40, salePrice: null, currency: "USD", availability: null };
+
+  it("matches sale and KRW range chips against the effective price", () => {
+    expect(getDiscountRate(sale)).toBe(39);
+    expect(matchesPriceFilter(sale, "sale")).toBe(true);
+    expect(matchesPriceFilter(sale, "50000_100000")).toBe(true);
+    expect(matchesPriceFilter(sale, "100000_200000")).toBe(false);
+    expect(matchesPriceFilter(usd, "under_50000")).toBe(false);
+    expect(matchesPriceFilter(null, "")).toBe(true);
+  });
+
+  it("strikes through the list price only for a real markdown", () => {
+    expect(getSaleListPrice(sale)).toBe(129000);
+    expect(getSaleListPrice(usd)).toBeNull();
+    expect(getSaleListPrice({ ...sale, salePrice: 129000 })).toBeNull();
+    expect(getDiscountRate({ ...sale, listPrice: null })).toBeNull();
+  });
+
+  it("formats whole and fractional amounts", () => {
+    expect(formatPrice(79000, "KRW", "ko")).toBe("₩79,000");
+    expect(formatPrice(128, "USD", "en")).toBe("$128");
+    expect(formatPrice(128.5, "USD", "en")).toBe("$128.50");
+  });
+});
+
+describe("price tracking alerts", () => {
+  const listed = { listPrice: 129000, salePrice: null, currency: "KRW", availability: "in_stock" };
+
+  it("flags a lower effective price in the same currency as a drop", () => {
+    expect(detectPriceAlert(listed, { ...listed, salePrice: 99000 })).toBe("price_drop");
+    expect(detectPriceAlert(listed, { ...listed, listPrice: 99, currency: "USD" })).toBeNull();
+    expect(detectPriceAlert(listed, { ...listed, salePrice: 99000, availability: "out_of_stock" })).toBeNull();
+  });
+
+  it("flags sold out to purchasable as a restock, and ignores first observations", () => {
+    expect(detectPriceAlert({ ...listed, availability: "out_of_stock" }, { ...listed, salePrice: 99000 })).toBe("restock");
+    expect(detectPriceAlert(null, listed)).toBeNull();
+  });
+
+  it("only reports a change when a stored field differs", () => {
+    expect(hasProductPriceChanged(listed, { ...listed, listPrice: "129,000" })).toBe(false);
+    expect(hasProductPriceChanged(listed, { ...listed, availability: "preorder" })).toBe(true);
+    expect(hasProductPriceChanged(null, listed)).toBe(true);
+  });
+});
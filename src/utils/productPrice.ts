@@ -0,0 +1,75 @@
+import { PRICE_FILTER_CURRENCY, PRICE_FILTER_OPTIONS, type PriceFilterValue } from '../constants';
+import type { Locale } from '../i18n/locale';
+import type { ProductAvailability, ProductPrice, ProductRow } from '../types';
+
+const PRODUCT_AVAILABILITIES: ProductAvailability[] = ['in_stock', 'preorder', 'out_of_stock'];
+
+const toAmount = (value: unknown): number | null => {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+/** Reads the price columns of a products row; PostgREST may return numeric columns as strings. */
+export const normalizeProductPriceRow = (row: Pick<ProductRow, 'list_price' | 'sale_price' | 'price_currency' | 'availability'>): ProductPrice | null => {
+  const listPrice = toAmount(row.list_price);
+  const salePrice = toAmount(row.sale_price);
+  const availability = PRODUCT_AVAILABILITIES.includes(row.availability as ProductAvailability) ? (row.availability as ProductAvailability) : null;
+  if (listPrice === null && availability === null) return null;
+  return {
+    listPrice,
+    salePrice: listPrice !== null && salePrice !== null && salePrice < listPrice ? salePrice : null,
+    currency: row.price_currency ? String(row.price_currency) : null,
+    availability,
+  };
+};
+
+/** What the product currently sells for. */
+export const getEffectivePrice = (price: ProductPrice | null | undefined): number | null =>
+  price?.salePrice ?? price?.listPrice ?? null;
+
+export const isProductOnSale = (price: ProductPrice | null | undefined): boolean =>
+  price?.salePrice != null && price.listPrice != null && price.salePrice < price.listPrice;
+
+/** The list price to strike through, or null when the product is not on sale. */
+export const getSaleListPrice = (price: ProductPrice | null | undefined): number | null =>
+  isProductOnSale(price) ? price?.listPrice ?? null : null;
+
+/** Whole-percent discount, e.g. 30 for 30% off. */
+export const getDiscountRate = (price: ProductPrice | null | undefined): number | null => {
+  const listPrice = getSaleListPrice(price);
+  const salePrice = price?.salePrice;
+  if (listPrice === null || salePrice == null) return null;
+  return Math.round((1 - salePrice / listPrice) * 100);
+};
+
+export const isPriceFilterValue = (value: unknown): value is PriceFilterValue =>
+  PRICE_FILTER_OPTIONS.some((option) => option.value === value);
+
+/** Client-side counterpart of the /api/catalog/products price filter. */
+export const matchesPriceFilter = (price: ProductPrice | null | undefined, filter: PriceFilterValue | ''): boolean => {
+  if (!filter) return true;
+  if (filter === 'sale') return isProductOnSale(price);
+  const option = PRICE_FILTER_OPTIONS.find((item) => item.value === filter);
+  const amount = getEffectivePrice(price);
+  if (!option || amount === null || price?.currency !== PRICE_FILTER_CURRENCY) return false;
+  if ('min' in option && amount < option.min) return false;
+  if ('max' in option && amount >= option.max) return false;
+  return true;
+};
+
+export const formatPrice = (amount: number, currency: string | null, locale: Locale): string => {
+  const numberLocale = locale === 'ko' ? 'ko-KR' : 'en-US';
+  if (!currency) return amount.toLocaleString(numberLocale);
+  const fractionDigits = Number.isInteger(amount) ? 0 : 2;
+  try {
+    return new Intl.NumberFormat(numberLocale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits,
+    }).format(amount);
+  } catch {
+    return `${amount.toLocaleString(numberLocale)} ${currency}`;
+  }
+};
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { extractSizeAvailabilityFromPage, normalizeSizeAvailability } from "../../server/services/size-table/availability.js";
+import { extractOptionSizeLabelsFromHtml } from "../../server/services/size-table/validation.js";
+import { isSizeSoldOut } from "./sizeAvailability";
+
+const checkedAt = "2026-09-14T00:00:00.000Z";
+
+describe("per-size availability", () => {
+  it("reads disabled, sold-out classes and 품절 labels from option markup", () => {
+    const html = `
+      <select class="size-select">
+        <option data-size="S">S</option>
+        <option data-size="M" disabled>M</option>
+        <option data-size="L">L(품절)</option>
+      </select>
+      <button class="size-option is-soldout">XL</button>
+    `;
+
+    expect(extractSizeAvailabilityFromPage({ html, checkedAt })).toEqual({
+      checkedAt,
+      sizes: [
+        { label: "S", availability: "in_stock" },
+        { label: "M", availability: "out_of_stock" },
+        { label: "L", availability: "out_of_stock" },
+        { label: "XL", availability: "out_of_stock" },
+      ],
+    });
+    expect(extractOptionSizeLabelsFromHtml(html)).toEqual(["S", "M", "L", "XL"]);
+  });
+
+  it("lets __NEXT_DATA__ inventory override markup, sold out only when every variant is", () => {
+    const html = `<button class="size-option">M</button><button class="size-option">L</button>`;
+    const jsonData = [{
+      props: {
+        pageProps: {
+          options: [
+            { color: "black", sizeName: "M", remainQuantity: 0 },
+            { color: "navy", sizeName: "M", remainQuantity: 2 },
+            { color: "black", sizeName: "L", stockStatus: "SOLD_OUT" },
+          ],
+        },
+      },
+    }];
+
+    expect(extractSizeAvailabilityFromPage({ html, jsonData, checkedAt })?.sizes).toEqual([
+      { label: "M", availability: "in_stock" },
+      { label: "L", availability: "out_of_stock" },
+    ]);
+    expect(extractSizeAvailabilityFromPage({ html: "", jsonData, checkedAt })?.sizes).toHaveLength(2);
+  });
+
+  it("marks a repeated size sold out only when every listing is, in markup and in JSON", () => {
+    const html = `
+      <select class="size-select"><option data-size="M" disabled>M</option><option data-size="L" disabled>L</option></select>
+      <button class="size-option">M</button>
+      <button class="size-option sold-out">L</button>
+    `;
+    const jsonData = [{
+      variants: [
+        { option1: "M", available: false },
+        { option1: "M", available: true },
+        { option1: "L", available: false },
+        { option1: "L", available: false },
+      ],
+    }];
+    const expected = [
+      { label: "M", availability: "in_stock" },
+      { label: "L", availability: "out_of_stock" },
+    ];
+
+    expect(extractSizeAvailabilityFromPage({ html, checkedAt })?.sizes).toEqual(expected);
+    expect(extractSizeAvailabilityFromPage({ jsonData, checkedAt })?.sizes).toEqual(expected);
+  });
+
+  it("matches size-table rows to stored options across size systems", () => {
+    const availability = normalizeSizeAvailability({
+      checkedAt,
+      sizes: [{ label: "L", availability: "out_of_stock" }, { label: "M", availability: "unknown" }],
+    });
+
+    expect(availability?.sizes).toEqual([{ label: "L", availability: "out_of_stock" }]);
+    expect(isSizeSoldOut(availability, "l")).toBe(true);
+    expect(isSizeSoldOut(availability, "100(L)", "Top")).toBe(true);
+    expect(isSizeSoldOut(availability, "M")).toBe(false);
+  });
+});
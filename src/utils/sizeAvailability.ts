@@ -0,0 +1,36 @@
+import type { SizeAvailability, SizeAvailabilityStatus } from '../types';
+import { isSameSize } from './sizeConversion.js';
+import { normalizeSizeLabel } from './sizeTable';
+
+const SIZE_AVAILABILITY_STATUSES: SizeAvailabilityStatus[] = ['in_stock', 'out_of_stock'];
+
+/** Reads products.size_availability, dropping entries with an unknown status. */
+export const normalizeSizeAvailability = (value: unknown): SizeAvailability | null => {
+  if (!value || typeof value !== 'object') return null;
+  const record = value as { checkedAt?: unknown; sizes?: unknown };
+  const sizes = (Array.isArray(record.sizes) ? record.sizes : []).flatMap((size) => {
+    const label = String(size?.label ?? '').trim();
+    const availability = size?.availability as SizeAvailabilityStatus;
+    return label && SIZE_AVAILABILITY_STATUSES.includes(availability) ? [{ label, availability }] : [];
+  });
+  if (sizes.length === 0) return null;
+  return { checkedAt: String(record.checkedAt ?? '').trim() || null, sizes };
+};
+
+/**
+ * Whether a size-table row label is sold out. Store options and chart rows
+ * often name sizes differently (`L` vs `100(L)`), so labels that are not an
+ * exact match are compared across size systems.
+ */
+export const isSizeSoldOut = (
+  availability: SizeAvailability | null | undefined,
+  label: unknown,
+  category?: string | null,
+): boolean => {
+  const normalized = normalizeSizeLabel(label);
+  if (!availability || !normalized) return false;
+  const entry =
+    availability.sizes.find((size) => normalizeSizeLabel(size.label) === normalized) ||
+    availability.sizes.find((size) => isSameSize(size.label, normalized, { category }));
+  return entry?.availability === 'out_of_stock';
+};
@@ -0,0 +1,348 @@
+// Shared by the client and the server size-table normalizer, so it stays
+// plain JS like ../constants/styleAnalysis.js.
+
+/**
+ * @typedef {"alpha" | "kr" | "mm" | "us" | "us_women" | "uk" | "eu" | "jp" | "waist_in" | "waist_cm"} SizeSystem
+ * @typedef {{ system: SizeSystem; value: number | string; inseam?: number | null }} ParsedSizeLabel
+ * @typedef {{ category?: string | null; system?: SizeSystem | null }} SizeLabelContext
+ */
+
+/** @type {SizeSystem[]} */
+export const SIZE_SYSTEMS = ["alpha", "kr", "mm", "us", "us_women", "uk", "eu", "jp", "waist_in", "waist_cm"];
+
+export const ALPHA_SIZE_ORDER = ["XXS", "XS", "S", "M", "L", "XL", "XXL", "XXXL"];
+
+const ALPHA_SIZE_ALIASES = { "2XS": "XXS", "2XL": "XXL", "3XL": "XXXL", XXXXL: "XXXL" };
+
+/** Korean chest-based apparel numbers (90/95/100) for each alpha size. */
+export const APPAREL_KR_BY_ALPHA = { XXS: 80, XS: 85, S: 90, M: 95, L: 100, XL: 105, XXL: 110, XXXL: 115 };
+
+/** Men's/unisex foot length chart; women's US sizes run 1.5 above men's and JP is centimeters. */
+export const SHOE_SIZE_CHART = [
+  { mm: 220, us: 3.5, uk: 3, eu: 35.5 },
+  { mm: 225, us: 4, uk: 3.5, eu: 36 },
+  { mm: 230, us: 4.5, uk: 4, eu: 36.5 },
+  { mm: 235, us: 5, uk: 4.5, eu: 37.5 },
+  { mm: 240, us: 6, uk: 5, eu: 38.5 },
+  { mm: 245, us: 6.5, uk: 5.5, eu: 39 },
+  { mm: 250, us: 7, uk: 6, eu: 40 },
+  { mm: 255, us: 7.5, uk: 6.5, eu: 40.5 },
+  { mm: 260, us: 8, uk: 7, eu: 41 },
+  { mm: 265, us: 8.5, uk: 7.5, eu: 42 },
+  { mm: 270, us: 9, uk: 8, eu: 42.5 },
+  { mm: 275, us: 9.5, uk: 8.5, eu: 43 },
+  { mm: 280, us: 10, uk: 9, eu: 44 },
+  { mm: 285, us: 10.5, uk: 9.5, eu: 44.5 },
+  { mm: 290, us: 11, uk: 10, eu: 45 },
+  { mm: 295, us: 11.5, uk: 10.5, eu: 45.5 },
+  { mm: 300, us: 12, uk: 11, eu: 46 },
+  { mm: 305, us: 12.5, uk: 11.5, eu: 47 },
+  { mm: 310, us: 13, uk: 12, eu: 47.5 },
+];
+
+const US_WOMEN_OFFSET = 1.5;
+const CM_PER_INCH = 2.54;
+const WAIST_MATCH_TOLERANCE_CM = 1.5;
+
+const SHOE_SYSTEMS = ["mm", "us", "us_women", "uk", "eu", "jp"];
+const APPAREL_SYSTEMS = ["alpha", "kr"];
+const WAIST_SYSTEMS = ["waist_in", "waist_cm"];
+
+const isShoeCategory = (category) => category === "Shoes";
+const isBottomCategory = (category) => category === "Bottom";
+
+const normalizeLabelText = (value) =>
+  String(value ?? "")
+    .normalize("NFKC")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toUpperCase();
+
+const toAlphaSize = (value) => {
+  const text = String(value || "").replace(/\s+/g, "").toUpperCase();
+  const alias = ALPHA_SIZE_ALIASES[text] || text;
+  return ALPHA_SIZE_ORDER.includes(alias) ? alias : null;
+};
+
+const isKrApparelNumber = (value) => value >= 80 && value <= 120 && value % 5 === 0;
+const isShoeMillimeters = (value) => value >= 200 && value <= 320 && value % 5 === 0;
+
+/** Reads a numeric label without a system prefix, using the category or a table-level hint. */
+const parsePlainNumber = (value, { category, system } = {}) => {
+  if (system && SIZE_SYSTEMS.includes(system) && system !== "alpha") {
+    return system === "waist_in" || system === "waist_cm" ? { system, value, inseam: null } : { system, value };
+  }
+  if (isShoeMillimeters(value)) return { system: "mm", value };
+  if (isShoeCategory(category)) {
+    if (value >= 34 && value <= 50) return { system: "eu", value };
+    if (value >= 21 && value <= 32) return { system: "jp", value };
+    if (value >= 3 && value <= 15) return { system: "us", value };
+    return null;
+  }
+  if (isBottomCategory(category) && Number.isInteger(value) && value >= 22 && value <= 44) {
+    return { system: "waist_in", value, inseam: null };
+  }
+  if (isKrApparelNumber(value)) return { system: "kr", value };
+  return null;
+};
+
+/**
+ * Parses a size label such as `L`, `95(L)`, `270mm`, `EU 42.5`, `US W8`,
+ * `W30/L32` or `76cm` into its size system. Bare numbers are resolved with the
+ * category or the table's detected `system`. Returns null for anything else.
+ *
+ * @param {unknown} label
+ * @param {SizeLabelContext} [context]
+ * @returns {ParsedSizeLabel | null}
+ */
+export const parseSizeLabel = (label, context = {}) => {
+  const text = normalizeLabelText(label);
+  if (!text) return null;
+
+  const alpha = toAlphaSize(text);
+  if (alpha) return { system: "alpha", value: alpha };
+
+  // 95(L), L(95), L-100, 100/L: the KR number is the more precise half.
+  const combined =
+    text.match(/^(\d{2,3})\s*[-/(]?\s*([0-9]?X{0,4}[SML])\s*\)?$/) ||
+    text.match(/^([0-9]?X{0,4}[SML])\s*[-/(]?\s*(\d{2,3})\s*\)?$/);
+  if (combined) {
+    const [first, second] = [combined[1], combined[2]];
+    const number = Number(/^\d+$/.test(first) ? first : second);
+    const alphaPart = toAlphaSize(/^\d+$/.test(first) ? second : first);
+    if (alphaPart && isKrApparelNumber(number)) return { system: "kr", value: number };
+    if (alphaPart) return { system: "alpha", value: alphaPart };
+  }
+
+  const millimeters = text.match(/^(\d{3})\s*MM$/);
+  if (millimeters) return { system: "mm", value: Number(millimeters[1]) };
+
+  const usWomen = text.match(/^(?:US\s*W(?:OMEN'?S?)?|W(?:OMEN'?S?)?\s*US)\s*(\d{1,2}(?:\.5)?)$/);
+  if (usWomen) return { system: "us_women", value: Number(usWomen[1]) };
+
+  const prefixed = text.match(/^(EU|EUR|US|UK|JP|KR)\s*(\d{1,3}(?:\.\d)?)$/);
+  if (prefixed) {
+    const value = Number(prefixed[2]);
+    const prefix = prefixed[1] === "EUR" ? "EU" : prefixed[1];
+    if (prefix === "KR") return isShoeMillimeters(value) ? { system: "mm", value } : isKrApparelNumber(value) ? { system: "kr", value } : null;
+    return { system: /** @type {SizeSystem} */ (prefix.toLowerCase()), value };
+  }
+
+  const shoeWomen = isShoeCategory(context.category) ? text.match(/^W\s*(\d{1,2}(?:\.5)?)$/) : null;
+  if (shoeWomen) return { system: "us_women", value: Number(shoeWomen[1]) };
+
+  const waistInseam =
+    text.match(/^W\s*(\d{2})(?:\s*[/X]?\s*L\s*(\d{2}))?$/) ||
+    (isBottomCategory(context.category) ? text.match(/^(\d{2})\s*[/X]\s*(\d{2})$/) : null);
+  if (waistInseam) {
+    return { system: "waist_in", value: Number(waistInseam[1]), inseam: waistInseam[2] ? Number(waistInseam[2]) : null };
+  }
+
+  const waistInches = text.match(/^(\d{2})\s*(?:INCH(?:ES)?|IN|")$/);
+  if (waistInches) return { system: "waist_in", value: Number(waistInches[1]), inseam: null };
+
+  const waistCm = text.match(/^(\d{2,3}(?:\.\d)?)\s*CM$/);
+  if (waistCm && isShoeCategory(context.category)) {
+    const millimeters = Math.round(Number(waistCm[1]) * 10);
+    return isShoeMillimeters(millimeters) ? { system: "mm", value: millimeters } : null;
+  }
+  if (waistCm && Number(waistCm[1]) >= 50 && Number(waistCm[1]) <= 130) {
+    return { system: "waist_cm", value: Number(waistCm[1]), inseam: null };
+  }
+
+  if (/^\d{1,3}(?:\.\d)?$/.test(text)) return parsePlainNumber(Number(text), context);
+  return null;
+};
+
+const findShoeRow = (key, value) => {
+  const row = SHOE_SIZE_CHART.find((entry) => Math.abs(entry[key] - value) < 0.01);
+  return row || null;
+};
+
+/**
+ * Collapses a parsed label onto one scale per garment kind so labels from
+ * different systems can be compared: KR numbers for apparel, millimeters for
+ * shoes and centimeters for waists.
+ *
+ * @param {ParsedSizeLabel | null} parsed
+ * @returns {{ kind: "apparel" | "shoe" | "waist"; value: number } | null}
+ */
+export const toComparableSize = (parsed) => {
+  if (!parsed) return null;
+  const value = typeof parsed.value === "number" ? parsed.value : NaN;
+  switch (parsed.system) {
+    case "alpha":
+      return { kind: "apparel", value: APPAREL_KR_BY_ALPHA[String(parsed.value)] };
+    case "kr":
+      return { kind: "apparel", value };
+    case "mm":
+      return { kind: "shoe", value };
+    case "jp":
+      return { kind: "shoe", value: Math.round(value * 10) };
+    case "us":
+    case "uk":
+    case "eu": {
+      const row = findShoeRow(parsed.system, value);
+      return row ? { kind: "shoe", value: row.mm } : null;
+    }
+    case "us_women": {
+      const row = findShoeRow("us", value - US_WOMEN_OFFSET);
+      return row ? { kind: "shoe", value: row.mm } : null;
+    }
+    case "waist_in":
+      return { kind: "waist", value: Math.round(value * CM_PER_INCH * 10) / 10 };
+    case "waist_cm":
+      return { kind: "waist", value };
+    default:
+      return null;
+  }
+};
+
+const formatNumber = (value) => String(Math.round(value * 10) / 10);
+
+/**
+ * @param {SizeSystem} system
+ * @param {number | string} value
+ */
+export const formatSizeLabel = (system, value) => {
+  switch (system) {
+    case "alpha":
+      return String(value);
+    case "kr":
+      return formatNumber(Number(value));
+    case "mm":
+      return `${formatNumber(Number(value))}mm`;
+    case "us_women":
+      return `US W${formatNumber(Number(value))}`;
+    case "waist_in":
+      return `W${formatNumber(Number(value))}`;
+    case "waist_cm":
+      return `${formatNumber(Number(value))}cm`;
+    default:
+      return `${system.toUpperCase()} ${formatNumber(Number(value))}`;
+  }
+};
+
+const fromComparableSize = (comparable, system) => {
+  if (!comparable) return null;
+  if (comparable.kind === "apparel") {
+    if (system === "kr") return comparable.value;
+    if (system === "alpha") {
+      return Object.keys(APPAREL_KR_BY_ALPHA).find((alpha) => APPAREL_KR_BY_ALPHA[alpha] === comparable.value) ?? null;
+    }
+    return null;
+  }
+  if (comparable.kind === "shoe") {
+    if (system === "mm") return comparable.value;
+    if (system === "jp") return comparable.value / 10;
+    const row = SHOE_SIZE_CHART.find((entry) => entry.mm === comparable.value);
+    if (!row) return null;
+    if (system === "us_women") return row.us + US_WOMEN_OFFSET;
+    return system === "us" || system === "uk" || system === "eu" ? row[system] : null;
+  }
+  if (system === "waist_cm") return Math.round(comparable.value);
+  if (system === "waist_in") return Math.round(comparable.value / CM_PER_INCH);
+  return null;
+};
+
+/**
+ * Converts a label into another system, e.g. `270mm` → `EU 42.5` or `L` → `100`.
+ * Returns null when the label cannot be parsed or has no equivalent there.
+ *
+ * @param {unknown} label
+ * @param {SizeSystem} targetSystem
+ * @param {SizeLabelContext} [context]
+ */
+export const convertSizeLabel = (label, targetSystem, context = {}) => {
+  const value = fromComparableSize(toComparableSize(parseSizeLabel(label, context)), targetSystem);
+  return value === null || value === undefined ? null : formatSizeLabel(targetSystem, value);
+};
+
+/**
+ * Lists the label in every other system of the same garment kind, in the
+ * order shoppers usually recognize them.
+ *
+ * @param {unknown} label
+ * @param {SizeLabelContext} [context]
+ * @returns {string[]}
+ */
+export const getEquivalentSizeLabels = (label, context = {}) => {
+  const parsed = parseSizeLabel(label, context);
+  const comparable = toComparableSize(parsed);
+  if (!parsed || !comparable) return [];
+  const systems =
+    comparable.kind === "shoe"
+      ? ["mm", "eu", "us", "uk", "jp"]
+      : comparable.kind === "waist"
+        ? ["waist_in", "waist_cm"]
+        : ["alpha", "kr"];
+  return systems
+    .filter((system) => system !== parsed.system)
+    .map((system) => {
+      const value = fromComparableSize(comparable, system);
+      return value === null || value === undefined ? null : formatSizeLabel(/** @type {SizeSystem} */ (system), value);
+    })
+    .filter((value) => value !== null);
+};
+
+/**
+ * Whether two labels name the same size, across systems.
+ *
+ * @param {unknown} left
+ * @param {unknown} right
+ * @param {SizeLabelContext} [leftContext]
+ * @param {SizeLabelContext} [rightContext]
+ */
+export const isSameSize = (left, right, leftContext = {}, rightContext = leftContext) => {
+  const leftSize = toComparableSize(parseSizeLabel(left, leftContext));
+  const rightSize = toComparableSize(parseSizeLabel(right, rightContext));
+  if (!leftSize || !rightSize || leftSize.kind !== rightSize.kind) return false;
+  if (leftSize.kind === "waist") return Math.abs(leftSize.value - rightSize.value) <= WAIST_MATCH_TOLERANCE_CM;
+  return leftSize.value === rightSize.value;
+};
+
+/**
+ * Detects the size system a table's size column is written in. Only returns a
+ * system when at least two labels parse and two thirds of them agree.
+ *
+ * @param {unknown[]} labels
+ * @param {string | null} [category]
+ * @returns {SizeSystem | null}
+ */
+export const detectSizeLabelSystem = (labels, category = null) => {
+  const counts = new Map();
+  let parsedCount = 0;
+  for (const label of Array.isArray(labels) ? labels : []) {
+    const parsed = parseSizeLabel(label, { category });
+    if (!parsed) continue;
+    parsedCount += 1;
+    counts.set(parsed.system, (counts.get(parsed.system) || 0) + 1);
+  }
+  if (parsedCount < 2) return null;
+  const [system, count] = [...counts.entries()].sort((left, right) => right[1] - left[1])[0];
+  return count * 3 >= parsedCount * 2 ? system : null;
+};
+
+/**
+ * Finds the row of a size table whose label matches `label`, first by text
+ * and then by converting across systems (a saved `270mm` finds `EU 42.5`).
+ *
+ * @param {{ rows?: unknown[][]; sizeSystem?: SizeSystem | null } | null | undefined} table
+ * @param {unknown} label
+ * @param {string | null} [category]
+ * @returns {number | null}
+ */
+export const findSizeRowIndex = (table, label, category = null) => {
+  const rows = Array.isArray(table?.rows) ? table.rows : [];
+  const text = normalizeLabelText(label);
+  if (!text || rows.length === 0) return null;
+  const exactIndex = rows.findIndex((row) => normalizeLabelText(row?.[0]) === text);
+  if (exactIndex >= 0) return exactIndex;
+  const tableContext = { category, system: table?.sizeSystem ?? null };
+  const matchIndex = rows.findIndex((row) => isSameSize(label, row?.[0], { category }, tableContext));
+  return matchIndex >= 0 ? matchIndex : null;
+};
+
+export const isApparelSizeSystem = (system) => APPAREL_SYSTEMS.includes(system);
+export const isShoeSizeSystem = (system) => SHOE_SYSTEMS.includes(system);
+export const isWaistSizeSystem = (system) => WAIST_SYSTEMS.includes(system);
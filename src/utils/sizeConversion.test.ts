@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import {
+  convertSizeLabel,
+  detectSizeLabelSystem,
+  findSizeRowIndex,
+  getEquivalentSizeLabels,
+  isSameSize,
+  parseSizeLabel,
+} from "./sizeConversion.js";
+import { normalizeSizeTableForCategory } from "./sizeTable";
+import { normalizeSizeTableForCategory as normalizeServerSizeTableForCategory, parseSizeTable } from "../../server/utils/size-table.js";
+
+describe("size label conversion", () => {
+  it("parses labels from each size system", () => {
+    expect(parseSizeLabel("95(L)")).toEqual({ system: "kr", value: 95 });
+    expect(parseSizeLabel("2XL")).toEqual({ system: "alpha", value: "XXL" });
+    expect(parseSizeLabel("270mm")).toEqual({ system: "mm", value: 270 });
+    expect(parseSizeLabel("EU 42.5")).toEqual({ system: "eu", value: 42.5 });
+    expect(parseSizeLabel("W30/L32")).toEqual({ system: "waist_in", value: 30, inseam: 32 });
+    expect(parseSizeLabel("42", { category: "Shoes" })).toEqual({ system: "eu", value: 42 });
+    expect(parseSizeLabel("30", { category: "Bottom" })).toMatchObject({ system: "waist_in", value: 30 });
+    expect(parseSizeLabel("FREE")).toBeNull();
+  });
+
+  it("converts between apparel, shoe and waist systems", () => {
+    expect(convertSizeLabel("L", "kr")).toBe("100");
+    expect(convertSizeLabel("95", "alpha")).toBe("M");
+    expect(convertSizeLabel("270mm", "eu")).toBe("EU 42.5");
+    expect(convertSizeLabel("US 9", "mm")).toBe("270mm");
+    expect(convertSizeLabel("US W10.5", "uk")).toBe("UK 8");
+    expect(convertSizeLabel("W30", "waist_cm")).toBe("76cm");
+    expect(getEquivalentSizeLabels("270", { category: "Shoes" })).toEqual(["EU 42.5", "US 9", "UK 8", "JP 27"]);
+    expect(isSameSize("76cm", "30", {}, { category: "Bottom" })).toBe(true);
+    expect(isSameSize("L", "270mm")).toBe(false);
+  });
+
+  it("matches a saved label to an EU-only shoe chart", () => {
+    const raw = { headers: ["size", "발길이"], rows: [["41", "260"], ["42.5", "270"], ["44", "280"]] };
+    expect(detectSizeLabelSystem(["41", "42.5", "44"], "Shoes")).toBe("eu");
+    for (const table of [normalizeSizeTableForCategory("Shoes", raw), normalizeServerSizeTableForCategory("Shoes", raw)]) {
+      expect(table?.sizeSystem).toBe("eu");
+      expect(findSizeRowIndex(table, "270mm", "Shoes")).toBe(1);
+    }
+    const bottom = { headers: ["size", "허리"], rows: [["30", "39"], ["32", "41"]] };
+    expect(normalizeSizeTableForCategory("Bottom", bottom)?.sizeSystem).toBe("waist_in");
+    expect(normalizeServerSizeTableForCategory("Bottom", bottom)?.sizeSystem).toBe("waist_in");
+    expect(findSizeRowIndex({ rows: [["S"], ["M"], ["L"]] }, "100", "Top")).toBe(2);
+    expect(parseSizeTable({ headers: ["size", "가슴"], rows: [["EU 40", "50"], ["EU 42", "52"]] })).toMatchObject({ sizeSystem: "eu" });
+  });
+});
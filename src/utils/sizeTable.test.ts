@@ -0,0 +1,246 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildSizeSnapshot,
+  compareMeasurementSnapshots,
+  convertSizeTableUnit,
+  detectSizeTableUnit,
+  normalizeBottomSizeTableForDisplay,
+  normalizeMeasurementLabel,
+  normalizeShoeSizeTableForDisplay,
+  normalizeSizeTable,
+  normalizeSizeTableForCategory,
+} from "./sizeTable";
+import {
+  normalizeBottomSizeTableForDisplay as normalizeServerBottomSizeTable,
+  normalizeMeasurementLabel as normalizeServerMeasurementLabel,
+  normalizeShoeSizeTableForDisplay as normalizeServerShoeSizeTable,
+  normalizeSizeSnapshot,
+  normalizeSizeTableForCategory as normalizeServerSizeTableForCategory,
+  parseSizeTable,
+} from "../../server/utils/size-table.js";
+
+describe("size-table unit detection", () => {
+  it("detects inches from column headers and converts values to centimeters", () => {
+    const table = normalizeSizeTable({
+      headers: ["Size", "Chest (in)", "Length (in)"],
+      rows: [
+        ["S", "20", "27"],
+        ["M", "21.5", "28"],
+      ],
+    });
+
+    expect(table).toMatchObject({
+      unit: "cm",
+      sourceUnit: "in",
+      headers: ["사이즈", "총장", "가슴"],
+      rows: [
+        ["S", "68.6", "50.8"],
+        ["M", "71.1", "54.6"],
+      ],
+    });
+  });
+
+  it("detects inch cell suffixes and leaves size labels untouched", () => {
+    expect(detectSizeTableUnit({ headers: ["size", "30", "32"], rows: [["waist", "30\"", "32\""]] })).toBe("in");
+    expect(parseSizeTable({ headers: ["size", "30", "32"], rows: [["waist", "30\"", "32 in"]] })).toMatchObject({
+      headers: ["사이즈", "30", "32"],
+      rows: [["WAIST", "76.2", "81.3"]],
+      sourceUnit: "in",
+    });
+  });
+
+  it("converts only length columns when an inch chart is saved", () => {
+    const raw = {
+      headers: ["Size", "Chest (in)", "US", "EU", "Weight"],
+      rows: [
+        ["S", "20", "7", "40", "60"],
+        ["M", "21", "8", "41", "62"],
+      ],
+      extra: { headers: ["Size", "UK", "Waist (in)"], rows: [["S", "6", "30"], ["M", "7", "32"]] },
+    };
+    const expected = {
+      sourceUnit: "in",
+      rows: [
+        ["S", "50.8", "7", "40", "60"],
+        ["M", "53.3", "8", "41", "62"],
+      ],
+      extra: { rows: [["S", "6", "76.2"], ["M", "7", "81.3"]] },
+    };
+
+    expect(normalizeSizeTable(raw)).toMatchObject(expected);
+    expect(parseSizeTable(raw)).toMatchObject(expected);
+  });
+
+  it("keeps a cm chart with one inch-looking cell in centimeters", () => {
+    const raw = { headers: ["size", "가슴", "총장"], rows: [["M", "50", "70"], ["L", "52\"", "72"]] };
+
+    expect(detectSizeTableUnit(raw)).toBe("cm");
+    expect(normalizeSizeTable(raw)?.rows[0]).toEqual(["M", "70", "50"]);
+    expect(parseSizeTable(raw)?.rows[0]).toEqual(["M", "50", "70"]);
+  });
+
+  it("does not convert a table that was already normalized", () => {
+    const normalized = parseSizeTable({ headers: ["Size", "Chest (in)"], rows: [["S", "20"]] });
+    expect(parseSizeTable(normalized)?.rows).toEqual([["S", "50.8"]]);
+    expect(normalizeSizeTable(normalized)?.rows).toEqual([["S", "50.8"]]);
+  });
+
+  it("treats unmarked tables as centimeters", () => {
+    expect(normalizeSizeTable({ headers: ["size", "가슴"], rows: [["M", "52"]] })).toMatchObject({
+      unit: "cm",
+      sourceUnit: "cm",
+    });
+  });
+
+  it("converts normalized tables back to inches for display", () => {
+    const table = normalizeSizeTable({ headers: ["size", "가슴"], rows: [["M", "50.8"]] });
+    expect(convertSizeTableUnit(table, "in")).toMatchObject({ unit: "in", rows: [["M", "20"]] });
+  });
+
+  it("only converts length columns for inch display", () => {
+    const table = {
+      headers: ["사이즈", "발길이", "굽높이"],
+      rows: [["250", "25.4", "2.54"]],
+      extra: { headers: ["사이즈", "US", "EU", "목너비"], rows: [["250", "7", "40", "20.32"]] },
+    };
+    expect(convertSizeTableUnit(table, "in")).toMatchObject({
+      rows: [["250", "10", "1"]],
+      extra: { rows: [["250", "7", "40", "8"]] },
+    });
+  });
+});
+
+describe("measurement basis reconciliation", () => {
+  it("tags circumference and flat wording at ingest", () => {
+    expect(parseSizeTable({ headers: ["size", "가슴둘레", "허리단면"], rows: [["M", "104", "40"]] })).toMatchObject({
+      measurementBasis: { 가슴: "circumference", 허리: "flat" },
+    });
+    expect(normalizeSizeTable({ headers: ["size", "Chest circumference"], rows: [["M", "104"]] })?.measurementBasis).toEqual({
+      가슴: "circumference",
+    });
+  });
+
+  it("drops unknown basis values from stored tables", () => {
+    expect(
+      normalizeSizeTable({ headers: ["size", "가슴", "허리"], rows: [["M", "52", "40"]], measurementBasis: { 가슴: "Circumference", 허리: "x" } })
+        ?.measurementBasis
+    ).toEqual({ 가슴: "circumference" });
+    expect(normalizeSizeTable({ headers: ["size", "가슴"], rows: [["M", "52"]], measurementBasis: ["flat"] })?.measurementBasis).toBeUndefined();
+  });
+
+  it("compares a circumference chart against a flat reference on the same basis", () => {
+    const product = buildSizeSnapshot(normalizeSizeTable({ headers: ["size", "가슴둘레"], rows: [["M", "104"]] }), 0);
+    const reference = { headers: ["사이즈", "가슴단면"], row: ["M", "50"], measurementBasis: { 가슴: "flat" as const } };
+    expect(compareMeasurementSnapshots(product, reference)).toMatchObject([{ label: "가슴", productValue: 52, referenceValue: 50, diff: 2 }]);
+  });
+
+  it("infers the basis from plausible ranges when the chart has no wording", () => {
+    const product = { headers: ["사이즈", "허리"], row: ["30", "78"] };
+    const reference = { headers: ["사이즈", "허리"], row: ["M", "38"] };
+    expect(compareMeasurementSnapshots(product, reference, "Bottom")).toMatchObject([{ productValue: 39, referenceValue: 38 }]);
+  });
+
+  it("halves circumference columns in the bottom display table", () => {
+    const table = normalizeSizeTable({ headers: ["size", "허리둘레", "엉덩이"], rows: [["30", "78", "100"]] });
+    const clientDisplay = normalizeBottomSizeTableForDisplay(table);
+    const serverDisplay = normalizeServerBottomSizeTable(table);
+    for (const display of [clientDisplay, serverDisplay]) {
+      expect(display).toMatchObject({ measurementBasis: { 허리: "flat", 엉덩이: "flat" } });
+      expect(display?.rows[0].slice(0, 4)).toEqual(["30", "", "39", "50"]);
+    }
+    expect(normalizeBottomSizeTableForDisplay(clientDisplay)?.rows).toEqual(clientDisplay?.rows);
+    expect(normalizeServerBottomSizeTable(serverDisplay)?.rows).toEqual(serverDisplay?.rows);
+  });
+
+  it("keeps the basis on stored snapshots", () => {
+    expect(normalizeSizeSnapshot({ headers: ["사이즈", "가슴"], row: ["M", "104"], measurementBasis: { 가슴: "circumference", 허리: "x" } })).toEqual({
+      headers: ["사이즈", "가슴"],
+      row: ["M", "104"],
+      measurementBasis: { 가슴: "circumference" },
+    });
+  });
+});
+
+describe("shoe size tables", () => {
+  it("recognizes shoe measurement labels before generic lengths", () => {
+    const labels = ["발길이", "Foot length", "발볼 넓이", "Insole length", "굽 높이", "Heel"];
+    const expected = ["발길이", "발길이", "발볼", "인솔길이", "굽높이", "굽높이"];
+    expect(labels.map((label) => normalizeMeasurementLabel(label))).toEqual(expected);
+    expect(labels.map((label) => normalizeServerMeasurementLabel(label))).toEqual(expected);
+  });
+
+  it("keeps shoe columns in centimeters and moves other systems to extra", () => {
+    const table = { headers: ["사이즈", "US", "발길이(mm)", "굽높이"], rows: [["250", "7", "250", "30mm"], ["260", "8", "260", "30mm"]] };
+    const clientDisplay = normalizeShoeSizeTableForDisplay(table);
+
+    expect(clientDisplay).toMatchObject({
+      sizeSystem: "mm",
+      headers: ["사이즈", "발길이", "굽높이"],
+      rows: [["250", "25", "3"], ["260", "26", "3"]],
+      extra: { headers: ["사이즈", "US"], rows: [["250", "7"], ["260", "8"]] },
+    });
+    expect(normalizeServerShoeSizeTable(table)).toMatchObject({ headers: clientDisplay?.headers, rows: clientDisplay?.rows });
+    expect(normalizeShoeSizeTableForDisplay(clientDisplay)).toEqual(clientDisplay);
+  });
+
+  it("converts cells with an explicit mm unit even below the bare-number threshold", () => {
+    const table = {
+      headers: ["사이즈", "발볼", "굽높이"],
+      rows: [["250", "25mm", "15 mm"], ["260", "9.5", "3.5cm"], ["270", "95", "25"]],
+    };
+    const expectedRows = [["250", "25", "2.5", "1.5"], ["260", "26", "9.5", "3.5"], ["270", "27", "9.5", "2.5"]];
+
+    expect(normalizeShoeSizeTableForDisplay(table)?.rows).toEqual(expectedRows);
+    expect(normalizeServerShoeSizeTable(table)?.rows).toEqual(expectedRows);
+  });
+
+  it("derives foot length from EU labels so label-only charts compare", () => {
+    const display = normalizeShoeSizeTableForDisplay({ headers: ["size", "발볼"], rows: [["EU 42", "E"], ["EU 42.5", "E"]] });
+    expect(display?.rows).toEqual([["EU 42", "26.5", "E"], ["EU 42.5", "27", "E"]]);
+
+    const snapshot = buildSizeSnapshot(display, 1, "Shoes");
+    const reference = { headers: ["사이즈", "발길이"], row: ["265", "26.5"] };
+    expect(compareMeasurementSnapshots(snapshot, reference, "Shoes")).toMatchObject([{ label: "발길이", diff: 0.5 }]);
+  });
+});
+
+describe("standard garment layouts", () => {
+  it("orders top and outer columns and moves the rest to extra", () => {
+    const table = { headers: ["size", "가슴단면", "암홀", "기장", "어깨너비", "목너비"], rows: [["M", "56", "25", "70", "50", "20"]] };
+    for (const category of ["Top", "Outer"]) {
+      const clientDisplay = normalizeSizeTableForCategory(category, table);
+      expect(clientDisplay).toMatchObject({
+        headers: ["사이즈", "총장", "어깨", "가슴", "암홀"],
+        rows: [["M", "70", "50", "56", "25"]],
+        extra: { headers: ["사이즈", "목너비"], rows: [["M", "20"]] },
+        measurementBasis: { 가슴: "flat" },
+      });
+      expect(normalizeServerSizeTableForCategory(category, table)).toMatchObject({
+        headers: clientDisplay?.headers,
+        rows: clientDisplay?.rows,
+        extra: clientDisplay?.extra,
+      });
+      expect(normalizeSizeTableForCategory(category, clientDisplay)).toEqual(clientDisplay);
+    }
+  });
+
+  it("lays out dress and skirt charts without converting their basis", () => {
+    const table = { headers: ["size", "Hip", "Length", "Waist circumference", "Hem"], rows: [["S", "92", "85", "66", "120"]] };
+    const clientDisplay = normalizeSizeTableForCategory("DressSkirt", table);
+    expect(clientDisplay).toMatchObject({
+      headers: ["사이즈", "총장", "허리", "엉덩이", "밑단"],
+      rows: [["S", "85", "66", "92", "120"]],
+      measurementBasis: { 허리: "circumference" },
+    });
+    expect(normalizeServerSizeTableForCategory("DressSkirt", table)).toMatchObject({ headers: clientDisplay?.headers, rows: clientDisplay?.rows });
+    expect(normalizeServerSizeTableForCategory("DressSkirt", normalizeServerSizeTableForCategory("DressSkirt", table))).toEqual(
+      normalizeServerSizeTableForCategory("DressSkirt", table)
+    );
+  });
+
+  it("reads armhole wording as its own column", () => {
+    const labels = ["암홀단면", "Armhole", "진동둘레", "Sleeve"];
+    expect(labels.map((label) => normalizeMeasurementLabel(label))).toEqual(["암홀", "암홀", "암홀", "소매"]);
+    expect(labels.map((label) => normalizeServerMeasurementLabel(label))).toEqual(["암홀", "암홀", "암홀", "소매"]);
+  });
+});
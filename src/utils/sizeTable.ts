@@ -1,4 +1,4 @@
-import type { ClosetSizeSnapshot, SizeTable, Product, SizeRecommendation } from '../types';
+import type { ClosetSizeSnapshot, FitPreferenceModel, MeasurementBasis, MeasurementBasisMap, SizeSystem, SizeTable, SizeTableUnit, Product, SizeRecommendation } from '../types';
 import {
   TOTAL_LENGTH_LABEL,
   ITEM_LABEL,
@@ -6,7 +6,16 @@ import {
   MEASUREMENT_LABEL_HINT_PATTERN,
   TOTAL_LENGTH_ALIAS_KEYS,
   MEASUREMENT_ALIAS_MAP,
+  MEASUREMENT_BASIS_LABELS,
+  MEASUREMENT_BASIS_RANGES,
+  FOOT_LENGTH_LABEL,
+  FOOT_WIDTH_LABEL,
+  INSOLE_LENGTH_LABEL,
+  HEEL_HEIGHT_LABEL,
+  SHOE_MEASUREMENT_LABELS,
+  STANDARD_SIZE_TABLE_LAYOUTS,
 } from '../constants';
+import { SIZE_SYSTEMS, detectSizeLabelSystem, parseSizeLabel, toComparableSize } from './sizeConversion.js';
 
 export const normalizeCellText = (value: unknown): string => String(value ?? '').replace(/\s+/g, ' ').trim();
 
@@ -15,6 +24,112 @@ export const normalizeMeasurementValueForDisplay = (value: unknown): string =>
 
 export const displayTableCell = (value: unknown): string => normalizeMeasurementValueForDisplay(value) || '-';
 
+const CM_PER_INCH = 2.54;
+const INCH_VALUE_PATTERN = /(-?\d+(?:\.\d+)?)\s*(?:"|”|″|inch(?:es)?\b|in\b|인치)/gi;
+const CM_VALUE_PATTERN = /-?\d+(?:\.\d+)?\s*(?:cm\b|㎝|센치|센티미터)/i;
+const INCH_LABEL_PATTERN = /(?:\binch(?:es)?\b|인치|[([]\s*in\s*[)\]]|^in\b|\bin\s*$|\/\s*in\b)/i;
+const CM_LABEL_PATTERN = /(?:\bcm\b|㎝|센치|센티미터)/i;
+
+export const normalizeSizeTableUnit = (value: unknown): SizeTableUnit | null => {
+  const normalized = normalizeCellText(value).toLowerCase();
+  if (normalized === 'cm') return 'cm';
+  if (normalized === 'in' || normalized === 'inch' || normalized === 'inches') return 'in';
+  return null;
+};
+
+const formatMeasurementNumber = (value: number): string => String(Math.round(value * 10) / 10);
+
+const detectCellUnit = (value: unknown): SizeTableUnit | null => {
+  const text = normalizeCellText(value);
+  if (!/\d/.test(text)) return null;
+  INCH_VALUE_PATTERN.lastIndex = 0;
+  const isInch = INCH_VALUE_PATTERN.test(text);
+  INCH_VALUE_PATTERN.lastIndex = 0;
+  if (isInch) return 'in';
+  return CM_VALUE_PATTERN.test(text) ? 'cm' : null;
+};
+
+/**
+ * Mirrors detectSizeTableUnit in server/utils/size-table.js. A unit stated in
+ * a header or row label wins; otherwise inch suffixes have to cover most
+ * numeric cells, so one stray `"` does not turn a cm chart into inches.
+ */
+export const detectSizeTableUnit = (table: SizeTable): SizeTableUnit | null => {
+  let inchLabels = 0;
+  let cmLabels = 0;
+  let inchCells = 0;
+  let cmCells = 0;
+  let numericCells = 0;
+  const scoreLabel = (label: unknown) => {
+    const text = normalizeCellText(label);
+    if (!text) return;
+    if (INCH_LABEL_PATTERN.test(text)) inchLabels += 1;
+    else if (CM_LABEL_PATTERN.test(text)) cmLabels += 1;
+  };
+  table.headers.forEach(scoreLabel);
+  for (const row of table.rows) {
+    scoreLabel(row[0]);
+    for (const cell of row.slice(1)) {
+      if (!/\d/.test(normalizeCellText(cell))) continue;
+      numericCells += 1;
+      const unit = detectCellUnit(cell);
+      if (unit === 'in') inchCells += 1;
+      else if (unit === 'cm') cmCells += 1;
+    }
+  }
+  if (inchLabels > cmLabels) return 'in';
+  if (cmLabels > inchLabels) return 'cm';
+  if (inchCells * 2 > numericCells) return 'in';
+  if (cmLabels > 0 || cmCells > 0 || inchCells > 0) return 'cm';
+  return null;
+};
+
+const convertCellNumbers = (value: unknown, factor: number): string =>
+  normalizeCellText(value)
+    .replace(INCH_VALUE_PATTERN, '$1')
+    .replace(/-?\d+(?:\.\d+)?/g, (token) => formatMeasurementNumber(Number(token) * factor));
+
+const LENGTH_COLUMN_PATTERN = /(?:너비|넓이|길이|높이|단면|둘레|\bcm\b|width|circumference)/i;
+
+const isLengthColumnLabel = (label: unknown): boolean => {
+  const text = normalizeCellText(label);
+  if (!text) return false;
+  return (
+    MEASUREMENT_LABEL_HINT_PATTERN.test(text) ||
+    LENGTH_COLUMN_PATTERN.test(text) ||
+    MEASUREMENT_LABEL_HINT_PATTERN.test(normalizeMeasurementLabel(text))
+  );
+};
+
+/**
+ * Converts the numbers in length cells only: columns headed by a measurement,
+ * or rows labelled with one in transposed charts. Size-system (US, EU), weight
+ * and other columns keep their values. Mirrors convertInchRowsToCm on the server.
+ */
+const convertLengthCells = (headers: string[], rows: string[][], factor: number): string[][] => {
+  const lengthColumns = headers.map((header, index) => index > 0 && isLengthColumnLabel(header));
+  return rows.map((row) => {
+    const isLengthRow = isLengthColumnLabel(row[0]);
+    return row.map((cell, index) => (index > 0 && (lengthColumns[index] || isLengthRow) ? convertCellNumbers(cell, factor) : cell));
+  });
+};
+
+/**
+ * Returns a copy of a normalized (centimeter) table with its length columns
+ * expressed in the requested unit. Size labels and columns such as US/EU
+ * sizes in `extra` are left untouched.
+ */
+export const convertSizeTableUnit = (table: SizeTable | null, unit: SizeTableUnit): SizeTable | null => {
+  if (!table || unit === 'cm') return table;
+  const factor = 1 / CM_PER_INCH;
+  return {
+    ...table,
+    rows: convertLengthCells(table.headers, table.rows, factor),
+    unit,
+    extra: table.extra ? { ...table.extra, rows: convertLengthCells(table.extra.headers, table.extra.rows, factor) } : table.extra,
+  };
+};
+
 export const normalizeAliasKey = (value: unknown): string =>
   normalizeCellText(value)
     .toLowerCase()
@@ -28,9 +143,15 @@ export const isTotalLengthAliasKey = (aliasKey: string): boolean =>
 
 export const inferMeasurementLabelFromAliasKey = (aliasKey: string): string => {
   if (!aliasKey) return '';
+  // Shoe labels first: "foot length" and "insole length" would otherwise read as total length.
+  if (aliasKey.includes('insole') || aliasKey.includes('인솔') || aliasKey.includes('깔창')) return INSOLE_LENGTH_LABEL;
+  if (aliasKey.includes('footwidth') || aliasKey.includes('ballwidth') || aliasKey.includes('발볼') || aliasKey.includes('발폭')) return FOOT_WIDTH_LABEL;
+  if (aliasKey.includes('foot') || aliasKey.includes('발길이')) return FOOT_LENGTH_LABEL;
+  if (aliasKey.includes('heel') || aliasKey.includes('굽')) return HEEL_HEIGHT_LABEL;
   if (aliasKey.includes('outseam') || aliasKey.includes('바지총장') || aliasKey.includes('총길이')) return TOTAL_LENGTH_LABEL;
   if (aliasKey.includes('shoulder') || aliasKey.includes('어깨')) return '어깨';
   if (aliasKey.includes('chest') || aliasKey.includes('bust') || aliasKey.includes('bodywidth') || aliasKey.includes('pit') || aliasKey.includes('가슴') || aliasKey.includes('품')) return '가슴';
+  if (aliasKey.includes('armhole') || aliasKey.includes('암홀') || aliasKey.includes('진동')) return '암홀';
   if (aliasKey.includes('sleeve') || aliasKey.includes('arm') || aliasKey.includes('소매') || aliasKey.includes('화장')) return '소매';
   if (aliasKey.includes('waist') || aliasKey.includes('허리')) return '허리';
   if (aliasKey.includes('hip') || aliasKey.includes('엉덩이') || aliasKey.includes('힙')) return '엉덩이';
@@ -49,6 +170,7 @@ const MEASUREMENT_LABEL_EN: Record<string, string> = {
   '어깨': 'Shoulder',
   '가슴': 'Chest',
   '소매': 'Sleeve',
+  '암홀': 'Armhole',
   '허리': 'Waist',
   '엉덩이': 'Hip',
   '힙': 'Hip',
@@ -57,6 +179,10 @@ const MEASUREMENT_LABEL_EN: Record<string, string> = {
   '밑위': 'Rise',
   '밑단': 'Hem',
   '인심': 'Inseam',
+  [FOOT_LENGTH_LABEL]: 'Foot length',
+  [FOOT_WIDTH_LABEL]: 'Foot width',
+  [INSOLE_LENGTH_LABEL]: 'Insole length',
+  [HEEL_HEIGHT_LABEL]: 'Heel height',
 };
 
 /**
@@ -84,6 +210,72 @@ export const normalizeMeasurementLabel = (value: unknown): string => {
   return raw;
 };
 
+const FLAT_LABEL_PATTERN = /(?:단면|flat|width|너비|넓이|1\/2|half)/i;
+const CIRCUMFERENCE_LABEL_PATTERN = /(?:둘레|circumference|girth|around|round|full)/i;
+
+const isMeasurementBasisLabel = (label: string): boolean =>
+  (MEASUREMENT_BASIS_LABELS as readonly string[]).includes(label);
+
+export const detectMeasurementBasisFromLabel = (value: unknown): MeasurementBasis | null => {
+  const text = normalizeCellText(value);
+  if (!text) return null;
+  if (CIRCUMFERENCE_LABEL_PATTERN.test(text)) return 'circumference';
+  if (FLAT_LABEL_PATTERN.test(text)) return 'flat';
+  return null;
+};
+
+const normalizeMeasurementBasis = (value: unknown): MeasurementBasis | null => {
+  const basis = normalizeCellText(value).toLowerCase();
+  return basis === 'flat' || basis === 'circumference' ? basis : null;
+};
+
+const normalizeMeasurementBasisMap = (value: unknown): MeasurementBasisMap => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const basis: MeasurementBasisMap = {};
+  Object.entries(value).forEach(([label, raw]) => {
+    const normalized = normalizeMeasurementBasis(raw);
+    if (normalized) basis[label] = normalized;
+  });
+  return basis;
+};
+
+/** Tags measurement columns (or rows, for transposed charts) whose wording states a basis. */
+const detectMeasurementBasisFromWording = (headers: string[], rows: string[][]): MeasurementBasisMap => {
+  const basis: MeasurementBasisMap = {};
+  const tag = (rawLabel: unknown) => {
+    const label = normalizeMeasurementLabel(rawLabel);
+    if (!isMeasurementBasisLabel(label) || basis[label]) return;
+    const detected = detectMeasurementBasisFromLabel(rawLabel);
+    if (detected) basis[label] = detected;
+  };
+  headers.slice(1).forEach(tag);
+  rows.forEach((row) => tag(row[0]));
+  return basis;
+};
+
+/**
+ * Guesses a basis from the values alone. Only answers when every value fits
+ * one range and not the other, so overlapping charts stay untagged.
+ */
+export const inferMeasurementBasisFromValues = (
+  label: string,
+  values: number[],
+  category?: string | null
+): MeasurementBasis | null => {
+  const ranges = (MEASUREMENT_BASIS_RANGES[String(category || '')] || MEASUREMENT_BASIS_RANGES.default)[label];
+  const numbers = values.filter((value) => Number.isFinite(value) && value > 0);
+  if (!ranges || numbers.length === 0) return null;
+  const fits = ([min, max]: [number, number]) => numbers.every((value) => value >= min && value <= max);
+  const isFlat = fits(ranges.flat);
+  const isCircumference = fits(ranges.circumference);
+  if (isFlat && !isCircumference) return 'flat';
+  if (isCircumference && !isFlat) return 'circumference';
+  return null;
+};
+
+export const toFlatMeasurement = (value: number, basis: MeasurementBasis | null | undefined): number =>
+  basis === 'circumference' ? value / 2 : value;
+
 const BOTTOM_STANDARD_HEADERS = ['사이즈', TOTAL_LENGTH_LABEL, '허리단면', '엉덩이단면', '허벅지단면', '밑위', '밑단단면'];
 
 const normalizeDisplayCategory = (category: unknown): string => normalizeCellText(category).toLowerCase();
@@ -122,13 +314,39 @@ export const normalizeBottomSizeTableForDisplay = (table: SizeTable | null): Siz
     .map((header, index) => ({ header, index }))
     .filter(({ header, index }) => index > 0 && header && !BOTTOM_STANDARD_HEADERS.includes(header));
 
+  // The standard headers are flat (단면) widths, so circumference columns are halved.
+  const circumferenceIndexes = new Set<number>();
+  firstIndexByLabel.forEach((sourceIndex, header) => {
+    const label = normalizeMeasurementLabel(header);
+    if (!isMeasurementBasisLabel(label)) return;
+    const basis =
+      normalized.measurementBasis?.[label] ??
+      inferMeasurementBasisFromValues(
+        label,
+        normalized.rows.map((row) => parseFirstNumber(row[sourceIndex] ?? '') ?? NaN),
+        'Bottom'
+      );
+    if (basis === 'circumference') circumferenceIndexes.add(sourceIndex);
+  });
+  const measurementBasis: MeasurementBasisMap = {};
+  BOTTOM_STANDARD_HEADERS.slice(1).forEach((header) => {
+    const label = normalizeMeasurementLabel(header);
+    if (isMeasurementBasisLabel(label)) measurementBasis[label] = 'flat';
+  });
+
   const displayTable: SizeTable = {
+    unit: 'cm',
+    sourceUnit: normalized.sourceUnit || 'cm',
+    measurementBasis,
+    ...(normalized.sizeSystem ? { sizeSystem: normalized.sizeSystem } : {}),
     headers: [...BOTTOM_STANDARD_HEADERS],
     rows: normalized.rows.map((row) => [
       normalizeMeasurementValueForDisplay(row[0]),
       ...BOTTOM_STANDARD_HEADERS.slice(1).map((header) => {
         const sourceIndex = firstIndexByLabel.get(header);
-        return sourceIndex === undefined ? '' : normalizeMeasurementValueForDisplay(row[sourceIndex]);
+        if (sourceIndex === undefined) return '';
+        const value = normalizeMeasurementValueForDisplay(row[sourceIndex]);
+        return circumferenceIndexes.has(sourceIndex) ? convertCellNumbers(value, 0.5) : value;
       }),
     ]),
   };
@@ -146,22 +364,178 @@ export const normalizeBottomSizeTableForDisplay = (table: SizeTable | null): Siz
   return displayTable;
 };
 
+const isShoeCategory = (category: unknown): boolean => normalizeDisplayCategory(category) === 'shoes';
+
+// Shoe charts are usually published in millimeters. A cell with an explicit
+// mm unit is always converted; bare numbers above these are treated as mm.
+// Either way they are stored in centimeters like every other measurement.
+const SHOE_MILLIMETER_THRESHOLDS: Record<string, number> = {
+  [FOOT_LENGTH_LABEL]: 100,
+  [INSOLE_LENGTH_LABEL]: 100,
+  [FOOT_WIDTH_LABEL]: 30,
+  [HEEL_HEIGHT_LABEL]: 20,
+};
+const MM_VALUE_PATTERN = /\d\s*(?:mm\b|㎜|밀리)/i;
+const MM_UNIT_PATTERN = /\s*(?:mm\b|㎜|밀리(?:미터)?)/gi;
+
+const toShoeCentimeters = (label: string, value: unknown): string => {
+  const cellText = normalizeCellText(value);
+  const hasMillimeterUnit = MM_VALUE_PATTERN.test(cellText);
+  const hasCentimeterUnit = CM_VALUE_PATTERN.test(cellText);
+  const text = normalizeMeasurementValueForDisplay(cellText).replace(MM_UNIT_PATTERN, '');
+  const numeric = parseFirstNumber(text);
+  if (numeric === null) return text;
+  const isMillimeters = hasMillimeterUnit || (!hasCentimeterUnit && numeric > (SHOE_MILLIMETER_THRESHOLDS[label] ?? Infinity));
+  return isMillimeters ? convertCellNumbers(text, 0.1) : text;
+};
+
+/**
+ * Shoe counterpart of normalizeBottomSizeTableForDisplay: keeps the shoe
+ * columns in a fixed order (in cm), moves everything else to `extra`, and
+ * derives 발길이 from mm/EU/US size labels when the chart has no such column,
+ * so label-only charts still produce comparable snapshots.
+ */
+export const normalizeShoeSizeTableForDisplay = (table: SizeTable | null): SizeTable | null => {
+  const normalized = normalizeSizeTable(table);
+  if (!normalized?.rows?.length) return normalized;
+
+  const sizeSystem = normalized.sizeSystem ?? detectSizeLabelSystem(normalized.rows.map((row) => row[0]), 'Shoes') ?? undefined;
+  const firstIndexByLabel = new Map<string, number>();
+  normalized.headers.forEach((header, index) => {
+    if (index === 0 || firstIndexByLabel.has(header)) return;
+    if ((SHOE_MEASUREMENT_LABELS as readonly string[]).includes(header)) firstIndexByLabel.set(header, index);
+  });
+  // A bare "length" column lands on 총장; on a shoe chart that is the foot length.
+  const totalLengthIndex = normalized.headers.indexOf(TOTAL_LENGTH_LABEL);
+  if (!firstIndexByLabel.has(FOOT_LENGTH_LABEL) && totalLengthIndex > 0) firstIndexByLabel.set(FOOT_LENGTH_LABEL, totalLengthIndex);
+  const usedIndexes = new Set(firstIndexByLabel.values());
+  const extraIndexes = normalized.headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ header, index }) => index > 0 && header && !usedIndexes.has(index));
+
+  const footLengthFromLabel = (label: string): string => {
+    const comparable = toComparableSize(parseSizeLabel(label, { category: 'Shoes', system: sizeSystem }));
+    return comparable?.kind === 'shoe' ? formatMeasurementNumber(comparable.value / 10) : '';
+  };
+  const derivesFootLength = !firstIndexByLabel.has(FOOT_LENGTH_LABEL) && normalized.rows.some((row) => footLengthFromLabel(row[0]));
+  const headers = SHOE_MEASUREMENT_LABELS.filter((label) => firstIndexByLabel.has(label) || (label === FOOT_LENGTH_LABEL && derivesFootLength));
+
+  const displayTable: SizeTable = {
+    unit: 'cm',
+    sourceUnit: normalized.sourceUnit || 'cm',
+    ...(sizeSystem ? { sizeSystem } : {}),
+    headers: ['사이즈', ...headers],
+    rows: normalized.rows.map((row) => [
+      normalizeMeasurementValueForDisplay(row[0]),
+      ...headers.map((label) => {
+        const sourceIndex = firstIndexByLabel.get(label);
+        if (sourceIndex === undefined) return label === FOOT_LENGTH_LABEL ? footLengthFromLabel(row[0]) : '';
+        return toShoeCentimeters(label, row[sourceIndex]);
+      }),
+    ]),
+  };
+
+  if (extraIndexes.length > 0) {
+    displayTable.extra = {
+      headers: ['사이즈', ...extraIndexes.map(({ header }) => header)],
+      rows: normalized.rows.map((row) => [
+        normalizeMeasurementValueForDisplay(row[0]),
+        ...extraIndexes.map(({ index }) => normalizeMeasurementValueForDisplay(row[index])),
+      ]),
+    };
+  } else if (normalized.extra) {
+    displayTable.extra = normalized.extra;
+  }
+
+  return displayTable;
+};
+
+const getStandardSizeTableLayout = (category: unknown): readonly string[] | null => {
+  const key = normalizeDisplayCategory(category);
+  const match = Object.keys(STANDARD_SIZE_TABLE_LAYOUTS).find((layoutCategory) => layoutCategory.toLowerCase() === key);
+  return match ? STANDARD_SIZE_TABLE_LAYOUTS[match] : null;
+};
+
+/**
+ * Top, Outer and DressSkirt counterpart of the bottom/shoe displays: puts the
+ * category's canonical columns first in a fixed order and moves the rest to
+ * `extra`. Values and measurement basis are kept as published. Idempotent.
+ */
+export const normalizeStandardSizeTableForDisplay = (table: SizeTable | null, category: unknown): SizeTable | null => {
+  const normalized = normalizeSizeTable(table);
+  const layout = getStandardSizeTableLayout(category);
+  if (!layout || !normalized?.rows?.length) return normalized;
+
+  const firstIndexByLabel = new Map<string, number>();
+  normalized.headers.forEach((header, index) => {
+    if (index === 0 || firstIndexByLabel.has(header)) return;
+    if (layout.includes(header)) firstIndexByLabel.set(header, index);
+  });
+  const headers = layout.filter((label) => firstIndexByLabel.has(label));
+  if (headers.length === 0) return normalized;
+  const usedIndexes = new Set(firstIndexByLabel.values());
+  const extraIndexes = normalized.headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ header, index }) => index > 0 && header && !usedIndexes.has(index));
+
+  const displayTable: SizeTable = {
+    ...normalized,
+    headers: [SIZE_COLUMN_LABEL, ...headers],
+    rows: normalized.rows.map((row) => [
+      normalizeMeasurementValueForDisplay(row[0]),
+      ...headers.map((label) => normalizeMeasurementValueForDisplay(row[firstIndexByLabel.get(label) as number])),
+    ]),
+  };
+
+  if (extraIndexes.length > 0) {
+    displayTable.extra = {
+      headers: [SIZE_COLUMN_LABEL, ...extraIndexes.map(({ header }) => header)],
+      rows: normalized.rows.map((row) => [
+        normalizeMeasurementValueForDisplay(row[0]),
+        ...extraIndexes.map(({ index }) => normalizeMeasurementValueForDisplay(row[index])),
+      ]),
+    };
+  }
+
+  return displayTable;
+};
+
+// Bare labels such as "42.5" only read as a size system once the category is
+// known, so tables normalized without one get it filled in here.
+const withCategorySizeSystem = (category: string, table: SizeTable | null): SizeTable | null => {
+  if (!table?.rows?.length || table.sizeSystem) return table;
+  const sizeSystem = detectSizeLabelSystem(table.rows.map((row) => row[0]), category);
+  return sizeSystem ? { ...table, sizeSystem } : table;
+};
+
 export const normalizeSizeTableForCategory = (
   category: string,
   table: SizeTable | null
 ): SizeTable | null => {
-  if (!isBottomCategory(category)) return normalizeSizeTable(table);
-  return normalizeBottomSizeTableForDisplay(table);
+  if (isShoeCategory(category)) return normalizeShoeSizeTableForDisplay(table);
+  if (getStandardSizeTableLayout(category)) {
+    return withCategorySizeSystem(category, normalizeStandardSizeTableForDisplay(table, category));
+  }
+  if (!isBottomCategory(category)) return withCategorySizeSystem(category, normalizeSizeTable(table));
+  return withCategorySizeSystem(category, normalizeBottomSizeTableForDisplay(table));
 };
 
 export const getDisplaySizeTable = (product: Product): SizeTable | null => {
+  // The shoe display is idempotent, so stored tables are simply run through it again.
+  if (isShoeCategory(product.category)) {
+    return normalizeShoeSizeTableForDisplay(product.normalizedSizeTable ?? product.sizeTable ?? null);
+  }
   if (isBottomCategory(product.category)) {
     if (isBottomDisplaySizeTable(product.normalizedSizeTable ?? null)) {
       return normalizeSizeTable(product.normalizedSizeTable ?? null);
     }
     return normalizeSizeTableForCategory(product.category, product.sizeTable || product.normalizedSizeTable || null);
   }
-  return normalizeSizeTable(product.normalizedSizeTable ?? null) || normalizeSizeTableForCategory(product.category, product.sizeTable ?? null);
+  // Layouts are idempotent too, so tables stored before a layout existed still display in order.
+  return (
+    normalizeSizeTableForCategory(product.category, product.normalizedSizeTable ?? null) ||
+    normalizeSizeTableForCategory(product.category, product.sizeTable ?? null)
+  );
 };
 
 export const normalizeSizeLabel = (value: unknown): string => normalizeCellText(value).toUpperCase();
@@ -281,6 +655,14 @@ export const normalizeSizeTable = (value: unknown): SizeTable | null => {
     : [];
   if (headers.length === 0 && rows.length === 0) return null;
 
+  // Same contract as the server: `unit: "cm"` marks an already converted table.
+  const isAlreadyNormalized = normalizeSizeTableUnit(record.unit) === 'cm';
+  const sourceUnit =
+    normalizeSizeTableUnit(record.sourceUnit) ||
+    (isAlreadyNormalized ? 'cm' : detectSizeTableUnit({ headers, rows })) ||
+    'cm';
+  const shouldConvertInches = !isAlreadyNormalized && sourceUnit === 'in';
+
   const asIs: SizeTable = { headers: [...headers], rows: rows.map((row) => [...row]) };
   const transposed = transposeTable(asIs);
   const selected = tableOrientationScore(transposed) > tableOrientationScore(asIs) ? transposed : asIs;
@@ -294,21 +676,37 @@ export const normalizeSizeTable = (value: unknown): SizeTable | null => {
     normalizedHeaders[idx] = normalizeMeasurementLabel(normalizedHeaders[idx]);
   }
 
-  const normalizedRows = makeRectangularRows(selected.rows, width).map((row) => {
+  const rectangularRows = makeRectangularRows(selected.rows, width);
+  const normalizedRows = (shouldConvertInches ? convertLengthCells(selected.headers, rectangularRows, CM_PER_INCH) : rectangularRows).map((row) => {
     const nextRow = [...row];
     nextRow[0] = normalizeSizeLabel(nextRow[0]);
     return nextRow;
   });
 
-  const result = prioritizeTotalLengthColumn({
-    headers: normalizedHeaders,
-    rows: normalizedRows,
-  });
+  const measurementBasis: MeasurementBasisMap = {
+    ...detectMeasurementBasisFromWording(selected.headers, selected.rows),
+    ...normalizeMeasurementBasisMap(record.measurementBasis),
+  };
+  const result: SizeTable = {
+    ...prioritizeTotalLengthColumn({
+      headers: normalizedHeaders,
+      rows: normalizedRows,
+    }),
+    unit: 'cm',
+    sourceUnit,
+  };
+  if (Object.keys(measurementBasis).length > 0) result.measurementBasis = measurementBasis;
+  const sizeSystem = (SIZE_SYSTEMS as readonly string[]).includes(String(record.sizeSystem))
+    ? (record.sizeSystem as SizeSystem)
+    : detectSizeLabelSystem(normalizedRows.map((row) => row[0]));
+  if (sizeSystem) result.sizeSystem = sizeSystem;
   if (extraHeaders.length > 0 && extraRows.length > 0) {
     const extraWidth = Math.max(extraHeaders.length, ...extraRows.map((row) => row.length), 0);
+    const rectangularExtraRows = makeRectangularRows(extraRows, extraWidth);
+    const fullExtraHeaders = [...extraHeaders, ...new Array(Math.max(extraWidth - extraHeaders.length, 0)).fill('')].slice(0, extraWidth);
     result.extra = {
-      headers: [...extraHeaders, ...new Array(Math.max(extraWidth - extraHeaders.length, 0)).fill('')].slice(0, extraWidth),
-      rows: makeRectangularRows(extraRows, extraWidth),
+      headers: fullExtraHeaders,
+      rows: shouldConvertInches ? convertLengthCells(fullExtraHeaders, rectangularExtraRows, CM_PER_INCH) : rectangularExtraRows,
     };
   }
   return result;
@@ -321,17 +719,65 @@ const parseFirstNumber = (value: string): number | null => {
   return isFinite(n) ? n : null;
 };
 
-export const extractMeasurements = (headers: string[], row: string[]): Map<string, number> => {
+/**
+ * Reads a size row into canonical label → value pairs. Pass the table's
+ * measurement basis so circumference columns come back as flat half-widths
+ * and every comparison works on the same basis.
+ */
+export const extractMeasurements = (
+  headers: string[],
+  row: string[],
+  measurementBasis?: MeasurementBasisMap | null
+): Map<string, number> => {
   const map = new Map<string, number>();
   for (let i = 1; i < headers.length; i++) {
     const label = normalizeMeasurementLabel(headers[i]);
     if (!label) continue;
     const val = parseFirstNumber(row[i] ?? '');
-    if (val !== null) map.set(label, val);
+    if (val !== null) map.set(label, toFlatMeasurement(val, measurementBasis?.[label]));
   }
   return map;
 };
 
+/** Resolves the basis of every flat/circumference column, falling back to value ranges for untagged ones. */
+export const getSizeTableMeasurementBasis = (table: SizeTable | null, category?: string | null): MeasurementBasisMap => {
+  const basis: MeasurementBasisMap = { ...(table?.measurementBasis || {}) };
+  if (!table?.headers?.length) return basis;
+  table.headers.forEach((header, index) => {
+    if (index === 0) return;
+    const label = normalizeMeasurementLabel(header);
+    if (!isMeasurementBasisLabel(label) || basis[label]) return;
+    const inferred = inferMeasurementBasisFromValues(
+      label,
+      table.rows.map((row) => parseFirstNumber(row[index] ?? '') ?? NaN),
+      category
+    );
+    if (inferred) basis[label] = inferred;
+  });
+  return basis;
+};
+
+const getSnapshotMeasurementBasis = (snapshot: ClosetSizeSnapshot, category?: string | null): MeasurementBasisMap =>
+  getSizeTableMeasurementBasis(
+    { headers: snapshot.headers, rows: [snapshot.row], measurementBasis: snapshot.measurementBasis },
+    category
+  );
+
+export const buildSizeSnapshot = (
+  table: SizeTable | null,
+  rowIndex: number | null,
+  category?: string | null
+): ClosetSizeSnapshot | null => {
+  if (rowIndex === null || !table?.rows?.[rowIndex]) return null;
+  const snapshot: ClosetSizeSnapshot = {
+    headers: table.headers.map((header) => String(header ?? '').trim()),
+    row: table.rows[rowIndex].map((cell) => String(cell ?? '').trim()),
+  };
+  const measurementBasis = getSizeTableMeasurementBasis(table, category);
+  if (Object.keys(measurementBasis).length > 0) snapshot.measurementBasis = measurementBasis;
+  return snapshot;
+};
+
 export const scoreMeasurementSimilarity = (a: Map<string, number>, b: Map<string, number>): number => {
   let totalWeight = 0;
   let weightedDiff = 0;
@@ -355,13 +801,22 @@ export interface MeasurementComparison {
 
 export const compareMeasurementSnapshots = (
   productSnapshot: ClosetSizeSnapshot | null | undefined,
-  referenceSnapshot: ClosetSizeSnapshot | null | undefined
+  referenceSnapshot: ClosetSizeSnapshot | null | undefined,
+  category?: string | null
 ): MeasurementComparison[] => {
   if (!productSnapshot?.headers?.length || !productSnapshot?.row?.length) return [];
   if (!referenceSnapshot?.headers?.length || !referenceSnapshot?.row?.length) return [];
 
-  const productMeasurements = extractMeasurements(productSnapshot.headers, productSnapshot.row);
-  const referenceMeasurements = extractMeasurements(referenceSnapshot.headers, referenceSnapshot.row);
+  const productMeasurements = extractMeasurements(
+    productSnapshot.headers,
+    productSnapshot.row,
+    getSnapshotMeasurementBasis(productSnapshot, category)
+  );
+  const referenceMeasurements = extractMeasurements(
+    referenceSnapshot.headers,
+    referenceSnapshot.row,
+    getSnapshotMeasurementBasis(referenceSnapshot, category)
+  );
   const comparisons: MeasurementComparison[] = [];
 
   const normalizedToOriginal = new Map<string, string>();
@@ -385,18 +840,35 @@ export const compareMeasurementSnapshots = (
   return comparisons;
 };
 
+/**
+ * Finds the closest row in each same-category candidate to the selected source
+ * row. With a learned fit preference, measurements the user has given fit
+ * feedback on are pulled halfway toward the preferred value before matching.
+ */
 export const computeSizeRecommendations = (
   source: Product,
   selectedRowIndex: number,
   candidates: Product[],
-  maxResults = 3
+  maxResults = 3,
+  fitPreference?: FitPreferenceModel | null
 ): SizeRecommendation[] => {
   const sourceSizeTable = getDisplaySizeTable(source);
   if (!sourceSizeTable) return [];
   const sourceRow = sourceSizeTable.rows[selectedRowIndex];
   if (!sourceRow) return [];
-  const sourceMeasurements = extractMeasurements(sourceSizeTable.headers, sourceRow);
+  const sourceMeasurements = extractMeasurements(
+    sourceSizeTable.headers,
+    sourceRow,
+    getSizeTableMeasurementBasis(sourceSizeTable, source.category)
+  );
   if (sourceMeasurements.size === 0) return [];
+  const learned = fitPreference?.[String(source.category || '')]?.measurements;
+  if (learned) {
+    sourceMeasurements.forEach((value, label) => {
+      const preference = learned[label];
+      if (preference) sourceMeasurements.set(label, (value + preference.target) / 2);
+    });
+  }
 
   const results: SizeRecommendation[] = [];
   for (const product of candidates) {
@@ -408,10 +880,11 @@ export const computeSizeRecommendations = (
       candidateSizeTable.headers.slice(1).map(normalizeMeasurementLabel).includes(k)
     );
     if (!hasOverlap) continue;
+    const candidateBasis = getSizeTableMeasurementBasis(candidateSizeTable, product.category);
     let bestRowIndex = 0;
     let bestScore = Infinity;
     for (let i = 0; i < candidateSizeTable.rows.length; i++) {
-      const m = extractMeasurements(candidateSizeTable.headers, candidateSizeTable.rows[i]);
+      const m = extractMeasurements(candidateSizeTable.headers, candidateSizeTable.rows[i], candidateBasis);
       const score = scoreMeasurementSimilarity(sourceMeasurements, m);
       if (score < bestScore) {
         bestScore = score;
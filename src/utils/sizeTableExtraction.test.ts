@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { extractSizeTableCandidatesFromPage, extractSizeTableFromPage } from "../../server/services/size-table/extraction.js";
+import { normalizeSizeTableProvenance } from "../../server/services/size-table/provenance.js";
+import { applySizeTableCandidatesFromPage, applySizeTableFromImage, buildSizeTableProvenance } from "../hooks/product-form/helpers";
+import { EMPTY_FORM_DATA } from "../constants";
+import type { SizeTableCandidate } from "../types";
+
+const html = `
+  <table>
+    <tr><th>사이즈</th><th>S</th><th>M</th><th>L</th></tr>
+    <tr><td>총장</td><td>68</td><td>70</td><td>72</td></tr>
+    <tr><td>가슴단면</td><td>52</td><td>54</td><td>56</td></tr>
+    <tr><td>어깨너비</td><td>46</td><td>48</td><td>50</td></tr>
+  </table>
+`;
+
+describe("size table candidates", () => {
+  it("ranks every table on the page with its source, score and snippet", () => {
+    const candidates = extractSizeTableCandidatesFromPage({
+      html,
+      textBlocks: ["Size guide (cm) S / M / L 총장 60 / 62 / 64 가슴 45 / 47 / 49"],
+    });
+
+    const textBlockCandidate = candidates.find((candidate) => candidate.source === "text_block");
+    expect(candidates[0]).toMatchObject({ source: "html_table" });
+    expect(candidates[0].snippet).toContain("사이즈 S M L 총장 68 70 72");
+    expect(candidates[0].score).toBeGreaterThan(textBlockCandidate?.score ?? Infinity);
+    expect(textBlockCandidate?.snippet.startsWith("Size guide")).toBe(true);
+    expect(extractSizeTableFromPage({ html })).toEqual(candidates[0].table);
+  });
+
+  it("keeps an uploaded chart selected when page candidates arrive, and persists the selection", () => {
+    const [pageCandidate] = extractSizeTableCandidatesFromPage({ html }) as SizeTableCandidate[];
+    const imageTable = { headers: ["사이즈", "총장"], rows: [["M", "71"]] };
+
+    const withImage = applySizeTableCandidatesFromPage(applySizeTableFromImage(EMPTY_FORM_DATA, imageTable), [pageCandidate]);
+    expect(withImage.selectedSizeTableCandidate).toBe(0);
+    expect(withImage.extractedTable).toEqual(imageTable);
+
+    const pageOnly = applySizeTableCandidatesFromPage(EMPTY_FORM_DATA, [pageCandidate]);
+    expect(pageOnly.selectedSizeTableCandidate).toBe(0);
+    expect(pageOnly.extractedTable?.rows).toHaveLength(3);
+
+    expect(normalizeSizeTableProvenance(buildSizeTableProvenance(withImage))).toMatchObject({
+      selectedIndex: 0,
+      candidates: [{ source: "gemini_image", score: null }, { source: "html_table" }],
+    });
+  });
+
+  it("keeps a table the user edited when a later autofill brings new candidates", () => {
+    const [pageCandidate] = extractSizeTableCandidatesFromPage({ html }) as SizeTableCandidate[];
+    const selected = applySizeTableCandidatesFromPage(EMPTY_FORM_DATA, [pageCandidate]);
+    const editedTable = { ...selected.extractedTable!, rows: [["S", "69", "52", "46"]] };
+    const edited = { ...selected, extractedTable: editedTable };
+
+    const refilled = applySizeTableCandidatesFromPage(edited, [pageCandidate]);
+    expect(refilled.extractedTable).toBe(editedTable);
+    expect(refilled.selectedSizeTableCandidate).toBeNull();
+    expect(refilled.sizeTableCandidates).toEqual([pageCandidate]);
+  });
+
+  it("aligns page candidates to the size options offered on the page", () => {
+    const [candidate] = extractSizeTableCandidatesFromPage({ html, optionSizeLabels: ["M", "L"] });
+    expect(candidate.table.headers).toEqual(["사이즈", "M", "L"]);
+    expect(candidate.table.rows[0]).toEqual(["총장", "70", "72"]);
+
+    expect(extractSizeTableCandidatesFromPage({ html, optionSizeLabels: ["28", "30", "32"] })).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { buildSizeTableValidationReport } from "../../server/services/size-table/report.js";
+
+describe("size table validation report", () => {
+  it("accepts a clean chart", () => {
+    const report = buildSizeTableValidationReport(
+      { headers: ["사이즈", "총장", "가슴단면"], rows: [["S", "68", "52"], ["M", "70", "54"], ["L", "72", "56"]] },
+      { category: "Top", optionSizeLabels: ["S", "M", "L"] }
+    );
+
+    expect(report).toEqual({ status: "ok", findings: [], optionSizeLabels: ["S", "M", "L"] });
+  });
+
+  it("flags duplicate rows, impossible values and values that shrink with the size", () => {
+    const report = buildSizeTableValidationReport(
+      {
+        headers: ["사이즈", "총장", "가슴단면"],
+        rows: [["S", "68", "52"], ["M", "70", "540"], ["L", "66", "56"], ["L", "72", "56"]],
+      },
+      { category: "Top" }
+    );
+
+    expect(report.status).toBe("error");
+    expect(report.findings).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ code: "duplicate_size_row", sizes: ["L"] }),
+        expect.objectContaining({ code: "impossible_value", labels: ["가슴"], sizes: ["M"], cells: [{ size: "M", label: "가슴" }] }),
+        expect.objectContaining({ code: "non_monotonic", labels: ["총장"] }),
+      ])
+    );
+  });
+
+  it("flags swapped columns and sizes that do not match the product options", () => {
+    const report = buildSizeTableValidationReport(
+      { headers: ["사이즈", "총장", "인심"], rows: [["28", "75", "100"], ["30", "76", "102"]] },
+      { category: "Bottom", optionSizeLabels: ["28", "30", "32"] }
+    );
+
+    expect(report.status).toBe("warning");
+    expect(report.findings.map((finding) => finding.code)).toEqual(["swapped_columns", "option_label_mismatch"]);
+    expect(report.findings[1]).toMatchObject({ sizes: ["32"], cells: [] });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  createStoreAdapterRegistry,
+  findStoreAdapter,
+  normalizePreferredStoreUrl,
+} from "../../server/services/product-metadata/stores/index.js";
+import { extractSizeTableCandidatesFromPage } from "../../server/services/size-table/extraction.js";
+
+describe("store adapter registry", () => {
+  it("matches stores by host, including subdomains", () => {
+    expect(findStoreAdapter("https://www.musinsa.com/products/123")?.id).toBe("musinsa");
+    expect(findStoreAdapter("https://www.zara.com/kr/ko/shirt-p01234567.html")?.id).toBe("zara");
+    expect(findStoreAdapter("https://kream.co.kr/products/1")?.needsBrowser).toBe(true);
+    expect(findStoreAdapter("https://notmusinsa.com/products/1")).toBeNull();
+    expect(findStoreAdapter("not a url")).toBeNull();
+  });
+
+  it("rewrites product URLs to the host that serves full pages", () => {
+    expect(normalizePreferredStoreUrl("https://m.musinsa.com/products/123")).toBe("https://www.musinsa.com/products/123");
+    expect(normalizePreferredStoreUrl("https://shop.example.com/a")).toBe("https://shop.example.com/a");
+  });
+
+  it("reads store data through the matching adapter", () => {
+    const musinsa = findStoreAdapter("https://www.musinsa.com/products/123");
+    const data = musinsa?.extractFromPage?.({
+      html: "",
+      pageUrl: "https://www.musinsa.com/products/123",
+      jsonData: [],
+      nextDataPayload: {
+        props: {
+          pageProps: {
+            meta: {
+              data: {
+                goodsNm: "Oversized Tee",
+                brandInfo: { brandName: "Test Brand" },
+                thumbnailImageUrl: "/images/goods_img/1.jpg",
+              },
+            },
+          },
+        },
+      },
+    });
+
+    expect(data).toMatchObject({ name: "Oversized Tee", imageCandidates: ["https://image.msscdn.net/images/goods_img/1.jpg"] });
+  });
+
+  it("lets a new shop plug in without touching the metadata service", () => {
+    const registry = createStoreAdapterRegistry([
+      { id: "example", hosts: ["shop.example.com"], normalizeUrl: (url) => ((url.search = ""), url) },
+    ]);
+
+    expect(registry.findStoreAdapter("https://shop.example.com/p/1?ref=ad")?.id).toBe("example");
+    expect(registry.normalizePreferredStoreUrl("https://shop.example.com/p/1?ref=ad")).toBe("https://shop.example.com/p/1");
+  });
+
+  it("ranks charts from store data above page parsers", () => {
+    const [candidate] = extractSizeTableCandidatesFromPage({
+      html: "",
+      storeTables: [
+        {
+          table: { headers: ["사이즈", "S", "M", "L"], rows: [["총장", "68", "70", "72"], ["가슴단면", "52", "54", "56"]] },
+          snippet: "sizeInfo",
+        },
+      ],
+    });
+
+    expect(candidate).toMatchObject({ source: "store_data", snippet: "sizeInfo" });
+  });
+});
@@ -1133,7 +1133,7 @@ export function getProductTasteDecision(product: Product, closetProducts: Produc
   return { kind, primaryTag, secondaryTag, closetShare, tagEvidence, closestProducts };
 }
 
-function getEffectiveStyleAttributes(product: Product, includeAccessories = false): Record<string, unknown> | null {
+export function getEffectiveStyleAttributes(product: Product, includeAccessories = false): Record<string, unknown> | null {
   if (!includeAccessories && isAccessoryCategory(product.category)) return null;
   const hasHumanAttributes = product.humanStyleAttributes && typeof product.humanStyleAttributes === "object" && !Array.isArray(product.humanStyleAttributes);
   if (hasHumanAttributes && (product.tagReviewStatus === "approved" || product.tagReviewStatus === "edited")) {
@@ -0,0 +1,216 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getTasteProfile, recomputeTasteProfile, recordDigMatchSession, undoLastTasteSession } from "../../server/services/taste-profile";
+import { TASTE_PROFILE_ALGORITHM_VERSION, type DigMatchAnswer } from "./digMatch";
+
+type Row = Record<string, unknown>;
+
+const db = vi.hoisted(() => ({ tables: {} as Record<string, Row[]>, rpcCalls: [] as string[] }));
+
+vi.mock("../../server/lib/supabase.js", () => {
+  // Just enough of the query builder for the taste profile service, run
+  // against the rows in `db.tables`.
+  const query = (table: string) => {
+    const filters: Array<(row: Row) => boolean> = [];
+    let action: "select" | "delete" = "select";
+    let order: { column: string; ascending: boolean } | null = null;
+    let limit = Infinity;
+    const rows = () => db.tables[table] ?? [];
+    const matches = () => {
+      const found = rows().filter((row) => filters.every((filter) => filter(row)));
+      if (order) {
+        const { column, ascending } = order;
+        found.sort((a, b) => (Date.parse(String(a[column])) - Date.parse(String(b[column]))) * (ascending ? 1 : -1));
+      }
+      return found.slice(0, limit);
+    };
+    const run = () => {
+      if (action === "delete") {
+        const removed = new Set(matches());
+        db.tables[table] = rows().filter((row) => !removed.has(row));
+        return { data: null, error: null };
+      }
+      return { data: matches(), error: null };
+    };
+    const builder = {
+      select: () => builder,
+      delete: () => {
+        action = "delete";
+        return builder;
+      },
+      eq: (column: string, value: unknown) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      gt: (column: string, value: string) => {
+        filters.push((row) => Date.parse(String(row[column])) > Date.parse(value));
+        return builder;
+      },
+      in: (column: string, values: unknown[]) => {
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      order: (column: string, { ascending }: { ascending: boolean }) => {
+        order = { column, ascending };
+        return builder;
+      },
+      limit: (count: number) => {
+        limit = count;
+        return builder;
+      },
+      maybeSingle: async () => ({ data: matches()[0] ?? null, error: null }),
+      upsert: async (row: Row) => {
+        db.tables[table] = [...rows().filter((existing) => existing.user_id !== row.user_id), row];
+        return { error: null };
+      },
+      insert: async (input: Row | Row[]) => {
+        db.tables[table] = [...rows(), ...(Array.isArray(input) ? input : [input])];
+        return { error: null };
+      },
+      then: (resolve: (value: unknown) => unknown, reject?: (reason: unknown) => unknown) =>
+        Promise.resolve().then(run).then(resolve, reject),
+    };
+    return builder;
+  };
+  const rpc = async (name: string, args: Record<string, unknown>) => {
+    db.rpcCalls.push(name);
+    if (name === "record_dig_match_session") {
+      const profile = args.session_profile as { completedSessions: number };
+      db.tables.user_taste_match_sessions.push({
+        id: `m${db.tables.user_taste_match_sessions.length + 1}`,
+        user_id: args.target_user_id,
+        answers: args.session_answers,
+        product_snapshots: args.session_product_snapshots,
+        profile_snapshot: profile,
+        completed_at: args.session_completed_at,
+      });
+      db.tables.user_taste_profiles = [{
+        user_id: args.target_user_id,
+        profile,
+        completed_sessions: profile.completedSessions,
+        algorithm_version: args.profile_algorithm_version,
+        updated_at: args.session_completed_at,
+      }];
+    }
+    return { data: null, error: null };
+  };
+  return { assertSupabaseConfig: () => undefined, supabase: { from: query, rpc } };
+});
+
+const snapshot = (score: number, completedSessions = 1) => ({
+  version: 1,
+  completedSessions,
+  signals: { casual: { score, confidence: 0.8 } },
+  attributes: {},
+  updatedAt: "2026-10-01T00:00:00.000Z",
+});
+
+const answers: DigMatchAnswer[] = [
+  { questionId: "q1", axisId: "polished_vs_utility", choice: "left", leftProductId: "casual-1", rightProductId: "classic-1" },
+];
+const productSnapshots = {
+  "casual-1": { category: "Top", tag_snapshot: { casual: 1 }, attribute_snapshot: {} },
+  "classic-1": { category: "Top", tag_snapshot: { classic: 1 }, attribute_snapshot: {} },
+};
+const products = [
+  { id: "casual-1", brand: "Brand", name: "Casual tee", category: "Top", style_tags: { casual: 1 } },
+  { id: "classic-1", brand: "Brand", name: "Classic shirt", category: "Top", style_tags: { classic: 1 } },
+];
+
+type MatchSessionSeed = { id: string; completed_at: string; profile_snapshot?: unknown; product_snapshots?: unknown };
+
+const seed = ({
+  matchSessions = [] as MatchSessionSeed[],
+  swipes = [] as Array<{ session_id: string; product_id: string; decision: "like" | "pass"; created_at: string }>,
+  storedProfile = null as { profile: unknown; algorithm_version: unknown } | null,
+} = {}) => {
+  db.rpcCalls = [];
+  db.tables = {
+    products: products.map((row) => ({ ...row })),
+    user_taste_match_sessions: matchSessions.map((row) => ({ user_id: "u1", answers, product_snapshots: productSnapshots, profile_snapshot: {}, ...row })),
+    user_taste_swipe_events: swipes.map((row) => ({ user_id: "u1", category: "Top", tag_snapshot: { casual: 1 }, attribute_snapshot: {}, ...row })),
+    user_taste_profiles: storedProfile ? [{ user_id: "u1", ...storedProfile }] : [],
+  };
+};
+
+const savedProfiles = () => db.tables.user_taste_profiles;
+
+beforeEach(() => seed());
+
+describe("taste profile undo", () => {
+  const matchSession = { id: "m1", completed_at: "2026-10-10T00:00:00.000Z" };
+  const swipe = (createdAt: string) => ({ session_id: "s1", product_id: "p1", decision: "like" as const, created_at: createdAt });
+
+  it("removes the Dig Match session when it came after the last swipe", async () => {
+    seed({ matchSessions: [matchSession], swipes: [swipe("2026-10-05T00:00:00.000Z")] });
+
+    expect(await undoLastTasteSession("u1")).toMatchObject({ undone: "match", profile: { completedSessions: 0 } });
+    expect(db.tables.user_taste_match_sessions).toEqual([]);
+    expect(db.tables.user_taste_swipe_events).toHaveLength(1);
+  });
+
+  it("removes the swipe session when it came after the last Dig Match", async () => {
+    seed({ matchSessions: [matchSession], swipes: [swipe("2026-10-12T00:00:00.000Z")] });
+
+    const result = await undoLastTasteSession("u1");
+
+    expect(result.undone).toBe("swipe");
+    expect(result.profile).toMatchObject({ completedSessions: 1, updatedAt: matchSession.completed_at });
+    expect(db.tables.user_taste_swipe_events).toEqual([]);
+    expect(db.tables.user_taste_match_sessions).toHaveLength(1);
+  });
+
+  it("does nothing when there is no history", async () => {
+    seed({ storedProfile: { profile: snapshot(0.2), algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION } });
+
+    expect(await undoLastTasteSession("u1")).toEqual({ undone: null, profile: null });
+    expect(savedProfiles()).toHaveLength(1);
+  });
+});
+
+describe("stored taste profile", () => {
+  it("rescores every Dig Match from its answers when the algorithm changed", async () => {
+    seed({
+      matchSessions: [
+        { id: "m1", completed_at: "2026-09-01T00:00:00.000Z", profile_snapshot: snapshot(-0.9) },
+        // Saved before product snapshots were kept: scored with the products' current tags.
+        { id: "m2", completed_at: "2026-10-01T00:00:00.000Z", profile_snapshot: snapshot(-0.9, 2), product_snapshots: {} },
+      ],
+      storedProfile: { profile: snapshot(-0.9, 2), algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION - 1 },
+    });
+
+    const profile = await getTasteProfile("u1");
+
+    expect(profile).toMatchObject({ completedSessions: 2, updatedAt: "2026-10-01T00:00:00.000Z" });
+    expect(profile?.signals.casual?.score).toBeGreaterThan(0);
+    expect(savedProfiles()).toMatchObject([{ user_id: "u1", completed_sessions: 2, algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION }]);
+  });
+
+  it("returns a current profile as stored", async () => {
+    const storedProfile = { profile: snapshot(0.3), algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION };
+    seed({ storedProfile });
+
+    expect((await getTasteProfile("u1"))?.signals.casual?.score).toBe(0.3);
+    expect(savedProfiles()).toEqual([{ user_id: "u1", ...storedProfile }]);
+  });
+
+  it("deletes the stored profile once nothing is left to replay", async () => {
+    seed({
+      matchSessions: [{ id: "m1", completed_at: "2026-10-01T00:00:00.000Z" }],
+      storedProfile: { profile: snapshot(0.5), algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION },
+    });
+
+    expect(await undoLastTasteSession("u1")).toEqual({ undone: "match", profile: null });
+    expect(savedProfiles()).toEqual([]);
+  });
+});
+
+describe("dig match session recording", () => {
+  it("stores the session and profile in one call and replays to the same profile", async () => {
+    const profile = await recordDigMatchSession("u1", answers);
+
+    expect(db.rpcCalls).toEqual(["record_dig_match_session"]);
+    expect(db.tables.user_taste_match_sessions).toMatchObject([{ answers, product_snapshots: productSnapshots }]);
+    expect(savedProfiles()).toMatchObject([{ profile, algorithm_version: TASTE_PROFILE_ALGORITHM_VERSION }]);
+    expect(await recomputeTasteProfile("u1", new Date(profile.updatedAt))).toEqual(profile);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { computeTasteTimeline, type TasteTimelineBucket } from "./tasteTimeline";
+import type { Product, StyleTags } from "../types";
+import { makeProduct } from "./__fixtures__/products";
+
+const NOW = new Date("2026-10-19T00:00:00Z");
+
+const addedProduct = (id: string, styleTags: Partial<StyleTags>, addedAt: string): Product =>
+  makeProduct(id, { styleTags, collectionAddedAt: addedAt });
+
+describe("taste timeline", () => {
+  it("reads each month's additions on their own and keeps empty months in the series", () => {
+    const { buckets } = computeTasteTimeline(
+      [addedProduct("c1", { minimal: 1 }, "2026-07-03T00:00:00Z")],
+      [addedProduct("d1", { minimal: 1 }, "2026-07-20T00:00:00Z"), addedProduct("d2", { street: 1 }, "2026-09-02T00:00:00Z")],
+      { now: NOW }
+    );
+
+    expect(buckets.map((bucket) => bucket.month)).toEqual(["2026-07", "2026-08", "2026-09", "2026-10"]);
+    expect(buckets[0]).toMatchObject({ closetCount: 1, digboxCount: 1 });
+    expect(buckets[0].summary.entries).toEqual([{ tag: "minimal", percent: 100 }]);
+    expect(buckets[1].summary.taggedCount).toBe(0);
+    expect(buckets[2].summary.entries).toEqual([{ tag: "street", percent: 100 }]);
+  });
+
+  it("annotates a month whose mix moved with the products behind it", () => {
+    const { buckets } = computeTasteTimeline(
+      [],
+      [
+        addedProduct("a", { minimal: 1 }, "2026-08-01T00:00:00Z"),
+        addedProduct("b", { minimal: 1 }, "2026-08-02T00:00:00Z"),
+        addedProduct("c", { street: 1 }, "2026-09-01T00:00:00Z"),
+        addedProduct("d", { minimal: 1 }, "2026-09-02T00:00:00Z"),
+      ],
+      { now: NOW }
+    );
+
+    expect(buckets[0].change).toBeNull();
+    expect(buckets[1].change).toMatchObject({ tag: "street", delta: 50 });
+    expect(buckets[1].change?.drivers).toEqual([{ productId: "c", brand: "Brand c", name: "Item c", source: "digbox", share: 1 }]);
+  });
+
+  it("prefers stored snapshots for past months but recomputes the current month", () => {
+    const frozen = (month: string): TasteTimelineBucket => ({
+      month,
+      summary: { entries: [{ tag: "classic", percent: 100 }], taggedCount: 3, totalCount: 3 },
+      closetCount: 3,
+      digboxCount: 0,
+      change: null,
+    });
+    const { buckets } = computeTasteTimeline(
+      [addedProduct("now", { sporty: 1 }, "2026-10-01T00:00:00Z")],
+      [],
+      { now: NOW, snapshots: [frozen("2026-09"), frozen("2026-10"), frozen("2024-01")] }
+    );
+
+    expect(buckets.map((bucket) => bucket.month)).toEqual(["2026-09", "2026-10"]);
+    expect(buckets[0]).toEqual(frozen("2026-09"));
+    expect(buckets[1].summary.entries).toEqual([{ tag: "sporty", percent: 100 }]);
+    expect(buckets[1].change).toMatchObject({ tag: "sporty", delta: 100 });
+  });
+});
@@ -0,0 +1,134 @@
+import type { Product, StyleTagName } from "../types";
+import {
+  computeTasteSummary,
+  getEffectiveStyleTags,
+  normalizeStyleTags,
+  selectTopTags,
+  type TasteCollectionSource,
+  type TasteSummary,
+} from "./tasteGraph";
+
+export interface TasteTimelineDriver {
+  productId: string;
+  brand: string;
+  name: string;
+  source: TasteCollectionSource;
+  /** Share of the product's style that went to the changed tag. */
+  share: number;
+}
+
+export interface TasteTimelineChange {
+  tag: StyleTagName;
+  /** Percentage points gained over the previous month with additions. */
+  delta: number;
+  drivers: TasteTimelineDriver[];
+}
+
+export interface TasteTimelineBucket {
+  /** `YYYY-MM`, in UTC. */
+  month: string;
+  summary: TasteSummary;
+  closetCount: number;
+  digboxCount: number;
+  change: TasteTimelineChange | null;
+}
+
+export interface TasteTimeline {
+  buckets: TasteTimelineBucket[];
+}
+
+export interface TasteTimelineOptions {
+  now?: Date;
+  maxMonths?: number;
+  /** Stored buckets of past months; they replace the live computation for those months. */
+  snapshots?: TasteTimelineBucket[];
+}
+
+export const TASTE_TIMELINE_MAX_MONTHS = 12;
+const TIMELINE_MIN_CHANGE = 10;
+const TIMELINE_MAX_DRIVERS = 2;
+
+type TimelineEntry = { product: Product; source: TasteCollectionSource };
+
+export function toTimelineMonth(value: string | Date) {
+  const date = typeof value === "string" ? new Date(value) : value;
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+function shiftMonth(month: string, offset: number) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return toTimelineMonth(new Date(Date.UTC(year, monthIndex - 1 + offset, 1)));
+}
+
+function tagShares(product: Product) {
+  const topTags = selectTopTags(normalizeStyleTags(getEffectiveStyleTags(product).tags));
+  const scoreTotal = topTags.reduce((sum, [, score]) => sum + score, 0) || 1;
+  return new Map<StyleTagName, number>(topTags.map(([tag, score]) => [tag, score / scoreTotal]));
+}
+
+function findChange(summary: TasteSummary, previous: TasteSummary | null, entries: TimelineEntry[]): TasteTimelineChange | null {
+  if (!previous || !summary.taggedCount) return null;
+  const previousByTag = new Map(previous.entries.map((entry) => [entry.tag, entry.percent]));
+  const rising = summary.entries
+    .map((entry) => ({ tag: entry.tag, delta: entry.percent - (previousByTag.get(entry.tag) || 0) }))
+    .sort((left, right) => right.delta - left.delta)[0];
+  if (!rising || rising.delta < TIMELINE_MIN_CHANGE) return null;
+  const drivers = entries
+    .map(({ product, source }) => ({ productId: product.id, brand: product.brand, name: product.name, source, share: tagShares(product).get(rising.tag) || 0 }))
+    .filter((driver) => driver.share > 0)
+    .sort((left, right) => right.share - left.share)
+    .slice(0, TIMELINE_MAX_DRIVERS);
+  return { tag: rising.tag, delta: rising.delta, drivers };
+}
+
+/**
+ * Buckets Closet and DIGBOX additions by the month they were saved and reads
+ * each month's style mix on its own, so the timeline shows what the user was
+ * picking then rather than a running total. Months without additions stay in
+ * the series with an empty summary. A month is annotated when one style gains
+ * at least 10 points over the previous month with additions, along with the
+ * saved products that carried it.
+ */
+export function computeTasteTimeline(
+  closetProducts: Product[],
+  digboxProducts: Product[],
+  { now = new Date(), maxMonths = TASTE_TIMELINE_MAX_MONTHS, snapshots = [] }: TasteTimelineOptions = {}
+): TasteTimeline {
+  const currentMonth = toTimelineMonth(now);
+  const firstWindowMonth = shiftMonth(currentMonth, -(maxMonths - 1));
+  const entriesByMonth = new Map<string, TimelineEntry[]>();
+  const entries: TimelineEntry[] = [
+    ...closetProducts.map((product) => ({ product, source: "closet" as const })),
+    ...digboxProducts.map((product) => ({ product, source: "digbox" as const })),
+  ];
+  for (const entry of entries) {
+    const addedAt = entry.product.collectionAddedAt;
+    if (!addedAt || !Number.isFinite(Date.parse(addedAt)) || !tagShares(entry.product).size) continue;
+    const month = toTimelineMonth(addedAt);
+    if (month < firstWindowMonth || month > currentMonth) continue;
+    entriesByMonth.set(month, [...(entriesByMonth.get(month) || []), entry]);
+  }
+  const frozenByMonth = new Map(
+    snapshots.filter((bucket) => bucket.month >= firstWindowMonth && bucket.month < currentMonth).map((bucket) => [bucket.month, bucket])
+  );
+
+  const firstMonth = [...entriesByMonth.keys(), ...frozenByMonth.keys()].sort()[0];
+  if (!firstMonth) return { buckets: [] };
+
+  const buckets: TasteTimelineBucket[] = [];
+  let previous: TasteSummary | null = null;
+  for (let month = firstMonth; month <= currentMonth; month = shiftMonth(month, 1)) {
+    const frozen = frozenByMonth.get(month);
+    const monthEntries = entriesByMonth.get(month) || [];
+    const summary = frozen?.summary ?? computeTasteSummary(monthEntries.map((entry) => entry.product));
+    buckets.push(frozen ?? {
+      month,
+      summary,
+      closetCount: monthEntries.filter((entry) => entry.source === "closet").length,
+      digboxCount: monthEntries.filter((entry) => entry.source === "digbox").length,
+      change: findChange(summary, previous, monthEntries),
+    });
+    if (summary.taggedCount) previous = summary;
+  }
+  return { buckets };
+}
@@ -0,0 +1,16 @@
+create table if not exists public.user_body_measurements (
+  user_id uuid primary key references public.users(id) on delete cascade,
+  height_cm numeric(5, 1) check (height_cm is null or height_cm between 100 and 250),
+  weight_kg numeric(5, 1) check (weight_kg is null or weight_kg between 20 and 300),
+  chest_cm numeric(5, 1) check (chest_cm is null or chest_cm between 50 and 200),
+  waist_cm numeric(5, 1) check (waist_cm is null or waist_cm between 40 and 200),
+  hip_cm numeric(5, 1) check (hip_cm is null or hip_cm between 50 and 200),
+  inseam_cm numeric(5, 1) check (inseam_cm is null or inseam_cm between 40 and 120),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_body_measurements enable row level security;
+
+revoke all on table public.user_body_measurements from anon, authenticated;
+
+grant select, insert, update, delete on table public.user_body_measurements to service_role;
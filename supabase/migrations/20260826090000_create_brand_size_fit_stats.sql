@@ -0,0 +1,53 @@
+create table if not exists public.brand_size_fit_stats (
+  brand_key text not null,
+  brand text not null,
+  sub_category text not null default '',
+  tight_count integer not null default 0 check (tight_count >= 0),
+  true_to_size_count integer not null default 0 check (true_to_size_count >= 0),
+  roomy_count integer not null default 0 check (roomy_count >= 0),
+  user_count integer not null default 0 check (user_count >= 0),
+  fit_score numeric(4, 3) not null default 0 check (fit_score between -1 and 1),
+  fit_bias text not null check (fit_bias in ('runs_small', 'true_to_size', 'runs_large')),
+  size_shift numeric(2, 1) not null default 0 check (size_shift between -1 and 1),
+  updated_at timestamptz not null default now(),
+  primary key (brand_key, sub_category)
+);
+
+alter table public.brand_size_fit_stats enable row level security;
+
+revoke all on table public.brand_size_fit_stats from anon, authenticated;
+
+grant select, insert, update, delete on table public.brand_size_fit_stats to service_role;
+
+-- Returns the brand-wide row ('' sub category) and, when present, the more
+-- specific brand + sub category row, most specific first.
+create or replace function public.get_brand_size_fit(target_brand_key text, target_sub_category text default null)
+returns table (
+  brand_key text,
+  brand text,
+  sub_category text,
+  tight_count integer,
+  true_to_size_count integer,
+  roomy_count integer,
+  user_count integer,
+  fit_score numeric,
+  fit_bias text,
+  size_shift numeric,
+  updated_at timestamptz
+)
+language sql
+stable
+security invoker
+set search_path = ''
+as $$
+  select
+    s.brand_key, s.brand, s.sub_category, s.tight_count, s.true_to_size_count,
+    s.roomy_count, s.user_count, s.fit_score, s.fit_bias, s.size_shift, s.updated_at
+  from public.brand_size_fit_stats s
+  where s.brand_key = target_brand_key
+    and (s.sub_category = '' or s.sub_category = coalesce(target_sub_category, ''))
+  order by (s.sub_category = '') asc;
+$$;
+
+revoke all on function public.get_brand_size_fit(text, text) from public, anon, authenticated;
+grant execute on function public.get_brand_size_fit(text, text) to service_role;
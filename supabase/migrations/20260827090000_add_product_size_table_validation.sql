@@ -0,0 +1,5 @@
+alter table public.products
+  add column if not exists size_table_validation jsonb;
+
+comment on column public.products.size_table_validation is
+  'Findings from the size-table validator (status, per-cell anomalies, scraped option size labels). Recomputed whenever size_table or category changes.';
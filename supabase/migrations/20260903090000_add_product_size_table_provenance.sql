@@ -0,0 +1,5 @@
+alter table public.products
+  add column if not exists size_table_provenance jsonb;
+
+comment on column public.products.size_table_provenance is
+  'Ranked size-table candidates found while adding the product ({ selectedIndex, candidates: [{ source, score, snippet, table }] }). selectedIndex points at the candidate size_table was taken from.';
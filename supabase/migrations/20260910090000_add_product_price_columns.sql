@@ -0,0 +1,109 @@
+alter table public.products
+  add column if not exists list_price numeric(12, 2),
+  add column if not exists sale_price numeric(12, 2),
+  add column if not exists price_currency text,
+  add column if not exists availability text;
+
+alter table public.products
+  drop constraint if exists products_availability_check;
+
+alter table public.products
+  add constraint products_availability_check
+  check (availability is null or availability in ('in_stock', 'preorder', 'out_of_stock'));
+
+alter table public.products
+  add column if not exists effective_price numeric(12, 2)
+    generated always as (coalesce(sale_price, list_price)) stored,
+  add column if not exists is_on_sale boolean
+    generated always as (coalesce(sale_price < list_price, false)) stored;
+
+comment on column public.products.list_price is
+  'Regular price read from the store page, in price_currency units.';
+comment on column public.products.sale_price is
+  'Discounted price when the store shows one below list_price.';
+comment on column public.products.effective_price is
+  'What the product currently sells for; catalog price filters compare against this.';
+
+create index if not exists products_currency_effective_price_idx
+  on public.products (price_currency, effective_price)
+  where effective_price is not null;
+
+create index if not exists products_on_sale_created_at_idx
+  on public.products (created_at desc)
+  where is_on_sale;
+
+-- Collection cards render the price tag, so both collection reads return the
+-- stored price columns alongside the existing product fields.
+drop function if exists public.get_closet_products(uuid);
+drop function if exists public.get_digbox_products(uuid);
+
+create function public.get_closet_products(target_user_id uuid)
+returns table (
+  id bigint, brand text, name text, category text, url text, image_path text,
+  slug text, created_at timestamptz, is_instagram boolean, instagram_order integer,
+  target_gender text, human_target_gender text,
+  style_tags jsonb, style_attributes jsonb, human_style_tags jsonb,
+  human_style_attributes jsonb, tag_review_status text,
+  list_price numeric, sale_price numeric, price_currency text, availability text,
+  added_at timestamptz, selected_size_label text, selected_size_row_index integer,
+  selected_size_snapshot jsonb
+)
+language sql stable security invoker set search_path = ''
+as $$
+  select
+    p.id, p.brand, p.name, p.category, p.url, p.image_path, p.slug,
+    p.created_at, p.is_instagram, p.instagram_order, p.target_gender,
+    p.human_target_gender, p.style_tags, p.style_attributes,
+    p.human_style_tags, p.human_style_attributes, p.tag_review_status,
+    p.list_price, p.sale_price, p.price_currency, p.availability,
+    item.added_at, item.selected_size_label, item.selected_size_row_index,
+    item.selected_size_snapshot
+  from public.user_closet_items item
+  join public.products p on p.id = case when item.product_id ~ '^[0-9]+$' then item.product_id::bigint end
+  where item.user_id = target_user_id
+  order by item.added_at desc nulls last, p.id desc;
+$$;
+
+create function public.get_digbox_products(target_user_id uuid)
+returns table (
+  id bigint, brand text, name text, category text, url text, image_path text,
+  slug text, created_at timestamptz, is_instagram boolean, instagram_order integer,
+  target_gender text, human_target_gender text,
+  style_tags jsonb, style_attributes jsonb, human_style_tags jsonb,
+  human_style_attributes jsonb, tag_review_status text,
+  list_price numeric, sale_price numeric, price_currency text, availability text,
+  registered_by text, added_at timestamptz, discovered_save_count bigint,
+  size_decision_label text, size_decision_row_index integer,
+  size_decision_snapshot jsonb, size_decision_sources text[], size_decision_fit text,
+  size_decision_note text, size_decision_updated_at timestamptz
+)
+language sql stable security invoker set search_path = ''
+as $$
+  select
+    p.id, p.brand, p.name, p.category, p.url, p.image_path, p.slug,
+    p.created_at, p.is_instagram, p.instagram_order, p.target_gender,
+    p.human_target_gender, p.style_tags, p.style_attributes,
+    p.human_style_tags, p.human_style_attributes, p.tag_review_status,
+    p.list_price, p.sale_price, p.price_currency, p.availability,
+    p.registered_by, item.added_at,
+    case when owner.username is not null and p.registered_by = owner.username then
+      greatest(0::bigint, coalesce(saves.save_count, 0::bigint) - 1) else 0::bigint end,
+    item.size_decision_label, item.size_decision_row_index, item.size_decision_snapshot,
+    item.size_decision_sources, item.size_decision_fit, item.size_decision_note,
+    item.size_decision_updated_at
+  from public.user_digbox_items item
+  join public.products p on p.id = case when item.product_id ~ '^[0-9]+$' then item.product_id::bigint end
+  left join public.users owner on owner.id = item.user_id
+  left join (
+    select saved.product_id, count(distinct saved.user_id)::bigint as save_count
+    from public.user_digbox_items saved
+    group by saved.product_id
+  ) saves on saves.product_id = item.product_id
+  where item.user_id = target_user_id
+  order by item.added_at desc nulls last, p.id desc;
+$$;
+
+revoke all on function public.get_closet_products(uuid) from public, anon, authenticated;
+revoke all on function public.get_digbox_products(uuid) from public, anon, authenticated;
+grant execute on function public.get_closet_products(uuid) to service_role;
+grant execute on function public.get_digbox_products(uuid) to service_role;
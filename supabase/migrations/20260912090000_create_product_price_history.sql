@@ -0,0 +1,90 @@
+-- Price and stock re-checks for products saved to DIGBOX. Each check that
+-- observes a different price or availability appends a history row; drops and
+-- restocks are flagged on every DIGBOX item that saved the product until the
+-- owner dismisses them.
+alter table public.products
+  add column if not exists price_checked_at timestamptz;
+
+comment on column public.products.price_checked_at is
+  'Last time the price tracking cron re-read this product page; the oldest are re-checked first.';
+
+create table if not exists public.product_price_history (
+  id bigint generated always as identity primary key,
+  product_id bigint not null references public.products (id) on delete cascade,
+  list_price numeric(12, 2),
+  sale_price numeric(12, 2),
+  price_currency text,
+  availability text check (availability is null or availability in ('in_stock', 'preorder', 'out_of_stock')),
+  checked_at timestamptz not null default now()
+);
+
+create index if not exists product_price_history_product_checked_at_idx
+  on public.product_price_history (product_id, checked_at desc);
+
+alter table public.product_price_history enable row level security;
+
+revoke all on table public.product_price_history from anon, authenticated;
+
+grant select, insert, delete on table public.product_price_history to service_role;
+
+alter table public.user_digbox_items
+  add column if not exists price_alert text,
+  add column if not exists price_alert_previous_price numeric(12, 2),
+  add column if not exists price_alert_at timestamptz;
+
+alter table public.user_digbox_items
+  drop constraint if exists user_digbox_items_price_alert_check;
+
+alter table public.user_digbox_items
+  add constraint user_digbox_items_price_alert_check
+  check (price_alert is null or price_alert in ('price_drop', 'restock'));
+
+create index if not exists user_digbox_items_price_alert_idx
+  on public.user_digbox_items (user_id, price_alert_at desc)
+  where price_alert is not null;
+
+drop function if exists public.get_digbox_products(uuid);
+
+create function public.get_digbox_products(target_user_id uuid)
+returns table (
+  id bigint, brand text, name text, category text, url text, image_path text,
+  slug text, created_at timestamptz, is_instagram boolean, instagram_order integer,
+  target_gender text, human_target_gender text,
+  style_tags jsonb, style_attributes jsonb, human_style_tags jsonb,
+  human_style_attributes jsonb, tag_review_status text,
+  list_price numeric, sale_price numeric, price_currency text, availability text,
+  registered_by text, added_at timestamptz, discovered_save_count bigint,
+  size_decision_label text, size_decision_row_index integer,
+  size_decision_snapshot jsonb, size_decision_sources text[], size_decision_fit text,
+  size_decision_note text, size_decision_updated_at timestamptz,
+  price_alert text, price_alert_previous_price numeric, price_alert_at timestamptz
+)
+language sql stable security invoker set search_path = ''
+as $$
+  select
+    p.id, p.brand, p.name, p.category, p.url, p.image_path, p.slug,
+    p.created_at, p.is_instagram, p.instagram_order, p.target_gender,
+    p.human_target_gender, p.style_tags, p.style_attributes,
+    p.human_style_tags, p.human_style_attributes, p.tag_review_status,
+    p.list_price, p.sale_price, p.price_currency, p.availability,
+    p.registered_by, item.added_at,
+    case when owner.username is not null and p.registered_by = owner.username then
+      greatest(0::bigint, coalesce(saves.save_count, 0::bigint) - 1) else 0::bigint end,
+    item.size_decision_label, item.size_decision_row_index, item.size_decision_snapshot,
+    item.size_decision_sources, item.size_decision_fit, item.size_decision_note,
+    item.size_decision_updated_at,
+    item.price_alert, item.price_alert_previous_price, item.price_alert_at
+  from public.user_digbox_items item
+  join public.products p on p.id = case when item.product_id ~ '^[0-9]+$' then item.product_id::bigint end
+  left join public.users owner on owner.id = item.user_id
+  left join (
+    select saved.product_id, count(distinct saved.user_id)::bigint as save_count
+    from public.user_digbox_items saved
+    group by saved.product_id
+  ) saves on saves.product_id = item.product_id
+  where item.user_id = target_user_id
+  order by item.added_at desc nulls last, p.id desc;
+$$;
+
+revoke all on function public.get_digbox_products(uuid) from public, anon, authenticated;
+grant execute on function public.get_digbox_products(uuid) to service_role;
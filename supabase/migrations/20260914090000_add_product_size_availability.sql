@@ -0,0 +1,15 @@
+-- Per-size stock read from the store page's size options:
+-- { "checkedAt": timestamptz, "sizes": [{ "label": text, "availability": "in_stock" | "out_of_stock" }] }.
+-- Written when the product is registered and refreshed by the price tracking cron.
+alter table public.products
+  add column if not exists size_availability jsonb;
+
+alter table public.products
+  drop constraint if exists products_size_availability_shape_check;
+
+alter table public.products
+  add constraint products_size_availability_shape_check
+  check (size_availability is null or jsonb_typeof(size_availability -> 'sizes') = 'array');
+
+comment on column public.products.size_availability is
+  'Per-size stock from the store option markup or embedded inventory JSON, with the time it was read.';
@@ -0,0 +1,105 @@
+-- Color variants read from the store page:
+-- [{ "name": text, "swatch": hex | image url | null, "images": [url], "url": url | null }].
+-- Closet and DIGBOX items remember the color the user picked by its name.
+alter table public.products
+  add column if not exists color_variants jsonb;
+
+alter table public.products
+  drop constraint if exists products_color_variants_shape_check;
+
+alter table public.products
+  add constraint products_color_variants_shape_check
+  check (color_variants is null or jsonb_typeof(color_variants) = 'array');
+
+comment on column public.products.color_variants is
+  'Color variants from the store catalog API, JSON-LD or option markup, each with its own image set and page URL.';
+
+alter table public.user_closet_items
+  add column if not exists selected_color text;
+
+alter table public.user_digbox_items
+  add column if not exists selected_color text;
+
+comment on column public.user_closet_items.selected_color is
+  'Name of the products.color_variants entry the user owns; null when the product has no variants or none was picked.';
+
+comment on column public.user_digbox_items.selected_color is
+  'Name of the products.color_variants entry the user saved; null when the product has no variants or none was picked.';
+
+drop function if exists public.get_closet_products(uuid);
+drop function if exists public.get_digbox_products(uuid);
+
+create function public.get_closet_products(target_user_id uuid)
+returns table (
+  id bigint, brand text, name text, category text, url text, image_path text,
+  slug text, created_at timestamptz, is_instagram boolean, instagram_order integer,
+  target_gender text, human_target_gender text,
+  style_tags jsonb, style_attributes jsonb, human_style_tags jsonb,
+  human_style_attributes jsonb, tag_review_status text,
+  list_price numeric, sale_price numeric, price_currency text, availability text,
+  added_at timestamptz, selected_size_label text, selected_size_row_index integer,
+  selected_size_snapshot jsonb, selected_color text
+)
+language sql stable security invoker set search_path = ''
+as $$
+  select
+    p.id, p.brand, p.name, p.category, p.url, p.image_path, p.slug,
+    p.created_at, p.is_instagram, p.instagram_order, p.target_gender,
+    p.human_target_gender, p.style_tags, p.style_attributes,
+    p.human_style_tags, p.human_style_attributes, p.tag_review_status,
+    p.list_price, p.sale_price, p.price_currency, p.availability,
+    item.added_at, item.selected_size_label, item.selected_size_row_index,
+    item.selected_size_snapshot, item.selected_color
+  from public.user_closet_items item
+  join public.products p on p.id = case when item.product_id ~ '^[0-9]+$' then item.product_id::bigint end
+  where item.user_id = target_user_id
+  order by item.added_at desc nulls last, p.id desc;
+$$;
+
+create function public.get_digbox_products(target_user_id uuid)
+returns table (
+  id bigint, brand text, name text, category text, url text, image_path text,
+  slug text, created_at timestamptz, is_instagram boolean, instagram_order integer,
+  target_gender text, human_target_gender text,
+  style_tags jsonb, style_attributes jsonb, human_style_tags jsonb,
+  human_style_attributes jsonb, tag_review_status text,
+  list_price numeric, sale_price numeric, price_currency text, availability text,
+  registered_by text, added_at timestamptz, discovered_save_count bigint,
+  size_decision_label text, size_decision_row_index integer,
+  size_decision_snapshot jsonb, size_decision_sources text[], size_decision_fit text,
+  size_decision_note text, size_decision_updated_at timestamptz,
+  price_alert text, price_alert_previous_price numeric, price_alert_at timestamptz,
+  selected_color text
+)
+language sql stable security invoker set search_path = ''
+as $$
+  select
+    p.id, p.brand, p.name, p.category, p.url, p.image_path, p.slug,
+    p.created_at, p.is_instagram, p.instagram_order, p.target_gender,
+    p.human_target_gender, p.style_tags, p.style_attributes,
+    p.human_style_tags, p.human_style_attributes, p.tag_review_status,
+    p.list_price, p.sale_price, p.price_currency, p.availability,
+    p.registered_by, item.added_at,
+    case when owner.username is not null and p.registered_by = owner.username then
+      greatest(0::bigint, coalesce(saves.save_count, 0::bigint) - 1) else 0::bigint end,
+    item.size_decision_label, item.size_decision_row_index, item.size_decision_snapshot,
+    item.size_decision_sources, item.size_decision_fit, item.size_decision_note,
+    item.size_decision_updated_at,
+    item.price_alert, item.price_alert_previous_price, item.price_alert_at,
+    item.selected_color
+  from public.user_digbox_items item
+  join public.products p on p.id = case when item.product_id ~ '^[0-9]+$' then item.product_id::bigint end
+  left join public.users owner on owner.id = item.user_id
+  left join (
+    select saved.product_id, count(distinct saved.user_id)::bigint as save_count
+    from public.user_digbox_items saved
+    group by saved.product_id
+  ) saves on saves.product_id = item.product_id
+  where item.user_id = target_user_id
+  order by item.added_at desc nulls last, p.id desc;
+$$;
+
+revoke all on function public.get_closet_products(uuid) from public, anon, authenticated;
+revoke all on function public.get_digbox_products(uuid) from public, anon, authenticated;
+grant execute on function public.get_closet_products(uuid) to service_role;
+grant execute on function public.get_digbox_products(uuid) to service_role;
@@ -0,0 +1,7 @@
+-- Extra product images kept beside image_path, as Storage paths in ranked order:
+-- product-only shots first, then model shots.
+alter table public.products
+  add column if not exists image_gallery text[] not null default '{}';
+
+comment on column public.products.image_gallery is
+  'Storage paths of the additional ranked product images persisted on registration; image_path stays the hero image.';
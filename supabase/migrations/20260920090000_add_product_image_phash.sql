@@ -0,0 +1,70 @@
+-- 64-bit perceptual hash of products.image_path as 16 lowercase hex characters,
+-- written by the image worker next to image_embedding.
+alter table public.products
+  add column if not exists image_phash text;
+
+alter table public.products
+  drop constraint if exists products_image_phash_format_check;
+
+alter table public.products
+  add constraint products_image_phash_format_check
+  check (image_phash is null or image_phash ~ '^[0-9a-f]{16}$');
+
+comment on column public.products.image_phash is
+  'DCT perceptual hash of the stored product image; compared by Hamming distance to catch the same item registered from another shop.';
+
+-- Registration-time duplicate lookup. A product matches when its image hash is
+-- within max_phash_distance bits of target_phash, or when its image embedding is
+-- at least min_visual_similarity close to target_embedding.
+create or replace function public.find_duplicate_product_candidates(
+  target_phash text,
+  target_embedding extensions.vector(768) default null,
+  max_phash_distance integer default 10,
+  min_visual_similarity double precision default 0.94,
+  match_count integer default 5
+)
+returns table (id bigint, phash_distance integer, visual_similarity double precision)
+language sql
+stable
+security invoker
+set search_path = ''
+as $$
+  with hashed as (
+    select
+      p.id,
+      bit_count(('x' || p.image_phash)::bit(64) # ('x' || target_phash)::bit(64))::integer as phash_distance,
+      case when target_embedding is not null and p.image_embedding is not null
+        then greatest(0::double precision, 1 - (p.image_embedding OPERATOR(extensions.<=>) target_embedding))
+      end as visual_similarity
+    from public.products p
+    where target_phash ~ '^[0-9a-f]{16}$'
+      and p.image_phash is not null
+      and bit_count(('x' || p.image_phash)::bit(64) # ('x' || target_phash)::bit(64)) <= max_phash_distance
+  ), embedded as (
+    select
+      p.id,
+      case when target_phash ~ '^[0-9a-f]{16}$' and p.image_phash is not null
+        then bit_count(('x' || p.image_phash)::bit(64) # ('x' || target_phash)::bit(64))::integer
+      end as phash_distance,
+      greatest(0::double precision, 1 - (p.image_embedding OPERATOR(extensions.<=>) target_embedding)) as visual_similarity
+    from public.products p
+    where target_embedding is not null
+      and p.image_embedding is not null
+    order by p.image_embedding OPERATOR(extensions.<=>) target_embedding
+    limit least(greatest(coalesce(match_count, 5), 1), 20)
+  )
+  select matches.id, min(matches.phash_distance), max(matches.visual_similarity)
+  from (
+    select * from hashed
+    union all
+    select * from embedded where embedded.visual_similarity >= min_visual_similarity
+  ) matches
+  group by matches.id
+  order by min(matches.phash_distance) asc nulls last, max(matches.visual_similarity) desc nulls last, matches.id desc
+  limit least(greatest(coalesce(match_count, 5), 1), 20);
+$$;
+
+revoke all on function public.find_duplicate_product_candidates(text, extensions.vector, integer, double precision, integer)
+  from public, anon, authenticated;
+grant execute on function public.find_duplicate_product_candidates(text, extensions.vector, integer, double precision, integer)
+  to service_role;
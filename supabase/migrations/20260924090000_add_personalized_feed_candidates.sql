@@ -0,0 +1,70 @@
+-- Candidate pool for the personalized home feed: the newest products plus the
+-- products whose image is closest to the mean embedding of everything the user
+-- saved to Closet or DIGBOX. Saved products are left out; ranking happens in
+-- the application.
+create or replace function public.get_personalized_feed_candidates(
+  target_user_id uuid,
+  recent_limit integer default 240,
+  similar_limit integer default 160
+)
+returns table (product jsonb, visual_similarity double precision)
+language sql
+stable
+security invoker
+set search_path = ''
+as $$
+  with saved_ids as (
+    select item.product_id::bigint as id
+    from public.user_closet_items item
+    where item.user_id = target_user_id and item.product_id ~ '^[0-9]+$'
+    union
+    select item.product_id::bigint
+    from public.user_digbox_items item
+    where item.user_id = target_user_id and item.product_id ~ '^[0-9]+$'
+  ), taste as (
+    select extensions.avg(p.image_embedding) as embedding
+    from public.products p
+    join saved_ids saved on saved.id = p.id
+    where p.image_embedding is not null
+  ), recent as (
+    select p.id
+    from public.products p
+    where not exists (select 1 from saved_ids saved where saved.id = p.id)
+    order by p.created_at desc, p.id desc
+    limit least(greatest(coalesce(recent_limit, 240), 24), 400)
+  ), similar as (
+    select p.id
+    from public.products p
+    cross join taste
+    where taste.embedding is not null
+      and p.image_embedding is not null
+      and not exists (select 1 from saved_ids saved where saved.id = p.id)
+    order by p.image_embedding OPERATOR(extensions.<=>) taste.embedding
+    limit least(greatest(coalesce(similar_limit, 160), 0), 400)
+  ), candidate_ids as (
+    select recent.id from recent
+    union
+    select similar.id from similar
+  )
+  select
+    jsonb_build_object(
+      'id', p.id, 'brand', p.brand, 'name', p.name, 'category', p.category, 'sub_category', p.sub_category,
+      'category_analysis_status', p.category_analysis_status, 'url', p.url, 'image_path', p.image_path,
+      'slug', p.slug, 'created_at', p.created_at, 'is_instagram', p.is_instagram,
+      'instagram_order', p.instagram_order, 'target_gender', p.target_gender,
+      'list_price', p.list_price, 'sale_price', p.sale_price, 'price_currency', p.price_currency,
+      'availability', p.availability,
+      'style_tags', p.style_tags, 'style_attributes', p.style_attributes,
+      'human_style_tags', p.human_style_tags, 'human_style_attributes', p.human_style_attributes,
+      'tag_review_status', p.tag_review_status, 'human_target_gender', p.human_target_gender
+    ) as product,
+    case when taste.embedding is not null and p.image_embedding is not null
+      then greatest(0::double precision, 1 - (p.image_embedding OPERATOR(extensions.<=>) taste.embedding))
+    end as visual_similarity
+  from candidate_ids candidate
+  join public.products p on p.id = candidate.id
+  cross join taste;
+$$;
+
+revoke all on function public.get_personalized_feed_candidates(uuid, integer, integer) from public, anon, authenticated;
+grant execute on function public.get_personalized_feed_candidates(uuid, integer, integer) to service_role;
@@ -0,0 +1,43 @@
+-- Taste profiles are rebuilt on the server from the swipe log, so each event
+-- keeps what is needed to replay it: the session it belongs to and the
+-- product's category and style attributes at swipe time.
+alter table public.user_taste_swipe_events
+  add column session_id uuid,
+  add column category text not null default '',
+  add column attribute_snapshot jsonb not null default '{}'::jsonb;
+
+-- Earlier sessions were inserted in one statement, so they share created_at.
+with sessions as (
+  select user_id, created_at, gen_random_uuid() as session_id
+  from (select distinct user_id, created_at from public.user_taste_swipe_events) grouped
+)
+update public.user_taste_swipe_events event
+set session_id = sessions.session_id
+from sessions
+where event.user_id = sessions.user_id
+  and event.created_at = sessions.created_at;
+
+alter table public.user_taste_swipe_events
+  alter column session_id set not null;
+
+create index user_taste_swipe_events_user_session_idx
+  on public.user_taste_swipe_events(user_id, session_id);
+
+-- 0 marks a profile saved by the client before server recomputation.
+alter table public.user_taste_profiles
+  add column algorithm_version integer not null default 0;
+
+create or replace function public.reset_user_taste_profile(target_user_id uuid)
+returns void
+language sql
+volatile
+security invoker
+set search_path = ''
+as $$
+  delete from public.user_taste_swipe_events where user_id = target_user_id;
+  delete from public.user_taste_match_sessions where user_id = target_user_id;
+  delete from public.user_taste_profiles where user_id = target_user_id;
+$$;
+
+revoke all on function public.reset_user_taste_profile(uuid) from public, anon, authenticated;
+grant execute on function public.reset_user_taste_profile(uuid) to service_role;
@@ -0,0 +1,13 @@
+-- Finished months of the taste timeline are frozen here, so removing items
+-- from Closet or DIGBOX later does not rewrite how the user's taste looked then.
+create table public.user_taste_timeline_snapshots (
+  user_id uuid not null references public.users(id) on delete cascade,
+  month date not null check (extract(day from month) = 1),
+  bucket jsonb not null,
+  created_at timestamptz not null default now(),
+  primary key (user_id, month)
+);
+
+alter table public.user_taste_timeline_snapshots enable row level security;
+revoke all on table public.user_taste_timeline_snapshots from anon, authenticated;
+grant select, insert, update, delete on table public.user_taste_timeline_snapshots to service_role;
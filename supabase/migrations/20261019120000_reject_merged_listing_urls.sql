@@ -0,0 +1,272 @@
+-- A merged product's shop URL survives only in product_listings, so the
+-- products unique key let the same page be registered again as a new product.
+-- Inserting or re-pointing a product at a URL another product lists now fails
+-- with a unique violation, which the API already answers with a 409.
+create index if not exists product_listings_url_idx
+  on public.product_listings (url);
+
+create or replace function private.reject_listed_product_url()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if exists (
+    select 1
+    from public.product_listings listing
+    where listing.url = new.url
+      and listing.product_id <> new.id
+  ) then
+    raise exception 'product url is already listed on another product'
+      using errcode = '23505', constraint = 'products_unique_key';
+  end if;
+
+  return new;
+end;
+$$;
+
+revoke all on function private.reject_listed_product_url() from public, anon, authenticated;
+
+drop trigger if exists reject_listed_product_url on public.products;
+create trigger reject_listed_product_url
+before insert or update of url on public.products
+for each row
+execute function private.reject_listed_product_url();
+
+-- Redirects resolve by id and the product page rebuilds the slug from the
+-- canonical product, so the merged row's slug was never read.
+alter table public.product_redirects drop column if exists slug;
+
+-- Folds duplicate_ids into canonical_id in one transaction. The size table of
+-- size_table_product_id (canonical_id when null) becomes the canonical one.
+-- A user or outfit holding both products keeps the canonical entry; DIGBOX and
+-- Closet items keep the earliest added_at; price history and taste swipes move
+-- to the canonical product. Returns the deleted rows' stored images so the
+-- caller can remove the ones no other product uses.
+create or replace function public.merge_products(
+  canonical_id bigint,
+  duplicate_ids bigint[],
+  size_table_product_id bigint default null
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = ''
+as $$
+declare
+  merged_ids bigint[];
+  size_source_id bigint := coalesce(size_table_product_id, canonical_id);
+  locked_count integer;
+  removed_images jsonb;
+begin
+  select coalesce(array_agg(distinct duplicate_id), '{}')
+  into merged_ids
+  from unnest(duplicate_ids) duplicate_id
+  where duplicate_id is not null;
+
+  if cardinality(merged_ids) = 0 then
+    raise exception 'at least one duplicate product is required' using errcode = '22023';
+  end if;
+  if canonical_id = any(merged_ids) then
+    raise exception 'canonical product cannot also be a duplicate' using errcode = '22023';
+  end if;
+  if size_source_id <> canonical_id and not size_source_id = any(merged_ids) then
+    raise exception 'size table source must be one of the merged products' using errcode = '22023';
+  end if;
+
+  select count(*)
+  into locked_count
+  from (
+    select p.id
+    from public.products p
+    where p.id = canonical_id or p.id = any(merged_ids)
+    order by p.id
+    for update
+  ) locked;
+  if locked_count <> cardinality(merged_ids) + 1 then
+    raise exception 'product not found' using errcode = 'P0002';
+  end if;
+
+  -- Listings: the canonical page, every merged page, and the listings the
+  -- merged products had collected from earlier merges.
+  insert into public.product_listings (product_id, url, list_price, sale_price, price_currency, availability, merged_from_product_id)
+  select canonical_id, p.url, p.list_price, p.sale_price, p.price_currency, p.availability,
+    case when p.id = canonical_id then null else p.id end
+  from public.products p
+  where (p.id = canonical_id or p.id = any(merged_ids))
+    and p.url ~* '^https?://'
+  order by p.id = canonical_id desc, p.id
+  on conflict (product_id, url) do nothing;
+
+  insert into public.product_listings (product_id, url, list_price, sale_price, price_currency, availability, merged_from_product_id)
+  select canonical_id, listing.url, listing.list_price, listing.sale_price, listing.price_currency,
+    listing.availability, coalesce(listing.merged_from_product_id, listing.product_id)
+  from public.product_listings listing
+  where listing.product_id = any(merged_ids)
+  on conflict (product_id, url) do nothing;
+
+  update public.product_listings listing
+  set is_size_table_source = coalesce(
+    listing.url = (select p.url from public.products p where p.id = size_source_id),
+    false
+  )
+  where listing.product_id = canonical_id;
+
+  if size_source_id <> canonical_id then
+    update public.products target
+    set size_table = source.size_table,
+      normalized_size_table = source.normalized_size_table,
+      size_table_validation = source.size_table_validation,
+      size_table_provenance = source.size_table_provenance,
+      size_availability = source.size_availability
+    from public.products source
+    where target.id = canonical_id and source.id = size_source_id;
+  end if;
+
+  -- DIGBOX and Closet store product ids as text.
+  update public.user_digbox_items kept
+  set added_at = least(kept.added_at, merged.added_at)
+  from (
+    select item.user_id, min(item.added_at) as added_at
+    from public.user_digbox_items item
+    where item.product_id = any(merged_ids::text[])
+    group by item.user_id
+  ) merged
+  where kept.user_id = merged.user_id and kept.product_id = canonical_id::text;
+
+  delete from public.user_digbox_items item
+  where item.product_id = any(merged_ids::text[])
+    and exists (
+      select 1 from public.user_digbox_items kept
+      where kept.user_id = item.user_id and kept.product_id = canonical_id::text
+    );
+
+  delete from public.user_digbox_items item
+  using public.user_digbox_items earlier
+  where item.product_id = any(merged_ids::text[])
+    and earlier.product_id = any(merged_ids::text[])
+    and earlier.user_id = item.user_id
+    and (earlier.added_at, earlier.product_id) < (item.added_at, item.product_id);
+
+  update public.user_digbox_items
+  set product_id = canonical_id::text
+  where product_id = any(merged_ids::text[]);
+
+  update public.user_closet_items kept
+  set added_at = least(kept.added_at, merged.added_at)
+  from (
+    select item.user_id, min(item.added_at) as added_at
+    from public.user_closet_items item
+    where item.product_id = any(merged_ids::text[])
+    group by item.user_id
+  ) merged
+  where kept.user_id = merged.user_id and kept.product_id = canonical_id::text;
+
+  delete from public.user_closet_items item
+  where item.product_id = any(merged_ids::text[])
+    and exists (
+      select 1 from public.user_closet_items kept
+      where kept.user_id = item.user_id and kept.product_id = canonical_id::text
+    );
+
+  delete from public.user_closet_items item
+  using public.user_closet_items earlier
+  where item.product_id = any(merged_ids::text[])
+    and earlier.product_id = any(merged_ids::text[])
+    and earlier.user_id = item.user_id
+    and (earlier.added_at, earlier.product_id) < (item.added_at, item.product_id);
+
+  update public.user_closet_items
+  set product_id = canonical_id::text
+  where product_id = any(merged_ids::text[]);
+
+  -- Outfit items reference products with on delete restrict, so they must move
+  -- before the merged rows are deleted. Snapshots keep the product as it was.
+  delete from public.outfit_request_items item
+  where item.product_id = any(merged_ids)
+    and exists (
+      select 1 from public.outfit_request_items kept
+      where kept.request_id = item.request_id and kept.product_id = canonical_id
+    );
+
+  delete from public.outfit_request_items item
+  using public.outfit_request_items earlier
+  where item.product_id = any(merged_ids)
+    and earlier.product_id = any(merged_ids)
+    and earlier.request_id = item.request_id
+    and earlier.sort_order < item.sort_order;
+
+  update public.outfit_request_items
+  set product_id = canonical_id
+  where product_id = any(merged_ids);
+
+  delete from public.outfit_proposal_items item
+  where item.product_id = any(merged_ids)
+    and exists (
+      select 1 from public.outfit_proposal_items kept
+      where kept.proposal_id = item.proposal_id and kept.product_id = canonical_id
+    );
+
+  delete from public.outfit_proposal_items item
+  using public.outfit_proposal_items earlier
+  where item.product_id = any(merged_ids)
+    and earlier.product_id = any(merged_ids)
+    and earlier.proposal_id = item.proposal_id
+    and earlier.sort_order < item.sort_order;
+
+  update public.outfit_proposal_items
+  set product_id = canonical_id
+  where product_id = any(merged_ids);
+
+  -- Both cascade on delete, so they must move before the merged rows go.
+  -- The swipe id is set from the canonical row so it keeps the column's type.
+  update public.product_price_history
+  set product_id = canonical_id
+  where product_id = any(merged_ids);
+
+  update public.user_taste_swipe_events event
+  set product_id = canonical_product.id
+  from public.products canonical_product
+  where canonical_product.id = canonical_id
+    and event.product_id::text = any(merged_ids::text[]);
+
+  -- Earlier redirects to a merged product now point at the canonical one.
+  update public.product_redirects
+  set canonical_product_id = canonical_id
+  where canonical_product_id = any(merged_ids);
+
+  insert into public.product_redirects (product_id, canonical_product_id)
+  select p.id, canonical_id
+  from public.products p
+  where p.id = any(merged_ids)
+  on conflict (product_id) do update
+  set canonical_product_id = excluded.canonical_product_id,
+    merged_at = now();
+
+  with deleted as (
+    delete from public.products p
+    where p.id = any(merged_ids)
+    returning p.image_path, p.image_gallery
+  )
+  select jsonb_build_object(
+    'imagePaths', coalesce(jsonb_agg(deleted.image_path) filter (where deleted.image_path is not null), '[]'::jsonb),
+    'galleryPaths', coalesce((
+      select jsonb_agg(gallery_path)
+      from deleted gallery_source, unnest(gallery_source.image_gallery) gallery_path
+    ), '[]'::jsonb)
+  )
+  into removed_images
+  from deleted;
+
+  return jsonb_build_object(
+    'canonicalId', canonical_id,
+    'mergedIds', to_jsonb(merged_ids),
+    'imagePaths', removed_images -> 'imagePaths',
+    'galleryPaths', removed_images -> 'galleryPaths'
+  );
+end;
+$$;
+
+revoke all on function public.merge_products(bigint, bigint[], bigint) from public, anon, authenticated;
+grant execute on function public.merge_products(bigint, bigint[], bigint) to service_role;
@@ -0,0 +1,43 @@
+-- Taste profiles are rebuilt by rescoring every Dig Match session from its
+-- answers, so each session keeps the style tags, attributes and category of
+-- the products it showed, the same way swipe events do. Sessions saved before
+-- this column fall back to the products' current tags.
+alter table public.user_taste_match_sessions
+  add column product_snapshots jsonb not null default '{}'::jsonb;
+
+-- Records a finished Dig Match and the profile it produced in one transaction,
+-- so a failed upsert never leaves a session the stored profile does not count.
+create or replace function public.record_dig_match_session(
+  target_user_id uuid,
+  session_answers jsonb,
+  session_product_snapshots jsonb,
+  session_profile jsonb,
+  session_completed_at timestamptz,
+  profile_algorithm_version integer
+)
+returns void
+language sql
+volatile
+security invoker
+set search_path = ''
+as $$
+  insert into public.user_taste_match_sessions (user_id, answers, product_snapshots, profile_snapshot, completed_at)
+  values (target_user_id, session_answers, session_product_snapshots, session_profile, session_completed_at);
+
+  insert into public.user_taste_profiles (user_id, profile, completed_sessions, algorithm_version, updated_at)
+  values (
+    target_user_id,
+    session_profile,
+    coalesce((session_profile ->> 'completedSessions')::integer, 0),
+    profile_algorithm_version,
+    session_completed_at
+  )
+  on conflict (user_id) do update
+  set profile = excluded.profile,
+      completed_sessions = excluded.completed_sessions,
+      algorithm_version = excluded.algorithm_version,
+      updated_at = excluded.updated_at;
+$$;
+
+revoke all on function public.record_dig_match_session(uuid, jsonb, jsonb, jsonb, timestamptz, integer) from public, anon, authenticated;
+grant execute on function public.record_dig_match_session(uuid, jsonb, jsonb, jsonb, timestamptz, integer) to service_role;
@@ -0,0 +1,86 @@
+-- Perceptual hashes of products.image_gallery, in gallery order. Null until the
+-- image worker has hashed the gallery; an empty array means there was nothing to hash.
+alter table public.products
+  add column if not exists image_gallery_phashes text[];
+
+alter table public.products
+  drop constraint if exists products_image_gallery_phashes_format_check;
+
+alter table public.products
+  add constraint products_image_gallery_phashes_format_check
+  check (
+    image_gallery_phashes is null
+    or array_to_string(image_gallery_phashes, ',') ~ '^([0-9a-f]{16}(,[0-9a-f]{16})*)?$'
+  );
+
+comment on column public.products.image_gallery_phashes is
+  'DCT perceptual hashes of the stored gallery images; matched like image_phash so another shop''s hero shot of the same item is caught.';
+
+-- Same lookup as before, but a product's hash distance is the smallest over its
+-- hero image and every gallery image.
+create or replace function public.find_duplicate_product_candidates(
+  target_phash text,
+  target_embedding extensions.vector(768) default null,
+  max_phash_distance integer default 10,
+  min_visual_similarity double precision default 0.94,
+  match_count integer default 5
+)
+returns table (id bigint, phash_distance integer, visual_similarity double precision)
+language sql
+stable
+security invoker
+set search_path = ''
+as $$
+  with product_hashes as (
+    select p.id, p.image_phash as phash
+    from public.products p
+    where p.image_phash is not null
+    union all
+    select p.id, gallery.phash
+    from public.products p
+    cross join lateral unnest(p.image_gallery_phashes) as gallery(phash)
+  ), hashed as (
+    select
+      p.id,
+      distances.phash_distance,
+      case when target_embedding is not null and p.image_embedding is not null
+        then greatest(0::double precision, 1 - (p.image_embedding OPERATOR(extensions.<=>) target_embedding))
+      end as visual_similarity
+    from (
+      select
+        product_hashes.id,
+        min(bit_count(('x' || product_hashes.phash)::bit(64) # ('x' || target_phash)::bit(64)))::integer as phash_distance
+      from product_hashes
+      where target_phash ~ '^[0-9a-f]{16}$'
+      group by product_hashes.id
+    ) distances
+    join public.products p on p.id = distances.id
+    where distances.phash_distance <= max_phash_distance
+  ), embedded as (
+    select
+      p.id,
+      case when target_phash ~ '^[0-9a-f]{16}$' and p.image_phash is not null
+        then bit_count(('x' || p.image_phash)::bit(64) # ('x' || target_phash)::bit(64))::integer
+      end as phash_distance,
+      greatest(0::double precision, 1 - (p.image_embedding OPERATOR(extensions.<=>) target_embedding)) as visual_similarity
+    from public.products p
+    where target_embedding is not null
+      and p.image_embedding is not null
+    order by p.image_embedding OPERATOR(extensions.<=>) target_embedding
+    limit least(greatest(coalesce(match_count, 5), 1), 20)
+  )
+  select matches.id, min(matches.phash_distance), max(matches.visual_similarity)
+  from (
+    select * from hashed
+    union all
+    select * from embedded where embedded.visual_similarity >= min_visual_similarity
+  ) matches
+  group by matches.id
+  order by min(matches.phash_distance) asc nulls last, max(matches.visual_similarity) desc nulls last, matches.id desc
+  limit least(greatest(coalesce(match_count, 5), 1), 20);
+$$;
+
+revoke all on function public.find_duplicate_product_candidates(text, extensions.vector, integer, double precision, integer)
+  from public, anon, authenticated;
+grant execute on function public.find_duplicate_product_candidates(text, extensions.vector, integer, double precision, integer)
+  to service_role;